@@ -0,0 +1,230 @@
+// 複数端末の同期用リファレンスサーバー (Node.js の標準モジュールのみで動作)
+//
+//   node server/syncServer.js [--port 4000] [--data ./sync-data.json] [--token 合言葉] [--origin https://アプリのURL]
+//
+// 店舗内の LAN だけで使うことを想定している。インターネットに公開しないこと。
+// 端末は同期設定の「アクセストークン」を X-Sync-Token ヘッダー (変更フィードは ?token=) で送り、
+// 一致しない要求は拒否する。--token (または SYNC_TOKEN) を省略すると起動時にランダムなトークンを生成して表示する。
+// --origin (または SYNC_ALLOW_ORIGIN) でアプリを配信しているオリジンだけに CORS を許可できる (省略時は *)。
+//
+// 端末から送られた変更をセッション (共有コード) ごとに受け付け順の連番 (seq) を付けて保存し、
+// REST と Server-Sent Events の変更フィードで配信する。
+// 変更のマージ (加算モードの数量の合計・後勝ち・監査記録) は各端末が src/sync/syncProtocol.js で行い、
+// どの端末も同じ変更の集合から同じ結果を得る。サーバーは変更の順序付けと重複の除去だけを行う。
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const KEEP_ALIVE_MS = 25000;
+const SYNC_OPS = ['set', 'increment', 'delete'];
+// 共有コードに使える文字 (パスにそのまま使え、__proto__ などの特別な名前を受け付けない)
+const SYNC_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+const isValidChange = (change) => change
+  && typeof change.id === 'string'
+  && typeof change.deviceId === 'string'
+  && typeof change.key === 'string'
+  && typeof change.at === 'string'
+  && SYNC_OPS.includes(change.op);
+
+// 変更の保存と配信
+// data: Map<syncId, { changes: [...], cursor }> (dataFile を指定すると変更のたびに保存する)
+const createSyncStore = (dataFile) => {
+  const data = new Map();
+  if (dataFile && fs.existsSync(dataFile)) {
+    Object.entries(JSON.parse(fs.readFileSync(dataFile, 'utf8')))
+      .filter(([syncId]) => SYNC_ID_PATTERN.test(syncId))
+      .forEach(([syncId, session]) => data.set(syncId, session));
+  }
+  const listeners = new Map();
+
+  const session = (syncId) => {
+    if (!data.has(syncId)) {
+      data.set(syncId, { changes: [], cursor: 0 });
+    }
+    return data.get(syncId);
+  };
+
+  const persist = () => {
+    if (dataFile) {
+      fs.writeFileSync(dataFile, JSON.stringify(Object.fromEntries(data)));
+    }
+  };
+
+  return {
+    changesSince: (syncId, since) => {
+      const { changes, cursor } = session(syncId);
+      return { changes: changes.filter(change => change.seq > since), cursor };
+    },
+
+    // 同じIDの変更は再送とみなして無視する
+    append: (syncId, changes) => {
+      const target = session(syncId);
+      const known = new Set(target.changes.map(change => change.id));
+      const accepted = changes
+        .filter(change => !known.has(change.id) && known.add(change.id))
+        .map(change => ({ ...change, seq: ++target.cursor }));
+      if (accepted.length > 0) {
+        target.changes.push(...accepted);
+        persist();
+        (listeners.get(syncId) || []).forEach(listener => listener(accepted, target.cursor));
+      }
+      return { accepted: accepted.length, cursor: target.cursor };
+    },
+
+    subscribe: (syncId, listener) => {
+      listeners.set(syncId, [...(listeners.get(syncId) || []), listener]);
+      return () => listeners.set(syncId, listeners.get(syncId).filter(item => item !== listener));
+    }
+  };
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+// アクセストークンの照合 (token が空なら認証しない。テスト用)
+const isAuthorized = (req, url, token) => {
+  if (!token) {
+    return true;
+  }
+  const given = Buffer.from(String(req.headers['x-sync-token'] || url.searchParams.get('token') || ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// エラーの応答 (変更フィードのように応答を始めた後なら接続を閉じる)
+const sendError = (res, status, message) => {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  sendJson(res, status, { error: message });
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('リクエストが大きすぎます'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+// Server-Sent Events で変更を配信 (再接続時は Last-Event-ID の続きから送る)
+const streamChanges = (req, res, store, syncId, since) => {
+  const initial = store.changesSince(syncId, since);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (changes, cursor) => res.write(`id: ${cursor}\ndata: ${JSON.stringify({ changes, cursor })}\n\n`);
+  send(initial.changes, initial.cursor);
+
+  const unsubscribe = store.subscribe(syncId, send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+};
+
+// token: 端末と共有するアクセストークン, allowOrigin: CORS で許可するオリジン
+const createSyncServer = ({ dataFile, token = '', allowOrigin = '*' } = {}) => {
+  const store = createSyncStore(dataFile);
+
+  const handle = async (req, res) => {
+    // 別のオリジンで配信しているアプリからも接続できるようにする
+    res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID, X-Sync-Token');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/health') {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+    const match = url.pathname.match(/^\/sessions\/([^/]+)\/(changes|events)$/);
+    if (!match) {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    try {
+      const syncId = decodeURIComponent(match[1]);
+      if (!SYNC_ID_PATTERN.test(syncId)) {
+        sendError(res, 400, 'invalid sync id');
+        return;
+      }
+      const since = Number(req.headers['last-event-id'] || url.searchParams.get('since')) || 0;
+
+      if (match[2] === 'events' && req.method === 'GET') {
+        streamChanges(req, res, store, syncId, since);
+      } else if (match[2] === 'changes' && req.method === 'GET') {
+        sendJson(res, 200, store.changesSince(syncId, since));
+      } else if (match[2] === 'changes' && req.method === 'POST') {
+        const { changes } = await readJson(req);
+        if (!Array.isArray(changes) || !changes.every(isValidChange)) {
+          sendError(res, 400, 'invalid changes');
+          return;
+        }
+        sendJson(res, 200, store.append(syncId, changes));
+      } else {
+        sendError(res, 405, 'method not allowed');
+      }
+    } catch (error) {
+      sendError(res, 400, error.message);
+    }
+  };
+
+  // 想定外のエラーでもサーバー全体を止めない
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      console.error('同期サーバーのエラー:', error);
+      sendError(res, 500, 'internal error');
+    });
+  });
+};
+
+module.exports = { createSyncServer };
+
+if (require.main === module) {
+  const option = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index >= 0 ? process.argv[index + 1] : fallback;
+  };
+  const port = Number(option('port', process.env.PORT || 4000));
+  const dataFile = option('data', process.env.SYNC_DATA_FILE);
+  const token = option('token', process.env.SYNC_TOKEN) || crypto.randomBytes(18).toString('base64url');
+  const allowOrigin = option('origin', process.env.SYNC_ALLOW_ORIGIN || '*');
+  createSyncServer({ dataFile, token, allowOrigin }).listen(port, () => {
+    console.log(`同期サーバーを起動しました: http://localhost:${port}${dataFile ? ` (保存先: ${dataFile})` : ''}`);
+    console.log(`アクセストークン: ${token} (各端末の同期設定に入力してください。LAN の外には公開しないでください)`);
+  });
+}
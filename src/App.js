@@ -1,4 +1,173 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import SettingsModal from './components/SettingsModal';
+import ProductMasterManager from './components/ProductMasterManager';
+import {
+  lookupProduct,
+  lookupProductWithCache,
+  loadProviderConfig,
+  saveProviderConfig,
+  hasUsableProvider,
+  LOOKUP_STATUS,
+  CACHE_SOURCE
+} from './lookup';
+import {
+  loadMasterTtlDays,
+  saveMasterTtlDays,
+  getMasterEntry,
+  entryDisplayName,
+  setOverrideName
+} from './storage/productMasterStore';
+import { loadPendingLookups, savePendingLookups, enqueueLookup } from './offline/lookupQueue';
+import useOnlineStatus from './offline/useOnlineStatus';
+import SessionManager from './components/SessionManager';
+import InventoryTable from './components/InventoryTable';
+import UndoToast from './components/UndoToast';
+import { recentLines } from './inventory/inventoryTable';
+import QuickAddPanel from './components/QuickAddPanel';
+import ExpiryDashboard from './components/ExpiryDashboard';
+import ImportWizard from './components/ImportWizard';
+import ImageScanDialog from './components/ImageScanDialog';
+import ExportDialog from './components/ExportDialog';
+import { normalizeBarcode, BARCODE_TYPES } from './barcode/gtin';
+import {
+  loadInStoreTemplates,
+  saveInStoreTemplates,
+  parseInStoreCode,
+  inStoreFields,
+  VALUE_TYPES
+} from './barcode/inStore';
+import { parseGs1 } from './barcode/gs1';
+import { loadSymbologies, saveSymbologies } from './barcode/symbologies';
+import { selectEngine, loadEnginePreference, saveEnginePreference, SCAN_SOURCES } from './scanner';
+import { loadWedgeSettings, saveWedgeSettings } from './scanner/keyboardWedge';
+import useKeyboardWedge from './scanner/useKeyboardWedge';
+import ScannerDiagnostics from './components/ScannerDiagnostics';
+import {
+  BATCH_STATUS,
+  loadBatchQueue,
+  saveBatchQueue,
+  loadCooldownSeconds,
+  saveCooldownSeconds,
+  isInCooldown,
+  createBatchEntry,
+  mergeBatchEntries,
+  toLineProduct,
+  commitBatch
+} from './inventory/batchQueue';
+import BatchReviewPanel from './components/BatchReviewPanel';
+import {
+  SCAN_MODES,
+  SCAN_MODE_LABELS,
+  DISPOSAL_REASONS,
+  loadLedger,
+  saveLedger,
+  loadScanMode,
+  saveScanMode,
+  loadLedgerUser,
+  saveLedgerUser,
+  createMovement,
+  stockOf,
+  buildAdjustments,
+  fillMovementNames
+} from './inventory/stockLedger';
+import StockLedgerDialog from './components/StockLedgerDialog';
+import LocationManager from './components/LocationManager';
+import OperatorLogin from './components/OperatorLogin';
+import OperatorManager from './components/OperatorManager';
+import {
+  loadOperators,
+  saveOperators,
+  loadLastOperatorId,
+  saveLastOperatorId,
+  operatorStamp,
+  operatorOptions
+} from './operators/operators';
+import {
+  loadLocations,
+  saveLocations,
+  loadCurrentLocationId,
+  saveCurrentLocationId,
+  parseLocationCode,
+  formatLocationPath,
+  flattenLocations
+} from './locations/locations';
+import CameraControls from './components/CameraControls';
+import {
+  loadCameraSettings,
+  saveCameraSettings,
+  findSavedCamera,
+  getTrackFeatures,
+  clamp,
+  REGION_LIMITS
+} from './camera/cameraSettings';
+import {
+  PACK_UNITS,
+  PACK_UNIT_LABELS,
+  loadPackMaster,
+  savePackMaster,
+  pieceJanFromCaseCode,
+  unitSize,
+  toPieces,
+  setPackSize,
+  linkCaseCode
+} from './inventory/packSizes';
+import {
+  loadExportSettings,
+  saveExportSettings,
+  buildCsvFile,
+  buildLedgerCsvFile,
+  buildVarianceCsvFile,
+  downloadBlob
+} from './export/csvExport';
+import VarianceReport from './components/VarianceReport';
+import SyncDialog from './components/SyncDialog';
+import useSessionSync, { SYNC_STATUS } from './sync/useSessionSync';
+import { loadSyncSettings, saveSyncSettings } from './sync/syncClient';
+import {
+  loadSessions,
+  saveSessions,
+  loadActiveSessionId,
+  saveActiveSessionId,
+  createSession,
+  duplicateSession,
+  isSessionReadOnly,
+  SESSION_STATUS
+} from './sessions/sessionStore';
+import {
+  COMMAND_TYPES,
+  DESTRUCTIVE_COMMANDS,
+  EMPTY_HISTORY,
+  loadUndoHistories,
+  saveUndoHistories,
+  createCommand,
+  pushCommand,
+  undoCommand,
+  redoCommand
+} from './sessions/undoHistory';
+import {
+  COUNT_MODES,
+  COUNT_MODE_LABELS,
+  ACCUMULATE_CONFIRM,
+  createLine,
+  incrementLine,
+  isSameLine,
+  groupLinesByJan,
+  overwriteLine,
+  editLine,
+  loadCountMode,
+  saveCountMode,
+  loadAccumulateConfirm,
+  saveAccumulateConfirm
+} from './inventory/lineItems';
+import {
+  summarizeExpiry,
+  countAlerts,
+  loadExpiryThresholds,
+  saveExpiryThresholds,
+  loadNotificationsEnabled,
+  saveNotificationsEnabled,
+  EXPIRY_BUCKETS
+} from './expiry/expiryAlerts';
 
 // スキャナーのフォールバック実装
 const FallbackBarcodeScanner = ({ onScan }) => {
@@ -35,29 +204,141 @@ const FallbackBarcodeScanner = ({ onScan }) => {
   );
 };
 
-// html5-qrcode ライブラリを動的にインポート
-let Html5Qrcode;
+// 商品情報入力欄の初期値
+const createEmptyProduct = () => ({
+  janCode: '',
+  gtin: '',
+  inStoreCode: '',
+  barcodeWarning: '',
+  productName: '',
+  maker: '',
+  brand: '',
+  imageUrl: '',
+  namePending: false,
+  quantity: 1,
+  packUnit: PACK_UNITS.PIECE, // 数量入力の単位 (保存時にバラの個数へ換算)
+  packSize: '', // 選択した単位の入数
+  packCode: '', // ITF-14 で読み取った場合の集合包装コード
+  price: 0,
+  weight: '',
+  expiryDate: '',
+  lot: '',
+  category: '',
+  scannedAt: ''
+});
 
 const InventoryApp = () => {
+  // 棚卸セッションの状態管理 (商品リストはアクティブなセッションに属する)
+  const [sessions, setSessions] = useState(loadSessions);
+  const [activeSessionId, setActiveSessionId] = useState(() => loadActiveSessionId(sessions));
+  const [isSessionManagerOpen, setIsSessionManagerOpen] = useState(false);
+  const activeSession = sessions.find(session => session.id === activeSessionId);
+  const isReadOnly = isSessionReadOnly(activeSession);
+
   // 商品データの状態管理
-  const [products, setProducts] = useState([]);
-  const [currentProduct, setCurrentProduct] = useState({
-    janCode: '',
-    productName: '',
-    quantity: 1,
-    price:0,
-    expiryDate: '',
-    scannedAt: ''
-  });
+  const products = activeSession ? activeSession.products : [];
+
+  // アクティブセッションの商品リストを更新
+  const setProducts = (update) => {
+    setSessions(prev => prev.map(session => (session.id === activeSessionId
+      ? { ...session, products: typeof update === 'function' ? update(session.products) : update }
+      : session)));
+  };
+
+  // 明細行の変更履歴 (セッションごとに元に戻す・やり直す)
+  const [undoHistories, setUndoHistories] = useState(loadUndoHistories);
+  const [undoToast, setUndoToast] = useState(null);
+  const undoHistory = undoHistories[activeSessionId] || EMPTY_HISTORY;
+  const setUndoHistory = (history) => setUndoHistories(prev => ({ ...prev, [activeSessionId]: history }));
+  const closeUndoToast = useCallback(() => setUndoToast(null), []);
+
+  // セッションを切り替えたら前のセッションの「元に戻す」は閉じる
+  useEffect(() => {
+    setUndoToast(null);
+  }, [activeSessionId]);
+
+  // 利用者の操作による商品リストの変更 (履歴に記録し、削除・上書きなどは「元に戻す」を表示する)
+  // label: 履歴に表示する操作の説明 (「お茶」の削除 など)
+  const changeProducts = (type, label, updated) => {
+    const command = createCommand(type, label, products, updated);
+    if (!command) {
+      return;
+    }
+    setProducts(updated);
+    setUndoHistory(pushCommand(undoHistory, command));
+    setUndoToast(DESTRUCTIVE_COMMANDS.includes(type) ? command : null);
+  };
+  const [currentProduct, setCurrentProduct] = useState(createEmptyProduct());
   
   // カメラ・スキャン状態の管理
   const [scanning, setScanning] = useState(false);
   const [cameraError, setCameraError] = useState(null);
+
+  // カメラの選択・スキャン設定と、実行中のカメラで使える機能 (ライト・ズーム・フォーカス)
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const [cameras, setCameras] = useState([]);
+  const [activeCameraId, setActiveCameraId] = useState('');
+  const [trackFeatures, setTrackFeatures] = useState(null);
+  const [torchOn, setTorchOn] = useState(false);
+  const [zoom, setZoom] = useState(1);
+
+  // 読み取りエンジン (自動選択または手動指定) と実行中のエンジン
+  const [enginePreference, setEnginePreference] = useState(loadEnginePreference);
+  const [activeEngine, setActiveEngine] = useState(null);
+
+  const changeEnginePreference = (preference) => {
+    setEnginePreference(preference);
+    saveEnginePreference(preference);
+    if (scanning) {
+      setMessage('読み取りエンジンの変更はカメラを再起動すると反映されます');
+    }
+  };
   const [message, setMessage] = useState('「スキャン開始」ボタンでカメラを起動するか、JANコードを手動入力できます');
   const [lastScanTime, setLastScanTime] = useState(0);
   const [scanSuccess, setScanSuccess] = useState(false);
   const scannerRef = useRef(null);
   const scannerDivRef = useRef(null);
+  // カメラのコールバックから常に最新の状態を参照するためのハンドラ参照
+  const scanHandlerRef = useRef(null);
+  
+  // 同一JANの再スキャン時の扱い (加算 / 上書き / 別行)
+  const [countMode, setCountMode] = useState(loadCountMode);
+  const [accumulateConfirm, setAccumulateConfirm] = useState(loadAccumulateConfirm);
+  const [quickAdd, setQuickAdd] = useState(null);
+
+  // 記録モード (棚卸以外では入荷・販売・廃棄として入出庫台帳に記録する)
+  const [scanMode, setScanMode] = useState(loadScanMode);
+  const [ledger, setLedger] = useState(loadLedger);
+  const [ledgerUser, setLedgerUser] = useState(loadLedgerUser);
+  const [disposalReason, setDisposalReason] = useState(DISPOSAL_REASONS[0]);
+  const [movementNote, setMovementNote] = useState('');
+  const [ledgerJanCode, setLedgerJanCode] = useState(null); // null: 台帳を閉じる / '': 商品一覧 / JAN: 商品の履歴
+  const isMovementMode = scanMode !== SCAN_MODES.STOCKTAKE;
+
+  // 保管場所 (現在地は場所ラベルのスキャンか一覧からの選択で切り替え、登録する明細行に記録する)
+  const [locations, setLocations] = useState(loadLocations);
+  const [currentLocationId, setCurrentLocationId] = useState(() => loadCurrentLocationId(locations));
+  const [isLocationManagerOpen, setIsLocationManagerOpen] = useState(false);
+
+  // 担当者 (登録されていれば起動時に選んでもらい、スキャン・入出庫に記録する)
+  const [operators, setOperators] = useState(loadOperators);
+  const [currentOperatorId, setCurrentOperatorId] = useState(null);
+  const [isOperatorManagerOpen, setIsOperatorManagerOpen] = useState(false);
+  const currentOperator = operators.find(operator => operator.id === currentOperatorId) || null;
+  const isLoginRequired = operators.length > 0 && !currentOperator;
+  // 明細行に記録する担当者 (未選択なら既存の記録を残す)
+  const operatorFields = currentOperator ? operatorStamp(currentOperator) : {};
+  const listOperators = operatorOptions(operators, products);
+  // 入出庫台帳の担当者名 (担当者が未選択なら入力欄・セッションの担当者)
+  const movementUser = currentOperator ? currentOperator.name : ledgerUser || activeSession.operator;
+  
+  // チェックデジットが不正なコードも要確認として登録するか
+  const [allowInvalidBarcodes, setAllowInvalidBarcodes] = useState(() => localStorage.getItem('allowInvalidBarcodes') === 'true');
+
+  const changeAllowInvalidBarcodes = (allow) => {
+    setAllowInvalidBarcodes(allow);
+    localStorage.setItem('allowInvalidBarcodes', String(allow));
+  };
   
   // APIリクエスト最適化のための状態
   const [isProcessingProduct, setIsProcessingProduct] = useState(false);
@@ -66,77 +347,188 @@ const InventoryApp = () => {
   // 固定のスキャナーコンテナID (ランダム生成しない)
   const SCANNER_CONTAINER_ID = "barcode-scanner-container";
   
-  // JANCodeLookup APIを使った商品情報検索関数
-  const [apiKey, setApiKey] = useState(localStorage.getItem('janLookupApiKey') || '');
-  const [isApiKeyModalOpen, setIsApiKeyModalOpen] = useState(!localStorage.getItem('janLookupApiKey'));
+  // 商品検索プロバイダーの設定
+  const [providerConfig, setProviderConfig] = useState(loadProviderConfig);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(() => !hasUsableProvider(providerConfig));
+
+  // インストアコード (価格・重量埋め込み型) のテンプレート
+  const [inStoreTemplates, setInStoreTemplates] = useState(loadInStoreTemplates);
 
-  // APIキーを保存
-  const saveApiKey = (key) => {
-    setApiKey(key);
-    localStorage.setItem('janLookupApiKey', key);
-    setIsApiKeyModalOpen(false);
+  // 荷姿 (ボール・ケース) の入数マスター
+  const [packMaster, setPackMaster] = useState(loadPackMaster);
+
+  const updatePackMaster = (master) => {
+    setPackMaster(master);
+    savePackMaster(master);
   };
 
-  // 商品名を検索する関数（JANCodeLookup API呼び出し）
-  const fetchProductName = async (janCode) => {
-    if (!apiKey) {
-      return `APIキー未設定 (${janCode})`;
+  // カメラで読み取るバーコードの種類
+  const [symbologies, setSymbologies] = useState(loadSymbologies);
+
+  // ハンドスキャナー (キーボードウェッジ) の設定
+  const [wedgeSettings, setWedgeSettings] = useState(loadWedgeSettings);
+
+  // 設定を保存
+  const saveSettings = ({
+    providerConfig: config,
+    inStoreTemplates: templates,
+    symbologies: formats,
+    wedgeSettings: wedge
+  }) => {
+    setWedgeSettings(wedge);
+    saveWedgeSettings(wedge);
+    saveProviderConfig(config)
+      .then(setProviderConfig)
+      .catch((error) => {
+        console.error('検索設定の保存エラー:', error);
+        setMessage(`検索設定を保存できませんでした: ${error.message}`);
+      });
+    setInStoreTemplates(templates);
+    saveInStoreTemplates(templates);
+    setSymbologies(formats);
+    saveSymbologies(formats);
+    setIsSettingsOpen(false);
+    if (scanning) {
+      setMessage('バーコードの種類の変更はカメラを再起動すると反映されます');
     }
-    
-    try {
-      const url = `https://api.jancodelookup.com/?appId=${encodeURIComponent(apiKey)}&query=${janCode}&type=code`;
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`API応答エラー: ${response.status}`);
+  };
+
+  // 商品マスターキャッシュの設定
+  const [masterTtlDays, setMasterTtlDays] = useState(loadMasterTtlDays);
+  const [isMasterManagerOpen, setIsMasterManagerOpen] = useState(false);
+
+  const changeMasterTtlDays = (days) => {
+    setMasterTtlDays(days);
+    saveMasterTtlDays(days);
+  };
+
+  // キャッシュを優先して商品情報を検索
+  const resolveProduct = (janCode) => lookupProductWithCache(
+    janCode,
+    (code) => lookupProduct(code, providerConfig),
+    masterTtlDays
+  );
+
+  // 消費期限アラート
+  const [expiryThresholds, setExpiryThresholds] = useState(loadExpiryThresholds);
+  const [notificationsEnabled, setNotificationsEnabled] = useState(loadNotificationsEnabled);
+  const [isExpiryDashboardOpen, setIsExpiryDashboardOpen] = useState(false);
+  const expiryAlertCount = countAlerts(summarizeExpiry(products, expiryThresholds));
+
+  const changeExpiryThresholds = (thresholds) => {
+    setExpiryThresholds(thresholds);
+    saveExpiryThresholds(thresholds);
+  };
+
+  // 通知の有効化 (ブラウザの許可が必要)
+  const changeNotificationsEnabled = async (enabled) => {
+    if (enabled) {
+      if (!('Notification' in window)) {
+        setMessage('このブラウザは通知に対応していません');
+        return;
       }
-      
-      const data = await response.json();
-      
-      if (data.info && data.info.count > 0 && data.product && data.product.length > 0) {
-        const product = data.product[0];
-        return product.itemName || `商品名未登録(${janCode})`;
-      } else {
-        return `商品情報なし(${janCode})`;
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setMessage('通知が許可されませんでした。ブラウザの設定を確認してください。');
+        return;
       }
-    } catch (error) {
-      console.error('JANコード検索エラー:', error);
-      return `検索エラー(${janCode}): ${error.message}`;
     }
+    setNotificationsEnabled(enabled);
+    saveNotificationsEnabled(enabled);
+  };
+
+  // オフライン時の商品名取得待ちキュー
+  const isOnline = useOnlineStatus();
+  const [pendingLookups, setPendingLookups] = useState(loadPendingLookups);
+  const [isProcessingQueue, setIsProcessingQueue] = useState(false);
+
+  // 検索結果を商品情報入力欄に反映し、表示メッセージを返す
+  const applyLookupResult = (baseProduct, janCode, result) => {
+    const found = result.status === LOOKUP_STATUS.FOUND;
+    const info = found ? result.product : {};
+    // オフラインで検索できなかった場合は商品名を保留し、復帰後に自動取得する
+    const namePending = result.status === LOOKUP_STATUS.ERROR && !navigator.onLine;
+
+    setCurrentProduct({
+      ...baseProduct,
+      janCode,
+      productName: found ? info.name : '',
+      maker: info.maker || '',
+      brand: info.brand || '',
+      imageUrl: info.image || '',
+      namePending,
+      price: info.standardPrice || baseProduct.price,
+      scannedAt: new Date().toISOString()
+    });
+
+    if (namePending) {
+      return `オフラインのため商品名は接続回復後に取得します (${janCode})。数量を入力してください。`;
+    }
+    if (result.status === LOOKUP_STATUS.ERROR) {
+      return `商品検索でエラーが発生しました (${result.error})。商品名を入力してください。`;
+    }
+    if (!found) {
+      return `商品情報が見つかりませんでした (${janCode})。商品名を入力してください。`;
+    }
+    if (countMode !== COUNT_MODES.SEPARATE && products.some(product => product.janCode === janCode)) {
+      return countMode === COUNT_MODES.ACCUMULATE
+        ? `この商品 (${info.name}) は登録済みです。保存すると数量が加算されます`
+        : `⚠️ この商品 (${info.name}) は既に登録されています`;
+    }
+    if (result.stale) {
+      return `商品名: ${info.name} (期限切れのキャッシュ) を使用します。数量を入力してください。`;
+    }
+    const sourceLabel = result.source === CACHE_SOURCE ? ' (キャッシュ)' : '';
+    return `商品名: ${info.name}${sourceLabel} が見つかりました。数量を入力してください。`;
   };
   
-  // Html5Qrcode ライブラリのロード
-  const loadHtml5QrcodeLibrary = async () => {
-    if (typeof Html5Qrcode !== 'undefined') {
-      return Html5Qrcode;
+  // 保留中のJANコードを検索し、商品名取得待ちの商品に反映する
+  const processPendingLookups = async () => {
+    if (isProcessingQueue || pendingLookups.length === 0) {
+      return;
     }
-    
-    try {
-      // CDNから直接ロード (最も信頼性の高い方法)
-      const script = document.createElement('script');
-      script.src = 'https://unpkg.com/html5-qrcode@2.3.4/html5-qrcode.min.js';
-      script.async = true;
-      
-      // スクリプト読み込み完了を待つ
-      await new Promise((resolve, reject) => {
-        script.onload = resolve;
-        script.onerror = reject;
-        document.head.appendChild(script);
-      });
-      
-      // グローバル変数から取得
-      Html5Qrcode = window.Html5Qrcode;
-      console.log('Html5Qrcode ライブラリのロード成功');
-      return Html5Qrcode;
-    } catch (error) {
-      console.error('Html5Qrcode ライブラリのロードに失敗:', error);
-      throw error;
+    setIsProcessingQueue(true);
+
+    const settled = [];
+    for (const janCode of pendingLookups) {
+      const result = await resolveProduct(janCode);
+      if (result.status === LOOKUP_STATUS.ERROR) {
+        // 再度オフラインになった等。キューに残して次回再試行
+        continue;
+      }
+
+      const info = result.status === LOOKUP_STATUS.FOUND ? result.product : null;
+      const fillPending = (product) => (product.janCode === janCode && product.namePending ? {
+        ...product,
+        productName: info ? info.name : product.productName,
+        maker: info ? info.maker : product.maker,
+        brand: info ? info.brand : product.brand,
+        imageUrl: info ? info.image : product.imageUrl,
+        namePending: false
+      } : product);
+
+      // 保留中の商品は開いているセッションすべてで更新 (締め済みのセッションは変更しない)
+      // 入荷・販売・廃棄で記録した台帳の商品名も埋める
+      setSessions(prev => prev.map(session => (isSessionReadOnly(session)
+        ? session
+        : { ...session, products: session.products.map(fillPending) })));
+      if (info) {
+        setLedger(prev => fillMovementNames(prev, janCode, info.name));
+      }
+      setCurrentProduct(prev => fillPending(prev));
+      settled.push(janCode);
+    }
+
+    // 処理中に追加されたコードは残す
+    setPendingLookups(prev => prev.filter(code => !settled.includes(code)));
+    setIsProcessingQueue(false);
+    if (settled.length > 0) {
+      setMessage(`保留中だった${settled.length}件の商品名を取得しました`);
     }
   };
 
-  // カメラ起動処理
-  const startCamera = async () => {
+  // カメラ起動処理 (settings: 直前に変更した設定をすぐ使う場合に指定)
+  const startCamera = async (settings = cameraSettings) => {
     try {
       setCameraError(null);
       setMessage('カメラを準備中...');
@@ -162,31 +554,36 @@ const InventoryApp = () => {
       scannerElement.innerHTML = '';
       
       try {
-        // ライブラリのロード
-        await loadHtml5QrcodeLibrary();
+        // 読み取りエンジンの選択 (自動の場合は端末の対応状況で決める)
+        const engine = await selectEngine(enginePreference, symbologies);
+        setActiveEngine(engine);
         
         // スキャナーインスタンスの作成
-        scannerRef.current = new Html5Qrcode(SCANNER_CONTAINER_ID);
+        scannerRef.current = engine.createScanner(SCANNER_CONTAINER_ID);
         
-        // スキャン設定
-        const config = {
-          fps: 10,
-          qrbox: { width: 250, height: 150 },
-          aspectRatio: 1.0
+        // スキャン設定 (設定画面で選択した種類のバーコードのみ読み取る)
+        const options = {
+          fps: settings.fps,
+          region: {
+            width: clamp(settings.regionWidth, REGION_LIMITS),
+            height: clamp(settings.regionHeight, REGION_LIMITS)
+          },
+          formats: symbologies
         };
         
-        // バーコード形式の設定
-        if (Html5Qrcode.FORMATS) {
-          config.formatsToSupport = [ 
-            Html5Qrcode.FORMATS.EAN_13,
-            Html5Qrcode.FORMATS.EAN_8,
-            Html5Qrcode.FORMATS.UPC_A,
-            Html5Qrcode.FORMATS.UPC_E
-          ];
+        // カメラの一覧 (取得できなくても従来の方法で起動する)
+        let availableCameras = [];
+        try {
+          availableCameras = await engine.listCameras();
+          setCameras(availableCameras);
+        } catch (listError) {
+          console.warn('カメラ一覧の取得に失敗:', listError);
         }
-        
-        // カメラアクセス方法のリスト（順に試行）
+        const savedCamera = findSavedCamera(availableCameras, settings);
+
+        // カメラアクセス方法のリスト（順に試行、選択済みのカメラを優先）
         const cameraAccessMethods = [
+          ...(savedCamera ? [{ config: savedCamera.id, name: savedCamera.label || '選択したカメラ', cameraId: savedCamera.id }] : []),
           { config: { facingMode: "environment" }, name: "背面カメラ" },
           { config: { facingMode: "user" }, name: "前面カメラ" },
           { config: true, name: "デフォルトカメラ" }
@@ -202,14 +599,15 @@ const InventoryApp = () => {
             console.log(`${method.name}でカメラ起動を試みます...`);
             await scannerRef.current.start(
               method.config,
-              config,
-              handleScanSuccess,
-              handleScanFailure
+              options,
+              (decodedText, decodedResult) => scanHandlerRef.current(decodedText, decodedResult)
             );
             
             cameraStarted = true;
-            setMessage(`カメラが起動しました（${method.name}）。JANコードをスキャン枠内にかざしてください`);
+            setMessage(`カメラが起動しました（${method.name} / ${engine.label}）。JANコードをスキャン枠内にかざしてください`);
             setScanning(true);
+            setActiveCameraId(method.cameraId || '');
+            readTrackFeatures();
             console.log(`${method.name}でカメラ起動に成功しました`);
           } catch (error) {
             console.warn(`${method.name}でのカメラ起動に失敗:`, error);
@@ -236,6 +634,75 @@ const InventoryApp = () => {
     }
   };
 
+  // 実行中のカメラが対応している機能を調べる
+  const readTrackFeatures = () => {
+    try {
+      const features = getTrackFeatures(scannerRef.current.getCapabilities());
+      const trackSettings = scannerRef.current.getSettings();
+      setTrackFeatures(features);
+      setTorchOn(false);
+      setZoom(trackSettings.zoom || (features.zoom ? features.zoom.min : 1));
+    } catch (error) {
+      console.warn('カメラの機能を取得できません:', error);
+      setTrackFeatures(null);
+    }
+  };
+
+  // 実行中のカメラに制約を適用 (ライト・ズーム・フォーカス)
+  const applyTrackConstraint = async (constraint) => {
+    if (!scannerRef.current) {
+      return false;
+    }
+    try {
+      await scannerRef.current.applyConstraints({ advanced: [constraint] });
+      return true;
+    } catch (error) {
+      console.warn('カメラ設定の適用に失敗:', error);
+      return false;
+    }
+  };
+
+  const toggleTorch = async () => {
+    if (await applyTrackConstraint({ torch: !torchOn })) {
+      setTorchOn(!torchOn);
+    }
+  };
+
+  const changeZoom = async (value) => {
+    setZoom(value);
+    await applyTrackConstraint({ zoom: value });
+  };
+
+  // タップした位置にピントを合わせる (座標は映像に対する 0〜1 の割合)
+  const focusAt = (e) => {
+    if (!scanning || !trackFeatures || !trackFeatures.focusMode) {
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    applyTrackConstraint({
+      focusMode: trackFeatures.focusMode,
+      pointsOfInterest: [{
+        x: (e.clientX - rect.left) / rect.width,
+        y: (e.clientY - rect.top) / rect.height
+      }]
+    });
+  };
+
+  const changeCameraSettings = (changes) => {
+    const updated = { ...cameraSettings, ...changes };
+    setCameraSettings(updated);
+    saveCameraSettings(updated);
+    return updated;
+  };
+
+  // カメラを切り替えて記憶し、起動中ならそのカメラで再起動する
+  const selectCamera = (camera) => {
+    const updated = changeCameraSettings({ deviceId: camera.id, deviceLabel: camera.label });
+    if (scanning) {
+      startCamera(updated);
+    }
+  };
+
   // カメラ停止処理
   const stopCamera = async () => {
     if (scannerRef.current) {
@@ -243,6 +710,7 @@ const InventoryApp = () => {
         await scannerRef.current.stop();
         scannerRef.current = null;
         setScanning(false);
+        setTrackFeatures(null);
         setMessage('カメラを停止しました');
       } catch (error) {
         console.error('カメラ停止エラー:', error);
@@ -250,17 +718,376 @@ const InventoryApp = () => {
     }
   };
 
+  const changeCurrentLocation = (locationId) => {
+    setCurrentLocationId(locationId);
+    saveCurrentLocationId(locationId);
+    setMessage(locationId
+      ? `現在地: ${formatLocationPath(locations, locationId)}`
+      : '現在地を解除しました');
+  };
+
+  // 場所の追加・削除 (削除された場所が現在地なら解除する)
+  const changeLocations = (updated) => {
+    setLocations(updated);
+    saveLocations(updated);
+    if (currentLocationId && !updated.some(location => location.id === currentLocationId)) {
+      setCurrentLocationId('');
+      saveCurrentLocationId('');
+    }
+  };
+
+  const loginOperator = (operatorId) => {
+    setCurrentOperatorId(operatorId);
+    saveLastOperatorId(operatorId);
+    setMessage(`担当者: ${operators.find(operator => operator.id === operatorId).name}`);
+  };
+
+  // 担当者の追加・削除 (最初の担当者はそのまま選択し、選択中の担当者が削除されたら選び直してもらう)
+  const changeOperators = (updated) => {
+    setOperators(updated);
+    saveOperators(updated);
+    if (!currentOperator && updated.length === 1) {
+      setCurrentOperatorId(updated[0].id);
+      saveLastOperatorId(updated[0].id);
+    } else if (currentOperator && !updated.some(operator => operator.id === currentOperator.id)) {
+      setCurrentOperatorId(null);
+    }
+  };
+
+  // 場所ラベルを読み取った場合は現在地を切り替える (場所ラベルなら true)
+  const selectLocationByCode = (text) => {
+    const locationId = parseLocationCode(text);
+    if (!locationId) {
+      return false;
+    }
+    if (locations.some(location => location.id === locationId)) {
+      changeCurrentLocation(locationId);
+    } else {
+      setMessage(`⚠️ 未登録の場所ラベルです: ${text}`);
+    }
+    return true;
+  };
+
+  // 現在地にある同じJANの明細行
+  const lotsAtCurrentLocation = (janCode) => products
+    .filter(line => line.janCode === janCode && (line.locationId || '') === currentLocationId);
+
+  // 既存の明細行1行に数量を加算 (id: 明細行の id)
+  const incrementProduct = (id, amount) => {
+    const line = products.find(product => product.id === id);
+    if (!line) {
+      setQuickAdd(null);
+      setMessage('加算先の行が見つかりません。もう一度スキャンしてください');
+      return;
+    }
+    changeProducts(COMMAND_TYPES.ADD, `「${line.productName || line.janCode}」の加算 (+${amount})`, products.map(product => (product.id === id
+      ? incrementLine(product, amount, operatorFields)
+      : product)));
+    setQuickAdd(null);
+    setIsProcessingProduct(false);
+    setLastScannedCode('');
+    setMessage(`「${line.productName || line.janCode}」+${amount} (合計 ${line.quantity + amount}個)`);
+  };
+
+  // 加算モードで登録済みの商品を再スキャンした場合の処理 (処理した場合は true)
+  // attributes: GS1 データから読み取った消費期限・ロット・数量 (該当する行にだけ加算する)
+  const accumulateScan = (janCode, attributes = null) => {
+    if (countMode !== COUNT_MODES.ACCUMULATE || isReadOnly || isMovementMode) {
+      return false;
+    }
+    const lots = lotsAtCurrentLocation(janCode);
+    if (lots.length === 0) {
+      return false;
+    }
+
+    const lotKnown = Boolean(attributes && (attributes.lot || attributes.expiryDate));
+    const target = lotKnown
+      ? lots.find(line => isSameLine(line, {
+        janCode,
+        lot: attributes.lot,
+        expiryDate: attributes.expiryDate,
+        locationId: currentLocationId
+      }))
+      : lots[0];
+    if (!target) {
+      // 未登録のロットは通常の入力に回す
+      return false;
+    }
+    // ケース等で読み取った場合はバラの個数に換算 (入数が未登録なら入力欄で確認する)
+    const pack = packMaster.packs[janCode];
+    const packUnit = (attributes && attributes.packUnit) || PACK_UNITS.PIECE;
+    if (!unitSize(pack, packUnit)) {
+      return false;
+    }
+    const amount = toPieces((attributes && attributes.quantity) || 1, packUnit, pack);
+
+    // ロットが1つに決まれば即時加算できる。複数ある場合は加算先を選んでもらう
+    if (accumulateConfirm === ACCUMULATE_CONFIRM.INSTANT && (lots.length === 1 || lotKnown)) {
+      incrementProduct(target.id, amount);
+    } else {
+      setCurrentProduct(createEmptyProduct());
+      setQuickAdd({ janCode, id: target.id, amount });
+      setMessage(`「${target.productName || janCode}」に加算する数量を確認してください`);
+      setTimeout(() => {
+        const quickAddInput = document.getElementById('quick-add-input');
+        if (quickAddInput) {
+          quickAddInput.select();
+        }
+      }, 300);
+    }
+    return true;
+  };
+
+  // 登録済み商品の別ロット (消費期限違い) を入力する
+  const startNewLot = (janCode) => {
+    const base = products.find(product => product.janCode === janCode);
+    setQuickAdd(null);
+    setCurrentProduct({
+      ...createEmptyProduct(),
+      janCode,
+      gtin: base.gtin || '',
+      barcodeWarning: base.barcodeWarning || '',
+      productName: base.productName,
+      maker: base.maker || '',
+      brand: base.brand || '',
+      imageUrl: base.imageUrl || '',
+      category: base.category || '',
+      price: base.price,
+      scannedAt: new Date().toISOString()
+    });
+    setMessage(`「${base.productName || janCode}」の消費期限・ロットと数量を入力してください`);
+  };
+
+  const changeCountMode = (mode) => {
+    setCountMode(mode);
+    saveCountMode(mode);
+    setQuickAdd(null);
+  };
+
+  const changeScanMode = (mode) => {
+    setScanMode(mode);
+    saveScanMode(mode);
+    setQuickAdd(null);
+    setMessage(`記録モード: ${SCAN_MODE_LABELS[mode]}`);
+  };
+
+  const changeLedgerUser = (user) => {
+    setLedgerUser(user);
+    saveLedgerUser(user);
+  };
+
+  // 入荷・販売・廃棄を台帳に記録 (entries の数量はバラの個数)
+  const recordMovements = (entries, note = '') => {
+    const movements = entries.map(entry => createMovement(scanMode, entry, entry.quantity, {
+      reason: disposalReason,
+      note,
+      user: movementUser,
+      operatorId: operatorFields.operatorId
+    }));
+    setLedger(prev => [...prev, ...movements]);
+    return movements;
+  };
+
+  const changeAccumulateConfirm = (confirm) => {
+    setAccumulateConfirm(confirm);
+    saveAccumulateConfirm(confirm);
+  };
+
+  const cancelQuickAdd = () => {
+    setQuickAdd(null);
+    setIsProcessingProduct(false);
+    setLastScannedCode('');
+    setMessage('キャンセルしました。次の商品をスキャンしてください。');
+  };
+
+  // バーコードを検証・正規化する (不正なコードは設定に応じて拒否するか、要確認として通す)
+  const checkBarcode = (raw, formatHint = null) => {
+    const barcode = normalizeBarcode(raw, formatHint);
+    if (barcode.valid) {
+      return barcode;
+    }
+    if (allowInvalidBarcodes) {
+      return { ...barcode, janCode: String(raw).trim() };
+    }
+    setMessage(`⚠️ ${raw} は登録できません: ${barcode.error}`);
+    return null;
+  };
+
+  // 商品マスターに記録された商品名 (手動で付けた名前を優先)。なければ空文字
+  const findMasterName = async (janCode) => {
+    try {
+      const entry = await getMasterEntry(janCode);
+      return entry ? entryDisplayName(entry) || '' : '';
+    } catch (error) {
+      console.warn('商品マスターの参照に失敗:', error);
+      return '';
+    }
+  };
+
+  // テンプレートに一致したインストアコードを入力欄に反映し、表示メッセージを返す
+  // 価格・重量の違うパックも品番ごとの基準コードにまとめ、商品名は登録済みの行か商品マスターから引き継ぐ
+  const applyInStoreCode = async (baseProduct, rawCode, inStore) => {
+    const { template, value, baseJanCode } = inStore;
+    const existing = products.find(product => product.janCode === baseJanCode && product.productName);
+    const productName = existing ? existing.productName : await findMasterName(baseJanCode);
+
+    setCurrentProduct({
+      ...baseProduct,
+      price: existing ? existing.price : baseProduct.price,
+      ...inStoreFields(rawCode, inStore),
+      productName,
+      maker: '',
+      brand: '',
+      imageUrl: '',
+      namePending: false,
+      category: existing ? existing.category || '' : baseProduct.category,
+      scannedAt: new Date().toISOString()
+    });
+
+    const valueLabel = template.valueType === VALUE_TYPES.PRICE ? `${value}円`
+      : template.valueType === VALUE_TYPES.WEIGHT ? `${value}g` : `${value}個`;
+    return productName
+      ? `${template.name}: ${productName} (${valueLabel}) を読み取りました。`
+      : `${template.name}: 品番 ${inStore.itemCode} (${valueLabel}) を読み取りました。商品名を入力してください。`;
+  };
+
+  // 読み取った文字列を解釈する (GS1 データなら GTIN と消費期限・ロット・数量を取り出す)
+  // ITF-14 などの集合包装コードは単品のJANコードに置き換え、数量の単位をケースにする
+  // 戻り値: { barcode, attributes } または null (登録できない場合)
+  // format: 読み取りエンジンが報告した形式 (GTIN だけの GS1 シンボルや UPC-E と EAN-8 の判別に使う)
+  const readScannedText = (text, format = null) => {
+    const gs1 = parseGs1(text, format);
+    if (gs1 && !gs1.gtin) {
+      setMessage(`⚠️ GS1 データに GTIN (01) が含まれていません: ${text}`);
+      return null;
+    }
+    const barcode = gs1
+      ? checkBarcode(gs1.gtin)
+      : checkBarcode(text, format === 'UPC_E' ? BARCODE_TYPES.UPC_E : null);
+    if (!barcode) {
+      return null;
+    }
+
+    const attributes = {};
+    if (gs1 && gs1.expiryDate) {
+      attributes.expiryDate = gs1.expiryDate;
+    }
+    if (gs1 && gs1.lot) {
+      attributes.lot = gs1.lot;
+    }
+    if (gs1 && gs1.quantity) {
+      attributes.quantity = gs1.quantity;
+    }
+
+    const pieceJan = barcode.valid ? pieceJanFromCaseCode(barcode.gtin14) : null;
+    if (pieceJan) {
+      const link = packMaster.codes[barcode.gtin14];
+      attributes.packUnit = link ? link.unit : PACK_UNITS.CASE;
+      attributes.packSize = unitSize(packMaster.packs[pieceJan], attributes.packUnit) || '';
+      attributes.packCode = barcode.gtin14;
+      return { barcode: { ...normalizeBarcode(pieceJan), raw: barcode.raw }, attributes };
+    }
+    return { barcode, attributes: Object.keys(attributes).length > 0 ? attributes : null };
+  };
+
+  // 正規化済みのコードで商品情報を検索し、入力欄に反映する
+  // attributes: GS1 データから読み取った消費期限・ロット・数量 (入力欄に自動で入れる)
+  const lookupScannedCode = async (barcode, attributes = null) => {
+    const { janCode } = barcode;
+    const baseProduct = {
+      ...currentProduct,
+      ...attributes,
+      gtin: barcode.gtin14 || '',
+      barcodeWarning: barcode.valid ? '' : barcode.error
+    };
+
+    try {
+      const inStore = barcode.inStore ? parseInStoreCode(janCode, inStoreTemplates) : null;
+      if (inStore) {
+        setMessage(await applyInStoreCode(baseProduct, janCode, inStore));
+      } else if (barcode.inStore) {
+        // インストアコードは外部の商品検索では見つからないため検索しない
+        applyLookupResult(baseProduct, janCode, { status: LOOKUP_STATUS.NOT_FOUND, source: null });
+        setMessage(`インストアコード (${janCode}) です。商品名と売価を入力してください。`);
+      } else {
+        setMessage(`JAN: ${janCode} を読み取りました。商品名を検索中...`);
+        
+        // 商品マスターキャッシュ → 検索プロバイダーの順で検索
+        const result = await resolveProduct(janCode);
+        setMessage(applyLookupResult(baseProduct, janCode, result));
+      }
+      
+      // 自動的にフォーカスを数量入力欄に移動
+      setTimeout(() => {
+        const quantityInput = document.getElementById('quantity-input');
+        if (quantityInput) {
+          quantityInput.focus();
+        }
+      }, 500);
+    } catch (error) {
+      setMessage(`エラー: ${error.message}`);
+      setIsProcessingProduct(false);
+    }
+  };
+
+  // スキャン成功の合図 (オーバーレイ・バイブレーション・効果音)
+  const signalScanSuccess = () => {
+    setScanSuccess(true);
+    setTimeout(() => setScanSuccess(false), 1000);
+    
+    // バイブレーション (対応デバイスのみ)
+    if (navigator.vibrate) {
+      navigator.vibrate(100);
+    }
+    
+    // 効果音
+    const audio = new Audio('/beep.mp3');
+    audio.play().catch(e => console.log('効果音再生エラー:', e));
+  };
+
   // スキャン成功時のハンドラ
-  const handleScanSuccess = async (decodedText) => {
-    // 連続スキャン防止 (2秒以内の連続スキャンを無視)
+  // decodedResult: { format, source } (source はカメラの場合は省略)
+  const handleScanSuccess = async (decodedText, decodedResult) => {
     const now = Date.now();
-    if (now - lastScanTime < 2000) {
+    const source = (decodedResult && decodedResult.source) || SCAN_SOURCES.CAMERA;
+    // ハンドスキャナー・手入力は意図した読み取りなので間隔の制限をかけない
+    if (source === SCAN_SOURCES.CAMERA) {
+      if (batchMode) {
+        // 連続スキャンモードでは同じコードだけを設定した秒数無視する
+        if (isInCooldown(lastSeenRef.current, decodedText, now, cooldownSeconds)) {
+          return;
+        }
+        lastSeenRef.current[decodedText] = now;
+      } else {
+        // 連続スキャン防止 (2秒以内の連続スキャンを無視)
+        if (now - lastScanTime < 2000) {
+          return;
+        }
+        setLastScanTime(now);
+      }
+    }
+    
+    // 場所ラベルなら現在地を切り替える
+    if (selectLocationByCode(decodedText)) {
+      signalScanSuccess();
+      return;
+    }
+    
+    const scanned = readScannedText(decodedText, decodedResult ? decodedResult.format : null);
+    if (!scanned) {
+      return;
+    }
+    const { barcode, attributes } = scanned;
+    const janCode = barcode.janCode;
+    
+    if (batchMode) {
+      signalScanSuccess();
+      appendBatchScan(barcode, attributes);
       return;
     }
-    setLastScanTime(now);
     
     // 既に同じJANコードを処理中なら重複リクエストしない
-    if (isProcessingProduct && decodedText === lastScannedCode) {
+    if (isProcessingProduct && janCode === lastScannedCode) {
       // 既に処理中のコードを再スキャンした場合は効果音だけ鳴らす
       const audio = new Audio('/beep.mp3');
       audio.play().catch(e => console.log('効果音再生エラー:', e));
@@ -268,256 +1095,667 @@ const InventoryApp = () => {
     }
     
     // 新しいコードのスキャン開始
-    setLastScannedCode(decodedText);
+    setLastScannedCode(janCode);
     setIsProcessingProduct(true);
     
     // スキャン成功エフェクト
-    setScanSuccess(true);
-    setTimeout(() => setScanSuccess(false), 1000);
+    signalScanSuccess();
     
-    // バイブレーション (対応デバイスのみ)
-    if (navigator.vibrate) {
-      navigator.vibrate(100);
+    // 加算モードで登録済みの商品なら検索せずに数量を加算
+    if (accumulateScan(janCode, attributes)) {
+      return;
     }
     
-    // 効果音
-    const audio = new Audio('/beep.mp3');
-    audio.play().catch(e => console.log('効果音再生エラー:', e));
+    await lookupScannedCode(barcode, attributes);
+  };
+
+  // JANコードの手動検索処理
+  const handleManualSearch = async () => {
+    if (!currentProduct.janCode) {
+      setMessage('JANコードを入力してください');
+      return;
+    }
+
+    if (selectLocationByCode(currentProduct.janCode)) {
+      setCurrentProduct(createEmptyProduct());
+      return;
+    }
+
+    const scanned = readScannedText(currentProduct.janCode);
+    if (!scanned) {
+      return;
+    }
+    const { barcode, attributes } = scanned;
+
+    if (batchMode) {
+      appendBatchScan(barcode, attributes);
+      return;
+    }
+
+    // すでに同じコードを処理中なら何もしない
+    if (isProcessingProduct && barcode.janCode === lastScannedCode) {
+      return;
+    }
     
-    try {
-      setMessage(`JAN: ${decodedText} を読み取りました。商品名を検索中...`);
-      
-      // キャッシュからの商品検索 (後で実装するキャッシュ機能用)
-      const cachedProduct = products.find(p => p.janCode === decodedText);
-      
-      if (cachedProduct) {
-        // キャッシュヒット - APIリクエスト不要
-        setCurrentProduct({
-          ...cachedProduct,
-          quantity: 1, // 数量はリセット
-          scannedAt: new Date().toISOString()
-        });
-        setMessage(`商品名: ${cachedProduct.productName} が見つかりました。数量を入力してください。`);
-      } else {
-        // キャッシュミス - APIリクエスト
-        const productName = await fetchProductName(decodedText);
-        
-        setCurrentProduct({
-          ...currentProduct,
-          janCode: decodedText,
-          productName,
-          scannedAt: new Date().toISOString()
-        });
-        
-        const isDuplicate = products.some(product => product.janCode === decodedText);
-        if (isDuplicate) {
-          setMessage(`⚠️ この商品 (${productName}) は既に登録されています`);
-        } else {
-          setMessage(`商品名: ${productName} が見つかりました。数量を入力してください。`);
-        }
+    // 処理中フラグを設定
+    setIsProcessingProduct(true);
+    setLastScannedCode(barcode.janCode);
+
+    if (accumulateScan(barcode.janCode, attributes)) {
+      return;
+    }
+
+    await lookupScannedCode(barcode, attributes);
+  };
+
+  scanHandlerRef.current = handleScanSuccess;
+
+  // ハンドスキャナーの入力もカメラと同じ処理に渡す (入力欄へのフォーカスは不要)
+  // 担当者の選択中はスキャナーの入力を受け付けない (PIN の入力欄に入ったり、担当者なしで記録したりしないように)
+  const activeWedgeSettings = useMemo(
+    () => (isLoginRequired ? { ...wedgeSettings, enabled: false } : wedgeSettings),
+    [wedgeSettings, isLoginRequired]
+  );
+  useKeyboardWedge(activeWedgeSettings, (code) => handleScanSuccess(code, { format: null, source: SCAN_SOURCES.KEYBOARD }));
+
+  // 商品の追加
+  const addProduct = () => {
+    if (!currentProduct.janCode) {
+      setMessage('まず商品をスキャンしてください');
+      return;
+    }
+    
+    if (isReadOnly && !isMovementMode) {
+      setMessage('締め済みのセッションは編集できません。セッションを再開してください。');
+      return;
+    }
+    
+    // ケース・ボール単位の数量はバラの個数に換算し、入数と ITF-14 の対応を入数マスターに記録
+    const { packUnit, packSize, packCode, ...product } = currentProduct;
+    const entry = { ...product, ...operatorFields, locationId: currentLocationId };
+    if (packUnit !== PACK_UNITS.PIECE) {
+      if (!(packSize > 0)) {
+        setMessage(`1${PACK_UNIT_LABELS[packUnit]}あたりの入数を入力してください`);
+        return;
       }
-      
-      // 自動的にフォーカスを数量入力欄に移動
-      setTimeout(() => {
-        const quantityInput = document.getElementById('quantity-input');
-        if (quantityInput) {
-          quantityInput.focus();
-        }
-      }, 500);
-      
-    } catch (error) {
-      setMessage(`エラー: ${error.message}`);
+      let master = setPackSize(packMaster, entry.janCode, packUnit, packSize);
+      if (packCode) {
+        master = linkCaseCode(master, packCode, entry.janCode, packUnit);
+      }
+      updatePackMaster(master);
+      entry.quantity = entry.quantity * packSize;
+    }
+    
+    // インストアコードの商品名は品番 (基準コード) ごとに商品マスターへ記録し、次回から引き継ぐ
+    if (entry.inStoreCode && entry.productName) {
+      setOverrideName(entry.janCode, entry.productName)
+        .catch(error => console.warn('商品マスターへの保存に失敗:', error));
+    }
+    
+    // 商品名が未入力のまま保存された場合は接続回復後に取得
+    if (entry.namePending) {
+      setPendingLookups(enqueueLookup(pendingLookups, entry.janCode));
+    }
+    
+    // 入荷・販売・廃棄のモードでは明細行ではなく入出庫台帳に記録
+    if (isMovementMode) {
+      const [movement] = recordMovements([entry], movementNote);
+      const stock = stockOf(ledger, entry.janCode) + movement.quantity;
+      setCurrentProduct(createEmptyProduct());
+      setMovementNote('');
       setIsProcessingProduct(false);
+      setLastScannedCode('');
+      setMessage(`${SCAN_MODE_LABELS[scanMode]}: 「${entry.productName || entry.janCode}」`
+        + `${movement.quantity > 0 ? '+' : ''}${movement.quantity}個 (在庫 ${stock}個)`);
+      return;
+    }
+    
+    // 重複チェック: JAN・ロット・消費期限が同じ行 (別行モードでは常に新しい行として追加)
+    const duplicateIndex = countMode === COUNT_MODES.SEPARATE
+      ? -1
+      : products.findIndex(p => isSameLine(p, entry));
+    
+    if (duplicateIndex >= 0 && countMode === COUNT_MODES.ACCUMULATE) {
+      // 数量を加算
+      changeProducts(COMMAND_TYPES.ADD, `「${entry.productName || entry.janCode}」の加算 (+${entry.quantity})`, products.map((product, index) => (index === duplicateIndex
+        ? incrementLine(product, entry.quantity, {
+          productName: entry.productName,
+          scannedAt: entry.scannedAt,
+          ...operatorFields
+        })
+        : product)));
+    } else if (duplicateIndex >= 0) {
+      // 上書き確認 (上書きしても元に戻せる)
+      if (window.confirm(`「${entry.productName}」は既に登録されています。上書きしますか？`)) {
+        const updatedProducts = [...products];
+        updatedProducts[duplicateIndex] = overwriteLine(products[duplicateIndex], entry);
+        changeProducts(COMMAND_TYPES.OVERWRITE, `「${entry.productName || entry.janCode}」の上書き`, updatedProducts);
+        setMessage(`「${entry.productName}」を更新しました`);
+      }
+    } else {
+      // 新規追加
+      changeProducts(COMMAND_TYPES.ADD, `「${entry.productName || entry.janCode}」の追加`, [...products, createLine(entry)]);
+      setMessage(`「${entry.productName}」を追加しました`);
+    }
+    
+    // 入力欄をリセット
+    setCurrentProduct(createEmptyProduct());
+    
+    // 処理完了フラグをリセット
+    setIsProcessingProduct(false);
+    setLastScannedCode('');
+    
+    // スキャン再開を促すメッセージ
+    setMessage('商品を保存しました。次の商品をスキャンしてください。');
+  };
+  
+  // キャンセル処理
+  const cancelProduct = () => {
+    // 入力欄をリセット
+    setCurrentProduct(createEmptyProduct());
+    setMovementNote('');
+    
+    // 処理完了フラグをリセット
+    setIsProcessingProduct(false);
+    setLastScannedCode('');
+    
+    // スキャン再開を促すメッセージ
+    setMessage('キャンセルしました。次の商品をスキャンしてください。');
+  };
+  
+  // 連続スキャンモード (カメラを止めずに確認待ちリストへ追加し、後でまとめて登録する)
+  const [batchMode, setBatchMode] = useState(false);
+  const [batchQueue, setBatchQueue] = useState(loadBatchQueue);
+  const [cooldownSeconds, setCooldownSeconds] = useState(loadCooldownSeconds);
+  const [isBatchLookupRunning, setIsBatchLookupRunning] = useState(false);
+  // コードごとの最後の読み取り時刻 (再描画を待たずに判定するため ref で保持)
+  const lastSeenRef = useRef({});
+
+  const changeBatchMode = (enabled) => {
+    setBatchMode(enabled);
+    setQuickAdd(null);
+    setCurrentProduct(createEmptyProduct());
+    setIsProcessingProduct(false);
+    setLastScannedCode('');
+    lastSeenRef.current = {};
+    setMessage(enabled
+      ? '連続スキャンモード: 読み取った商品は確認待ちリストに追加されます'
+      : '通常モードに戻りました');
+  };
+
+  const changeCooldownSeconds = (seconds) => {
+    setCooldownSeconds(seconds);
+    saveCooldownSeconds(seconds);
+  };
+
+  // 読み取ったコードを数量1で確認待ちリストに追加 (商品名はバックグラウンドで検索)
+  const appendBatchScan = (barcode, attributes) => {
+    const inStore = barcode.inStore ? parseInStoreCode(barcode.janCode, inStoreTemplates) : null;
+    const entry = createBatchEntry({
+      ...createEmptyProduct(),
+      ...attributes,
+      janCode: barcode.janCode,
+      gtin: barcode.gtin14 || '',
+      barcodeWarning: barcode.valid ? '' : barcode.error,
+      ...(inStore ? inStoreFields(barcode.janCode, inStore) : {}),
+      locationId: currentLocationId,
+      ...operatorFields,
+      scannedAt: new Date().toISOString()
+    });
+    setBatchQueue(prev => [...prev, entry]);
+    setCurrentProduct(createEmptyProduct());
+    setMessage(`${entry.janCode} を追加しました (確認待ち ${batchQueue.length + 1}件)`);
+  };
+
+  // 画像から読み取ったコードの登録
+  // すべての画像のすべてのコードを確認待ちリストに追加する (通常モードでは連続スキャンモードに切り替えてリストを表示)
+  const [isImageScanOpen, setIsImageScanOpen] = useState(false);
+
+  const addImageResults = (results) => {
+    if (!batchMode) {
+      changeBatchMode(true);
+    }
+    const scannedCodes = results
+      .map(result => readScannedText(result.text, result.format))
+      .filter(Boolean);
+    scannedCodes.forEach(({ barcode, attributes }) => appendBatchScan(barcode, attributes));
+    setIsImageScanOpen(false);
+
+    const skipped = results.length - scannedCodes.length;
+    setMessage(`画像から${scannedCodes.length}件を確認待ちリストに追加しました`
+      + (skipped > 0 ? ` (登録できないコード ${skipped}件)` : ''));
+  };
+
+  // 確認待ちの行の商品名を検索 (同じJANで検索待ちの行にもまとめて反映)
+  const lookupBatchEntry = async (entry) => {
+    const existing = products.find(product => product.janCode === entry.janCode && product.productName);
+    let changes;
+    if (existing || entry.inStoreCode) {
+      // 登録済みの商品・インストアコードは外部の検索を使わない
+      const productName = existing ? existing.productName : await findMasterName(entry.janCode);
+      changes = {
+        productName,
+        status: productName ? BATCH_STATUS.FOUND : BATCH_STATUS.NOT_FOUND
+      };
+    } else {
+      const result = await resolveProduct(entry.janCode);
+      const info = result.status === LOOKUP_STATUS.FOUND ? result.product : {};
+      changes = {
+        productName: info.name || '',
+        maker: info.maker || '',
+        brand: info.brand || '',
+        imageUrl: info.image || '',
+        standardPrice: info.standardPrice || 0,
+        // オフラインで検索できなかった場合は登録後に自動取得する
+        namePending: result.status === LOOKUP_STATUS.ERROR && !navigator.onLine,
+        status: result.status === LOOKUP_STATUS.FOUND ? BATCH_STATUS.FOUND
+          : result.status === LOOKUP_STATUS.NOT_FOUND ? BATCH_STATUS.NOT_FOUND : BATCH_STATUS.ERROR
+      };
+    }
+
+    const { standardPrice, ...fields } = changes;
+    setBatchQueue(prev => prev.map(item => (
+      item.janCode === entry.janCode && item.status === BATCH_STATUS.LOOKING_UP ? {
+        ...item,
+        ...fields,
+        // 入力済みの商品名・売価は検索結果で上書きしない
+        productName: item.productName || fields.productName,
+        price: item.price || standardPrice || (existing ? existing.price : 0)
+      } : item
+    )));
+  };
+
+  const updateBatchEntry = (id, changes) => {
+    setBatchQueue(prev => prev.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  const removeBatchEntry = (id) => {
+    setBatchQueue(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  const retryBatchLookups = () => {
+    setBatchQueue(prev => prev.map(entry => (entry.status === BATCH_STATUS.ERROR
+      ? { ...entry, status: BATCH_STATUS.LOOKING_UP }
+      : entry)));
+  };
+
+  const clearBatchQueue = () => {
+    if (window.confirm(`確認待ちの${batchQueue.length}件を破棄しますか？`)) {
+      setBatchQueue([]);
+      lastSeenRef.current = {};
     }
   };
 
-  // スキャン失敗時のハンドラ (エラーではなく未検出の場合)
-  const handleScanFailure = (error) => {
-    // エラーではなく単にコードが検出されていない場合は何もしない
+  // 確認待ちリストをまとめて在庫リストに登録
+  const commitBatchQueue = () => {
+    if (isReadOnly && !isMovementMode) {
+      setMessage('締め済みのセッションは編集できません。セッションを再開してください。');
+      return;
+    }
+
+    // ITF-14 で読み取った行の入数を入数マスターに記録
+    const master = batchQueue
+      .filter(entry => entry.packUnit && entry.packUnit !== PACK_UNITS.PIECE && entry.packSize > 0)
+      .reduce((current, entry) => {
+        const updated = setPackSize(current, entry.janCode, entry.packUnit, entry.packSize);
+        return entry.packCode ? linkCaseCode(updated, entry.packCode, entry.janCode, entry.packUnit) : updated;
+      }, packMaster);
+    if (master !== packMaster) {
+      updatePackMaster(master);
+    }
+
+    // 商品名が未取得の行は接続回復後に取得
+    setPendingLookups(batchQueue
+      .filter(entry => entry.namePending)
+      .reduce((queue, entry) => enqueueLookup(queue, entry.janCode), pendingLookups));
+    if (isMovementMode) {
+      recordMovements(batchQueue.map(toLineProduct));
+      setMessage(`確認待ちの${batchQueue.length}件を${SCAN_MODE_LABELS[scanMode]}として記録しました`);
+    } else {
+      changeProducts(
+        COMMAND_TYPES.ADD,
+        `確認待ち${batchQueue.length}件の登録`,
+        commitBatch(products, batchQueue, countMode === COUNT_MODES.SEPARATE)
+      );
+      setMessage(`確認待ちの${batchQueue.length}件を登録しました`);
+    }
+    setBatchQueue([]);
+    lastSeenRef.current = {};
+  };
+
+  // CSVエクスポート (列・区切り文字・文字コードは出力ダイアログで選択)
+  const [exportSettings, setExportSettings] = useState(loadExportSettings);
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
+
+  const exportCSV = (settings) => {
+    if (products.length === 0) {
+      setMessage('エクスポートするデータがありません');
+      return;
+    }
+    
+    setExportSettings(settings);
+    saveExportSettings(settings);
+    setIsExportDialogOpen(false);
+    
+    const { blob, extension } = buildCsvFile(products, settings, packMaster.packs, locations);
+    const sessionName = activeSession.name.replace(/[\\/:*?"<>|]/g, '_');
+    downloadBlob(blob, `在庫データ_${sessionName}_${new Date().toISOString().split('T')[0]}.${extension}`);
+    
+    setMessage('CSVファイルをエクスポートしました');
+  };
+  
+  // 棚卸セッションで数えた数量に合わせて台帳の在庫を調整
+  const adjustStockFromSession = () => {
+    const adjustments = buildAdjustments(ledger, products, {
+      note: activeSession.name,
+      user: movementUser,
+      operatorId: operatorFields.operatorId
+    });
+    if (adjustments.length === 0) {
+      setMessage('台帳の在庫はすべて棚卸数と一致しています');
+      return;
+    }
+    if (!window.confirm(`${adjustments.length}商品の在庫を「${activeSession.name}」の棚卸数に合わせますか？`)) {
+      return;
+    }
+    setLedger(prev => [...prev, ...adjustments]);
+    setMessage(`${adjustments.length}商品の在庫を棚卸数に合わせて調整しました`);
+  };
+
+  // 入出庫台帳のCSVエクスポート (区切り文字・文字コードは在庫データの出力設定を使う)
+  const exportLedger = () => {
+    const { blob, extension } = buildLedgerCsvFile(ledger, exportSettings);
+    downloadBlob(blob, `入出庫台帳_${new Date().toISOString().split('T')[0]}.${extension}`);
+    setMessage('入出庫台帳をエクスポートしました');
+  };
+
+  // 複数端末の同期 (共有コードが設定されたセッションの明細行を同期サーバー経由で共有する)
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [isSyncOpen, setIsSyncOpen] = useState(false);
+  const sync = useSessionSync({
+    session: activeSession,
+    countMode,
+    settings: syncSettings,
+    isOnline,
+    paused: isReadOnly,
+    onRemoteLines: (lines) => applyRemoteLines(lines)
+  });
+
+  // 他の端末の変更を反映する。記録済みの操作を元に戻すと他の端末の変更まで戻しかねないため、
+  // このセッションの「元に戻す・やり直す」の履歴は破棄する
+  const applyRemoteLines = (lines) => {
+    setProducts(lines);
+    if (undoHistory.undo.length > 0 || undoHistory.redo.length > 0) {
+      setUndoHistory(EMPTY_HISTORY);
+    }
+    setUndoToast(null);
+  };
+
+  const changeSyncSettings = (settings) => {
+    setSyncSettings(settings);
+    saveSyncSettings(settings);
+  };
+
+  const changeSyncId = (syncId) => {
+    setSessions(prev => prev.map(session => (session.id === activeSessionId ? { ...session, syncId } : session)));
+    setMessage(syncId ? `共有コード ${syncId} で同期します` : '同期をやめました');
+  };
+
+  // 予定在庫との差異レポート (予定在庫ファイルはセッションごとに保存)
+  const [isVarianceOpen, setIsVarianceOpen] = useState(false);
+
+  const changeExpectedStock = (expected) => {
+    setSessions(prev => prev.map(session => (session.id === activeSessionId ? { ...session, expected } : session)));
+    setMessage(expected
+      ? `予定在庫 ${expected.fileName} (${expected.items.length}商品) を読み込みました`
+      : '予定在庫を削除しました');
+  };
+
+  const exportVariance = (rows) => {
+    const { blob, extension } = buildVarianceCsvFile(rows, exportSettings);
+    const sessionName = activeSession.name.replace(/[\\/:*?"<>|]/g, '_');
+    downloadBlob(blob, `差異レポート_${sessionName}_${new Date().toISOString().split('T')[0]}.${extension}`);
+    setMessage('差異レポートをエクスポートしました');
+  };
+
+  // CSV/Excel から取り込んだ結果を反映
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
+  const importProducts = (importedProducts, summary) => {
+    changeProducts(COMMAND_TYPES.IMPORT, `${summary.fileName} の取り込み`, importedProducts);
+    setIsImportOpen(false);
+    setMessage(`${summary.fileName} を取り込みました (追加 ${summary.added}件 / 更新 ${summary.updated}件 / エラー ${summary.skipped}件)`);
+  };
+
+  const rejectReadOnly = () => {
+    setMessage('締め済みのセッションは編集できません。セッションを再開してください。');
+  };
+
+  // 一覧での直接編集 (修正した担当者は履歴に残す)
+  const editProduct = (id, changes) => {
+    if (isReadOnly) {
+      rejectReadOnly();
+      return;
+    }
+    const line = products.find(item => item.id === id);
+    if (!line) {
+      return;
+    }
+    changeProducts(
+      COMMAND_TYPES.EDIT,
+      `「${line.productName || line.janCode}」の修正`,
+      products.map(item => (item.id === id ? editLine(item, changes, operatorFields) : item))
+    );
+    setMessage('商品を修正しました');
+  };
+
+  // 選択した商品の項目をまとめて変更する
+  const bulkUpdateProducts = (ids, changes) => {
+    if (isReadOnly) {
+      rejectReadOnly();
+      return;
+    }
+    const targets = new Set(ids);
+    changeProducts(
+      COMMAND_TYPES.EDIT,
+      `${targets.size}件の一括変更`,
+      products.map(line => (targets.has(line.id) ? editLine(line, changes, operatorFields) : line))
+    );
+    setMessage(`${targets.size}件の商品を変更しました`);
+  };
+
+  // 商品を削除する (削除しても元に戻せる)
+  const deleteProducts = (ids) => {
+    if (isReadOnly) {
+      rejectReadOnly();
+      return;
+    }
+    const targets = new Set(ids);
+    const line = products.find(item => targets.has(item.id));
+    if (!line) {
+      return;
+    }
+    changeProducts(
+      COMMAND_TYPES.DELETE,
+      targets.size === 1 ? `「${line.productName || line.janCode}」の削除` : `${targets.size}件の削除`,
+      products.filter(item => !targets.has(item.id))
+    );
+    setMessage(`${targets.size}件の商品を削除しました`);
+  };
+
+  // 最後の操作を元に戻す・やり直す (後の変更と重なって戻せない操作は履歴から除く)
+  // action: 「元に戻」「やり直」 (〜しました / 〜せません)
+  const applyHistory = (result, action) => {
+    setUndoToast(null);
+    if (!result) {
+      return;
+    }
+    setUndoHistory(result.history);
+    if (!result.lines) {
+      setMessage(`${result.command.label}はその後の変更と重なるため${action}せません`);
+      return;
+    }
+    setProducts(result.lines);
+    setMessage(`${result.command.label}を${action}しました`);
   };
 
-  // JANコードの手動検索処理
-  const handleManualSearch = async () => {
-    if (!currentProduct.janCode) {
-      setMessage('JANコードを入力してください');
+  const undo = () => {
+    if (isReadOnly) {
+      rejectReadOnly();
       return;
     }
+    applyHistory(undoCommand(undoHistory, products), '元に戻');
+  };
 
-    // すでに同じコードを処理中なら何もしない
-    if (isProcessingProduct && currentProduct.janCode === lastScannedCode) {
+  const redo = () => {
+    if (isReadOnly) {
+      rejectReadOnly();
       return;
     }
-    
-    // 処理中フラグを設定
-    setIsProcessingProduct(true);
-    setLastScannedCode(currentProduct.janCode);
+    applyHistory(redoCommand(undoHistory, products), 'やり直');
+  };
+  
+  // 新規セッションを作成して切り替え
+  const createNewSession = (form) => {
+    const session = createSession(form);
+    setSessions([...sessions, session]);
+    setActiveSessionId(session.id);
+    setIsSessionManagerOpen(false);
+    setMessage(`セッション「${session.name}」を開始しました`);
+  };
 
-    try {
-      setMessage(`JAN: ${currentProduct.janCode} を読み取りました。商品名を検索中...`);
-      
-      // キャッシュからの商品検索
-      const cachedProduct = products.find(p => p.janCode === currentProduct.janCode);
-      
-      if (cachedProduct) {
-        // キャッシュヒット - APIリクエスト不要
-        setCurrentProduct({
-          ...cachedProduct,
-          quantity: 1, // 数量はリセット
-          scannedAt: new Date().toISOString()
-        });
-        setMessage(`商品名: ${cachedProduct.productName} が見つかりました。数量を入力してください。`);
-      } else {
-        // キャッシュミス - APIリクエスト
-        const productName = await fetchProductName(currentProduct.janCode);
-        
-        setCurrentProduct({
-          ...currentProduct,
-          productName,
-          scannedAt: new Date().toISOString()
-        });
-        
-        const isDuplicate = products.some(product => product.janCode === currentProduct.janCode);
-        if (isDuplicate) {
-          setMessage(`⚠️ この商品 (${productName}) は既に登録されています`);
-        } else {
-          setMessage(`商品名: ${productName} が見つかりました。数量を入力してください。`);
-        }
-      }
-      
-      // 自動的にフォーカスを数量入力欄に移動
-      setTimeout(() => {
-        const quantityInput = document.getElementById('quantity-input');
-        if (quantityInput) {
-          quantityInput.focus();
-        }
-      }, 500);
-    } catch (error) {
-      setMessage(`エラー: ${error.message}`);
-      setIsProcessingProduct(false);
-    }
+  const switchSession = (sessionId) => {
+    const session = sessions.find(s => s.id === sessionId);
+    setActiveSessionId(sessionId);
+    setIsSessionManagerOpen(false);
+    setMessage(`セッション「${session.name}」に切り替えました`);
   };
 
-  // 商品の追加
-  const addProduct = () => {
-    if (!currentProduct.janCode) {
-      setMessage('まず商品をスキャンしてください');
+  const duplicateSessionById = (sessionId) => {
+    const copy = duplicateSession(sessions.find(s => s.id === sessionId));
+    setSessions([...sessions, copy]);
+    setMessage(`セッション「${copy.name}」を作成しました`);
+  };
+
+  // 締め/再開の切り替え
+  const toggleSessionStatus = (sessionId) => {
+    setSessions(sessions.map(session => (session.id === sessionId ? {
+      ...session,
+      status: session.status === SESSION_STATUS.CLOSED ? SESSION_STATUS.OPEN : SESSION_STATUS.CLOSED
+    } : session)));
+  };
+
+  const toggleSessionArchive = (sessionId) => {
+    setSessions(sessions.map(session => (session.id === sessionId
+      ? { ...session, archived: !session.archived }
+      : session)));
+  };
+
+  const deleteSession = (sessionId) => {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!window.confirm(`セッション「${session.name}」(${session.products.length}件) を削除しますか？`)) {
       return;
     }
-    
-    // 重複チェック
-    const duplicateIndex = products.findIndex(p => p.janCode === currentProduct.janCode);
-    
-    if (duplicateIndex >= 0) {
-      // 上書き確認
-      if (window.confirm(`「${currentProduct.productName}」は既に登録されています。上書きしますか？`)) {
-        const updatedProducts = [...products];
-        updatedProducts[duplicateIndex] = currentProduct;
-        setProducts(updatedProducts);
-        setMessage(`「${currentProduct.productName}」を更新しました`);
-      }
-    } else {
-      // 新規追加
-      setProducts([...products, currentProduct]);
-      setMessage(`「${currentProduct.productName}」を追加しました`);
+
+    let remaining = sessions.filter(s => s.id !== sessionId);
+    if (remaining.length === 0) {
+      // 常に1つはセッションが存在するようにする
+      remaining = [createSession()];
     }
-    
-    // 入力欄をリセット
-    setCurrentProduct({
-      janCode: '',
-      productName: '',
-      quantity: 1,
-      price:0,
-      expiryDate: '',
-      scannedAt: ''
-    });
-    
-    // 処理完了フラグをリセット
-    setIsProcessingProduct(false);
-    setLastScannedCode('');
-    
-    // スキャン再開を促すメッセージ
-    setMessage('商品を保存しました。次の商品をスキャンしてください。');
-  };
-  
-  // キャンセル処理
-  const cancelProduct = () => {
-    // 入力欄をリセット
-    setCurrentProduct({
-      janCode: '',
-      productName: '',
-      quantity: 1,
-      price:0,
-      expiryDate: '',
-      scannedAt: ''
+    setSessions(remaining);
+    setUndoHistories(prev => {
+      const { [sessionId]: removed, ...rest } = prev;
+      return rest;
     });
-    
-    // 処理完了フラグをリセット
-    setIsProcessingProduct(false);
-    setLastScannedCode('');
-    
-    // スキャン再開を促すメッセージ
-    setMessage('キャンセルしました。次の商品をスキャンしてください。');
+
+    if (sessionId === activeSessionId) {
+      const next = remaining.find(s => !s.archived) || remaining[0];
+      setActiveSessionId(next.id);
+    }
+    setMessage(`セッション「${session.name}」を削除しました`);
   };
   
-  // CSVエクスポート
-  const exportCSV = () => {
-    if (products.length === 0) {
-      setMessage('エクスポートするデータがありません');
+  // セッションが更新されたらローカルストレージに保存
+  useEffect(() => {
+    saveSessions(sessions);
+  }, [sessions]);
+
+  useEffect(() => {
+    saveUndoHistories(undoHistories);
+  }, [undoHistories]);
+
+  useEffect(() => {
+    saveActiveSessionId(activeSessionId);
+  }, [activeSessionId]);
+
+  // 期限切れ・期限間近の商品を通知
+  const notifyExpiry = () => {
+    if (!notificationsEnabled || !('Notification' in window) || Notification.permission !== 'granted') {
       return;
     }
-    
-    // CSVヘッダー
-    const headers = ['JANコード', '商品名', '数量','売価', '消費期限', 'スキャン日時'];
-    
-    // CSVデータの生成
-    const csvContent = [
-      headers.join(','),
-      ...products.map(product => [
-        product.janCode,
-        `"${product.productName}"`, // カンマを含む場合に対応
-        product.quantity,
-        product.price,
-        product.expiryDate,
-        product.scannedAt
-      ].join(','))
-    ].join('\n');
-    
-    // BOMを追加して文字化けを防止
-    const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
-    const blob = new Blob([bom, csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    
-    // ダウンロード
-    const link = document.createElement('a');
-    link.href = url;
-    link.setAttribute('download', `在庫データ_${new Date().toISOString().split('T')[0]}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    setMessage('CSVファイルをエクスポートしました');
-  };
-  
-  // 商品を削除する
-  const deleteProduct = (indexToDelete) => {
-    if (window.confirm('この商品を削除しますか？')) {
-      setProducts(products.filter((_, index) => index !== indexToDelete));
-      setMessage('商品を削除しました');
+    const summary = summarizeExpiry(products, expiryThresholds);
+    if (countAlerts(summary) === 0) {
+      return;
     }
+    const expired = summary.totals[EXPIRY_BUCKETS.EXPIRED].count;
+    const warning = summary.totals[EXPIRY_BUCKETS.WARNING].count;
+    new Notification('消費期限アラート', {
+      body: `期限切れ ${expired}件 / 期限間近 ${warning}件 (${activeSession.name})`,
+      icon: `${process.env.PUBLIC_URL}/logo192.png`
+    });
   };
-  
-  // ローカルストレージからデータを読み込む
+
+  // effect から呼ぶ処理 (依存配列に入れず、常に最新の state を参照するため ref 経由で呼ぶ)
+  const effectHandlersRef = useRef({});
+  effectHandlersRef.current = { notifyExpiry, lookupBatchEntry, updateBatchEntry, processPendingLookups };
+
+  // 起動時に1回だけ通知 (StrictMode で effect が2回実行されても重複させない)
+  const expiryNotifiedRef = useRef(false);
   useEffect(() => {
-    const savedProducts = localStorage.getItem('inventoryProducts');
-    if (savedProducts) {
-      setProducts(JSON.parse(savedProducts));
+    if (expiryNotifiedRef.current) {
+      return;
     }
+    expiryNotifiedRef.current = true;
+    effectHandlersRef.current.notifyExpiry();
   }, []);
-  
-  // データが更新されたらローカルストレージに保存
+
+  // 入出庫台帳を保存
+  useEffect(() => {
+    saveLedger(ledger);
+  }, [ledger]);
+
+  // 保留中の検索キューを保存
+  useEffect(() => {
+    savePendingLookups(pendingLookups);
+  }, [pendingLookups]);
+
+  // 連続スキャンの確認待ちリストを保存
+  useEffect(() => {
+    saveBatchQueue(batchQueue);
+  }, [batchQueue]);
+
+  // 確認待ちの行を1件ずつバックグラウンドで検索
+  useEffect(() => {
+    const next = batchQueue.find(entry => entry.status === BATCH_STATUS.LOOKING_UP);
+    if (!next || isBatchLookupRunning) {
+      return;
+    }
+    setIsBatchLookupRunning(true);
+    const handlers = effectHandlersRef.current;
+    handlers.lookupBatchEntry(next)
+      .catch(error => {
+        console.error('連続スキャンの検索エラー:', error);
+        handlers.updateBatchEntry(next.id, { status: BATCH_STATUS.ERROR });
+      })
+      .finally(() => setIsBatchLookupRunning(false));
+  }, [batchQueue, isBatchLookupRunning]);
+
+  // オンライン復帰時 (および起動時) に保留中の検索を実行
   useEffect(() => {
-    localStorage.setItem('inventoryProducts', JSON.stringify(products));
-  }, [products]);
+    if (isOnline) {
+      effectHandlersRef.current.processPendingLookups();
+    }
+  }, [isOnline]);
 
   // クリーンアップ
   useEffect(() => {
@@ -528,44 +1766,6 @@ const InventoryApp = () => {
     };
   }, []);
 
-  // APIキー設定モーダル
-  const ApiKeyModal = () => (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
-        <h3 className="text-lg font-bold mb-4">JANCodeLookup APIキー設定</h3>
-        <p className="mb-4 text-sm">
-          JANコード検索機能を使用するには、JANCodeLookupのAPIキーが必要です。
-          <a href="https://www.jancodelookup.com/" target="_blank" rel="noopener" className="text-blue-500 underline ml-1">
-            JANCodeLookup
-          </a>
-          で取得したAPIキーを入力してください。
-        </p>
-        <input
-          type="text"
-          value={apiKey}
-          onChange={(e) => setApiKey(e.target.value)}
-          placeholder="APIキーを入力"
-          className="w-full p-2 border rounded mb-4"
-        />
-        <div className="flex justify-end">
-          <button
-            onClick={() => setIsApiKeyModalOpen(false)}
-            className="p-2 bg-gray-300 rounded mr-2"
-          >
-            キャンセル
-          </button>
-          <button
-            onClick={() => saveApiKey(apiKey)}
-            className="p-2 bg-blue-500 text-white rounded"
-            disabled={!apiKey}
-          >
-            保存
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-
   // スキャナークラスの設定
   const scannerStyles = {
     position: 'relative',
@@ -601,20 +1801,259 @@ const InventoryApp = () => {
       {/* ヘッダー */}
       <header className="bg-gradient-to-r from-blue-600 to-blue-800 text-white p-4 shadow-md">
         <div className="container mx-auto flex justify-between items-center">
-          <h1 className="text-2xl font-bold">シンプル在庫管理</h1>
-          <button 
-            onClick={() => setIsApiKeyModalOpen(true)}
-            className="text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
-          >
-            APIキー設定
-          </button>
+          <h1 className="text-2xl font-bold">
+            シンプル在庫管理
+            {!isOnline && (
+              <span className="ml-2 align-middle text-xs bg-yellow-400 text-yellow-900 px-2 py-1 rounded-full">
+                オフライン
+              </span>
+            )}
+          </h1>
+          <div className="flex flex-wrap justify-end gap-2 ml-2">
+            <button
+              onClick={() => setIsOperatorManagerOpen(true)}
+              className="text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
+            >
+              {currentOperator ? `担当: ${currentOperator.name}` : '担当者'}
+            </button>
+            <button
+              onClick={() => setIsExpiryDashboardOpen(true)}
+              className="relative text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
+            >
+              期限アラート
+              {expiryAlertCount > 0 && (
+                <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full px-1.5">
+                  {expiryAlertCount}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setIsSyncOpen(true)}
+              className="text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
+            >
+              同期
+              {activeSession.syncId && (
+                <span
+                  className={`ml-1 inline-block w-2 h-2 rounded-full ${
+                    [SYNC_STATUS.LIVE, SYNC_STATUS.POLLING].includes(sync.status) ? 'bg-green-400' : 'bg-yellow-400'
+                  }`}
+                />
+              )}
+            </button>
+            <button
+              onClick={() => setIsVarianceOpen(true)}
+              className="text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
+            >
+              差異レポート
+            </button>
+            <button
+              onClick={() => setLedgerJanCode('')}
+              className="text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
+            >
+              入出庫台帳
+            </button>
+            <button
+              onClick={() => setIsMasterManagerOpen(true)}
+              className="text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
+            >
+              商品マスター
+            </button>
+            <button 
+              onClick={() => setIsSettingsOpen(true)}
+              className="text-sm bg-blue-700 hover:bg-blue-600 px-3 py-1 rounded transition-colors duration-200 shadow-sm"
+            >
+              設定
+            </button>
+          </div>
         </div>
       </header>
       
-      {/* APIキー設定モーダル */}
-      {isApiKeyModalOpen && <ApiKeyModal />}
+      {/* 設定モーダル */}
+      {isSettingsOpen && (
+        <SettingsModal
+          providerConfig={providerConfig}
+          inStoreTemplates={inStoreTemplates}
+          symbologies={symbologies}
+          wedgeSettings={wedgeSettings}
+          onSave={saveSettings}
+          onClose={() => setIsSettingsOpen(false)}
+        />
+      )}
+
+      {/* 商品マスター管理 */}
+      {isMasterManagerOpen && (
+        <ProductMasterManager
+          ttlDays={masterTtlDays}
+          onTtlChange={changeMasterTtlDays}
+          resolveProduct={resolveProduct}
+          inventoryJanCodes={products.map(product => product.janCode)}
+          onClose={() => setIsMasterManagerOpen(false)}
+        />
+      )}
+      
+      {/* 担当者 */}
+      {isOperatorManagerOpen && (
+        <OperatorManager
+          operators={operators}
+          currentOperator={currentOperator}
+          lines={products}
+          sessionName={activeSession.name}
+          onChange={changeOperators}
+          onSwitch={() => {
+            setCurrentOperatorId(null);
+            setIsOperatorManagerOpen(false);
+          }}
+          onClose={() => setIsOperatorManagerOpen(false)}
+        />
+      )}
+
+      {/* 保管場所 */}
+      {isLocationManagerOpen && (
+        <LocationManager
+          locations={locations}
+          currentLocationId={currentLocationId}
+          qrEnabled={symbologies.includes('QR_CODE')}
+          onChange={changeLocations}
+          onSelect={changeCurrentLocation}
+          onClose={() => setIsLocationManagerOpen(false)}
+        />
+      )}
+
+      {/* 入出庫台帳 */}
+      {ledgerJanCode !== null && (
+        <StockLedgerDialog
+          ledger={ledger}
+          initialJanCode={ledgerJanCode}
+          sessionName={activeSession.name}
+          countedLines={products}
+          onAdjust={adjustStockFromSession}
+          onExport={exportLedger}
+          onClose={() => setLedgerJanCode(null)}
+        />
+      )}
+
+      {/* 複数端末の同期 */}
+      {isSyncOpen && (
+        <SyncDialog
+          settings={syncSettings}
+          session={activeSession}
+          sync={sync}
+          onSettingsChange={changeSyncSettings}
+          onShare={changeSyncId}
+          onLeave={() => changeSyncId('')}
+          onClose={() => setIsSyncOpen(false)}
+        />
+      )}
+
+      {/* 差異レポート */}
+      {isVarianceOpen && (
+        <VarianceReport
+          sessionName={activeSession.name}
+          expected={activeSession.expected || null}
+          products={products}
+          onExpectedChange={changeExpectedStock}
+          onExportCsv={exportVariance}
+          onClose={() => setIsVarianceOpen(false)}
+        />
+      )}
+
+      {/* 消費期限アラート */}
+      {isExpiryDashboardOpen && (
+        <ExpiryDashboard
+          products={products}
+          thresholds={expiryThresholds}
+          onThresholdsChange={changeExpiryThresholds}
+          notificationsEnabled={notificationsEnabled}
+          onNotificationsChange={changeNotificationsEnabled}
+          onClose={() => setIsExpiryDashboardOpen(false)}
+        />
+      )}
+
+      {/* 画像から読み取り */}
+      {isImageScanOpen && (
+        <ImageScanDialog
+          formats={symbologies}
+          onAdd={addImageResults}
+          onClose={() => setIsImageScanOpen(false)}
+        />
+      )}
+
+      {/* CSV/Excel 取り込み */}
+      {isImportOpen && (
+        <ImportWizard
+          products={products}
+          onImport={importProducts}
+          onClose={() => setIsImportOpen(false)}
+        />
+      )}
+
+      {/* CSVエクスポート */}
+      {isExportDialogOpen && (
+        <ExportDialog
+          products={products}
+          packs={packMaster.packs}
+          locations={locations}
+          operators={listOperators}
+          settings={exportSettings}
+          onExport={exportCSV}
+          onClose={() => setIsExportDialogOpen(false)}
+        />
+      )}
+
+      {/* 棚卸セッション管理 */}
+      {isSessionManagerOpen && (
+        <SessionManager
+          sessions={sessions}
+          activeSessionId={activeSessionId}
+          onCreate={createNewSession}
+          onSwitch={switchSession}
+          onDuplicate={duplicateSessionById}
+          onToggleStatus={toggleSessionStatus}
+          onToggleArchive={toggleSessionArchive}
+          onDelete={deleteSession}
+          onClose={() => setIsSessionManagerOpen(false)}
+        />
+      )}
       
       <main className="flex-1 container mx-auto p-4 max-w-3xl">
+        {/* セッション表示 */}
+        <div className="flex justify-between items-center bg-white p-3 mb-3 rounded-lg shadow-sm text-sm">
+          <div className="truncate">
+            <span className="text-gray-500 mr-1">セッション:</span>
+            <span className="font-bold text-gray-800">{activeSession.name}</span>
+            {activeSession.location && <span className="text-gray-500 ml-1">({activeSession.location})</span>}
+            {isReadOnly && (
+              <span className="ml-2 text-xs bg-gray-500 text-white px-2 py-0.5 rounded-full">締め済み (閲覧のみ)</span>
+            )}
+          </div>
+          <div className="flex items-center ml-2 whitespace-nowrap">
+            <button
+              onClick={undo}
+              disabled={isReadOnly || undoHistory.undo.length === 0}
+              title={undoHistory.undo.length > 0 ? `元に戻す: ${undoHistory.undo[undoHistory.undo.length - 1].label}` : ''}
+              className="px-2 text-gray-600 hover:text-blue-600 disabled:opacity-30"
+              aria-label="元に戻す"
+            >
+              ↶
+            </button>
+            <button
+              onClick={redo}
+              disabled={isReadOnly || undoHistory.redo.length === 0}
+              title={undoHistory.redo.length > 0 ? `やり直す: ${undoHistory.redo[undoHistory.redo.length - 1].label}` : ''}
+              className="px-2 mr-2 text-gray-600 hover:text-blue-600 disabled:opacity-30"
+              aria-label="やり直す"
+            >
+              ↷
+            </button>
+            <button
+              onClick={() => setIsSessionManagerOpen(true)}
+              className="text-blue-600 hover:underline"
+            >
+              切替・管理
+            </button>
+          </div>
+        </div>
+
         {/* メッセージ表示エリア */}
         <div className="bg-white p-3 mb-3 rounded-lg shadow-sm border-l-4 border-blue-500">
           <p className="text-center text-gray-700">{message}</p>
@@ -623,6 +2062,20 @@ const InventoryApp = () => {
               {cameraError}
             </p>
           )}
+          {pendingLookups.length > 0 && (
+            <div className="flex justify-center items-center mt-1 text-sm text-yellow-700">
+              <span>商品名取得待ち: {pendingLookups.length}件</span>
+              {isOnline && (
+                <button
+                  onClick={processPendingLookups}
+                  disabled={isProcessingQueue}
+                  className="ml-2 text-blue-600 underline disabled:opacity-50"
+                >
+                  {isProcessingQueue ? '取得中...' : '今すぐ取得'}
+                </button>
+              )}
+            </div>
+          )}
         </div>
         
         {/* 2段組レイアウト - スマホでもコンパクトに全体が見えるように */}
@@ -643,8 +2096,138 @@ const InventoryApp = () => {
               </button>
             </div>
             
+            {/* 現在地 (場所ラベルのスキャンまたは一覧から選択) */}
+            <div className="mb-3 bg-white p-3 rounded-lg shadow-sm text-sm flex items-center">
+              <span className="font-bold text-gray-700 mr-2">現在地</span>
+              <select
+                value={currentLocationId}
+                onChange={(e) => changeCurrentLocation(e.target.value)}
+                className="flex-1 min-w-0 p-1 border rounded bg-white"
+              >
+                <option value="">(未設定)</option>
+                {flattenLocations(locations).map(({ location, depth }) => (
+                  <option key={location.id} value={location.id}>{'　'.repeat(depth)}{location.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setIsLocationManagerOpen(true)}
+                className="ml-2 text-blue-600 hover:underline whitespace-nowrap"
+              >
+                場所の管理
+              </button>
+            </div>
+            
+            {/* 記録モード・再スキャン時の扱い */}
+            <div className="mb-3 bg-white p-3 rounded-lg shadow-sm text-sm">
+              <div className="flex items-center mb-2">
+                <span className="font-bold text-gray-700 mr-2">記録モード</span>
+                <div className="flex flex-1 rounded overflow-hidden border border-green-600">
+                  {Object.values(SCAN_MODES).map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => changeScanMode(mode)}
+                      className={`flex-1 py-1 transition-colors duration-200 ${
+                        scanMode === mode ? 'bg-green-600 text-white' : 'bg-white text-green-700'
+                      }`}
+                    >
+                      {SCAN_MODE_LABELS[mode]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {isMovementMode ? (
+                <div className="flex items-center text-gray-600">
+                  {currentOperator ? (
+                    <span className="flex-1">担当者: <span className="font-bold">{currentOperator.name}</span></span>
+                  ) : (
+                    <label className="flex items-center flex-1">
+                      担当者
+                      <input
+                        type="text"
+                        value={ledgerUser}
+                        onChange={(e) => changeLedgerUser(e.target.value)}
+                        placeholder={activeSession.operator || '名前'}
+                        className="flex-1 min-w-0 ml-1 p-1 border rounded"
+                      />
+                    </label>
+                  )}
+                  {scanMode === SCAN_MODES.DISPOSAL && (
+                    <label className="flex items-center ml-2">
+                      理由
+                      <select
+                        value={disposalReason}
+                        onChange={(e) => setDisposalReason(e.target.value)}
+                        className="ml-1 p-1 border rounded bg-white"
+                      >
+                        {DISPOSAL_REASONS.map(reason => (
+                          <option key={reason} value={reason}>{reason}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                </div>
+              ) : (
+                <>
+                  <div className="flex items-center">
+                    <span className="font-bold text-gray-700 mr-2">再スキャン時</span>
+                    <div className="flex flex-1 rounded overflow-hidden border border-blue-500">
+                      {Object.values(COUNT_MODES).map(mode => (
+                        <button
+                          key={mode}
+                          onClick={() => changeCountMode(mode)}
+                          className={`flex-1 py-1 transition-colors duration-200 ${
+                            countMode === mode ? 'bg-blue-500 text-white' : 'bg-white text-blue-600'
+                          }`}
+                        >
+                          {COUNT_MODE_LABELS[mode]}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {countMode === COUNT_MODES.ACCUMULATE && (
+                    <label className="flex items-center mt-2 text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={accumulateConfirm === ACCUMULATE_CONFIRM.INSTANT}
+                        onChange={(e) => changeAccumulateConfirm(
+                          e.target.checked ? ACCUMULATE_CONFIRM.INSTANT : ACCUMULATE_CONFIRM.QUICK
+                        )}
+                        className="mr-1"
+                      />
+                      確認せずに即座に +1 する
+                    </label>
+                  )}
+                </>
+              )}
+              <div className="flex items-center mt-2 text-gray-600">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={batchMode}
+                    onChange={(e) => changeBatchMode(e.target.checked)}
+                    className="mr-1"
+                  />
+                  連続スキャン (後でまとめて確認・登録)
+                </label>
+                {batchMode && (
+                  <label className="flex items-center ml-auto">
+                    同じコードは
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={cooldownSeconds}
+                      onChange={(e) => changeCooldownSeconds(Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="w-14 mx-1 p-1 border rounded"
+                    />
+                    秒間無視
+                  </label>
+                )}
+              </div>
+            </div>
+            
             {/* スキャナーコンテナ - 高さを調整 */}
-            <div className="mb-3 bg-black rounded-lg overflow-hidden shadow-lg" style={scannerStyles}>
+            <div className="mb-3 bg-black rounded-lg overflow-hidden shadow-lg" style={scannerStyles} onClick={focusAt}>
               {scanning ? (
                 <>
                   {/* スキャン成功オーバーレイ */}
@@ -654,11 +2237,21 @@ const InventoryApp = () => {
                   <div style={{...scanLineStyles, top: '50%'}}></div>
                 </>
               ) : (
-                <div className="flex items-center justify-center p-4 min-h-32">
-                  <div className="text-white text-center p-2">
-                    <p>「スキャン開始」ボタンを押してカメラを起動してください</p>
+                cameraError ? (
+                  // カメラが使えない場合はコード入力で同じ処理に渡す
+                  <FallbackBarcodeScanner
+                    onScan={(code) => handleScanSuccess(code, { format: null, source: SCAN_SOURCES.MANUAL })}
+                  />
+                ) : (
+                  <div className="flex items-center justify-center p-4 min-h-32">
+                    <div className="text-white text-center p-2">
+                      <p>「スキャン開始」ボタンを押してカメラを起動してください</p>
+                      {wedgeSettings.enabled && (
+                        <p className="text-xs text-gray-300 mt-1">ハンドスキャナーはそのまま読み取れます</p>
+                      )}
+                    </div>
                   </div>
-                </div>
+                )
               )}
               
               {/* 固定IDのスキャナーコンテナ - 高さを少し小さく */}
@@ -675,6 +2268,28 @@ const InventoryApp = () => {
               )}
             </div>
             
+            {/* カメラの選択・ライト・ズーム・スキャン設定 */}
+            <CameraControls
+              cameras={cameras}
+              selectedCameraId={activeCameraId}
+              onSelectCamera={selectCamera}
+              features={scanning ? trackFeatures : null}
+              torchOn={torchOn}
+              onToggleTorch={toggleTorch}
+              zoom={zoom}
+              onZoomChange={changeZoom}
+              settings={cameraSettings}
+              onSettingsChange={changeCameraSettings}
+            />
+            
+            {/* 読み取りエンジンの診断 */}
+            <ScannerDiagnostics
+              preference={enginePreference}
+              onPreferenceChange={changeEnginePreference}
+              activeEngine={scanning ? activeEngine : null}
+              getStats={() => (scannerRef.current ? scannerRef.current.getStats() : null)}
+            />
+            
             {/* JANコード手動入力 */}
             <div className="mb-3 bg-white p-3 rounded-lg shadow-sm">
               <h3 className="font-bold mb-2 text-gray-700 text-sm">JANコード手動入力</h3>
@@ -694,12 +2309,47 @@ const InventoryApp = () => {
                   検索
                 </button>
               </div>
+              <label className="flex items-center mt-2 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={allowInvalidBarcodes}
+                  onChange={(e) => changeAllowInvalidBarcodes(e.target.checked)}
+                  className="mr-1"
+                />
+                チェックデジットが不正なコードも「要確認」として登録する
+              </label>
+              <button
+                onClick={() => setIsImageScanOpen(true)}
+                className="w-full mt-2 p-2 bg-white border border-blue-500 text-blue-600 hover:bg-blue-50 rounded text-sm transition-colors duration-200"
+              >
+                画像・写真から読み取り
+              </button>
             </div>
           </div>
           
 {/* 右側: 商品情報入力エリア */}
 <div className="md:w-1/2">
-            {currentProduct.janCode ? (
+            {batchMode ? (
+              <BatchReviewPanel
+                entries={batchQueue}
+                onChange={updateBatchEntry}
+                onRemove={removeBatchEntry}
+                onMerge={() => setBatchQueue(mergeBatchEntries(batchQueue))}
+                onRetry={retryBatchLookups}
+                onCommit={commitBatchQueue}
+                onClear={clearBatchQueue}
+              />
+            ) : quickAdd && lotsAtCurrentLocation(quickAdd.janCode).length > 0 ? (
+              <QuickAddPanel
+                lots={lotsAtCurrentLocation(quickAdd.janCode)}
+                selectedId={quickAdd.id}
+                amount={quickAdd.amount}
+                onChange={(changes) => setQuickAdd({ ...quickAdd, ...changes })}
+                onConfirm={incrementProduct}
+                onNewLot={() => startNewLot(quickAdd.janCode)}
+                onCancel={cancelQuickAdd}
+              />
+            ) : currentProduct.janCode ? (
               <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-3">
                 <h2 className="font-bold mb-3 text-gray-800 border-b pb-2">商品情報</h2>
                 
@@ -711,6 +2361,15 @@ const InventoryApp = () => {
                     readOnly
                     className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500" 
                   />
+                  {currentProduct.barcodeWarning && (
+                    <p className="mt-1 text-xs text-yellow-700">⚠️ 要確認: {currentProduct.barcodeWarning}</p>
+                  )}
+                  {currentProduct.inStoreCode && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      インストアコード: {currentProduct.inStoreCode}
+                      {currentProduct.weight !== '' && ` | 重量: ${currentProduct.weight}g`}
+                    </p>
+                  )}
                 </div>
                 
                 <div className="mb-3">
@@ -718,64 +2377,166 @@ const InventoryApp = () => {
                   <input 
                     type="text" 
                     value={currentProduct.productName} 
-                    onChange={(e) => setCurrentProduct({...currentProduct, productName: e.target.value})}
-                    className="w-full p-2 border border-gray-300 rounded bg-gray-50 text-gray-600" 
+                    onChange={(e) => setCurrentProduct({...currentProduct, productName: e.target.value, namePending: false})}
+                    placeholder={currentProduct.namePending ? '接続回復後に自動取得します' : '商品名を入力'}
+                    className="w-full p-2 border border-gray-300 rounded bg-gray-50 text-gray-600"
                   />
+                  {(currentProduct.maker || currentProduct.brand || currentProduct.imageUrl) && (
+                    <div className="flex items-center mt-2">
+                      {currentProduct.imageUrl && (
+                        <img
+                          src={currentProduct.imageUrl}
+                          alt={currentProduct.productName}
+                          className="w-12 h-12 object-contain border rounded mr-2"
+                        />
+                      )}
+                      <div className="text-xs text-gray-500">
+                        {currentProduct.maker && <p>メーカー: {currentProduct.maker}</p>}
+                        {currentProduct.brand && <p>ブランド: {currentProduct.brand}</p>}
+                      </div>
+                    </div>
+                  )}
                 </div>
-                
+
                 <div className="mb-3">
                   <label className="block text-sm font-medium mb-1 text-gray-700">数量</label>
-                  <input 
-                    id="quantity-input" // 自動フォーカス用ID
-                    type="number" 
-                    min="1"
-                    value={currentProduct.quantity} 
-                    onChange={(e) => setCurrentProduct({...currentProduct, quantity: parseInt(e.target.value) || 1})}
-                    className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
+                  <div className="flex">
+                    <input 
+                      id="quantity-input" // 自動フォーカス用ID
+                      type="number" 
+                      min="1"
+                      value={currentProduct.quantity} 
+                      onChange={(e) => setCurrentProduct({...currentProduct, quantity: parseInt(e.target.value) || 1})}
+                      className="flex-1 p-2 border border-gray-300 rounded-l focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <select
+                      value={currentProduct.packUnit}
+                      onChange={(e) => setCurrentProduct({
+                        ...currentProduct,
+                        packUnit: e.target.value,
+                        packSize: unitSize(packMaster.packs[currentProduct.janCode], e.target.value) || ''
+                      })}
+                      className="p-2 border border-l-0 border-gray-300 rounded-r bg-white"
+                    >
+                      {Object.values(PACK_UNITS).map(unit => (
+                        <option key={unit} value={unit}>{PACK_UNIT_LABELS[unit]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {currentProduct.packUnit !== PACK_UNITS.PIECE && (
+                    <div className="flex items-center mt-2 text-sm text-gray-700">
+                      <span>1{PACK_UNIT_LABELS[currentProduct.packUnit]} =</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={currentProduct.packSize}
+                        onChange={(e) => setCurrentProduct({ ...currentProduct, packSize: parseInt(e.target.value) || '' })}
+                        placeholder="入数"
+                        className="w-20 mx-1 p-1 border border-gray-300 rounded"
+                      />
+                      <span>個</span>
+                      {currentProduct.packSize > 0 && (
+                        <span className="ml-auto font-bold">合計 {currentProduct.quantity * currentProduct.packSize}個</span>
+                      )}
+                    </div>
+                  )}
                 </div>
 
-                {/* 売価入力欄の追加 */}
-                <div className="mb-3">
-                  <label className="block text-sm font-medium mb-1 text-gray-700">売価（円）</label>
-                  <input 
-                    type="number" 
-                    min="0"
-                    step="1"
-                    value={currentProduct.price} 
-                    onChange={(e) => setCurrentProduct({...currentProduct, price: parseInt(e.target.value) || 0})}
-                    onFocus={(e) => {
-                      // 値が0の場合、フォーカス時に空にする
-                      if (currentProduct.price === 0) {
-                        setCurrentProduct({...currentProduct, price: ''});
-                      }
-                    }}
-                    onBlur={(e) => {
-                      // 空の場合、フォーカスが外れたら0に戻す
-                      if (e.target.value === '') {
-                        setCurrentProduct({...currentProduct, price: 0});
-                      }
-                    }}
-                    className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
+                {isMovementMode ? (
+                  <div className="mb-3">
+                    <p className="mb-2 text-sm text-gray-700">
+                      現在庫 {stockOf(ledger, currentProduct.janCode)}個
+                      <button
+                        onClick={() => setLedgerJanCode(currentProduct.janCode)}
+                        className="ml-2 text-xs text-blue-600 hover:underline"
+                      >
+                        入出庫履歴
+                      </button>
+                    </p>
+                    <label className="block text-sm font-medium mb-1 text-gray-700">メモ (任意)</label>
+                    <input
+                      type="text"
+                      value={movementNote}
+                      onChange={(e) => setMovementNote(e.target.value)}
+                      placeholder={scanMode === SCAN_MODES.RECEIPT ? '仕入先・伝票番号など' : ''}
+                      className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                ) : (
+                  <>
+                    {/* 売価入力欄の追加 */}
+                    <div className="mb-3">
+                      <label className="block text-sm font-medium mb-1 text-gray-700">売価（円）</label>
+                      <input 
+                        type="number" 
+                        min="0"
+                        step="1"
+                        value={currentProduct.price} 
+                        onChange={(e) => setCurrentProduct({...currentProduct, price: parseInt(e.target.value) || 0})}
+                        onFocus={(e) => {
+                          // 値が0の場合、フォーカス時に空にする
+                          if (currentProduct.price === 0) {
+                            setCurrentProduct({...currentProduct, price: ''});
+                          }
+                        }}
+                        onBlur={(e) => {
+                          // 空の場合、フォーカスが外れたら0に戻す
+                          if (e.target.value === '') {
+                            setCurrentProduct({...currentProduct, price: 0});
+                          }
+                        }}
+                        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
                 
-                <div className="mb-3">
-                  <label className="block text-sm font-medium mb-1 text-gray-700">消費期限 (任意)</label>
-                  <input 
-                    type="date" 
-                    value={currentProduct.expiryDate} 
-                    onChange={(e) => setCurrentProduct({...currentProduct, expiryDate: e.target.value})}
-                    className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500" 
-                  />
-                </div>
+                    <div className="mb-3">
+                      <label className="block text-sm font-medium mb-1 text-gray-700">消費期限 (任意)</label>
+                      <input 
+                        type="date" 
+                        value={currentProduct.expiryDate} 
+                        onChange={(e) => setCurrentProduct({...currentProduct, expiryDate: e.target.value})}
+                        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500" 
+                      />
+                    </div>
+
+                    <div className="mb-3">
+                      <label className="block text-sm font-medium mb-1 text-gray-700">カテゴリ (任意)</label>
+                      <input
+                        type="text"
+                        list="category-options"
+                        value={currentProduct.category}
+                        onChange={(e) => setCurrentProduct({...currentProduct, category: e.target.value})}
+                        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <datalist id="category-options">
+                        {[...new Set([
+                          ...Object.keys(expiryThresholds.categories),
+                          ...products.map(product => product.category).filter(Boolean)
+                        ])].map(category => (
+                          <option key={category} value={category} />
+                        ))}
+                      </datalist>
+                    </div>
+
+                    <div className="mb-3">
+                      <label className="block text-sm font-medium mb-1 text-gray-700">ロット番号 (任意)</label>
+                      <input
+                        type="text"
+                        value={currentProduct.lot}
+                        onChange={(e) => setCurrentProduct({...currentProduct, lot: e.target.value})}
+                        className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  </>
+                )}
                 
                 <div className="flex space-x-2">
                   <button 
                     onClick={addProduct}
-                    className="flex-1 p-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold transition-colors duration-200 shadow-sm"
+                    disabled={isReadOnly && !isMovementMode}
+                    className="flex-1 p-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold transition-colors duration-200 shadow-sm disabled:opacity-50"
                   >
-                    保存
+                    {isMovementMode ? `${SCAN_MODE_LABELS[scanMode]}を記録` : '保存'}
                   </button>
                   <button 
                     onClick={cancelProduct}
@@ -802,11 +2563,16 @@ const InventoryApp = () => {
                 <p className="p-4 text-center text-gray-500 text-sm">スキャンした商品がここに表示されます</p>
               ) : (
                 <ul className="divide-y divide-gray-200">
-                  {products.slice(0, 5).map((product, index) => (
+                  {recentLines(products, 5).map((product, index) => (
                     <li key={index} className="p-2 hover:bg-gray-50 transition-colors duration-150 text-sm">
                       <div className="flex justify-between items-center">
                         <div className="truncate flex-1">
-                          <p className="font-medium text-gray-800 truncate">{product.productName}</p>
+                          <p className="font-medium text-gray-800 truncate">
+                            {product.productName || (product.namePending ? '(名称取得待ち)' : '(商品名未登録)')}
+                          </p>
+                          {product.locationId && (
+                            <p className="text-xs text-gray-400 truncate">{formatLocationPath(locations, product.locationId)}</p>
+                          )}
                         </div>
                         <div className="text-right ml-2">
                           <span className="font-bold text-gray-800">{product.quantity}個</span>
@@ -824,9 +2590,18 @@ const InventoryApp = () => {
               )}
             </div>
             
+            {/* CSV/Excel 取り込みボタン */}
+            <button
+              onClick={() => setIsImportOpen(true)}
+              disabled={isReadOnly}
+              className="w-full p-2 bg-white border border-green-600 text-green-700 hover:bg-green-50 rounded text-sm shadow-sm transition-colors duration-200 mb-2 disabled:opacity-50"
+            >
+              CSV / Excel 取り込み
+            </button>
+
             {/* CSVエクスポートボタン */}
             <button 
-              onClick={exportCSV}
+              onClick={() => setIsExportDialogOpen(true)}
               className="w-full p-2 bg-green-600 hover:bg-green-700 text-white rounded text-sm shadow-sm transition-colors duration-200 mb-3"
               disabled={products.length === 0}
             >
@@ -853,45 +2628,19 @@ const InventoryApp = () => {
         {/* 全商品リスト (折りたたみ可能) */}
         <details className="bg-white rounded-lg shadow-sm mb-6 mt-4">
           <summary className="p-4 font-bold cursor-pointer">
-            全商品リスト ({products.length}件)
+            全商品リスト ({groupLinesByJan(products).length}商品 / {products.length}件)
           </summary>
-          <div className="max-h-80 overflow-y-auto">
-            {products.length === 0 ? (
-              <p className="p-4 text-center text-gray-500">スキャンした商品がありません</p>
-            ) : (
-              <ul className="divide-y divide-gray-200">
-                {products.map((product, index) => (
-                  <li key={index} className="p-4 hover:bg-gray-50 transition-colors duration-150">
-                    <div className="flex justify-between">
-                      <div>
-                        <p className="font-medium text-gray-800">{product.productName}</p>
-                        <p className="text-sm text-gray-500">JAN: {product.janCode}</p>
-                      </div>
-                      <div className="flex items-center">
-                        <div className="text-right mr-3">
-                          <p className="font-bold text-gray-800">{product.quantity}個</p>
-                          <p className="text-sm text-gray-600">{product.price}円</p>
-                          {product.expiryDate && (
-                            <p className="text-xs text-gray-500">
-                              消費期限: {product.expiryDate}
-                            </p>
-                          )}
-                        </div>
-                        <button 
-                          onClick={() => deleteProduct(index)}
-                          className="text-red-500 hover:text-red-700 transition-colors duration-200"
-                        >
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                            <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
-                          </svg>
-                        </button>
-                      </div>
-                    </div>
-                  </li>
-                ))}
-              </ul>
-            )}
-          </div>
+          <InventoryTable
+            products={products}
+            locations={locations}
+            operators={listOperators}
+            packs={packMaster.packs}
+            isReadOnly={isReadOnly}
+            onEdit={editProduct}
+            onBulkUpdate={bulkUpdateProducts}
+            onDelete={deleteProducts}
+            onShowLedger={setLedgerJanCode}
+          />
         </details>
       </main>
       
@@ -903,6 +2652,13 @@ const InventoryApp = () => {
           </a>
         </div>
       </footer>
+
+      {undoToast && <UndoToast command={undoToast} onUndo={undo} onClose={closeUndoToast} />}
+
+      {/* 起動時の担当者の選択 */}
+      {isLoginRequired && (
+        <OperatorLogin operators={operators} initialOperatorId={loadLastOperatorId()} onLogin={loginOperator} />
+      )}
     </div>
   );
 };
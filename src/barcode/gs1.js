@@ -0,0 +1,135 @@
+// GS1 アプリケーション識別子 (AI) の解析
+// GS1-128 / GS1 DataMatrix / GS1 QR / GS1 DataBar のデータから GTIN・消費期限・ロット・数量を取り出す
+
+const GROUP_SEPARATOR = '\u001d'; // FNC1 (可変長項目の区切り)
+
+// 対応するAI (length: 固定長, maxLength: 可変長)
+// 未対応のAIが現れた時点で解析を打ち切る
+const AI_DEFINITIONS = {
+  '00': { length: 18 }, // SSCC
+  '01': { length: 14 }, // GTIN
+  '02': { length: 14 }, // 内容物のGTIN
+  '10': { maxLength: 20 }, // ロット
+  '11': { length: 6 }, // 製造日
+  '13': { length: 6 }, // 包装日
+  '15': { length: 6 }, // 品質保持期限
+  '16': { length: 6 }, // 販売期限
+  '17': { length: 6 }, // 消費期限
+  '20': { length: 2 }, // 品種
+  '21': { maxLength: 20 }, // シリアル番号
+  '30': { maxLength: 8 }, // 数量
+  '37': { maxLength: 8 } // 内容物の数量
+};
+
+// 重量など 4桁のAI (310n〜369n、末尾は小数点位置)
+const isMeasureAi = (ai) => /^3[1-6]\d\d$/.test(ai);
+
+// 桁数固定の重量AIは6桁
+const MEASURE_LENGTH = 6;
+
+// 読み取り結果の先頭に付くシンボル識別子 (]C1: GS1-128, ]d2: GS1 DataMatrix, ]Q3: GS1 QR, ]e0: GS1 DataBar)
+const SYMBOLOGY_IDENTIFIER = /^\](C1|d2|Q3|e0)/;
+
+// YYMMDD を YYYY-MM-DD に変換 (日が 00 の場合は月末)
+export const gs1DateToIso = (yymmdd) => {
+  if (!/^\d{6}$/.test(yymmdd)) {
+    return '';
+  }
+  const year = 2000 + Number(yymmdd.slice(0, 2));
+  const month = Number(yymmdd.slice(2, 4));
+  let day = Number(yymmdd.slice(4, 6));
+  if (month < 1 || month > 12) {
+    return '';
+  }
+  if (day === 0) {
+    day = new Date(year, month, 0).getDate();
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// 括弧付きの表記 "(01)04912345678904(17)250131(10)ABC" を解析
+const parseBracketed = (text) => {
+  const elements = {};
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    elements[match[1]] = match[2].trim();
+  }
+  return elements;
+};
+
+// 括弧なしの連続したデータを解析 (可変長項目は FNC1 で区切られる)
+const parseConcatenated = (data) => {
+  const elements = {};
+  let position = 0;
+
+  while (position < data.length) {
+    if (data[position] === GROUP_SEPARATOR) {
+      position++;
+      continue;
+    }
+
+    let ai = data.slice(position, position + 2);
+    let definition = AI_DEFINITIONS[ai];
+    if (!definition && isMeasureAi(data.slice(position, position + 4))) {
+      ai = data.slice(position, position + 4);
+      definition = { length: MEASURE_LENGTH };
+    }
+    if (!definition) {
+      break;
+    }
+    position += ai.length;
+
+    if (definition.length) {
+      elements[ai] = data.slice(position, position + definition.length);
+      position += definition.length;
+    } else {
+      const end = data.indexOf(GROUP_SEPARATOR, position);
+      const limit = position + definition.maxLength;
+      const stop = end === -1 ? Math.min(data.length, limit) : Math.min(end, limit);
+      elements[ai] = data.slice(position, stop);
+      position = stop;
+    }
+  }
+
+  return elements;
+};
+
+// GS1 として読み取られることが多い形式 (html5-qrcode のキー名)
+// この形式で読み取った (01) だけのデータは GTIN 単独の GS1 シンボルとして扱う
+const GS1_CARRIER_FORMATS = ['DATA_MATRIX', 'CODE_128'];
+
+// GS1 形式のデータかどうか (単なる GTIN-14 や JANコードは対象外)
+const looksLikeGs1 = (text, format) => (
+  text.startsWith('(')
+  || SYMBOLOGY_IDENTIFIER.test(text)
+  || text.includes(GROUP_SEPARATOR)
+  || /^01\d{14}\S+/.test(text)
+  || (GS1_CARRIER_FORMATS.includes(format) && /^01\d{14}$/.test(text))
+);
+
+// GS1 データを解析する。GS1 形式でなければ null
+// format: スキャナーが報告した形式 (GTIN だけの GS1 DataMatrix / GS1-128 の判別に使用)
+// 戻り値: { gtin, expiryDate, lot, quantity, elements: { AI: 値 } }
+export const parseGs1 = (raw, format = null) => {
+  const text = String(raw).trim();
+  if (!looksLikeGs1(text, format)) {
+    return null;
+  }
+
+  const elements = text.startsWith('(')
+    ? parseBracketed(text)
+    : parseConcatenated(text.replace(SYMBOLOGY_IDENTIFIER, ''));
+  if (Object.keys(elements).length === 0) {
+    return null;
+  }
+
+  const quantity = parseInt(elements['30'] || elements['37'], 10);
+  return {
+    gtin: elements['01'] || elements['02'] || '',
+    expiryDate: gs1DateToIso(elements['17'] || elements['15'] || ''),
+    lot: elements['10'] || '',
+    quantity: quantity > 0 ? quantity : null,
+    elements
+  };
+};
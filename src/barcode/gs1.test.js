@@ -0,0 +1,48 @@
+import { parseGs1, gs1DateToIso } from './gs1';
+
+test('parses bracketed human readable data', () => {
+  expect(parseGs1('(01)04912345678904(17)250131(10)LOT-A(30)12')).toMatchObject({
+    gtin: '04912345678904',
+    expiryDate: '2025-01-31',
+    lot: 'LOT-A',
+    quantity: 12
+  });
+});
+
+test('parses concatenated data with FNC1 separators and symbology identifier', () => {
+  expect(parseGs1(']d201149123456789011726030010ABC123\u001d3024')).toMatchObject({
+    gtin: '14912345678901',
+    expiryDate: '2026-03-31',
+    lot: 'ABC123',
+    quantity: 24
+  });
+});
+
+test('parses a variable length field at the end without a separator', () => {
+  expect(parseGs1('010491234567890417251231103105A')).toMatchObject({
+    gtin: '04912345678904',
+    expiryDate: '2025-12-31',
+    lot: '3105A'
+  });
+});
+
+test('parses a symbol that carries only a GTIN', () => {
+  expect(parseGs1(']d20114912345678901')).toMatchObject({ gtin: '14912345678901', lot: '', expiryDate: '' });
+  expect(parseGs1(']C10104912345678904')).toMatchObject({ gtin: '04912345678904' });
+  expect(parseGs1('0114912345678901', 'DATA_MATRIX')).toMatchObject({ gtin: '14912345678901' });
+  expect(parseGs1('0114912345678901', 'CODE_128')).toMatchObject({ gtin: '14912345678901' });
+  expect(parseGs1('0114912345678901')).toBeNull();
+  expect(parseGs1('0114912345678901', 'QR_CODE')).toBeNull();
+});
+
+test('ignores plain GTIN and JAN codes', () => {
+  expect(parseGs1('4912345678904')).toBeNull();
+  expect(parseGs1('14912345678901')).toBeNull();
+  expect(parseGs1('https://example.com/')).toBeNull();
+});
+
+test('converts GS1 dates', () => {
+  expect(gs1DateToIso('240229')).toBe('2024-02-29');
+  expect(gs1DateToIso('240200')).toBe('2024-02-29');
+  expect(gs1DateToIso('241301')).toBe('');
+});
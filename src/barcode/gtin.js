@@ -0,0 +1,123 @@
+// GTIN (JAN/EAN/UPC/ITF-14) のチェックデジット計算と正規化
+// 内部では GTIN-14 に揃え、画面表示・検索には JANコード形式 (EAN-13 / EAN-8) を使う
+
+export const BARCODE_TYPES = {
+  EAN_13: 'EAN-13',
+  EAN_8: 'EAN-8',
+  UPC_A: 'UPC-A',
+  UPC_E: 'UPC-E',
+  GTIN_14: 'GTIN-14'
+};
+
+// チェックデジットを除いた桁から、モジュラス10・ウェイト3-1でチェックデジットを求める
+export const calculateCheckDigit = (body) => {
+  const sum = body
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// 8/12/13/14桁の数字で、末尾のチェックデジットが正しいか
+export const isValidCheckDigit = (code) => {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) {
+    return false;
+  }
+  return calculateCheckDigit(code.slice(0, -1)) === code.slice(-1);
+};
+
+// UPC-E (8桁: ナンバーシステム + 6桁 + チェックデジット) を UPC-A (12桁) に展開
+export const expandUpcE = (upcE) => {
+  const [numberSystem, d1, d2, d3, d4, d5, d6, check] = upcE.split('');
+  let body;
+  switch (d6) {
+    case '0':
+    case '1':
+    case '2':
+      body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+      break;
+    case '3':
+      body = `${d1}${d2}${d3}00000${d4}${d5}`;
+      break;
+    case '4':
+      body = `${d1}${d2}${d3}${d4}00000${d5}`;
+      break;
+    default:
+      body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  }
+  return `${numberSystem}${body}${check}`;
+};
+
+const isUpcE = (code) => /^[01]\d{7}$/.test(code) && isValidCheckDigit(expandUpcE(code));
+
+// GTIN-14 を JANコード形式 (EAN-8 / EAN-13 / GTIN-14) に戻す
+export const toJanCode = (gtin14) => {
+  if (gtin14.startsWith('000000')) {
+    return gtin14.slice(6);
+  }
+  return gtin14.startsWith('0') ? gtin14.slice(1) : gtin14;
+};
+
+// インストアコード (02 / 20〜29 で始まる EAN-13、2 で始まる EAN-8)
+export const isInStoreCode = (janCode) => (
+  (janCode.length === 13 && /^(02|2\d)/.test(janCode)) || (janCode.length === 8 && janCode.startsWith('2'))
+);
+
+const invalid = (raw, error) => ({ valid: false, raw, error });
+
+// バーコード文字列を検証・正規化する
+// formatHint: スキャナーが報告した形式 (8桁の EAN-8 / UPC-E の判別に使用)
+// 戻り値: { valid, raw, type, gtin14, janCode, inStore } または { valid: false, raw, error }
+export const normalizeBarcode = (raw, formatHint = null) => {
+  const code = String(raw).replace(/[\s-]/g, '');
+
+  if (!/^\d+$/.test(code)) {
+    return invalid(raw, '数字以外の文字が含まれています');
+  }
+
+  let type;
+  let gtin14;
+  switch (code.length) {
+    case 8:
+      // 日本では JAN短縮 (EAN-8) が一般的なため、形式の指定がなければ EAN-8 を優先
+      if (formatHint !== BARCODE_TYPES.UPC_E && isValidCheckDigit(code)) {
+        type = BARCODE_TYPES.EAN_8;
+        gtin14 = code.padStart(14, '0');
+      } else if (isUpcE(code)) {
+        type = BARCODE_TYPES.UPC_E;
+        gtin14 = expandUpcE(code).padStart(14, '0');
+      }
+      break;
+    case 12:
+      type = BARCODE_TYPES.UPC_A;
+      gtin14 = code.padStart(14, '0');
+      break;
+    case 13:
+      type = BARCODE_TYPES.EAN_13;
+      gtin14 = code.padStart(14, '0');
+      break;
+    case 14:
+      type = BARCODE_TYPES.GTIN_14;
+      gtin14 = code;
+      break;
+    default:
+      return invalid(raw, `桁数が正しくありません (${code.length}桁)。8・12・13・14桁のいずれかです`);
+  }
+
+  if (!gtin14 || !isValidCheckDigit(gtin14)) {
+    const expected = formatHint === BARCODE_TYPES.UPC_E && code.length === 8
+      ? calculateCheckDigit(expandUpcE(code).slice(0, -1))
+      : calculateCheckDigit(code.slice(0, -1));
+    return invalid(raw, `チェックデジットが正しくありません (末尾は ${expected} のはずです)`);
+  }
+
+  const janCode = toJanCode(gtin14);
+  return {
+    valid: true,
+    raw,
+    type,
+    gtin14,
+    janCode,
+    inStore: isInStoreCode(janCode)
+  };
+};
@@ -0,0 +1,41 @@
+import { normalizeBarcode, expandUpcE, calculateCheckDigit, BARCODE_TYPES } from './gtin';
+
+test('calculates modulus 10 check digits', () => {
+  expect(calculateCheckDigit('490123456789')).toBe('4');
+  expect(calculateCheckDigit('4901234')).toBe('7');
+});
+
+test('expands UPC-E to UPC-A', () => {
+  expect(expandUpcE('04252614')).toBe('042100005264');
+  expect(expandUpcE('01234558')).toBe('012345000058');
+});
+
+test('canonicalizes UPC-A, UPC-E and EAN-13 variants to the same code', () => {
+  const upcA = normalizeBarcode('042100005264');
+  const ean13 = normalizeBarcode('0042100005264');
+  const upcE = normalizeBarcode('04252614', BARCODE_TYPES.UPC_E);
+
+  expect(upcA.gtin14).toBe('00042100005264');
+  expect(ean13.gtin14).toBe(upcA.gtin14);
+  expect(upcE.gtin14).toBe(upcA.gtin14);
+  expect(upcE.type).toBe(BARCODE_TYPES.UPC_E);
+  expect(upcA.janCode).toBe('0042100005264');
+});
+
+test('keeps EAN-8 short codes as 8 digits', () => {
+  const result = normalizeBarcode('4901-2347');
+  expect(result).toMatchObject({ valid: true, type: BARCODE_TYPES.EAN_8, janCode: '49012347' });
+});
+
+test('rejects bad check digits and lengths with a message', () => {
+  expect(normalizeBarcode('4901234567890')).toMatchObject({ valid: false });
+  expect(normalizeBarcode('4901234567890').error).toContain('4');
+  expect(normalizeBarcode('12345').valid).toBe(false);
+  expect(normalizeBarcode('49O1234567894').valid).toBe(false);
+});
+
+test('detects Japanese in-store codes', () => {
+  expect(normalizeBarcode(`021234567890${calculateCheckDigit('021234567890')}`).inStore).toBe(true);
+  expect(normalizeBarcode(`250000101500${calculateCheckDigit('250000101500')}`).inStore).toBe(true);
+  expect(normalizeBarcode('4901234567894').inStore).toBe(false);
+});
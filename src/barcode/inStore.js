@@ -0,0 +1,99 @@
+import { calculateCheckDigit } from './gtin';
+
+// インストアマーキング (価格・重量埋め込み型) バーコードのテンプレート
+// 構成: プレフィックス + 品番 + [価格チェックデジット] + 値 + チェックデジット (合計13桁)
+
+export const VALUE_TYPES = {
+  PRICE: 'price',
+  WEIGHT: 'weight',
+  QUANTITY: 'quantity'
+};
+
+export const VALUE_TYPE_LABELS = {
+  [VALUE_TYPES.PRICE]: '価格 (円)',
+  [VALUE_TYPES.WEIGHT]: '重量 (g)',
+  [VALUE_TYPES.QUANTITY]: '数量'
+};
+
+const CODE_LENGTH = 13;
+
+export const DEFAULT_IN_STORE_TEMPLATES = [
+  { id: 'price-02', name: '価格埋め込み (02)', prefix: '02', itemDigits: 5, priceCheckDigit: false, valueType: VALUE_TYPES.PRICE, valueDigits: 5 },
+  { id: 'price-20', name: '価格埋め込み (20・価格CD付き)', prefix: '20', itemDigits: 5, priceCheckDigit: true, valueType: VALUE_TYPES.PRICE, valueDigits: 4 },
+  { id: 'weight-21', name: '重量埋め込み (21)', prefix: '21', itemDigits: 5, priceCheckDigit: false, valueType: VALUE_TYPES.WEIGHT, valueDigits: 5 }
+];
+
+const STORAGE_KEY = 'inStoreTemplates';
+
+export const loadInStoreTemplates = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('インストアコード設定の読み込みに失敗:', error);
+  }
+  return DEFAULT_IN_STORE_TEMPLATES;
+};
+
+export const saveInStoreTemplates = (templates) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+};
+
+// テンプレートの桁数が13桁に収まっているか (問題があればエラーメッセージ)
+export const validateTemplate = (template) => {
+  if (!/^\d{1,3}$/.test(template.prefix)) {
+    return 'プレフィックスは1〜3桁の数字で指定してください';
+  }
+  const total = template.prefix.length + template.itemDigits
+    + (template.priceCheckDigit ? 1 : 0) + template.valueDigits + 1;
+  if (total !== CODE_LENGTH) {
+    return `合計が${total}桁です。チェックデジットを含めて${CODE_LENGTH}桁になるようにしてください`;
+  }
+  return null;
+};
+
+// 値の部分を0にしたコード (同じ品番の商品をまとめるための基準コード)
+const baseCodeFor = (template, itemCode) => {
+  const valueLength = (template.priceCheckDigit ? 1 : 0) + template.valueDigits;
+  const body = `${template.prefix}${itemCode}${'0'.repeat(valueLength)}`;
+  return `${body}${calculateCheckDigit(body)}`;
+};
+
+// テンプレートに一致すれば品番・値・基準コードを取り出す
+// 価格チェックデジットは桁位置のみ考慮し、検証は行わない
+export const parseInStoreCode = (janCode, templates) => {
+  if (janCode.length !== CODE_LENGTH) {
+    return null;
+  }
+
+  const template = templates.find(t => !validateTemplate(t) && janCode.startsWith(t.prefix));
+  if (!template) {
+    return null;
+  }
+
+  const itemStart = template.prefix.length;
+  const itemCode = janCode.slice(itemStart, itemStart + template.itemDigits);
+  const valueStart = itemStart + template.itemDigits + (template.priceCheckDigit ? 1 : 0);
+  const value = Number(janCode.slice(valueStart, valueStart + template.valueDigits));
+
+  return {
+    template,
+    itemCode,
+    value,
+    baseJanCode: baseCodeFor(template, itemCode)
+  };
+};
+
+// 解析結果から商品情報の項目を作る (価格・重量・数量のうちテンプレートの値だけを埋める)
+export const inStoreFields = (rawCode, parsed) => {
+  const { template, value, baseJanCode } = parsed;
+  return {
+    janCode: baseJanCode,
+    inStoreCode: rawCode,
+    ...(template.valueType === VALUE_TYPES.PRICE ? { price: value } : {}),
+    weight: template.valueType === VALUE_TYPES.WEIGHT ? value : '',
+    quantity: template.valueType === VALUE_TYPES.QUANTITY ? value : 1
+  };
+};
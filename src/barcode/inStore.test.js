@@ -0,0 +1,34 @@
+import { parseInStoreCode, validateTemplate, DEFAULT_IN_STORE_TEMPLATES, VALUE_TYPES } from './inStore';
+import { calculateCheckDigit } from './gtin';
+
+const withCheckDigit = (body) => `${body}${calculateCheckDigit(body)}`;
+
+test('default templates fit in 13 digits', () => {
+  DEFAULT_IN_STORE_TEMPLATES.forEach(template => expect(validateTemplate(template)).toBeNull());
+  expect(validateTemplate({ prefix: '02', itemDigits: 6, priceCheckDigit: false, valueDigits: 5 })).not.toBeNull();
+});
+
+test('extracts an embedded price and groups by the base item code', () => {
+  const first = parseInStoreCode(withCheckDigit('021234500398'), DEFAULT_IN_STORE_TEMPLATES);
+  const second = parseInStoreCode(withCheckDigit('021234501280'), DEFAULT_IN_STORE_TEMPLATES);
+
+  expect(first).toMatchObject({ itemCode: '12345', value: 398 });
+  expect(first.template.valueType).toBe(VALUE_TYPES.PRICE);
+  expect(first.baseJanCode).toBe(second.baseJanCode);
+  expect(first.baseJanCode).toBe(withCheckDigit('021234500000'));
+});
+
+test('skips the price check digit position', () => {
+  const parsed = parseInStoreCode(withCheckDigit('201234571980'), DEFAULT_IN_STORE_TEMPLATES);
+  expect(parsed).toMatchObject({ itemCode: '12345', value: 1980 });
+});
+
+test('extracts an embedded weight', () => {
+  const parsed = parseInStoreCode(withCheckDigit('215432100250'), DEFAULT_IN_STORE_TEMPLATES);
+  expect(parsed.template.valueType).toBe(VALUE_TYPES.WEIGHT);
+  expect(parsed.value).toBe(250);
+});
+
+test('returns null for codes without a matching template', () => {
+  expect(parseInStoreCode('4901234567894', DEFAULT_IN_STORE_TEMPLATES)).toBeNull();
+});
@@ -0,0 +1,52 @@
+// カメラで読み取るバーコードの種類 (html5-qrcode の Html5QrcodeSupportedFormats のキー名)
+
+// detector: ブラウザ内蔵の BarcodeDetector での形式名 (null は非対応)
+export const SYMBOLOGIES = [
+  { id: 'EAN_13', label: 'JAN (EAN-13)', detector: 'ean_13' },
+  { id: 'EAN_8', label: 'JAN短縮 (EAN-8)', detector: 'ean_8' },
+  { id: 'UPC_A', label: 'UPC-A', detector: 'upc_a' },
+  { id: 'UPC_E', label: 'UPC-E', detector: 'upc_e' },
+  { id: 'ITF', label: 'ITF-14 (集合包装)', detector: 'itf' },
+  { id: 'CODE_128', label: 'Code128 / GS1-128', detector: 'code_128' },
+  { id: 'DATA_MATRIX', label: 'GS1 DataMatrix', detector: 'data_matrix' },
+  { id: 'QR_CODE', label: 'QRコード', detector: 'qr_code' },
+  { id: 'RSS_14', label: 'GS1 データバー', detector: null },
+  { id: 'RSS_EXPANDED', label: 'GS1 データバー拡張', detector: null }
+];
+
+export const DEFAULT_SYMBOLOGIES = ['EAN_13', 'EAN_8', 'UPC_A', 'UPC_E'];
+
+const STORAGE_KEY = 'scanSymbologies';
+
+export const loadSymbologies = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length > 0) {
+      return saved.filter(id => SYMBOLOGIES.some(symbology => symbology.id === id));
+    }
+  } catch (error) {
+    console.warn('バーコード種類の設定の読み込みに失敗:', error);
+  }
+  return DEFAULT_SYMBOLOGIES;
+};
+
+export const saveSymbologies = (ids) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+};
+
+// 設定をスキャナーライブラリの形式定数に変換 (ライブラリが対応していないものは除く)
+export const toScannerFormats = (ids, supportedFormats) => ids
+  .map(id => supportedFormats[id])
+  .filter(format => format !== undefined);
+
+// BarcodeDetector の形式名に変換 (非対応の種類は null)
+export const toDetectorFormat = (id) => {
+  const symbology = SYMBOLOGIES.find(item => item.id === id);
+  return symbology ? symbology.detector : null;
+};
+
+// BarcodeDetector の形式名から設定の種類 (html5-qrcode のキー名) に戻す
+export const fromDetectorFormat = (format) => {
+  const symbology = SYMBOLOGIES.find(item => item.detector === format);
+  return symbology ? symbology.id : null;
+};
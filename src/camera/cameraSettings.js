@@ -0,0 +1,61 @@
+// カメラの選択とスキャン設定 (端末ごとに localStorage へ保存)
+// deviceId は再起動や権限の再付与で変わることがあるため、ラベルでも照合する
+
+const STORAGE_KEY = 'cameraSettings';
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: '',
+  deviceLabel: '',
+  fps: 10,
+  regionWidth: 250,
+  regionHeight: 150
+};
+
+// スキャン枠の大きさの範囲 (ライブラリは 50px 未満を受け付けない)
+export const REGION_LIMITS = { min: 100, max: 400 };
+export const FPS_LIMITS = { min: 1, max: 30 };
+
+export const loadCameraSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) {
+      return { ...DEFAULT_CAMERA_SETTINGS, ...saved };
+    }
+  } catch (error) {
+    console.warn('カメラ設定の読み込みに失敗:', error);
+  }
+  return DEFAULT_CAMERA_SETTINGS;
+};
+
+export const saveCameraSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+export const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// 保存したカメラを一覧から探す (見つからなければ null)
+export const findSavedCamera = (cameras, settings) => (
+  cameras.find(camera => settings.deviceId && camera.id === settings.deviceId)
+  || cameras.find(camera => settings.deviceLabel && camera.label === settings.deviceLabel)
+  || null
+);
+
+// 実行中のトラックで使える機能 (MediaTrackCapabilities から判定)
+// 戻り値: { torch, zoom: { min, max, step } | null, focusMode: タップ時に使うフォーカスモード | null }
+export const getTrackFeatures = (capabilities = {}) => {
+  const focusModes = capabilities.focusMode || [];
+  let focusMode = null;
+  if (focusModes.includes('single-shot')) {
+    focusMode = 'single-shot';
+  } else if (focusModes.includes('continuous')) {
+    focusMode = 'continuous';
+  }
+
+  return {
+    torch: Boolean(capabilities.torch),
+    zoom: capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+      ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1 }
+      : null,
+    focusMode
+  };
+};
@@ -0,0 +1,27 @@
+import { findSavedCamera, getTrackFeatures, clamp, REGION_LIMITS } from './cameraSettings';
+
+const cameras = [
+  { id: 'a', label: 'Back Ultra Wide Camera' },
+  { id: 'b', label: 'Back Camera' }
+];
+
+test('finds the saved camera by id, then by label', () => {
+  expect(findSavedCamera(cameras, { deviceId: 'b', deviceLabel: '' })).toBe(cameras[1]);
+  expect(findSavedCamera(cameras, { deviceId: 'gone', deviceLabel: 'Back Camera' })).toBe(cameras[1]);
+  expect(findSavedCamera(cameras, { deviceId: '', deviceLabel: '' })).toBeNull();
+});
+
+test('detects torch, zoom and focus support', () => {
+  expect(getTrackFeatures({
+    torch: true,
+    zoom: { min: 1, max: 5, step: 0.5 },
+    focusMode: ['manual', 'single-shot', 'continuous']
+  })).toEqual({ torch: true, zoom: { min: 1, max: 5, step: 0.5 }, focusMode: 'single-shot' });
+
+  expect(getTrackFeatures({ zoom: { min: 1, max: 1 } })).toEqual({ torch: false, zoom: null, focusMode: null });
+});
+
+test('clamps the scan region size', () => {
+  expect(clamp(20, REGION_LIMITS)).toBe(100);
+  expect(clamp(999, REGION_LIMITS)).toBe(400);
+});
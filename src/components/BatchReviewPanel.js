@@ -0,0 +1,147 @@
+import React from 'react';
+import { BATCH_STATUS } from '../inventory/batchQueue';
+import { PACK_UNITS, PACK_UNIT_LABELS } from '../inventory/packSizes';
+
+const STATUS_BADGES = {
+  [BATCH_STATUS.LOOKING_UP]: { label: '検索中', className: 'bg-blue-100 text-blue-800' },
+  [BATCH_STATUS.NOT_FOUND]: { label: '該当なし', className: 'bg-yellow-100 text-yellow-800' },
+  [BATCH_STATUS.ERROR]: { label: 'エラー', className: 'bg-red-100 text-red-800' }
+};
+
+const cellInput = 'p-1 border border-gray-300 rounded text-sm';
+
+// 確認待ちの1行 (商品名・数量・売価・期限・ロットを編集)
+const BatchEntryRow = ({ entry, onChange, onRemove }) => {
+  const badge = STATUS_BADGES[entry.status];
+  return (
+    <li className="p-2">
+      <div className="flex items-center mb-1">
+        <input
+          type="text"
+          value={entry.productName}
+          onChange={(e) => onChange({ productName: e.target.value, namePending: false })}
+          placeholder={entry.status === BATCH_STATUS.LOOKING_UP ? '検索中...' : '商品名を入力'}
+          className={`flex-1 ${cellInput}`}
+        />
+        <button onClick={onRemove} className="ml-2 text-red-500 hover:text-red-700 text-sm">削除</button>
+      </div>
+      <p className="text-xs text-gray-500 mb-1">
+        JAN: {entry.janCode}
+        {badge && <span className={`ml-1 px-1 rounded ${badge.className}`}>{badge.label}</span>}
+        {entry.namePending && <span className="ml-1 px-1 rounded bg-yellow-100 text-yellow-800">名称取得待ち</span>}
+        {entry.barcodeWarning && <span className="ml-1 px-1 rounded bg-yellow-100 text-yellow-800">要確認</span>}
+      </p>
+      <div className="flex flex-wrap items-center gap-1 text-xs text-gray-700">
+        <input
+          type="number"
+          min="1"
+          value={entry.quantity}
+          onChange={(e) => onChange({ quantity: parseInt(e.target.value) || 1 })}
+          className={`w-16 ${cellInput}`}
+        />
+        <span>{PACK_UNIT_LABELS[entry.packUnit || PACK_UNITS.PIECE]}</span>
+        {entry.packUnit && entry.packUnit !== PACK_UNITS.PIECE && (
+          <>
+            <span>× 入数</span>
+            <input
+              type="number"
+              min="1"
+              value={entry.packSize}
+              onChange={(e) => onChange({ packSize: parseInt(e.target.value) || '' })}
+              className={`w-14 ${cellInput} ${entry.packSize > 0 ? '' : 'border-red-400'}`}
+            />
+          </>
+        )}
+        <input
+          type="number"
+          min="0"
+          value={entry.price}
+          onChange={(e) => onChange({ price: parseInt(e.target.value) || 0 })}
+          className={`w-20 ${cellInput}`}
+          aria-label="売価"
+        />
+        <span>円</span>
+        <input
+          type="date"
+          value={entry.expiryDate}
+          onChange={(e) => onChange({ expiryDate: e.target.value })}
+          className={cellInput}
+          aria-label="消費期限"
+        />
+        <input
+          type="text"
+          value={entry.lot}
+          onChange={(e) => onChange({ lot: e.target.value })}
+          placeholder="ロット"
+          className={`w-20 ${cellInput}`}
+        />
+      </div>
+    </li>
+  );
+};
+
+// 連続スキャンの確認待ちリスト (確認・編集・まとめ・一括登録)
+const BatchReviewPanel = ({ entries, onChange, onRemove, onMerge, onRetry, onCommit, onClear }) => {
+  const lookingUp = entries.filter(entry => entry.status === BATCH_STATUS.LOOKING_UP).length;
+  const errors = entries.filter(entry => entry.status === BATCH_STATUS.ERROR).length;
+  const missingPackSize = entries.some(entry => entry.packUnit && entry.packUnit !== PACK_UNITS.PIECE && !(entry.packSize > 0));
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm border border-blue-300 mb-3">
+      <div className="flex justify-between items-center mb-2 border-b pb-2">
+        <h2 className="font-bold text-gray-800">確認待ち ({entries.length}件)</h2>
+        {lookingUp > 0 && <span className="text-xs text-blue-600">{lookingUp}件を検索中...</span>}
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="p-4 text-center text-gray-500 text-sm">
+          スキャンした商品がここに追加されます。カメラを起動したまま続けて読み取ってください。
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto mb-3">
+          {[...entries].reverse().map(entry => (
+            <BatchEntryRow
+              key={entry.id}
+              entry={entry}
+              onChange={(changes) => onChange(entry.id, changes)}
+              onRemove={() => onRemove(entry.id)}
+            />
+          ))}
+        </ul>
+      )}
+
+      {missingPackSize && <p className="mb-2 text-xs text-red-500">ケース・ボールの入数を入力してください</p>}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={onCommit}
+          disabled={entries.length === 0 || lookingUp > 0 || missingPackSize}
+          className="flex-1 p-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-bold transition-colors duration-200 shadow-sm disabled:opacity-50"
+        >
+          {entries.length}件を一括登録
+        </button>
+        <button
+          onClick={onMerge}
+          disabled={entries.length < 2}
+          className="p-3 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm disabled:opacity-50"
+        >
+          同じ商品をまとめる
+        </button>
+        {errors > 0 && (
+          <button onClick={onRetry} className="p-3 bg-yellow-500 hover:bg-yellow-600 text-white rounded-lg text-sm">
+            エラー{errors}件を再検索
+          </button>
+        )}
+        <button
+          onClick={onClear}
+          disabled={entries.length === 0}
+          className="p-3 bg-gray-500 hover:bg-gray-600 text-white rounded-lg text-sm disabled:opacity-50"
+        >
+          すべて破棄
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BatchReviewPanel;
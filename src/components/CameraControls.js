@@ -0,0 +1,114 @@
+import React from 'react';
+import { REGION_LIMITS, FPS_LIMITS, clamp } from '../camera/cameraSettings';
+
+const numberInput = 'w-16 p-1 border rounded';
+
+// カメラの選択・ライト・ズームとスキャン設定
+// ライト・ズームは端末が対応している場合のみ表示する
+const CameraControls = ({
+  cameras,
+  selectedCameraId,
+  onSelectCamera,
+  features,
+  torchOn,
+  onToggleTorch,
+  zoom,
+  onZoomChange,
+  settings,
+  onSettingsChange
+}) => (
+  <div className="mb-3 bg-white p-3 rounded-lg shadow-sm text-sm space-y-2">
+    {cameras.length > 1 && (
+      <label className="flex items-center">
+        <span className="font-bold text-gray-700 mr-2">カメラ</span>
+        <select
+          value={selectedCameraId}
+          onChange={(e) => onSelectCamera(cameras.find(camera => camera.id === e.target.value))}
+          className="flex-1 p-1 border rounded"
+        >
+          {!selectedCameraId && <option value="">自動 (背面カメラ)</option>}
+          {cameras.map((camera, index) => (
+            <option key={camera.id} value={camera.id}>{camera.label || `カメラ ${index + 1}`}</option>
+          ))}
+        </select>
+      </label>
+    )}
+
+    {features && (features.torch || features.zoom) && (
+      <div className="flex items-center space-x-3">
+        {features.torch && (
+          <button
+            onClick={onToggleTorch}
+            className={`px-3 py-1 rounded ${torchOn ? 'bg-yellow-400 text-black' : 'bg-gray-200 text-gray-700'}`}
+          >
+            ライト {torchOn ? 'ON' : 'OFF'}
+          </button>
+        )}
+        {features.zoom && (
+          <label className="flex items-center flex-1">
+            <span className="text-gray-700 mr-2">ズーム</span>
+            <input
+              type="range"
+              min={features.zoom.min}
+              max={features.zoom.max}
+              step={features.zoom.step}
+              value={zoom}
+              onChange={(e) => onZoomChange(parseFloat(e.target.value))}
+              className="flex-1"
+            />
+            <span className="ml-2 w-10 text-right text-gray-600">×{Number(zoom).toFixed(1)}</span>
+          </label>
+        )}
+      </div>
+    )}
+    {features && features.focusMode && (
+      <p className="text-xs text-gray-500">映像をタップするとその位置にピントを合わせます</p>
+    )}
+
+    <details>
+      <summary className="cursor-pointer text-gray-600">スキャン設定</summary>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-gray-700">
+        <label className="flex items-center">
+          読み取り回数
+          <input
+            type="number"
+            min={FPS_LIMITS.min}
+            max={FPS_LIMITS.max}
+            value={settings.fps}
+            onChange={(e) => onSettingsChange({ fps: clamp(parseInt(e.target.value) || FPS_LIMITS.min, FPS_LIMITS) })}
+            className={`${numberInput} mx-1`}
+          />
+          回/秒
+        </label>
+        <label className="flex items-center">
+          スキャン枠
+          <input
+            type="number"
+            min={REGION_LIMITS.min}
+            max={REGION_LIMITS.max}
+            step="10"
+            value={settings.regionWidth}
+            onChange={(e) => onSettingsChange({ regionWidth: parseInt(e.target.value) || REGION_LIMITS.min })}
+            className={`${numberInput} mx-1`}
+            aria-label="スキャン枠の幅"
+          />
+          ×
+          <input
+            type="number"
+            min={REGION_LIMITS.min}
+            max={REGION_LIMITS.max}
+            step="10"
+            value={settings.regionHeight}
+            onChange={(e) => onSettingsChange({ regionHeight: parseInt(e.target.value) || REGION_LIMITS.min })}
+            className={`${numberInput} mx-1`}
+            aria-label="スキャン枠の高さ"
+          />
+          px
+        </label>
+      </div>
+      <p className="mt-1 text-xs text-gray-500">変更はカメラの再起動後に反映されます</p>
+    </details>
+  </div>
+);
+
+export default CameraControls;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { EXPIRY_BUCKETS, BUCKET_LABELS, summarizeExpiry } from '../expiry/expiryAlerts';
+
+const BUCKET_STYLES = {
+  [EXPIRY_BUCKETS.EXPIRED]: 'bg-red-100 text-red-800 border-red-300',
+  [EXPIRY_BUCKETS.WARNING]: 'bg-orange-100 text-orange-800 border-orange-300',
+  [EXPIRY_BUCKETS.CAUTION]: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  [EXPIRY_BUCKETS.OK]: 'bg-green-100 text-green-800 border-green-300',
+  [EXPIRY_BUCKETS.NONE]: 'bg-gray-100 text-gray-700 border-gray-300'
+};
+
+const ALERT_BUCKETS = [EXPIRY_BUCKETS.EXPIRED, EXPIRY_BUCKETS.WARNING, EXPIRY_BUCKETS.CAUTION];
+
+const formatYen = (value) => `${Math.round(value).toLocaleString()}円`;
+
+const formatDaysLeft = (daysLeft) => {
+  if (daysLeft === null) {
+    return '';
+  }
+  if (daysLeft < 0) {
+    return `${-daysLeft}日超過`;
+  }
+  return daysLeft === 0 ? '本日まで' : `あと${daysLeft}日`;
+};
+
+// しきい値 (期限間近・要注意の日数) の入力欄
+const ThresholdInputs = ({ value, onChange }) => (
+  <span className="flex items-center space-x-1">
+    <input
+      type="number"
+      min="0"
+      value={value.warningDays}
+      onChange={(e) => onChange({ ...value, warningDays: Math.max(0, parseInt(e.target.value) || 0) })}
+      className="w-14 p-1 border rounded"
+    />
+    <span>日以内で期限間近 /</span>
+    <input
+      type="number"
+      min="0"
+      value={value.cautionDays}
+      onChange={(e) => onChange({ ...value, cautionDays: Math.max(0, parseInt(e.target.value) || 0) })}
+      className="w-14 p-1 border rounded"
+    />
+    <span>日以内で要注意</span>
+  </span>
+);
+
+// 期限アラートの設定 (全体 + カテゴリ別)
+const ThresholdSettings = ({ thresholds, onChange }) => {
+  const [newCategory, setNewCategory] = useState('');
+
+  const updateCategory = (category, value) => {
+    onChange({ ...thresholds, categories: { ...thresholds.categories, [category]: value } });
+  };
+
+  const removeCategory = (category) => {
+    const { [category]: removed, ...rest } = thresholds.categories;
+    onChange({ ...thresholds, categories: rest });
+  };
+
+  const addCategory = () => {
+    const category = newCategory.trim();
+    if (category && !thresholds.categories[category]) {
+      updateCategory(category, { ...thresholds.global });
+    }
+    setNewCategory('');
+  };
+
+  return (
+    <details className="mb-4 p-3 border rounded text-sm">
+      <summary className="font-bold cursor-pointer">アラート設定</summary>
+      <div className="mt-2 space-y-2">
+        <div className="flex flex-wrap items-center">
+          <span className="w-24 font-medium">全体</span>
+          <ThresholdInputs
+            value={thresholds.global}
+            onChange={(global) => onChange({ ...thresholds, global })}
+          />
+        </div>
+        {Object.entries(thresholds.categories).map(([category, value]) => (
+          <div key={category} className="flex flex-wrap items-center">
+            <span className="w-24 font-medium truncate">{category}</span>
+            <ThresholdInputs value={value} onChange={(changed) => updateCategory(category, changed)} />
+            <button onClick={() => removeCategory(category)} className="ml-2 text-red-500">削除</button>
+          </div>
+        ))}
+        <div className="flex">
+          <input
+            type="text"
+            value={newCategory}
+            onChange={(e) => setNewCategory(e.target.value)}
+            placeholder="カテゴリ名 (例: 乳製品)"
+            className="flex-1 p-1 border rounded-l"
+          />
+          <button onClick={addCategory} className="px-3 bg-blue-500 text-white rounded-r">カテゴリ追加</button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+// 消費期限アラートのダッシュボード
+const ExpiryDashboard = ({
+  products,
+  thresholds,
+  onThresholdsChange,
+  notificationsEnabled,
+  onNotificationsChange,
+  onClose
+}) => {
+  const [selectedBucket, setSelectedBucket] = useState(null);
+  const [sortAscending, setSortAscending] = useState(true);
+
+  const summary = summarizeExpiry(products, thresholds);
+  const atRiskValue = ALERT_BUCKETS.reduce((sum, bucket) => sum + summary.totals[bucket].value, 0);
+
+  const visibleItems = summary.items
+    .filter(item => (selectedBucket ? item.bucket === selectedBucket : ALERT_BUCKETS.includes(item.bucket)))
+    .sort((a, b) => {
+      const order = (a.line.expiryDate || '9999').localeCompare(b.line.expiryDate || '9999');
+      return sortAscending ? order : -order;
+    });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">消費期限アラート</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        <p className="mb-3 text-sm text-gray-700">
+          期限切れ・期限間近・要注意の売価合計: <span className="font-bold text-red-600">{formatYen(atRiskValue)}</span>
+        </p>
+
+        {/* バケット別の集計 (クリックで絞り込み) */}
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+          {[...ALERT_BUCKETS, EXPIRY_BUCKETS.OK].map(bucket => (
+            <button
+              key={bucket}
+              onClick={() => setSelectedBucket(selectedBucket === bucket ? null : bucket)}
+              className={`p-2 rounded border text-left ${BUCKET_STYLES[bucket]} ${
+                selectedBucket === bucket ? 'ring-2 ring-blue-500' : ''
+              }`}
+            >
+              <p className="text-xs">{BUCKET_LABELS[bucket]}</p>
+              <p className="font-bold">{summary.totals[bucket].count}件 / {summary.totals[bucket].quantity}個</p>
+              <p className="text-xs">{formatYen(summary.totals[bucket].value)}</p>
+            </button>
+          ))}
+        </div>
+
+        <ThresholdSettings thresholds={thresholds} onChange={onThresholdsChange} />
+
+        <label className="flex items-center mb-4 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={notificationsEnabled}
+            onChange={(e) => onNotificationsChange(e.target.checked)}
+            className="mr-2"
+          />
+          アプリ起動時に期限切れ・期限間近の商品を通知する
+        </label>
+
+        <div className="flex justify-between items-center mb-2 text-sm">
+          <span className="font-bold text-gray-800">
+            {selectedBucket ? BUCKET_LABELS[selectedBucket] : 'アラート対象'} ({visibleItems.length}件)
+          </span>
+          <button onClick={() => setSortAscending(!sortAscending)} className="text-blue-600 hover:underline">
+            消費期限 {sortAscending ? '▲ 早い順' : '▼ 遅い順'}
+          </button>
+        </div>
+
+        {visibleItems.length === 0 ? (
+          <p className="p-4 text-center text-gray-500 text-sm">該当する商品はありません</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border rounded">
+            {visibleItems.map(({ line, index, bucket, daysLeft }) => (
+              <li key={index} className="p-2 text-sm flex justify-between items-center">
+                <div className="truncate flex-1">
+                  <p className="font-medium text-gray-800 truncate">{line.productName || '(商品名未登録)'}</p>
+                  <p className="text-xs text-gray-500">
+                    JAN: {line.janCode}
+                    {line.category && ` | ${line.category}`}
+                    {line.lot && ` | ロット: ${line.lot}`}
+                  </p>
+                </div>
+                <div className="text-right ml-2">
+                  <p className={`text-xs px-1 rounded border inline-block ${BUCKET_STYLES[bucket]}`}>
+                    {line.expiryDate} {formatDaysLeft(daysLeft)}
+                  </p>
+                  <p className="text-xs text-gray-600">
+                    {line.quantity}個 × {line.price}円 = {formatYen(line.quantity * (Number(line.price) || 0))}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExpiryDashboard;
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import {
+  EXPORT_COLUMNS,
+  DATE_FORMAT_LABELS,
+  DELIMITER_LABELS,
+  ENCODING_LABELS,
+  buildExportRows,
+  selectExportLines
+} from '../export/csvExport';
+import { serializeCsv } from '../csv/writeCsv';
+import { flattenLocations } from '../locations/locations';
+
+const PREVIEW_ROWS = 3;
+
+// CSV出力の設定ダイアログ (列の選択・並び順・区切り文字・文字コード・日時形式・保管場所・担当者)
+// operators: 担当者の絞り込みの選択肢 [{ id, name }]
+const ExportDialog = ({ products, packs, locations, operators, settings, onExport, onClose }) => {
+  // 削除された場所・選択肢にない担当者で絞り込む設定は解除する
+  const [draft, setDraft] = useState(() => ({
+    ...settings,
+    locationFilter: locations.some(location => location.id === settings.locationFilter) ? settings.locationFilter : '',
+    operatorFilter: operators.some(operator => operator.id === settings.operatorFilter) ? settings.operatorFilter : ''
+  }));
+
+  const updateColumn = (index, enabled) => {
+    setDraft({
+      ...draft,
+      columns: draft.columns.map((column, i) => (i === index ? { ...column, enabled } : column))
+    });
+  };
+
+  // 並び替え (direction: -1 で上へ、1 で下へ)
+  const moveColumn = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= draft.columns.length) {
+      return;
+    }
+    const columns = [...draft.columns];
+    [columns[index], columns[target]] = [columns[target], columns[index]];
+    setDraft({ ...draft, columns });
+  };
+
+  const select = (key, labels) => (
+    <select
+      value={draft[key]}
+      onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+      className="w-full p-1 border rounded"
+    >
+      {Object.entries(labels).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+  );
+
+  const hasColumns = draft.columns.some(column => column.enabled);
+  const lineCount = selectExportLines(products, draft, locations).length;
+  const preview = hasColumns
+    ? serializeCsv(buildExportRows(products, draft, packs, locations).slice(0, PREVIEW_ROWS + 1), draft.delimiter)
+    : '';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-lg w-full max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold mb-4">CSVエクスポート ({lineCount}件)</h3>
+
+        <h4 className="font-bold text-sm mb-1">出力する列</h4>
+        <ol className="mb-4 border rounded divide-y text-sm">
+          {draft.columns.map((column, index) => (
+            <li key={column.key} className="flex items-center justify-between p-1">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={column.enabled}
+                  onChange={(e) => updateColumn(index, e.target.checked)}
+                  className="mr-2"
+                />
+                {EXPORT_COLUMNS[column.key].label}
+              </label>
+              <div className="flex space-x-1">
+                <button
+                  onClick={() => moveColumn(index, -1)}
+                  disabled={index === 0}
+                  className="px-2 bg-gray-200 rounded disabled:opacity-30"
+                  aria-label="上へ"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => moveColumn(index, 1)}
+                  disabled={index === draft.columns.length - 1}
+                  className="px-2 bg-gray-200 rounded disabled:opacity-30"
+                  aria-label="下へ"
+                >
+                  ↓
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+
+        <div className="grid grid-cols-1 gap-2 mb-4 text-sm">
+          <label className="block text-gray-700">区切り文字{select('delimiter', DELIMITER_LABELS)}</label>
+          <label className="block text-gray-700">文字コード{select('encoding', ENCODING_LABELS)}</label>
+          <label className="block text-gray-700">スキャン日時の形式{select('dateFormat', DATE_FORMAT_LABELS)}</label>
+          {locations.length > 0 && (
+            <>
+              <label className="block text-gray-700">
+                保管場所
+                <select
+                  value={draft.locationFilter}
+                  onChange={(e) => setDraft({ ...draft, locationFilter: e.target.value })}
+                  className="w-full p-1 border rounded"
+                >
+                  <option value="">すべて</option>
+                  {flattenLocations(locations).map(({ location, depth }) => (
+                    <option key={location.id} value={location.id}>{'　'.repeat(depth)}{location.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={draft.groupByLocation}
+                  onChange={(e) => setDraft({ ...draft, groupByLocation: e.target.checked })}
+                  className="mr-2"
+                />
+                保管場所ごとにまとめて出力
+              </label>
+            </>
+          )}
+          {operators.length > 0 && (
+            <label className="block text-gray-700">
+              担当者
+              <select
+                value={draft.operatorFilter}
+                onChange={(e) => setDraft({ ...draft, operatorFilter: e.target.value })}
+                className="w-full p-1 border rounded"
+              >
+                <option value="">すべて</option>
+                {operators.map(operator => (
+                  <option key={operator.id} value={operator.id}>{operator.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        {preview && (
+          <pre className="mb-4 p-2 bg-gray-100 rounded text-xs overflow-x-auto whitespace-pre">{preview}</pre>
+        )}
+
+        <div className="flex justify-end">
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded mr-2">キャンセル</button>
+          <button
+            onClick={() => onExport(draft)}
+            disabled={!hasColumns || lineCount === 0}
+            className="p-2 bg-green-600 text-white rounded disabled:opacity-50"
+          >
+            エクスポート
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { decodeImageFile } from '../scanner';
+
+const IMAGE_STATUS = {
+  DECODING: 'decoding',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+let sequence = 0;
+
+// 画像・写真からバーコードを読み取るダイアログ (ファイル選択・貼り付け・ドラッグ&ドロップ)
+// 読み取ったすべての画像のコードをまとめて onAdd に渡す
+const ImageScanDialog = ({ formats, onAdd, onClose }) => {
+  const [images, setImages] = useState([]);
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+
+  const updateImage = (id, changes) => {
+    setImages(prev => prev.map(image => (image.id === id ? { ...image, ...changes } : image)));
+  };
+
+  const decodeFiles = (files) => {
+    const added = files
+      .filter(file => file.type.startsWith('image/'))
+      .map(file => ({
+        id: sequence++,
+        name: file.name || '貼り付けた画像',
+        url: URL.createObjectURL(file),
+        file,
+        status: IMAGE_STATUS.DECODING,
+        results: [],
+        error: null
+      }));
+    setImages(prev => [...prev, ...added]);
+
+    // 1枚ずつ順番に読み取る (端末の負荷を抑えるため)
+    added.reduce((previous, image) => previous.then(async () => {
+      try {
+        const results = await decodeImageFile(image.file, formats);
+        updateImage(image.id, results.length > 0
+          ? { status: IMAGE_STATUS.DONE, results }
+          : { status: IMAGE_STATUS.FAILED, error: 'バーコードが見つかりませんでした' });
+      } catch (error) {
+        console.error('画像の読み取りエラー:', error);
+        updateImage(image.id, { status: IMAGE_STATUS.FAILED, error: `読み取りに失敗しました: ${error.message}` });
+      }
+    }), Promise.resolve());
+  };
+
+  // クリップボードからの貼り付け (登録し直さずに最新の decodeFiles を呼ぶ)
+  const decodeFilesRef = useRef(decodeFiles);
+  decodeFilesRef.current = decodeFiles;
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = [...(e.clipboardData ? e.clipboardData.files : [])];
+      if (files.length > 0) {
+        e.preventDefault();
+        decodeFilesRef.current(files);
+      }
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, []);
+
+  // 閉じるときにプレビュー用の URL を解放
+  useEffect(() => () => imagesRef.current.forEach(image => URL.revokeObjectURL(image.url)), []);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    decodeFiles([...e.dataTransfer.files]);
+  };
+
+  const decoded = images.flatMap(image => image.results);
+  const decoding = images.some(image => image.status === IMAGE_STATUS.DECODING);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">画像から読み取り</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        <div
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={handleDrop}
+          className="mb-4 p-4 border-2 border-dashed rounded text-center text-sm text-gray-600"
+        >
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={(e) => {
+              decodeFiles([...e.target.files]);
+              e.target.value = '';
+            }}
+            className="mb-2"
+          />
+          <p>画像を選択・ドラッグ&ドロップするか、Ctrl+V (⌘+V) で貼り付けてください</p>
+        </div>
+
+        {images.length > 0 && (
+          <ul className="mb-4 divide-y border rounded">
+            {images.map(image => (
+              <li key={image.id} className="p-2 flex text-sm">
+                <img src={image.url} alt={image.name} className="w-16 h-16 object-cover rounded mr-3" />
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-800 truncate">{image.name}</p>
+                  {image.status === IMAGE_STATUS.DECODING && <p className="text-xs text-blue-600">読み取り中...</p>}
+                  {image.status === IMAGE_STATUS.FAILED && <p className="text-xs text-red-500">{image.error}</p>}
+                  {image.results.map((result, index) => (
+                    <p key={index} className="text-xs text-gray-600 break-all">
+                      {result.text}
+                      {result.format && <span className="ml-1 text-gray-400">({result.format})</span>}
+                    </p>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <button
+          onClick={() => onAdd(decoded)}
+          disabled={decoded.length === 0 || decoding}
+          className="w-full p-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold disabled:opacity-50"
+        >
+          {decoded.length}件を確認待ちリストに追加
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImageScanDialog;
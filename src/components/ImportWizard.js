@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { readImportFile } from '../import/readImportFile';
+import {
+  IMPORT_FIELDS,
+  IMPORT_MODES,
+  CONFLICT_POLICIES,
+  autoMapColumns,
+  buildImportPlan,
+  applyImportPlan
+} from '../import/importPlan';
+
+const PREVIEW_LIMIT = 50;
+
+// 列番号からプレビュー用のラベルを作る
+const columnLabel = (rows, hasHeader, index) => (
+  hasHeader ? rows[0][index] || `列${index + 1}` : `列${index + 1} (${rows[0][index] || ''})`
+);
+
+// 取り込みプレビューの一覧 (件数が多い場合は先頭のみ表示)
+const PreviewList = ({ title, entries, className, render }) => {
+  if (entries.length === 0) {
+    return null;
+  }
+  return (
+    <details className={`mb-2 border rounded ${className}`} open={entries.length <= 10}>
+      <summary className="p-2 font-bold cursor-pointer text-sm">{title} ({entries.length}件)</summary>
+      <ul className="max-h-40 overflow-y-auto divide-y text-xs bg-white">
+        {entries.slice(0, PREVIEW_LIMIT).map((entry, index) => (
+          <li key={index} className="p-2">{render(entry)}</li>
+        ))}
+        {entries.length > PREVIEW_LIMIT && (
+          <li className="p-2 text-gray-500">他 {entries.length - PREVIEW_LIMIT} 件...</li>
+        )}
+      </ul>
+    </details>
+  );
+};
+
+const describeLine = (line) => (
+  `${line.janCode} ${line.productName || ''} ${line.quantity}個`
+  + `${line.expiryDate ? ` 期限${line.expiryDate}` : ''}${line.lot ? ` ロット${line.lot}` : ''}`
+);
+
+// CSV/Excel の取り込みウィザード (ファイル選択 → 列の対応付け → プレビュー)
+const ImportWizard = ({ products, onImport, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+  const [conflictPolicy, setConflictPolicy] = useState(CONFLICT_POLICIES.IMPORTED);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const loaded = await readImportFile(file);
+      if (loaded.length === 0) {
+        throw new Error('データがありません');
+      }
+      setFileName(file.name);
+      setRows(loaded);
+      setMapping(autoMapColumns(loaded[0]));
+      setError(null);
+    } catch (readError) {
+      console.error('取り込みファイル読み込みエラー:', readError);
+      setError(`ファイルを読み込めませんでした: ${readError.message}`);
+    }
+  };
+
+  const requiredMapped = IMPORT_FIELDS.filter(field => field.required).every(field => mapping[field.key] >= 0);
+  const plan = rows.length > 0 && requiredMapped ? buildImportPlan(rows, mapping, hasHeader, products) : null;
+  // 統合では変更のない行は取り込まない
+  const importCount = plan
+    ? plan.adds.length + plan.updates.length + plan.conflicts.length + (mode === IMPORT_MODES.REPLACE ? plan.unchanged.length : 0)
+    : 0;
+
+  const handleImport = () => {
+    if (mode === IMPORT_MODES.REPLACE
+      && !window.confirm(`現在の${products.length}件を削除し、${importCount}件で置き換えますか？`)) {
+      return;
+    }
+    onImport(applyImportPlan(products, plan, mode, conflictPolicy), {
+      fileName,
+      added: plan.adds.length,
+      updated: plan.updates.length + plan.conflicts.length,
+      skipped: plan.invalid.length
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">CSV / Excel 取り込み</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        {/* 1. ファイル選択 */}
+        <div className="mb-4">
+          <input type="file" accept=".csv,.tsv,.txt,.xlsx,.xls,.xlsm,.ods" onChange={handleFile} className="text-sm" />
+          {fileName && <p className="mt-1 text-xs text-gray-600">{fileName} ({rows.length}行)</p>}
+          {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+        </div>
+
+        {rows.length > 0 && (
+          <>
+            {/* 2. 列の対応付け */}
+            <div className="mb-4 p-3 border rounded text-sm">
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="font-bold">列の対応付け</h4>
+                <label className="flex items-center text-xs">
+                  <input
+                    type="checkbox"
+                    checked={hasHeader}
+                    onChange={(e) => setHasHeader(e.target.checked)}
+                    className="mr-1"
+                  />
+                  1行目はヘッダー
+                </label>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                {IMPORT_FIELDS.map(field => (
+                  <label key={field.key} className="block text-xs text-gray-700">
+                    {field.label}{field.required && <span className="text-red-500">*</span>}
+                    <select
+                      value={mapping[field.key]}
+                      onChange={(e) => setMapping({ ...mapping, [field.key]: Number(e.target.value) })}
+                      className="w-full p-1 border rounded"
+                    >
+                      <option value={-1}>(取り込まない)</option>
+                      {rows[0].map((_, index) => (
+                        <option key={index} value={index}>{columnLabel(rows, hasHeader, index)}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              {!requiredMapped && (
+                <p className="mt-2 text-xs text-red-500">JANコードと数量の列を指定してください</p>
+              )}
+            </div>
+
+            {/* 3. プレビュー */}
+            {plan && (
+              <div className="mb-4">
+                <h4 className="font-bold text-sm mb-2">プレビュー</h4>
+                <PreviewList
+                  title="追加"
+                  entries={plan.adds}
+                  className="border-green-300 bg-green-50"
+                  render={({ line }) => describeLine(line)}
+                />
+                <PreviewList
+                  title="更新"
+                  entries={plan.updates}
+                  className="border-blue-300 bg-blue-50"
+                  render={({ line }) => describeLine(line)}
+                />
+                <PreviewList
+                  title="競合 (数量が異なる)"
+                  entries={plan.conflicts}
+                  className="border-yellow-300 bg-yellow-50"
+                  render={({ line, current }) => `${describeLine(line)} (現在 ${current.quantity}個)`}
+                />
+                <PreviewList
+                  title="変更なし"
+                  entries={plan.unchanged}
+                  className="border-gray-300 bg-gray-50"
+                  render={({ line }) => describeLine(line)}
+                />
+                <PreviewList
+                  title="エラー (取り込まれません)"
+                  entries={plan.invalid}
+                  className="border-red-300 bg-red-50"
+                  render={({ rowNumber, errors }) => `${rowNumber}行目: ${errors.join(' / ')}`}
+                />
+              </div>
+            )}
+
+            {/* 4. 取り込み方法 */}
+            {plan && (
+              <div className="mb-4 p-3 border rounded text-sm space-y-2">
+                <div className="flex space-x-4">
+                  <label className="flex items-center">
+                    <input
+                      type="radio"
+                      checked={mode === IMPORT_MODES.MERGE}
+                      onChange={() => setMode(IMPORT_MODES.MERGE)}
+                      className="mr-1"
+                    />
+                    現在のリストに統合
+                  </label>
+                  <label className="flex items-center">
+                    <input
+                      type="radio"
+                      checked={mode === IMPORT_MODES.REPLACE}
+                      onChange={() => setMode(IMPORT_MODES.REPLACE)}
+                      className="mr-1"
+                    />
+                    現在のリストを置き換え
+                  </label>
+                </div>
+                {mode === IMPORT_MODES.MERGE && plan.conflicts.length > 0 && (
+                  <label className="block text-xs text-gray-700">
+                    競合した行の扱い
+                    <select
+                      value={conflictPolicy}
+                      onChange={(e) => setConflictPolicy(e.target.value)}
+                      className="w-full p-1 border rounded"
+                    >
+                      <option value={CONFLICT_POLICIES.IMPORTED}>取り込む数量で上書き</option>
+                      <option value={CONFLICT_POLICIES.CURRENT}>現在の数量を維持</option>
+                      <option value={CONFLICT_POLICIES.SUM}>数量を合算</option>
+                    </select>
+                  </label>
+                )}
+              </div>
+            )}
+
+            <button
+              onClick={handleImport}
+              disabled={!plan || importCount === 0}
+              className="w-full p-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold disabled:opacity-50"
+            >
+              {importCount}件を取り込む
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,457 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  TABLE_COLUMNS,
+  BULK_FIELDS,
+  DEFAULT_TABLE_FILTERS,
+  SORT_DIRECTIONS,
+  filterTableRows,
+  sortTableRows,
+  nextSort,
+  parseFieldValue,
+  isSameFieldValue,
+  visibleRange,
+  isMissingName
+} from '../inventory/inventoryTable';
+import { formatPackBreakdown } from '../inventory/packSizes';
+import { formatLocationPath, flattenLocations } from '../locations/locations';
+import ScanHistory from './ScanHistory';
+
+// 5,000件程度でも軽く動くよう、見えている行だけを描画する
+const ROW_HEIGHT = 44;
+const VIEWPORT_HEIGHT = 480;
+
+const COLUMN_WIDTHS = {
+  janCode: 'w-32',
+  productName: 'w-48',
+  quantity: 'w-24',
+  price: 'w-20',
+  expiryDate: 'w-32',
+  lot: 'w-20',
+  location: 'w-40',
+  operator: 'w-20',
+  scannedAt: 'w-32'
+};
+
+const formatScannedAt = (isoString) => (isoString ? new Date(isoString).toLocaleString([], {
+  month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'
+}) : '');
+
+const inputClass = 'w-full p-1 border rounded text-sm';
+
+// 一覧の値を直接編集するセル (クリックで入力欄に切り替え、Enter・フォーカス移動で保存、Esc で取り消し)
+const EditableCell = ({ field, line, disabled, onSave, children }) => {
+  const [value, setValue] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (value === null) {
+    return (
+      <button
+        onClick={() => !disabled && setValue(line[field] === undefined || line[field] === null ? '' : String(line[field]))}
+        className={`w-full h-full text-left truncate ${disabled ? 'cursor-default' : 'hover:bg-blue-50'}`}
+        title={disabled ? '' : 'クリックして編集'}
+      >
+        {children}
+      </button>
+    );
+  }
+
+  const save = () => {
+    const parsed = parseFieldValue(field, value);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    if (!isSameFieldValue(field, line[field], parsed.value)) {
+      onSave({ [field]: parsed.value });
+    }
+    setValue(null);
+    setError(null);
+  };
+
+  return (
+    <input
+      type={field === 'expiryDate' ? 'date' : field === 'quantity' || field === 'price' ? 'number' : 'text'}
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          save();
+        } else if (e.key === 'Escape') {
+          setValue(null);
+          setError(null);
+        }
+      }}
+      title={error || ''}
+      className={`${inputClass} ${error ? 'border-red-500' : ''}`}
+      autoFocus
+    />
+  );
+};
+
+// 選択した行の項目をまとめて変更・削除するバー
+const BulkActions = ({ count, locations, disabled, onUpdate, onDelete, onClear }) => {
+  const [field, setField] = useState('price');
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const apply = () => {
+    const parsed = parseFieldValue(field, value);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    onUpdate({ [field]: parsed.value });
+    setValue('');
+    setError(null);
+  };
+
+  return (
+    <div className="mb-2 p-2 bg-blue-50 rounded text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-bold">{count}件を選択中</span>
+        <select
+          value={field}
+          onChange={(e) => {
+            setField(e.target.value);
+            setValue('');
+          }}
+          className="p-1 border rounded bg-white"
+        >
+          {Object.entries(BULK_FIELDS)
+            .filter(([key]) => key !== 'locationId' || locations.length > 0)
+            .map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        {field === 'locationId' ? (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className="flex-1 min-w-0 p-1 border rounded bg-white">
+            <option value="">場所未設定</option>
+            {flattenLocations(locations).map(({ location, depth }) => (
+              <option key={location.id} value={location.id}>{'　'.repeat(depth)}{location.name}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type={field === 'expiryDate' ? 'date' : field === 'price' ? 'number' : 'text'}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="空欄にすると消去"
+            className="flex-1 min-w-0 p-1 border rounded"
+          />
+        )}
+        <button onClick={apply} disabled={disabled} className="px-2 py-1 bg-blue-500 text-white rounded disabled:opacity-50">
+          まとめて変更
+        </button>
+        <button onClick={onDelete} disabled={disabled} className="px-2 py-1 bg-red-500 text-white rounded disabled:opacity-50">
+          削除
+        </button>
+        <button onClick={onClear} className="px-2 py-1 bg-gray-200 rounded">選択解除</button>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+// 全商品の一覧表 (検索・並べ替え・絞り込み・直接編集・一括変更)
+// operators: 担当者の絞り込みの選択肢 [{ id, name }]
+// onEdit(id, changes) / onBulkUpdate(ids, changes) / onDelete(ids): 明細行の id で対象の行を指定する
+const InventoryTable = ({
+  products,
+  locations,
+  operators,
+  packs,
+  isReadOnly,
+  onEdit,
+  onBulkUpdate,
+  onDelete,
+  onShowLedger
+}) => {
+  const [filters, setFilters] = useState(DEFAULT_TABLE_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [sort, setSort] = useState(null);
+  const [selected, setSelected] = useState(() => new Set()); // 選択した明細行の id
+  const [detailId, setDetailId] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  // なくなった行の選択は解除する
+  useEffect(() => {
+    const present = new Set(products.map(line => line.id));
+    setSelected(prev => ([...prev].every(id => present.has(id)) ? prev : new Set([...prev].filter(id => present.has(id)))));
+    setDetailId(prev => (prev !== null && !present.has(prev) ? null : prev));
+  }, [products]);
+
+  // 削除された場所・担当者での絞り込みは解除して扱う
+  const locationId = locations.some(location => location.id === filters.locationId) ? filters.locationId : '';
+  const operatorId = operators.some(operator => operator.id === filters.operatorId) ? filters.operatorId : '';
+  const activeFilters = useMemo(() => ({ ...filters, locationId, operatorId }), [filters, locationId, operatorId]);
+  const rows = useMemo(
+    () => sortTableRows(filterTableRows(products, activeFilters, locations), sort, locations),
+    [products, activeFilters, locations, sort]
+  );
+  const { start, end } = visibleRange(scrollTop, VIEWPORT_HEIGHT, ROW_HEIGHT, rows.length);
+
+  const columns = Object.keys(TABLE_COLUMNS).filter(key => (
+    (key !== 'location' || locations.length > 0) && (key !== 'operator' || operators.length > 0)
+  ));
+  const filterCount = Object.keys(DEFAULT_TABLE_FILTERS)
+    .filter(key => key !== 'query' && activeFilters[key] !== DEFAULT_TABLE_FILTERS[key]).length;
+  const allSelected = rows.length > 0 && rows.every(row => selected.has(row.line.id));
+  const detail = detailId === null ? null : products.find(line => line.id === detailId) || null;
+
+  const setFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setScrollTop(0);
+  };
+
+  const toggle = (id, checked) => {
+    const next = new Set(selected);
+    if (checked) {
+      next.add(id);
+    } else {
+      next.delete(id);
+    }
+    setSelected(next);
+  };
+
+  const deleteSelected = () => {
+    if (window.confirm(`選択した${selected.size}件を削除しますか？`)) {
+      onDelete([...selected]);
+    }
+  };
+
+  const cell = (key, line) => {
+    switch (key) {
+      case 'janCode':
+        return (
+          <span className="font-mono text-xs">
+            {line.janCode}
+            {line.barcodeWarning && <span className="ml-1 bg-yellow-100 text-yellow-800 px-1 rounded">要確認</span>}
+          </span>
+        );
+      case 'productName':
+        return (
+          <EditableCell field="productName" line={line} disabled={isReadOnly} onSave={(changes) => onEdit(line.id, changes)}>
+            {isMissingName(line)
+              ? <span className="text-red-500">{line.namePending ? '(名称取得待ち)' : '(商品名未登録)'}</span>
+              : line.productName}
+          </EditableCell>
+        );
+      case 'quantity':
+        return (
+          <EditableCell field="quantity" line={line} disabled={isReadOnly} onSave={(changes) => onEdit(line.id, changes)}>
+            <span className="font-bold">{line.quantity}個</span>
+            {formatPackBreakdown(line.quantity, packs[line.janCode]) && (
+              <span className="block text-xs text-gray-500 truncate">{formatPackBreakdown(line.quantity, packs[line.janCode])}</span>
+            )}
+          </EditableCell>
+        );
+      case 'price':
+      case 'expiryDate':
+        return (
+          <EditableCell field={key} line={line} disabled={isReadOnly} onSave={(changes) => onEdit(line.id, changes)}>
+            {line[key] ? `${line[key]}${key === 'price' ? '円' : ''}` : <span className="text-gray-300">-</span>}
+          </EditableCell>
+        );
+      case 'location':
+        return <span className="text-xs">{formatLocationPath(locations, line.locationId)}</span>;
+      case 'operator':
+        return <span className="text-xs">{line.operatorName}</span>;
+      case 'scannedAt':
+        return <span className="text-xs text-gray-500">{formatScannedAt(line.scannedAt)}</span>;
+      default:
+        return line[key];
+    }
+  };
+
+  return (
+    <div className="px-4 pb-4">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => setFilter('query', e.target.value)}
+          placeholder="商品名・JANコードで検索"
+          className="flex-1 min-w-0 p-2 border rounded"
+        />
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className={`p-2 rounded ${filterCount > 0 ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+        >
+          絞り込み{filterCount > 0 && ` (${filterCount})`}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-2 gap-2 mb-2 p-2 border rounded text-xs text-gray-700">
+          <label>
+            消費期限 (から)
+            <input type="date" value={filters.expiryFrom} onChange={(e) => setFilter('expiryFrom', e.target.value)} className={inputClass} />
+          </label>
+          <label>
+            消費期限 (まで)
+            <input type="date" value={filters.expiryTo} onChange={(e) => setFilter('expiryTo', e.target.value)} className={inputClass} />
+          </label>
+          <label>
+            売価 (以上)
+            <input type="number" value={filters.priceMin} onChange={(e) => setFilter('priceMin', e.target.value)} className={inputClass} />
+          </label>
+          <label>
+            売価 (以下)
+            <input type="number" value={filters.priceMax} onChange={(e) => setFilter('priceMax', e.target.value)} className={inputClass} />
+          </label>
+          {locations.length > 0 && (
+            <label>
+              保管場所
+              <select value={activeFilters.locationId} onChange={(e) => setFilter('locationId', e.target.value)} className={`${inputClass} bg-white`}>
+                <option value="">すべての場所</option>
+                {flattenLocations(locations).map(({ location, depth }) => (
+                  <option key={location.id} value={location.id}>{'　'.repeat(depth)}{location.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {operators.length > 0 && (
+            <label>
+              担当者
+              <select value={activeFilters.operatorId} onChange={(e) => setFilter('operatorId', e.target.value)} className={`${inputClass} bg-white`}>
+                <option value="">すべての担当者</option>
+                {operators.map(operator => (
+                  <option key={operator.id} value={operator.id}>{operator.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={filters.missingName}
+              onChange={(e) => setFilter('missingName', e.target.checked)}
+              className="mr-1"
+            />
+            商品名が未登録の商品のみ
+          </label>
+          <button
+            onClick={() => setFilters({ ...DEFAULT_TABLE_FILTERS, query: filters.query })}
+            className="p-1 bg-gray-200 rounded"
+          >
+            条件をクリア
+          </button>
+        </div>
+      )}
+
+      {selected.size > 0 && (
+        <BulkActions
+          count={selected.size}
+          locations={locations}
+          disabled={isReadOnly}
+          onUpdate={(changes) => onBulkUpdate([...selected], changes)}
+          onDelete={deleteSelected}
+          onClear={() => setSelected(new Set())}
+        />
+      )}
+
+      <p className="mb-1 text-xs text-gray-500">
+        {rows.length === products.length ? `${products.length}件` : `${rows.length}件 / 全${products.length}件`}
+        {!isReadOnly && ' ・ 商品名・数量・売価・消費期限はクリックして編集できます'}
+      </p>
+
+      <div
+        className="overflow-auto border rounded"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="table-fixed text-sm min-w-full">
+          <thead className="sticky top-0 bg-gray-100 z-10">
+            <tr className="text-xs text-gray-600">
+              <th className="w-8 p-2">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={(e) => setSelected(new Set(e.target.checked ? rows.map(row => row.line.id) : []))}
+                  aria-label="すべて選択"
+                />
+              </th>
+              {columns.map(key => (
+                <th key={key} className={`${COLUMN_WIDTHS[key]} p-2 text-left`}>
+                  <button onClick={() => setSort(nextSort(sort, key))} className="font-bold hover:underline">
+                    {TABLE_COLUMNS[key].label}
+                    {sort && sort.key === key && (sort.direction === SORT_DIRECTIONS.ASC ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+              <th className="w-20 p-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={columns.length + 2} className="p-4 text-center text-gray-500">
+                  {products.length === 0 ? 'スキャンした商品がありません' : '条件に一致する商品がありません'}
+                </td>
+              </tr>
+            )}
+            {start > 0 && <tr style={{ height: start * ROW_HEIGHT }} />}
+            {rows.slice(start, end).map(({ line }) => (
+              <tr
+                key={line.id}
+                style={{ height: ROW_HEIGHT }}
+                className={`border-t border-gray-200 ${detailId === line.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <td className="p-2 text-center">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(line.id)}
+                    onChange={(e) => toggle(line.id, e.target.checked)}
+                    aria-label={`${line.productName || line.janCode} を選択`}
+                  />
+                </td>
+                {columns.map(key => (
+                  <td key={key} className="px-2 py-1 truncate">{cell(key, line)}</td>
+                ))}
+                <td className="px-2 py-1 whitespace-nowrap text-xs">
+                  <button onClick={() => setDetailId(detailId === line.id ? null : line.id)} className="text-blue-600 hover:underline mr-2">
+                    詳細
+                  </button>
+                  <button
+                    onClick={() => onDelete([line.id])}
+                    disabled={isReadOnly}
+                    className="text-red-500 hover:text-red-700 disabled:opacity-30"
+                  >
+                    削除
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {end < rows.length && <tr style={{ height: (rows.length - end) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+      </div>
+
+      {detail && (
+        <div className="mt-2 p-3 border rounded text-sm">
+          <div className="flex justify-between items-start">
+            <div>
+              <p className="font-medium text-gray-800">{detail.productName || '(商品名未登録)'}</p>
+              <p className="text-xs text-gray-500">
+                JAN: {detail.janCode}
+                {detail.lot && ` ・ ロット: ${detail.lot}`}
+                {detail.inStoreCode && ` ・ インストア: ${detail.inStoreCode}`}
+                {detail.weight !== '' && detail.weight != null && ` ・ ${detail.weight}g`}
+              </p>
+              {detail.locationId && (
+                <p className="text-xs text-gray-500">場所: {formatLocationPath(locations, detail.locationId)}</p>
+              )}
+              {detail.barcodeWarning && <p className="text-xs text-yellow-700">{detail.barcodeWarning}</p>}
+            </div>
+            <button onClick={() => setDetailId(null)} className="text-xs text-gray-500">閉じる</button>
+          </div>
+          <ScanHistory history={detail.history} />
+          <button onClick={() => onShowLedger(detail.janCode)} className="mt-2 text-xs text-blue-600 hover:underline">
+            入出庫履歴
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InventoryTable;
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import {
+  LOCATION_LEVELS,
+  LOCATION_LEVEL_LABELS,
+  addLocation,
+  renameLocation,
+  removeLocation,
+  descendantIds,
+  flattenLocations,
+  locationCode
+} from '../locations/locations';
+import { buildLabelSheetHtml, LABEL_SHEET_STYLES } from '../locations/locationLabels';
+import { printDocument } from '../export/printDocument';
+
+// 場所の1行 (名前の変更・子の追加・削除・現在地に設定・ラベル印刷の選択)
+const LocationRow = ({ location, depth, isCurrent, checked, onCheck, onRename, onAddChild, onRemove, onSelect }) => {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(location.name);
+  const childLevel = LOCATION_LEVELS[LOCATION_LEVELS.indexOf(location.level) + 1];
+
+  const save = () => {
+    onRename(location.id, name);
+    setEditing(false);
+  };
+
+  return (
+    <li className={`p-2 text-sm ${isCurrent ? 'bg-blue-50' : ''}`} style={{ paddingLeft: `${depth * 1.25 + 0.5}rem` }}>
+      <div className="flex items-center">
+        <input type="checkbox" checked={checked} onChange={(e) => onCheck(location.id, e.target.checked)} className="mr-2" />
+        {editing ? (
+          <div className="flex flex-1">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && save()}
+              className="flex-1 p-1 border rounded-l"
+              autoFocus
+            />
+            <button onClick={save} className="px-2 bg-blue-500 text-white rounded-r">保存</button>
+          </div>
+        ) : (
+          <div className="flex-1 min-w-0">
+            <p className="font-medium text-gray-800 truncate">
+              {location.name}
+              <span className="ml-1 text-xs text-gray-500">{LOCATION_LEVEL_LABELS[location.level]}</span>
+              {isCurrent && <span className="ml-1 text-xs bg-blue-500 text-white px-1 rounded">現在地</span>}
+            </p>
+            <p className="text-xs text-gray-400 font-mono">{locationCode(location)}</p>
+          </div>
+        )}
+      </div>
+      {!editing && (
+        <div className="flex flex-wrap gap-1 mt-1 ml-6 text-xs">
+          {!isCurrent && (
+            <button onClick={() => onSelect(location.id)} className="px-2 py-1 bg-blue-500 text-white rounded">現在地にする</button>
+          )}
+          {childLevel && (
+            <button onClick={() => onAddChild(location.id)} className="px-2 py-1 bg-gray-200 rounded">
+              {LOCATION_LEVEL_LABELS[childLevel]}を追加
+            </button>
+          )}
+          <button onClick={() => setEditing(true)} className="px-2 py-1 bg-gray-200 rounded">名前を変更</button>
+          <button onClick={() => onRemove(location.id)} className="px-2 py-1 bg-red-500 text-white rounded">削除</button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+// 保管場所の管理画面 (店舗 → エリア → 棚 → 段・ビン の作成と場所ラベルの印刷)
+const LocationManager = ({ locations, currentLocationId, qrEnabled, onChange, onSelect, onClose }) => {
+  const [newStoreName, setNewStoreName] = useState('');
+  const [checkedIds, setCheckedIds] = useState([]);
+  const [printError, setPrintError] = useState(null);
+
+  const addChild = (parentId, name = '') => {
+    const { locations: updated, location } = addLocation(locations, parentId, name);
+    if (location) {
+      onChange(updated);
+    }
+  };
+
+  const addStore = () => {
+    addChild('', newStoreName);
+    setNewStoreName('');
+  };
+
+  const remove = (id) => {
+    const count = descendantIds(locations, id).length;
+    if (window.confirm(`この場所${count > 1 ? `と配下の${count - 1}か所` : ''}を削除しますか？ (登録済みの商品の場所は「削除された場所」と表示されます)`)) {
+      const updated = removeLocation(locations, id);
+      onChange(updated);
+      setCheckedIds(checkedIds.filter(checkedId => updated.some(location => location.id === checkedId)));
+    }
+  };
+
+  const check = (id, checked) => {
+    setCheckedIds(checked ? [...checkedIds, id] : checkedIds.filter(checkedId => checkedId !== id));
+  };
+
+  const printLabels = async () => {
+    try {
+      await printDocument('場所ラベル', buildLabelSheetHtml(locations, checkedIds), LABEL_SHEET_STYLES);
+      setPrintError(null);
+    } catch (error) {
+      console.error('場所ラベルの印刷エラー:', error);
+      setPrintError(error.message);
+    }
+  };
+
+  const flattened = flattenLocations(locations);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">保管場所 ({locations.length}か所)</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        {!qrEnabled && (
+          <p className="mb-3 p-2 text-xs bg-yellow-50 text-yellow-800 rounded">
+            カメラで場所ラベルを読み取るには、設定の「読み取るバーコード」で QRコード を有効にしてください。
+          </p>
+        )}
+
+        <div className="flex mb-4 text-sm">
+          <input
+            type="text"
+            value={newStoreName}
+            onChange={(e) => setNewStoreName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addStore()}
+            placeholder="店舗名 (例: 本店)"
+            className="flex-1 p-2 border rounded-l"
+          />
+          <button onClick={addStore} className="px-3 bg-blue-500 text-white rounded-r">店舗を追加</button>
+        </div>
+
+        <div className="flex justify-between items-center mb-2 text-sm">
+          <label className="flex items-center text-gray-600">
+            <input
+              type="checkbox"
+              checked={locations.length > 0 && checkedIds.length === locations.length}
+              onChange={(e) => setCheckedIds(e.target.checked ? locations.map(location => location.id) : [])}
+              className="mr-1"
+            />
+            すべて選択
+          </label>
+          <button
+            onClick={printLabels}
+            disabled={checkedIds.length === 0}
+            className="p-2 bg-gray-700 text-white rounded disabled:opacity-50"
+          >
+            ラベルを印刷 ({checkedIds.length}枚)
+          </button>
+        </div>
+        {printError && <p className="mb-2 text-xs text-red-500">{printError}</p>}
+
+        {flattened.length === 0 ? (
+          <p className="p-4 text-center text-gray-500 text-sm">店舗を追加してください</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border rounded">
+            {flattened.map(({ location, depth }) => (
+              <LocationRow
+                key={location.id}
+                location={location}
+                depth={depth}
+                isCurrent={location.id === currentLocationId}
+                checked={checkedIds.includes(location.id)}
+                onCheck={check}
+                onRename={(id, name) => onChange(renameLocation(locations, id, name))}
+                onAddChild={addChild}
+                onRemove={remove}
+                onSelect={onSelect}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LocationManager;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { OPERATOR_ROLE_LABELS, checkPin } from '../operators/operators';
+
+// 起動時の担当者の選択 (PIN が設定されていれば入力してもらう)
+const OperatorLogin = ({ operators, initialOperatorId, onLogin }) => {
+  const [selectedId, setSelectedId] = useState(
+    operators.some(operator => operator.id === initialOperatorId) ? initialOperatorId : operators[0].id
+  );
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  // 選んでいた担当者が同期などで削除されたら先頭の担当者にする
+  const selected = operators.find(operator => operator.id === selectedId) || operators[0];
+
+  const select = (operatorId) => {
+    setSelectedId(operatorId);
+    setPin('');
+    setError(null);
+  };
+
+  const login = () => {
+    if (!checkPin(selected, pin)) {
+      setError('PINが違います');
+      setPin('');
+      return;
+    }
+    onLogin(selected.id);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-sm w-full max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold mb-4">担当者を選択</h3>
+        <ul className="divide-y divide-gray-200 border rounded mb-4">
+          {operators.map(operator => (
+            <li key={operator.id}>
+              <button
+                onClick={() => select(operator.id)}
+                className={`w-full p-3 text-left text-sm ${operator.id === selected.id ? 'bg-blue-50 font-bold' : ''}`}
+              >
+                {operator.name}
+                <span className="ml-2 text-xs text-gray-500 font-normal">{OPERATOR_ROLE_LABELS[operator.role]}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        {selected.pin && (
+          <input
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && login()}
+            placeholder="PIN"
+            className="w-full p-2 border rounded mb-2"
+            autoFocus
+          />
+        )}
+        {error && <p className="mb-2 text-xs text-red-500">{error}</p>}
+        <button onClick={login} className="w-full p-2 bg-blue-500 text-white rounded">
+          {selected.name} で開始
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OperatorLogin;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import {
+  OPERATOR_ROLES,
+  OPERATOR_ROLE_LABELS,
+  createOperator,
+  updateOperator,
+  removeOperator,
+  canManageOperators,
+  summarizeProductivity
+} from '../operators/operators';
+
+const inputClass = 'w-full p-2 border rounded text-sm';
+
+const formatRate = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+// 担当者の追加・編集フォーム
+const OperatorForm = ({ initial, submitLabel, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initial);
+
+  const submit = () => {
+    if (form.name.trim()) {
+      onSubmit(form);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-3 gap-2 items-end text-sm">
+      <label className="block text-xs text-gray-700">
+        名前
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="山田"
+          className={inputClass}
+        />
+      </label>
+      <label className="block text-xs text-gray-700">
+        PIN (任意)
+        <input
+          type="password"
+          inputMode="numeric"
+          value={form.pin}
+          onChange={(e) => setForm({ ...form, pin: e.target.value })}
+          className={inputClass}
+        />
+      </label>
+      <label className="block text-xs text-gray-700">
+        役割
+        <select
+          value={form.role}
+          onChange={(e) => setForm({ ...form, role: e.target.value })}
+          className={`${inputClass} bg-white`}
+        >
+          {Object.values(OPERATOR_ROLES).map(role => (
+            <option key={role} value={role}>{OPERATOR_ROLE_LABELS[role]}</option>
+          ))}
+        </select>
+      </label>
+      <div className="col-span-3 flex gap-2">
+        <button
+          onClick={submit}
+          disabled={!form.name.trim()}
+          className="flex-1 p-2 bg-blue-500 text-white rounded disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+        {onCancel && <button onClick={onCancel} className="p-2 bg-gray-200 rounded">キャンセル</button>}
+      </div>
+    </div>
+  );
+};
+
+// 担当者の管理と、担当者ごとの作業実績 (スキャン数・1時間あたりのスキャン数・修正率・要確認率)
+const OperatorManager = ({ operators, currentOperator, lines, sessionName, onChange, onSwitch, onClose }) => {
+  const [editingId, setEditingId] = useState(null);
+  const canManage = canManageOperators(operators, currentOperator);
+  const summaries = summarizeProductivity(lines);
+
+  const add = (form) => onChange([...operators, createOperator(form)]);
+
+  const save = (id, form) => {
+    onChange(updateOperator(operators, id, form));
+    setEditingId(null);
+  };
+
+  const remove = (operator) => {
+    if (window.confirm(`担当者「${operator.name}」を削除しますか？ (記録済みのスキャンの担当者名は残ります)`)) {
+      onChange(removeOperator(operators, operator.id));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">担当者</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        {currentOperator && (
+          <div className="flex justify-between items-center mb-4 p-3 bg-blue-50 rounded text-sm">
+            <span>
+              現在の担当者: <span className="font-bold">{currentOperator.name}</span>
+              <span className="ml-1 text-xs text-gray-500">{OPERATOR_ROLE_LABELS[currentOperator.role]}</span>
+            </span>
+            <button onClick={onSwitch} className="p-2 bg-blue-500 text-white rounded">担当者を切り替え</button>
+          </div>
+        )}
+
+        <h4 className="font-bold text-sm mb-2">作業実績 ({sessionName})</h4>
+        {summaries.length === 0 ? (
+          <p className="p-4 text-center text-gray-500 text-sm mb-4">スキャンの記録がありません</p>
+        ) : (
+          <div className="overflow-x-auto mb-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-xs text-gray-600">
+                  <th className="p-2 text-left">担当者</th>
+                  <th className="p-2 text-right">スキャン</th>
+                  <th className="p-2 text-right">数量</th>
+                  <th className="p-2 text-right">作業時間</th>
+                  <th className="p-2 text-right">件/時</th>
+                  <th className="p-2 text-right">修正率</th>
+                  <th className="p-2 text-right">要確認率</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {summaries.map(summary => (
+                  <tr key={summary.operatorId}>
+                    <td className="p-2">{summary.operatorName || '(担当者なし)'}</td>
+                    <td className="p-2 text-right">{summary.scans}</td>
+                    <td className="p-2 text-right">{summary.quantity}</td>
+                    <td className="p-2 text-right">{summary.activeMinutes}分</td>
+                    <td className="p-2 text-right">{summary.scansPerHour === null ? '-' : summary.scansPerHour}</td>
+                    <td className="p-2 text-right">{formatRate(summary.editRate)}</td>
+                    <td className="p-2 text-right">{formatRate(summary.errorRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-1 text-xs text-gray-500">
+              作業時間は10分以上あいたスキャンの間隔を除いて計算します。修正率は上書き・一覧での修正の割合、要確認率はチェックデジット不正などのコードの割合です。
+            </p>
+          </div>
+        )}
+
+        <h4 className="font-bold text-sm mb-2">担当者の一覧 ({operators.length}人)</h4>
+        {!canManage && (
+          <p className="mb-2 p-2 text-xs bg-yellow-50 text-yellow-800 rounded">担当者の追加・編集は管理者のみできます</p>
+        )}
+        {operators.length > 0 && (
+          <ul className="divide-y divide-gray-200 border rounded mb-4">
+            {operators.map(operator => (
+              <li key={operator.id} className="p-2 text-sm">
+                {editingId === operator.id ? (
+                  <OperatorForm
+                    initial={{ name: operator.name, pin: operator.pin, role: operator.role }}
+                    submitLabel="保存"
+                    onSubmit={(form) => save(operator.id, form)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="flex justify-between items-center">
+                    <span>
+                      {operator.name}
+                      <span className="ml-2 text-xs text-gray-500">{OPERATOR_ROLE_LABELS[operator.role]}</span>
+                      {operator.pin && <span className="ml-2 text-xs text-gray-400">PINあり</span>}
+                    </span>
+                    {canManage && (
+                      <span className="flex gap-1 text-xs">
+                        <button onClick={() => setEditingId(operator.id)} className="px-2 py-1 bg-gray-200 rounded">編集</button>
+                        <button onClick={() => remove(operator)} className="px-2 py-1 bg-red-500 text-white rounded">削除</button>
+                      </span>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {canManage && (
+          <div className="p-3 border rounded">
+            <h4 className="font-bold text-sm mb-2">担当者を追加</h4>
+            <OperatorForm
+              key={operators.length}
+              initial={{ name: '', pin: '', role: operators.length === 0 ? OPERATOR_ROLES.ADMIN : OPERATOR_ROLES.STAFF }}
+              submitLabel="追加"
+              onSubmit={add}
+            />
+            {operators.length === 0 && (
+              <p className="mt-2 text-xs text-gray-500">担当者を登録すると、起動時に担当者を選んでからスキャンを始めます</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OperatorManager;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  listMasterEntries,
+  deleteMasterEntry,
+  clearMasterEntries,
+  purgeExpiredEntries,
+  setOverrideName,
+  isEntryFresh,
+  entryDisplayName
+} from '../storage/productMasterStore';
+import { LOOKUP_STATUS } from '../lookup';
+
+// テキストからJANコードを抽出 (改行・カンマ・空白区切り)
+const parseJanCodes = (text) => [...new Set(
+  text.split(/[\s,]+/).map(code => code.trim()).filter(Boolean)
+)];
+
+// 商品マスター一覧の1行 (商品名の上書き編集に対応)
+const MasterEntryRow = ({ entry, ttlDays, onSaveOverride, onDelete }) => {
+  const [editing, setEditing] = useState(false);
+  const [overrideName, setOverrideNameDraft] = useState(entry.overrideName || '');
+  const fresh = isEntryFresh(entry, ttlDays);
+
+  const save = async () => {
+    await onSaveOverride(entry.janCode, overrideName);
+    setEditing(false);
+  };
+
+  return (
+    <li className="p-2 text-sm">
+      {editing ? (
+        <div className="flex">
+          <input
+            type="text"
+            value={overrideName}
+            onChange={(e) => setOverrideNameDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+            placeholder={entry.name || '商品名を入力'}
+            className="flex-1 p-1 border rounded-l"
+            autoFocus
+          />
+          <button onClick={save} className="px-2 bg-blue-500 text-white">保存</button>
+          <button onClick={() => setEditing(false)} className="px-2 bg-gray-300 rounded-r">取消</button>
+        </div>
+      ) : (
+        <div className="flex justify-between items-center">
+          <div className="truncate flex-1">
+            <p className="font-medium text-gray-800 truncate">
+              {entryDisplayName(entry) || '(商品名未登録)'}
+              {entry.overrideName && (
+                <span className="ml-1 text-xs bg-yellow-100 text-yellow-800 px-1 rounded">手動</span>
+              )}
+            </p>
+            <p className="text-xs text-gray-500">
+              JAN: {entry.janCode} | {entry.source} | {new Date(entry.fetchedAt).toLocaleString()}
+              {!fresh && <span className="ml-1 text-red-500">期限切れ</span>}
+            </p>
+          </div>
+          <button onClick={() => setEditing(true)} className="ml-2 text-blue-500 hover:text-blue-700">編集</button>
+          <button onClick={() => onDelete(entry.janCode)} className="ml-2 text-red-500 hover:text-red-700">削除</button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+// 商品マスターキャッシュの管理画面 (閲覧・編集・削除・事前取得)
+const ProductMasterManager = ({ ttlDays, onTtlChange, resolveProduct, inventoryJanCodes, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [prewarmText, setPrewarmText] = useState('');
+  const [prewarmStatus, setPrewarmStatus] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const loaded = await listMasterEntries();
+      setEntries(loaded.sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt)));
+      setError(null);
+    } catch (loadError) {
+      setError(`商品マスターを読み込めません: ${loadError.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const handleSaveOverride = async (janCode, overrideName) => {
+    await setOverrideName(janCode, overrideName);
+    await reload();
+  };
+
+  const handleDelete = async (janCode) => {
+    await deleteMasterEntry(janCode);
+    await reload();
+  };
+
+  const handlePurgeExpired = async () => {
+    const count = await purgeExpiredEntries(ttlDays);
+    setPrewarmStatus(`期限切れのエントリを${count}件削除しました`);
+    await reload();
+  };
+
+  const handleClear = async () => {
+    if (window.confirm('商品マスターのキャッシュをすべて削除しますか？')) {
+      await clearMasterEntries();
+      await reload();
+    }
+  };
+
+  // 事前取得: 未キャッシュ・期限切れのJANコードを順番に検索して保存
+  const handlePrewarm = async () => {
+    const janCodes = parseJanCodes(prewarmText);
+    const counts = { found: 0, notFound: 0, error: 0 };
+
+    for (let i = 0; i < janCodes.length; i++) {
+      setPrewarmStatus(`事前取得中... ${i + 1} / ${janCodes.length}`);
+      const result = await resolveProduct(janCodes[i]);
+      if (result.status === LOOKUP_STATUS.FOUND) {
+        counts.found++;
+      } else if (result.status === LOOKUP_STATUS.NOT_FOUND) {
+        counts.notFound++;
+      } else {
+        counts.error++;
+      }
+    }
+
+    setPrewarmStatus(`事前取得完了: 取得 ${counts.found}件 / 該当なし ${counts.notFound}件 / エラー ${counts.error}件`);
+    await reload();
+  };
+
+  const filteredEntries = entries.filter(entry => !query
+    || entry.janCode.includes(query)
+    || (entryDisplayName(entry) || '').toLowerCase().includes(query.toLowerCase()));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">商品マスター管理 ({entries.length}件)</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        {error && <p className="mb-3 text-sm text-red-500">{error}</p>}
+
+        <div className="flex items-center mb-4 text-sm">
+          <label className="mr-2 text-gray-700">有効期限</label>
+          <input
+            type="number"
+            min="0"
+            value={ttlDays}
+            onChange={(e) => onTtlChange(Math.max(0, parseInt(e.target.value) || 0))}
+            className="w-20 p-1 border rounded mr-1"
+          />
+          <span className="text-gray-500">日 (0 = 無期限)</span>
+        </div>
+
+        {/* 事前取得 */}
+        <div className="mb-4 p-3 border rounded">
+          <h4 className="font-bold text-sm mb-2">事前取得</h4>
+          <textarea
+            value={prewarmText}
+            onChange={(e) => setPrewarmText(e.target.value)}
+            placeholder="JANコードを改行またはカンマ区切りで入力"
+            rows={3}
+            className="w-full p-2 border rounded text-sm mb-2"
+          />
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setPrewarmText(inventoryJanCodes.join('\n'))}
+              className="p-2 bg-gray-200 rounded text-sm"
+            >
+              在庫リストから入力
+            </button>
+            <button
+              onClick={handlePrewarm}
+              disabled={!prewarmText.trim()}
+              className="p-2 bg-blue-500 text-white rounded text-sm disabled:opacity-50"
+            >
+              事前取得を実行
+            </button>
+          </div>
+          {prewarmStatus && <p className="mt-2 text-xs text-gray-600">{prewarmStatus}</p>}
+        </div>
+
+        <div className="flex mb-2 space-x-2">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="商品名・JANコードで絞り込み"
+            className="flex-1 p-2 border rounded text-sm"
+          />
+          <button onClick={handlePurgeExpired} className="p-2 bg-yellow-500 text-white rounded text-sm">
+            期限切れを削除
+          </button>
+          <button onClick={handleClear} className="p-2 bg-red-500 text-white rounded text-sm">
+            すべて削除
+          </button>
+        </div>
+
+        {filteredEntries.length === 0 ? (
+          <p className="p-4 text-center text-gray-500 text-sm">キャッシュされた商品はありません</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border rounded">
+            {filteredEntries.map(entry => (
+              <MasterEntryRow
+                key={`${entry.janCode}-${entry.fetchedAt}-${entry.overrideName}`}
+                entry={entry}
+                ttlDays={ttlDays}
+                onSaveOverride={handleSaveOverride}
+                onDelete={handleDelete}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductMasterManager;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+// 加算モードの「+N」確認パネル
+// 同じJANに複数のロットがある場合は加算先のロットを選択する
+// lots: 同じJANの明細行 (selectedId は加算先の行の id)
+const QuickAddPanel = ({ lots, selectedId, amount, onChange, onConfirm, onNewLot, onCancel }) => {
+  const selected = lots.find(line => line.id === selectedId) || lots[0];
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm border border-blue-300 mb-3">
+      <h2 className="font-bold mb-1 text-gray-800">数量を加算</h2>
+      <p className="text-sm text-gray-700 truncate">{selected.productName || '(商品名未登録)'}</p>
+      <p className="text-xs text-gray-500 mb-3">JAN: {selected.janCode}</p>
+
+      {lots.length > 1 && (
+        <div className="mb-3 space-y-1">
+          {lots.map(line => (
+            <label key={line.id} className="flex items-center text-sm">
+              <input
+                type="radio"
+                checked={line.id === selected.id}
+                onChange={() => onChange({ id: line.id, amount })}
+                className="mr-2"
+              />
+              <span className="flex-1">
+                {line.expiryDate ? `期限 ${line.expiryDate}` : '期限なし'}
+                {line.lot && ` / ロット ${line.lot}`}
+              </span>
+              <span className="text-gray-600">{line.quantity}個</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center mb-3">
+        <span className="text-2xl font-bold text-blue-600 mr-2">+</span>
+        <input
+          id="quick-add-input"
+          type="number"
+          min="1"
+          value={amount}
+          onChange={(e) => onChange({ id: selected.id, amount: parseInt(e.target.value) || 1 })}
+          onKeyDown={(e) => e.key === 'Enter' && onConfirm(selected.id, amount)}
+          className="flex-1 p-2 border border-gray-300 rounded text-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <div className="flex space-x-2">
+        <button
+          onClick={() => onConfirm(selected.id, amount)}
+          className="flex-1 p-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold transition-colors duration-200 shadow-sm"
+        >
+          +{amount} 加算 (合計 {selected.quantity + amount}個)
+        </button>
+        <button
+          onClick={onCancel}
+          className="p-3 bg-gray-500 hover:bg-gray-600 text-white rounded-lg font-bold transition-colors duration-200 shadow-sm"
+        >
+          キャンセル
+        </button>
+      </div>
+      <button
+        onClick={onNewLot}
+        className="w-full mt-2 p-2 text-sm text-blue-600 hover:underline"
+      >
+        別の消費期限・ロットとして登録
+      </button>
+    </div>
+  );
+};
+
+export default QuickAddPanel;
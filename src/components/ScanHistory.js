@@ -0,0 +1,52 @@
+import React from 'react';
+import { HISTORY_TYPES } from '../inventory/lineItems';
+
+const EDIT_FIELD_LABELS = {
+  productName: '商品名',
+  price: '売価',
+  expiryDate: '消費期限',
+  category: 'カテゴリ',
+  locationId: '保管場所'
+};
+
+const formatEntry = (entry) => {
+  switch (entry.type) {
+    case HISTORY_TYPES.INCREMENT:
+      return `+${entry.quantity}`;
+    case HISTORY_TYPES.OVERWRITE:
+      return `上書き → ${entry.quantity}`;
+    case HISTORY_TYPES.EDIT:
+      // 数量以外の修正は変更した項目を表示する
+      return !entry.fields || entry.fields.includes('quantity')
+        ? `修正 → ${entry.quantity}`
+        : `修正 (${entry.fields.map(field => EDIT_FIELD_LABELS[field] || field).join('・')})`;
+    case HISTORY_TYPES.IMPORT:
+      return `取込 → ${entry.quantity}`;
+    default:
+      return `登録 ${entry.quantity}`;
+  }
+};
+
+// 明細行ごとのスキャン履歴 (合計数量に至った経緯と、スキャンした担当者)
+const ScanHistory = ({ history }) => {
+  if (!history || history.length === 0 || (history.length === 1 && history[0].type === HISTORY_TYPES.ADD)) {
+    return null;
+  }
+
+  return (
+    <details className="mt-1 text-xs text-gray-500">
+      <summary className="cursor-pointer">スキャン履歴 ({history.length}回)</summary>
+      <ol className="mt-1 ml-2">
+        {history.map((entry, index) => (
+          <li key={index} className="flex space-x-2">
+            <span>{new Date(entry.at).toLocaleString()}</span>
+            <span className="font-medium text-gray-700">{formatEntry(entry)}</span>
+            {entry.operatorName && <span>{entry.operatorName}</span>}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+};
+
+export default ScanHistory;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ENGINES, AUTO_ENGINE, summarizeStats } from '../scanner';
+
+const STATS_INTERVAL_MS = 1000;
+
+// 読み取りエンジンの選択と診断 (使用中のエンジン・対応状況・読み取り速度)
+const ScannerDiagnostics = ({ preference, onPreferenceChange, activeEngine, getStats }) => {
+  const [open, setOpen] = useState(false);
+  const [support, setSupport] = useState({});
+  const [summary, setSummary] = useState(null);
+  const getStatsRef = useRef(getStats);
+  getStatsRef.current = getStats;
+
+  // 各エンジンがこの端末で使えるか
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    Promise.all(Object.values(ENGINES).map(async engine => [engine.id, await engine.isSupported()]))
+      .then(entries => setSupport(Object.fromEntries(entries)));
+  }, [open]);
+
+  // 実行中は統計を定期的に更新
+  useEffect(() => {
+    if (!open || !activeEngine) {
+      setSummary(null);
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      const stats = getStatsRef.current();
+      setSummary(stats ? summarizeStats(stats) : null);
+    }, STATS_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [open, activeEngine]);
+
+  return (
+    <details
+      className="mb-3 bg-white p-3 rounded-lg shadow-sm text-sm"
+      onToggle={(e) => setOpen(e.target.open)}
+    >
+      <summary className="cursor-pointer font-bold text-gray-700">
+        読み取りエンジン: {activeEngine ? activeEngine.label : '停止中'}
+      </summary>
+      <div className="mt-2 space-y-2">
+        <label className="flex items-center">
+          <span className="mr-2 text-gray-700">使用するエンジン</span>
+          <select
+            value={preference}
+            onChange={(e) => onPreferenceChange(e.target.value)}
+            className="flex-1 p-1 border rounded"
+          >
+            <option value={AUTO_ENGINE}>自動 (対応していれば BarcodeDetector)</option>
+            {Object.values(ENGINES).map(engine => (
+              <option key={engine.id} value={engine.id}>{engine.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <ul className="text-xs text-gray-600 space-y-1">
+          {Object.values(ENGINES).map(engine => (
+            <li key={engine.id}>
+              <span className={support[engine.id] ? 'text-green-600' : 'text-gray-400'}>
+                {support[engine.id] ? '✓ 対応' : '✗ 非対応'}
+              </span>
+              <span className="ml-1 font-medium">{engine.label}</span>: {engine.description}
+            </li>
+          ))}
+        </ul>
+
+        {summary ? (
+          <dl className="grid grid-cols-2 gap-x-2 text-xs text-gray-700 border-t pt-2">
+            <dt>解析フレーム</dt>
+            <dd>{summary.framesPerSecond.toFixed(1)} 回/秒 ({summary.frames}回)</dd>
+            <dt>読み取り成功</dt>
+            <dd>{summary.decodes}回 ({(summary.successRate * 100).toFixed(1)}%)</dd>
+            <dt>読み取り頻度</dt>
+            <dd>{summary.decodesPerMinute.toFixed(1)} 回/分</dd>
+            <dt>平均解析時間</dt>
+            <dd>{summary.averageDecodeMs === null ? '計測なし' : `${summary.averageDecodeMs.toFixed(1)} ms`}</dd>
+          </dl>
+        ) : (
+          <p className="text-xs text-gray-500">カメラを起動すると読み取り速度を表示します</p>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default ScannerDiagnostics;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { SESSION_STATUS } from '../sessions/sessionStore';
+
+const inputClass = 'w-full p-2 border rounded text-sm';
+
+// 新規セッション作成フォーム
+const NewSessionForm = ({ onCreate }) => {
+  const [form, setForm] = useState({
+    name: '',
+    location: '',
+    date: new Date().toISOString().split('T')[0],
+    operator: ''
+  });
+
+  const field = (key, label, type = 'text', placeholder = '') => (
+    <label className="block text-xs text-gray-700">
+      {label}
+      <input
+        type={type}
+        value={form[key]}
+        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+        placeholder={placeholder}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div className="p-3 border rounded mb-4">
+      <h4 className="font-bold text-sm mb-2">新しいセッション</h4>
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        {field('name', 'セッション名', 'text', `棚卸 ${form.date}`)}
+        {field('location', '場所', 'text', '本店 バックヤード')}
+        {field('date', '日付', 'date')}
+        {field('operator', '担当者', 'text', '山田')}
+      </div>
+      <button
+        onClick={() => onCreate(form)}
+        className="w-full p-2 bg-blue-500 text-white rounded text-sm"
+      >
+        作成して切り替え
+      </button>
+    </div>
+  );
+};
+
+// 棚卸セッションの管理画面 (作成・切替・複製・締め・アーカイブ・削除)
+const SessionManager = ({
+  sessions,
+  activeSessionId,
+  onCreate,
+  onSwitch,
+  onDuplicate,
+  onToggleStatus,
+  onToggleArchive,
+  onDelete,
+  onClose
+}) => {
+  const [showArchived, setShowArchived] = useState(false);
+
+  const visibleSessions = sessions.filter(session => showArchived || !session.archived);
+  const archivedCount = sessions.filter(session => session.archived).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">棚卸セッション</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        <NewSessionForm onCreate={onCreate} />
+
+        <div className="flex justify-end mb-2">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              className="mr-1"
+            />
+            アーカイブを表示 ({archivedCount}件)
+          </label>
+        </div>
+
+        <ul className="divide-y divide-gray-200 border rounded">
+          {visibleSessions.map(session => {
+            const isActive = session.id === activeSessionId;
+            const isClosed = session.status === SESSION_STATUS.CLOSED;
+            return (
+              <li key={session.id} className={`p-3 text-sm ${isActive ? 'bg-blue-50' : ''}`}>
+                <div className="flex justify-between items-start">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800 truncate">
+                      {session.name}
+                      {isActive && <span className="ml-1 text-xs bg-blue-500 text-white px-1 rounded">使用中</span>}
+                      {isClosed && <span className="ml-1 text-xs bg-gray-500 text-white px-1 rounded">締め済み</span>}
+                      {session.archived && <span className="ml-1 text-xs bg-yellow-100 text-yellow-800 px-1 rounded">アーカイブ</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.date}
+                      {session.location && ` | ${session.location}`}
+                      {session.operator && ` | 担当: ${session.operator}`}
+                      {` | ${session.products.length}件`}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-1 mt-2 text-xs">
+                  {!isActive && (
+                    <button onClick={() => onSwitch(session.id)} className="px-2 py-1 bg-blue-500 text-white rounded">
+                      切替
+                    </button>
+                  )}
+                  <button onClick={() => onDuplicate(session.id)} className="px-2 py-1 bg-gray-200 rounded">
+                    複製
+                  </button>
+                  <button onClick={() => onToggleStatus(session.id)} className="px-2 py-1 bg-gray-200 rounded">
+                    {isClosed ? '再開' : '締める'}
+                  </button>
+                  <button onClick={() => onToggleArchive(session.id)} className="px-2 py-1 bg-gray-200 rounded">
+                    {session.archived ? '復元' : 'アーカイブ'}
+                  </button>
+                  <button onClick={() => onDelete(session.id)} className="px-2 py-1 bg-red-500 text-white rounded">
+                    削除
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default SessionManager;
@@ -0,0 +1,390 @@
+import React, { useState } from 'react';
+import { PROVIDERS, parseMasterFile } from '../lookup';
+import { VALUE_TYPES, VALUE_TYPE_LABELS, validateTemplate } from '../barcode/inStore';
+import { SYMBOLOGIES } from '../barcode/symbologies';
+
+const inputClass = 'w-full p-2 border rounded text-sm';
+
+// JANCodeLookup の設定欄
+const JanCodeLookupOptions = ({ options, onChange }) => (
+  <div>
+    <p className="mb-2 text-xs text-gray-600">
+      <a href="https://www.jancodelookup.com/" target="_blank" rel="noopener noreferrer" className="text-blue-500 underline mr-1">
+        JANCodeLookup
+      </a>
+      で取得したAPIキーを入力してください。
+    </p>
+    <input
+      type="text"
+      value={options.apiKey}
+      onChange={(e) => onChange({ ...options, apiKey: e.target.value })}
+      placeholder="APIキーを入力"
+      className={inputClass}
+    />
+  </div>
+);
+
+// マスターデータファイルの設定欄
+const MasterFileOptions = ({ options, onChange }) => {
+  const [error, setError] = useState(null);
+  // 保存前は読み込んだレコード、保存後は設定に残した件数
+  const count = options.records ? Object.keys(options.records).length : options.recordCount;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const records = parseMasterFile(file.name, await file.text());
+      setError(null);
+      onChange({ ...options, fileName: file.name, records });
+    } catch (parseError) {
+      console.error('マスターファイル読み込みエラー:', parseError);
+      setError(`読み込みに失敗しました: ${parseError.message}`);
+    }
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <p className="mb-2 text-xs text-gray-600">
+        「JANコード, 商品名, メーカー, ブランド, 画像URL, 標準価格」列を持つCSVまたはJSONを読み込みます。
+      </p>
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="text-sm" />
+      {count > 0 && (
+        <div className="flex justify-between items-center mt-2 text-xs text-gray-700">
+          <span>{options.fileName} ({count}件)</span>
+          <button
+            onClick={() => onChange({ ...options, fileName: '', records: {} })}
+            className="text-red-500 hover:text-red-700"
+          >
+            クリア
+          </button>
+        </div>
+      )}
+      {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+// 汎用HTTP(JSON)の設定欄
+const HttpJsonOptions = ({ options, onChange }) => {
+  const field = (key, label, placeholder) => (
+    <label className="block mb-2 text-xs text-gray-700">
+      {label}
+      <input
+        type="text"
+        value={options[key]}
+        onChange={(e) => onChange({ ...options, [key]: e.target.value })}
+        placeholder={placeholder}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div>
+      {field('urlTemplate', 'URLテンプレート', 'https://example.com/items/{jan}')}
+      {field('headers', 'リクエストヘッダー (JSON)', '{"Authorization": "Bearer ..."}')}
+      <div className="grid grid-cols-2 gap-x-2">
+        {field('namePath', '商品名のパス', 'data.name')}
+        {field('makerPath', 'メーカーのパス', 'data.maker')}
+        {field('brandPath', 'ブランドのパス', 'data.brand')}
+        {field('imagePath', '画像URLのパス', 'data.image')}
+        {field('pricePath', '標準価格のパス', 'data.price')}
+      </div>
+    </div>
+  );
+};
+
+const OPTION_EDITORS = {
+  jancodelookup: JanCodeLookupOptions,
+  masterfile: MasterFileOptions,
+  httpjson: HttpJsonOptions
+};
+
+// インストアコードのテンプレート1件分の編集欄
+const InStoreTemplateRow = ({ template, onChange, onRemove }) => {
+  const error = validateTemplate(template);
+  const digits = (key, label) => (
+    <label className="block text-xs text-gray-700">
+      {label}
+      <input
+        type="number"
+        min="0"
+        max="12"
+        value={template[key]}
+        onChange={(e) => onChange({ ...template, [key]: Math.max(0, parseInt(e.target.value) || 0) })}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <li className="border rounded p-3">
+      <div className="flex mb-2">
+        <input
+          type="text"
+          value={template.name}
+          onChange={(e) => onChange({ ...template, name: e.target.value })}
+          placeholder="テンプレート名"
+          className="flex-1 p-2 border rounded-l text-sm"
+        />
+        <button onClick={onRemove} className="px-3 bg-red-500 text-white rounded-r text-sm">削除</button>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block text-xs text-gray-700">
+          プレフィックス
+          <input
+            type="text"
+            inputMode="numeric"
+            value={template.prefix}
+            onChange={(e) => onChange({ ...template, prefix: e.target.value.replace(/\D/g, '') })}
+            className={inputClass}
+          />
+        </label>
+        {digits('itemDigits', '品番の桁数')}
+        <label className="block text-xs text-gray-700">
+          埋め込む値
+          <select
+            value={template.valueType}
+            onChange={(e) => onChange({ ...template, valueType: e.target.value })}
+            className={inputClass}
+          >
+            {Object.values(VALUE_TYPES).map(type => (
+              <option key={type} value={type}>{VALUE_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </label>
+        {digits('valueDigits', '値の桁数')}
+      </div>
+      <label className="flex items-center mt-2 text-xs text-gray-700">
+        <input
+          type="checkbox"
+          checked={template.priceCheckDigit}
+          onChange={(e) => onChange({ ...template, priceCheckDigit: e.target.checked })}
+          className="mr-1"
+        />
+        値の前に価格チェックデジット (1桁) がある
+      </label>
+      {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+    </li>
+  );
+};
+
+// 設定モーダル (商品検索プロバイダーの順序・有効/無効・各種設定、バーコードの種類、ハンドスキャナー、インストアコード)
+const SettingsModal = ({ providerConfig, inStoreTemplates, symbologies, wedgeSettings, onSave, onClose }) => {
+  const [draft, setDraft] = useState(providerConfig);
+  const [templates, setTemplates] = useState(inStoreTemplates);
+  const [formats, setFormats] = useState(symbologies);
+  const [wedge, setWedge] = useState(wedgeSettings);
+  const hasTemplateError = templates.some(template => validateTemplate(template));
+
+  const toggleFormat = (id, enabled) => {
+    // 表示順をそろえるため SYMBOLOGIES の順で保持する
+    setFormats(SYMBOLOGIES.map(symbology => symbology.id)
+      .filter(key => (key === id ? enabled : formats.includes(key))));
+  };
+
+  const addTemplate = () => {
+    setTemplates([...templates, {
+      id: `custom-${Date.now()}`,
+      name: '',
+      prefix: '2',
+      itemDigits: 6,
+      priceCheckDigit: false,
+      valueType: VALUE_TYPES.PRICE,
+      valueDigits: 5
+    }]);
+  };
+
+  const updateEntry = (index, changes) => {
+    setDraft(draft.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  // 並び替え (direction: -1 で上へ、1 で下へ)
+  const moveEntry = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= draft.length) {
+      return;
+    }
+    const reordered = [...draft];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setDraft(reordered);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-lg w-full max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold mb-2">商品検索の設定</h3>
+        <p className="mb-4 text-sm text-gray-600">
+          上から順に検索し、最初に見つかった商品情報を使用します。
+        </p>
+
+        <ol className="space-y-3 mb-4">
+          {draft.map((entry, index) => {
+            const provider = PROVIDERS[entry.id];
+            const OptionEditor = OPTION_EDITORS[entry.id];
+            return (
+              <li key={entry.id} className={`border rounded p-3 ${entry.enabled ? '' : 'opacity-60'}`}>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="flex items-center font-medium text-sm">
+                    <input
+                      type="checkbox"
+                      checked={entry.enabled}
+                      onChange={(e) => updateEntry(index, { enabled: e.target.checked })}
+                      className="mr-2"
+                    />
+                    {index + 1}. {provider.label}
+                  </label>
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => moveEntry(index, -1)}
+                      disabled={index === 0}
+                      className="px-2 bg-gray-200 rounded text-sm disabled:opacity-30"
+                      aria-label="上へ"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveEntry(index, 1)}
+                      disabled={index === draft.length - 1}
+                      className="px-2 bg-gray-200 rounded text-sm disabled:opacity-30"
+                      aria-label="下へ"
+                    >
+                      ↓
+                    </button>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mb-2">{provider.description}</p>
+                <OptionEditor
+                  options={entry.options}
+                  onChange={(options) => updateEntry(index, { options })}
+                />
+              </li>
+            );
+          })}
+        </ol>
+
+        <h3 className="text-lg font-bold mb-2">読み取るバーコード</h3>
+        <p className="mb-2 text-sm text-gray-600">
+          種類を絞るほど読み取りが速くなります。GS1-128・GS1 DataMatrix などの GS1 データからは消費期限・ロット・数量も読み取ります。
+        </p>
+        <div className="grid grid-cols-2 gap-1 mb-4">
+          {SYMBOLOGIES.map(symbology => (
+            <label key={symbology.id} className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={formats.includes(symbology.id)}
+                onChange={(e) => toggleFormat(symbology.id, e.target.checked)}
+                className="mr-2"
+              />
+              {symbology.label}
+            </label>
+          ))}
+        </div>
+        {formats.length === 0 && <p className="mb-4 text-xs text-red-500">1種類以上選択してください</p>}
+
+        <h3 className="text-lg font-bold mb-2">ハンドスキャナー</h3>
+        <p className="mb-2 text-sm text-gray-600">
+          キーボードとして入力するスキャナー (USB・Bluetooth) の読み取りを、入力の速さで判別します。
+        </p>
+        <div className="border rounded p-3 mb-4 space-y-2">
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              checked={wedge.enabled}
+              onChange={(e) => setWedge({ ...wedge, enabled: e.target.checked })}
+              className="mr-2"
+            />
+            ハンドスキャナーの入力を受け付ける
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block text-xs text-gray-700">
+              プレフィックス
+              <input
+                type="text"
+                value={wedge.prefix}
+                onChange={(e) => setWedge({ ...wedge, prefix: e.target.value })}
+                placeholder="なし"
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-xs text-gray-700">
+              サフィックス (Enter・Tab 以外)
+              <input
+                type="text"
+                value={wedge.suffix}
+                onChange={(e) => setWedge({ ...wedge, suffix: e.target.value })}
+                placeholder="なし"
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-xs text-gray-700">
+              文字の間隔の上限 (ミリ秒)
+              <input
+                type="number"
+                min="5"
+                value={wedge.maxIntervalMs}
+                onChange={(e) => setWedge({ ...wedge, maxIntervalMs: Math.max(5, parseInt(e.target.value) || 5) })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-xs text-gray-700">
+              最小の桁数
+              <input
+                type="number"
+                min="1"
+                value={wedge.minLength}
+                onChange={(e) => setWedge({ ...wedge, minLength: Math.max(1, parseInt(e.target.value) || 1) })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+        </div>
+
+        <h3 className="text-lg font-bold mb-2">インストアコード</h3>
+        <p className="mb-4 text-sm text-gray-600">
+          価格・重量を埋め込んだ店内バーコードの構成です。一致したコードは検索せずに値を読み取り、品番ごとにまとめます。
+        </p>
+        <ul className="space-y-3 mb-2">
+          {templates.map((template, index) => (
+            <InStoreTemplateRow
+              key={template.id}
+              template={template}
+              onChange={(changed) => setTemplates(templates.map((t, i) => (i === index ? changed : t)))}
+              onRemove={() => setTemplates(templates.filter((_, i) => i !== index))}
+            />
+          ))}
+        </ul>
+        <button onClick={addTemplate} className="w-full p-2 mb-4 bg-gray-200 rounded text-sm">
+          テンプレートを追加
+        </button>
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="p-2 bg-gray-300 rounded mr-2"
+          >
+            キャンセル
+          </button>
+          <button
+            onClick={() => onSave({
+              providerConfig: draft,
+              inStoreTemplates: templates,
+              symbologies: formats,
+              wedgeSettings: wedge
+            })}
+            disabled={hasTemplateError || formats.length === 0}
+            className="p-2 bg-blue-500 text-white rounded disabled:opacity-50"
+          >
+            保存
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import {
+  MOVEMENT_TYPES,
+  MOVEMENT_TYPE_LABELS,
+  summarizeLedger,
+  productHistory
+} from '../inventory/stockLedger';
+
+const TYPE_STYLES = {
+  [MOVEMENT_TYPES.RECEIPT]: 'bg-green-100 text-green-800',
+  [MOVEMENT_TYPES.SALE]: 'bg-blue-100 text-blue-800',
+  [MOVEMENT_TYPES.DISPOSAL]: 'bg-red-100 text-red-800',
+  [MOVEMENT_TYPES.ADJUSTMENT]: 'bg-yellow-100 text-yellow-800'
+};
+
+const formatDelta = (quantity) => (quantity > 0 ? `+${quantity}` : String(quantity));
+
+// 商品ごとの入出庫履歴 (各時点の在庫数付き、新しい順に表示)
+const ProductHistory = ({ ledger, janCode, onBack }) => {
+  const history = productHistory(ledger, janCode).reverse();
+  const productName = (history.find(movement => movement.productName) || {}).productName;
+
+  return (
+    <div>
+      <button onClick={onBack} className="mb-2 text-sm text-blue-600 hover:underline">← 商品一覧に戻る</button>
+      <p className="font-bold text-gray-800">{productName || '(商品名未登録)'}</p>
+      <p className="text-xs text-gray-500 mb-2">
+        JAN: {janCode} | 現在庫 {history.length > 0 ? history[0].balance : 0}個
+      </p>
+      {history.length === 0 ? (
+        <p className="p-4 text-center text-gray-500 text-sm">入出庫の記録はありません</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border rounded">
+          {history.map(movement => (
+            <li key={movement.id} className="p-2 text-sm flex justify-between items-start">
+              <div className="flex-1 min-w-0">
+                <p>
+                  <span className={`text-xs px-1 rounded mr-1 ${TYPE_STYLES[movement.type]}`}>
+                    {MOVEMENT_TYPE_LABELS[movement.type]}
+                  </span>
+                  <span className="text-xs text-gray-500">{new Date(movement.at).toLocaleString()}</span>
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {movement.reason && `理由: ${movement.reason}`}
+                  {movement.user && ` 担当: ${movement.user}`}
+                  {movement.note && ` | ${movement.note}`}
+                </p>
+              </div>
+              <div className="text-right ml-2">
+                <p className="font-bold text-gray-800">{formatDelta(movement.quantity)}</p>
+                <p className="text-xs text-gray-500">
+                  {movement.countedQuantity !== null && `実数 ${movement.countedQuantity} / `}在庫 {movement.balance}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// 入出庫台帳 (商品ごとの現在庫・履歴、棚卸結果による調整、CSV出力)
+const StockLedgerDialog = ({ ledger, initialJanCode, sessionName, countedLines, onAdjust, onExport, onClose }) => {
+  const [selectedJanCode, setSelectedJanCode] = useState(initialJanCode || null);
+  const [query, setQuery] = useState('');
+
+  const summaries = summarizeLedger(ledger).filter(summary => !query
+    || summary.janCode.includes(query)
+    || summary.productName.toLowerCase().includes(query.toLowerCase()));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">入出庫台帳 ({ledger.length}件)</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        {selectedJanCode ? (
+          <ProductHistory ledger={ledger} janCode={selectedJanCode} onBack={() => setSelectedJanCode(null)} />
+        ) : (
+          <>
+            <div className="flex mb-4 space-x-2">
+              <button
+                onClick={onAdjust}
+                disabled={countedLines.length === 0}
+                className="flex-1 p-2 bg-yellow-500 text-white rounded text-sm disabled:opacity-50"
+              >
+                「{sessionName}」の棚卸数で在庫を調整
+              </button>
+              <button
+                onClick={onExport}
+                disabled={ledger.length === 0}
+                className="p-2 bg-green-600 text-white rounded text-sm disabled:opacity-50"
+              >
+                台帳をCSV出力
+              </button>
+            </div>
+
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="商品名・JANコードで絞り込み"
+              className="w-full p-2 border rounded text-sm mb-2"
+            />
+
+            {summaries.length === 0 ? (
+              <p className="p-4 text-center text-gray-500 text-sm">入出庫の記録はありません</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border rounded">
+                {summaries.map(summary => (
+                  <li key={summary.janCode}>
+                    <button
+                      onClick={() => setSelectedJanCode(summary.janCode)}
+                      className="w-full p-2 text-sm flex justify-between items-center text-left hover:bg-gray-50"
+                    >
+                      <div className="truncate flex-1">
+                        <p className="font-medium text-gray-800 truncate">{summary.productName || '(商品名未登録)'}</p>
+                        <p className="text-xs text-gray-500">
+                          JAN: {summary.janCode} | {summary.movementCount}件 | 最終 {new Date(summary.lastAt).toLocaleString()}
+                        </p>
+                      </div>
+                      <span className={`ml-2 font-bold ${summary.stock < 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                        {summary.stock}個
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockLedgerDialog;
@@ -0,0 +1,176 @@
+import React, { useState, useMemo } from 'react';
+import { mergeChanges, SYNC_OPS } from '../sync/syncProtocol';
+import { SYNC_STATUS, SYNC_STATUS_LABELS } from '../sync/useSessionSync';
+import { generateShareCode, normalizeShareCode } from '../sync/syncClient';
+
+const FIELD_LABELS = {
+  quantity: '数量',
+  productName: '商品名',
+  price: '売価',
+  expiryDate: '消費期限',
+  lot: 'ロット',
+  category: 'カテゴリ',
+  weight: '重量',
+  locationId: '保管場所'
+};
+
+const STATUS_STYLES = {
+  [SYNC_STATUS.LIVE]: 'bg-green-100 text-green-800',
+  [SYNC_STATUS.POLLING]: 'bg-green-100 text-green-800',
+  [SYNC_STATUS.CONNECTING]: 'bg-blue-100 text-blue-800',
+  [SYNC_STATUS.OFFLINE]: 'bg-yellow-100 text-yellow-800',
+  [SYNC_STATUS.PAUSED]: 'bg-gray-100 text-gray-700',
+  [SYNC_STATUS.ERROR]: 'bg-red-100 text-red-800',
+  [SYNC_STATUS.OFF]: 'bg-gray-100 text-gray-700'
+};
+
+const formatValue = (value) => (value === '' || value === null || value === undefined ? '(空)' : String(value));
+
+const deviceLabel = (name, id) => (name ? `${name} (${id})` : id);
+
+// 複数端末の同期設定 (同期サーバー・端末名・セッションの共有) と、後勝ちで上書きされた変更の記録
+const SyncDialog = ({ settings, session, sync, onSettingsChange, onShare, onLeave, onClose }) => {
+  const [serverUrl, setServerUrl] = useState(settings.serverUrl);
+  const [token, setToken] = useState(settings.token);
+  const [deviceName, setDeviceName] = useState(settings.deviceName);
+  const [joinCode, setJoinCode] = useState('');
+  const audit = useMemo(() => mergeChanges(sync.changes, sync.snapshot).audit.reverse(), [sync.changes, sync.snapshot]);
+
+  const settingsChanged = serverUrl.trim() !== settings.serverUrl
+    || token.trim() !== settings.token
+    || deviceName.trim() !== settings.deviceName;
+
+  const join = () => {
+    if (normalizeShareCode(joinCode)) {
+      onShare(normalizeShareCode(joinCode));
+      setJoinCode('');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">複数端末の同期</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        <div className="space-y-2 mb-4 text-sm">
+          <label className="block">
+            <span className="text-gray-600">同期サーバーのURL</span>
+            <input
+              type="url"
+              value={serverUrl}
+              onChange={(e) => setServerUrl(e.target.value)}
+              placeholder="http://192.168.0.10:4000"
+              className="w-full p-2 border rounded"
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">アクセストークン (同期サーバーの起動時に表示)</span>
+            <input
+              type="text"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              autoComplete="off"
+              className="w-full p-2 border rounded font-mono"
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">この端末の名前 (上書きの記録に表示)</span>
+            <input
+              type="text"
+              value={deviceName}
+              onChange={(e) => setDeviceName(e.target.value)}
+              placeholder="例: 田中のスマホ"
+              className="w-full p-2 border rounded"
+            />
+          </label>
+          <button
+            onClick={() => onSettingsChange({ serverUrl: serverUrl.trim(), token: token.trim(), deviceName: deviceName.trim() })}
+            disabled={!settingsChanged}
+            className="p-2 bg-blue-500 text-white rounded disabled:opacity-50"
+          >
+            保存
+          </button>
+          <p className="text-xs text-gray-500">
+            同期サーバーは <code>npm run sync-server</code> で起動できます (端末ID: {sync.deviceId})。
+            店舗内の LAN だけで使い、インターネットには公開しないでください。
+          </p>
+        </div>
+
+        <div className="mb-4 p-3 border rounded text-sm">
+          <p className="font-bold mb-2">セッション「{session.name}」</p>
+          {session.syncId ? (
+            <>
+              <p className="mb-1">
+                共有コード: <span className="font-mono text-lg font-bold">{session.syncId}</span>
+              </p>
+              <p className="text-xs text-gray-500 mb-2">他の端末で「共有コードで参加」にこのコードを入力してください</p>
+              <p className="mb-2">
+                <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[sync.status]}`}>
+                  {SYNC_STATUS_LABELS[sync.status]}
+                </span>
+                {sync.pendingCount > 0 && <span className="ml-2 text-xs text-gray-600">未送信 {sync.pendingCount}件</span>}
+              </p>
+              {sync.error && <p className="mb-2 text-xs text-red-500">{sync.error}</p>}
+              {!settings.serverUrl && (
+                <p className="mb-2 text-xs text-yellow-700">同期サーバーのURLを設定すると送受信を始めます</p>
+              )}
+              <button onClick={onLeave} className="p-2 bg-gray-200 rounded">同期をやめる</button>
+            </>
+          ) : (
+            <>
+              <button onClick={() => onShare(generateShareCode())} className="p-2 bg-blue-500 text-white rounded mb-3">
+                このセッションを共有
+              </button>
+              <div className="flex">
+                <input
+                  type="text"
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && join()}
+                  placeholder="共有コード"
+                  className="flex-1 p-2 border rounded-l font-mono"
+                />
+                <button onClick={join} className="px-3 bg-gray-700 text-white rounded-r">共有コードで参加</button>
+              </div>
+              <p className="mt-1 text-xs text-gray-500">参加すると、このセッションの商品は共有先の商品とまとめられます</p>
+            </>
+          )}
+        </div>
+
+        <h4 className="font-bold text-sm mb-1">上書き・削除の記録 ({audit.length}件)</h4>
+        <p className="text-xs text-gray-500 mb-2">
+          加算モードの数量は端末ごとの数量が合計されます。それ以外の変更は最後に変更した端末の内容が残ります。
+        </p>
+        {audit.length === 0 ? (
+          <p className="p-4 text-center text-gray-500 text-sm">他の端末の変更を上書きした記録はありません</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border rounded text-sm">
+            {audit.map(record => (
+              <li key={record.id} className="p-2">
+                <p className="font-medium text-gray-800">
+                  {record.productName || record.janCode}
+                  <span className="ml-2 text-xs text-gray-500">{new Date(record.at).toLocaleString()}</span>
+                </p>
+                <p className="text-xs text-gray-600">
+                  {deviceLabel(record.deviceName, record.deviceId)} が
+                  {' '}{deviceLabel(record.replacedDeviceName, record.replacedDeviceId)} の
+                  {record.action === SYNC_OPS.DELETE ? '行を削除' : '内容を上書き'}
+                </p>
+                {record.fields.map(({ field, before, after }) => (
+                  <p key={field} className="text-xs text-gray-500">
+                    {FIELD_LABELS[field] || field}: {formatValue(before)} → {formatValue(after)}
+                  </p>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SyncDialog;
@@ -0,0 +1,25 @@
+import React, { useEffect } from 'react';
+
+// 削除・上書きなどの直後に表示する「元に戻す」の通知 (しばらくすると自動で閉じる)
+const TOAST_DURATION_MS = 8000;
+
+const UndoToast = ({ command, onUndo, onClose }) => {
+  useEffect(() => {
+    const timer = setTimeout(onClose, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [command.id, onClose]);
+
+  return (
+    <div className="fixed bottom-4 inset-x-0 flex justify-center z-40 px-4 pointer-events-none">
+      <div className="flex items-center gap-3 bg-gray-800 text-white text-sm px-4 py-3 rounded-lg shadow-lg max-w-md w-full pointer-events-auto">
+        <span className="flex-1 truncate">{command.label}</span>
+        <button onClick={onUndo} className="font-bold text-yellow-300 hover:text-yellow-200 whitespace-nowrap">
+          元に戻す
+        </button>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="閉じる">×</button>
+      </div>
+    </div>
+  );
+};
+
+export default UndoToast;
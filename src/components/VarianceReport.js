@@ -0,0 +1,327 @@
+import React, { useState } from 'react';
+import { readImportFile } from '../import/readImportFile';
+import { autoMapColumns } from '../import/importPlan';
+import {
+  EXPECTED_FIELDS,
+  VARIANCE_STATUS,
+  VARIANCE_STATUS_LABELS,
+  parseExpectedStock,
+  buildVarianceReport,
+  filterVarianceRows
+} from '../variance/varianceReport';
+import { printDocument, escapeHtml } from '../export/printDocument';
+
+const STATUS_STYLES = {
+  [VARIANCE_STATUS.SHORT]: 'bg-red-100 text-red-800 border-red-300',
+  [VARIANCE_STATUS.OVER]: 'bg-blue-100 text-blue-800 border-blue-300',
+  [VARIANCE_STATUS.NOT_SCANNED]: 'bg-orange-100 text-orange-800 border-orange-300',
+  [VARIANCE_STATUS.UNEXPECTED]: 'bg-purple-100 text-purple-800 border-purple-300',
+  [VARIANCE_STATUS.MATCH]: 'bg-green-100 text-green-800 border-green-300'
+};
+
+const DEFAULT_STATUSES = Object.values(VARIANCE_STATUS).filter(status => status !== VARIANCE_STATUS.MATCH);
+
+const formatYen = (value) => `${Math.round(value).toLocaleString()}円`;
+
+const formatDelta = (value) => (value > 0 ? `+${value.toLocaleString()}` : value.toLocaleString());
+
+const formatQuantity = (value) => (value === null ? '-' : value.toLocaleString());
+
+// 予定在庫ファイルの読み込み (ファイル選択 → 列の対応付け)
+const ExpectedStockLoader = ({ onLoad, onCancel }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const loaded = await readImportFile(file);
+      if (loaded.length === 0) {
+        throw new Error('データがありません');
+      }
+      setFileName(file.name);
+      setRows(loaded);
+      setMapping(autoMapColumns(loaded[0], EXPECTED_FIELDS));
+      setError(null);
+    } catch (readError) {
+      console.error('予定在庫ファイル読み込みエラー:', readError);
+      setError(`ファイルを読み込めませんでした: ${readError.message}`);
+    }
+  };
+
+  const requiredMapped = EXPECTED_FIELDS.filter(field => field.required).every(field => mapping[field.key] >= 0);
+  const parsed = rows.length > 0 && requiredMapped ? parseExpectedStock(rows, mapping, hasHeader) : null;
+
+  return (
+    <div className="mb-4 p-3 border rounded text-sm">
+      <h4 className="font-bold mb-2">予定在庫ファイル (POS の在庫データなど)</h4>
+      <input type="file" accept=".csv,.tsv,.txt,.xlsx,.xls,.xlsm,.ods" onChange={handleFile} className="text-sm" />
+      {fileName && <p className="mt-1 text-xs text-gray-600">{fileName} ({rows.length}行)</p>}
+      {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex justify-end mt-2">
+            <label className="flex items-center text-xs">
+              <input
+                type="checkbox"
+                checked={hasHeader}
+                onChange={(e) => setHasHeader(e.target.checked)}
+                className="mr-1"
+              />
+              1行目はヘッダー
+            </label>
+          </div>
+          <div className="grid grid-cols-2 gap-2 mt-1">
+            {EXPECTED_FIELDS.map(field => (
+              <label key={field.key} className="block text-xs text-gray-700">
+                {field.label}{field.required && <span className="text-red-500">*</span>}
+                <select
+                  value={mapping[field.key]}
+                  onChange={(e) => setMapping({ ...mapping, [field.key]: Number(e.target.value) })}
+                  className="w-full p-1 border rounded"
+                >
+                  <option value={-1}>(使わない)</option>
+                  {rows[0].map((header, index) => (
+                    <option key={index} value={index}>{hasHeader ? header || `列${index + 1}` : `列${index + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          {!requiredMapped && (
+            <p className="mt-2 text-xs text-red-500">JANコードと予定数量の列を指定してください</p>
+          )}
+          {parsed && parsed.invalid.length > 0 && (
+            <details className="mt-2 text-xs text-red-600">
+              <summary className="cursor-pointer">読み込めない行 ({parsed.invalid.length}件)</summary>
+              <ul className="max-h-32 overflow-y-auto">
+                {parsed.invalid.map(({ rowNumber, errors }) => (
+                  <li key={rowNumber}>{rowNumber}行目: {errors.join(' / ')}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </>
+      )}
+
+      <div className="flex space-x-2 mt-3">
+        <button
+          onClick={() => onLoad({ fileName, loadedAt: new Date().toISOString(), items: parsed.items })}
+          disabled={!parsed || parsed.items.length === 0}
+          className="flex-1 p-2 bg-blue-600 text-white rounded disabled:opacity-50"
+        >
+          {parsed ? `${parsed.items.length}商品を予定在庫として読み込む` : '予定在庫として読み込む'}
+        </button>
+        {onCancel && (
+          <button onClick={onCancel} className="p-2 bg-gray-300 rounded">キャンセル</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// 差異レポートを印刷用のHTMLにして印刷する
+const printVarianceReport = (sessionName, expected, rows, totals) => {
+  const body = `
+    <h1>棚卸差異レポート: ${escapeHtml(sessionName)}</h1>
+    <p>予定在庫: ${escapeHtml(expected.fileName)} (${escapeHtml(new Date(expected.loadedAt).toLocaleString())})
+      / 出力: ${escapeHtml(new Date().toLocaleString())}</p>
+    <p>予定 ${totals.expectedQuantity}個 / 実数 ${totals.countedQuantity}個 /
+      差異 ${formatDelta(totals.difference)}個 / 差異金額 ${formatYen(totals.differenceValue)}</p>
+    <table>
+      <thead><tr>
+        <th>状態</th><th>JANコード</th><th>商品名</th><th>予定</th><th>実数</th><th>差異</th><th>売価</th><th>差異金額</th>
+      </tr></thead>
+      <tbody>
+        ${rows.map(row => `<tr>
+          <td>${VARIANCE_STATUS_LABELS[row.status]}</td>
+          <td>${escapeHtml(row.janCode)}</td>
+          <td>${escapeHtml(row.productName)}</td>
+          <td class="num">${formatQuantity(row.expectedQuantity)}</td>
+          <td class="num">${formatQuantity(row.countedQuantity)}</td>
+          <td class="num">${formatDelta(row.difference)}</td>
+          <td class="num">${row.price.toLocaleString()}</td>
+          <td class="num">${formatYen(row.differenceValue)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+  return printDocument(`棚卸差異レポート_${sessionName}`, body);
+};
+
+// 棚卸の差異レポート (予定在庫と実数の比較・絞り込み・CSV/PDF出力)
+const VarianceReport = ({ sessionName, expected, products, onExpectedChange, onExportCsv, onClose }) => {
+  const [isLoaderOpen, setIsLoaderOpen] = useState(!expected);
+  const [statuses, setStatuses] = useState(DEFAULT_STATUSES);
+  const [query, setQuery] = useState('');
+  const [minValue, setMinValue] = useState(0);
+  const [printError, setPrintError] = useState(null);
+
+  const report = expected ? buildVarianceReport(products, expected.items) : null;
+  const visibleRows = report
+    ? filterVarianceRows(report.rows, { statuses, query, minValue })
+      .sort((a, b) => Math.abs(b.differenceValue) - Math.abs(a.differenceValue) || Math.abs(b.difference) - Math.abs(a.difference))
+    : [];
+
+  const toggleStatus = (status) => {
+    setStatuses(statuses.includes(status) ? statuses.filter(s => s !== status) : [...statuses, status]);
+  };
+
+  const handleLoad = (loaded) => {
+    onExpectedChange(loaded);
+    setIsLoaderOpen(false);
+  };
+
+  const handleRemove = () => {
+    if (window.confirm('このセッションの予定在庫を削除しますか？')) {
+      onExpectedChange(null);
+      setIsLoaderOpen(true);
+    }
+  };
+
+  const handlePrint = async () => {
+    try {
+      await printVarianceReport(sessionName, expected, visibleRows, report.totals);
+      setPrintError(null);
+    } catch (error) {
+      setPrintError(error.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-3xl w-full max-h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">差異レポート: {sessionName}</h3>
+          <button onClick={onClose} className="p-2 bg-gray-300 rounded text-sm">閉じる</button>
+        </div>
+
+        {isLoaderOpen && (
+          <ExpectedStockLoader onLoad={handleLoad} onCancel={expected ? () => setIsLoaderOpen(false) : null} />
+        )}
+
+        {report && !isLoaderOpen && (
+          <>
+            <div className="flex justify-between items-center mb-3 text-xs text-gray-600">
+              <span className="truncate">
+                予定在庫: {expected.fileName} ({expected.items.length}商品 / {new Date(expected.loadedAt).toLocaleString()})
+              </span>
+              <span className="flex-shrink-0 ml-2 space-x-2">
+                <button onClick={() => setIsLoaderOpen(true)} className="text-blue-600 hover:underline">読み直す</button>
+                <button onClick={handleRemove} className="text-red-500 hover:underline">削除</button>
+              </span>
+            </div>
+
+            <p className="mb-3 text-sm text-gray-700">
+              予定 {report.totals.expectedQuantity.toLocaleString()}個 / 実数 {report.totals.countedQuantity.toLocaleString()}個 /
+              差異 <span className="font-bold">{formatDelta(report.totals.difference)}個</span> /
+              差異金額 <span className={`font-bold ${report.totals.differenceValue < 0 ? 'text-red-600' : ''}`}>
+                {formatYen(report.totals.differenceValue)}
+              </span>
+            </p>
+
+            {/* 状態別の件数 (クリックで表示の切り替え) */}
+            <div className="grid grid-cols-3 md:grid-cols-5 gap-2 mb-3">
+              {Object.values(VARIANCE_STATUS).map(status => (
+                <button
+                  key={status}
+                  onClick={() => toggleStatus(status)}
+                  className={`p-2 rounded border text-left ${STATUS_STYLES[status]} ${
+                    statuses.includes(status) ? 'ring-2 ring-blue-500' : 'opacity-60'
+                  }`}
+                >
+                  <p className="text-xs">{VARIANCE_STATUS_LABELS[status]}</p>
+                  <p className="font-bold">{report.totals.statuses[status]}件</p>
+                </button>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="商品名・JANコードで絞り込み"
+                className="flex-1 p-2 border rounded"
+              />
+              <label className="flex items-center text-gray-700">
+                差異金額
+                <input
+                  type="number"
+                  min="0"
+                  value={minValue}
+                  onChange={(e) => setMinValue(Math.max(0, parseInt(e.target.value) || 0))}
+                  className="w-20 mx-1 p-1 border rounded"
+                />
+                円以上
+              </label>
+            </div>
+
+            <div className="flex space-x-2 mb-3">
+              <button
+                onClick={() => onExportCsv(visibleRows)}
+                disabled={visibleRows.length === 0}
+                className="flex-1 p-2 bg-green-600 text-white rounded text-sm disabled:opacity-50"
+              >
+                CSV出力 ({visibleRows.length}件)
+              </button>
+              <button
+                onClick={handlePrint}
+                disabled={visibleRows.length === 0}
+                className="flex-1 p-2 bg-gray-700 text-white rounded text-sm disabled:opacity-50"
+              >
+                印刷 / PDF保存
+              </button>
+            </div>
+            {printError && <p className="mb-2 text-xs text-red-500">{printError}</p>}
+
+            {visibleRows.length === 0 ? (
+              <p className="p-4 text-center text-gray-500 text-sm">該当する商品はありません</p>
+            ) : (
+              <div className="overflow-x-auto border rounded">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-100 text-gray-700">
+                    <tr>
+                      <th className="p-2 text-left">商品</th>
+                      <th className="p-2 text-right">予定</th>
+                      <th className="p-2 text-right">実数</th>
+                      <th className="p-2 text-right">差異</th>
+                      <th className="p-2 text-right">差異金額</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {visibleRows.map(row => (
+                      <tr key={row.janCode}>
+                        <td className="p-2">
+                          <span className={`px-1 rounded border mr-1 ${STATUS_STYLES[row.status]}`}>
+                            {VARIANCE_STATUS_LABELS[row.status]}
+                          </span>
+                          <span className="text-gray-800">{row.productName || '(商品名未登録)'}</span>
+                          <p className="text-gray-500">JAN: {row.janCode} | {row.price.toLocaleString()}円</p>
+                        </td>
+                        <td className="p-2 text-right">{formatQuantity(row.expectedQuantity)}</td>
+                        <td className="p-2 text-right">{formatQuantity(row.countedQuantity)}</td>
+                        <td className="p-2 text-right font-bold">{formatDelta(row.difference)}</td>
+                        <td className={`p-2 text-right ${row.differenceValue < 0 ? 'text-red-600' : ''}`}>
+                          {formatYen(row.differenceValue)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VarianceReport;
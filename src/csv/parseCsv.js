@@ -0,0 +1,67 @@
+// RFC 4180 準拠のCSVパーサー
+// ダブルクォート内の区切り文字・改行・エスケープされた "" に対応する
+export const parseCsv = (text, delimiter = ',') => {
+  // 先頭のBOMを除去
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // CRLF は1つの改行として扱う
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // 末尾に改行がない場合の最終行
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 空行を除外
+  return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+};
+
+// 1行目をヘッダーとしてオブジェクト配列に変換
+export const parseCsvRecords = (text, delimiter = ',') => {
+  const [headers = [], ...rows] = parseCsv(text, delimiter);
+  const keys = headers.map(h => h.trim());
+
+  return rows.map(row => keys.reduce((record, key, index) => {
+    record[key] = row[index] !== undefined ? row[index] : '';
+    return record;
+  }, {}));
+};
@@ -0,0 +1,22 @@
+import { parseCsv, parseCsvRecords } from './parseCsv';
+
+test('parses quoted fields with delimiters, line breaks and escaped quotes', () => {
+  const text = 'JANコード,商品名\r\n4901234567894,"牛乳, 1L"\r\n49012347,"3""ケーブル\n黒"\n';
+  expect(parseCsv(text)).toEqual([
+    ['JANコード', '商品名'],
+    ['4901234567894', '牛乳, 1L'],
+    ['49012347', '3"ケーブル\n黒']
+  ]);
+});
+
+test('strips the BOM, skips blank lines and keeps a last line without a line break', () => {
+  expect(parseCsv('\uFEFFa\tb\n\n1\t2', '\t')).toEqual([['a', 'b'], ['1', '2']]);
+  expect(parseCsv('a,,c')).toEqual([['a', '', 'c']]);
+});
+
+test('maps rows to records by the trimmed header', () => {
+  expect(parseCsvRecords(' JAN ,商品名\n4901234567894,お茶\n49012347')).toEqual([
+    { JAN: '4901234567894', 商品名: 'お茶' },
+    { JAN: '49012347', 商品名: '' }
+  ]);
+});
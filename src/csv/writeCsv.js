@@ -0,0 +1,46 @@
+import Encoding from 'encoding-japanese';
+
+// RFC 4180 準拠のCSVシリアライザー
+
+export const DELIMITERS = {
+  COMMA: ',',
+  TAB: '\t',
+  SEMICOLON: ';'
+};
+
+export const ENCODINGS = {
+  UTF8_BOM: 'utf8-bom',
+  UTF8: 'utf8',
+  SHIFT_JIS: 'shift_jis'
+};
+
+// 区切り文字・ダブルクォート・改行・前後の空白を含むフィールドはクォートし、" は "" にエスケープする
+export const escapeCsvField = (value, delimiter = DELIMITERS.COMMA) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes(delimiter)
+    || /["\r\n]/.test(text)
+    || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 行の配列をCSV文字列に変換 (改行は CRLF)
+export const serializeCsv = (rows, delimiter = DELIMITERS.COMMA) => rows
+  .map(row => row.map(field => escapeCsvField(field, delimiter)).join(delimiter))
+  .join('\r\n') + '\r\n';
+
+// 文字コードを指定して Blob を作成
+export const encodeCsv = (text, encoding, mimeType = 'text/csv') => {
+  switch (encoding) {
+    case ENCODINGS.SHIFT_JIS: {
+      const bytes = Encoding.convert(Encoding.stringToCode(text), { to: 'SJIS', from: 'UNICODE' });
+      return new Blob([new Uint8Array(bytes)], { type: `${mimeType};charset=shift_jis;` });
+    }
+    case ENCODINGS.UTF8:
+      return new Blob([text], { type: `${mimeType};charset=utf-8;` });
+    default: {
+      // BOMを追加して Excel での文字化けを防止
+      const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
+      return new Blob([bom, text], { type: `${mimeType};charset=utf-8;` });
+    }
+  }
+};
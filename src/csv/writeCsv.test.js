@@ -0,0 +1,22 @@
+import { escapeCsvField, serializeCsv, DELIMITERS } from './writeCsv';
+import { parseCsv } from './parseCsv';
+
+test('quotes and escapes embedded double quotes', () => {
+  expect(escapeCsvField('3"ケーブル')).toBe('"3""ケーブル"');
+  expect(escapeCsvField('牛乳, 1L')).toBe('"牛乳, 1L"');
+  expect(escapeCsvField('1行目\n2行目')).toBe('"1行目\n2行目"');
+  expect(escapeCsvField('お茶')).toBe('お茶');
+  expect(escapeCsvField(null)).toBe('');
+});
+
+test('quotes fields containing the selected delimiter only', () => {
+  expect(escapeCsvField('a;b', DELIMITERS.SEMICOLON)).toBe('"a;b"');
+  expect(escapeCsvField('a;b', DELIMITERS.COMMA)).toBe('a;b');
+  expect(escapeCsvField('a\tb', DELIMITERS.TAB)).toBe('"a\tb"');
+});
+
+test('round-trips through the CSV parser', () => {
+  const rows = [['JANコード', '商品名'], ['4901234567894', '3"ケーブル, 黒'], ['49012347', ' 前後空白 ']];
+  expect(parseCsv(serializeCsv(rows))).toEqual(rows);
+  expect(parseCsv(serializeCsv(rows, DELIMITERS.TAB), DELIMITERS.TAB)).toEqual(rows);
+});
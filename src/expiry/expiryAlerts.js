@@ -0,0 +1,108 @@
+// 消費期限アラートの判定
+// しきい値はカテゴリごとに設定でき、未設定のカテゴリは全体の設定を使う
+
+export const EXPIRY_BUCKETS = {
+  EXPIRED: 'expired',
+  WARNING: 'warning',
+  CAUTION: 'caution',
+  OK: 'ok',
+  NONE: 'none'
+};
+
+export const BUCKET_LABELS = {
+  [EXPIRY_BUCKETS.EXPIRED]: '期限切れ',
+  [EXPIRY_BUCKETS.WARNING]: '期限間近',
+  [EXPIRY_BUCKETS.CAUTION]: '要注意',
+  [EXPIRY_BUCKETS.OK]: '余裕あり',
+  [EXPIRY_BUCKETS.NONE]: '期限なし'
+};
+
+const THRESHOLDS_KEY = 'expiryThresholds';
+const NOTIFICATIONS_KEY = 'expiryNotifications';
+
+export const DEFAULT_THRESHOLDS = {
+  global: { warningDays: 3, cautionDays: 7 },
+  categories: {}
+};
+
+export const loadExpiryThresholds = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THRESHOLDS_KEY));
+    if (saved && saved.global) {
+      return { ...DEFAULT_THRESHOLDS, ...saved };
+    }
+  } catch (error) {
+    console.warn('期限アラート設定の読み込みに失敗:', error);
+  }
+  return DEFAULT_THRESHOLDS;
+};
+
+export const saveExpiryThresholds = (thresholds) => {
+  localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(thresholds));
+};
+
+export const loadNotificationsEnabled = () => localStorage.getItem(NOTIFICATIONS_KEY) === 'true';
+
+export const saveNotificationsEnabled = (enabled) => {
+  localStorage.setItem(NOTIFICATIONS_KEY, String(enabled));
+};
+
+// 明細行に適用するしきい値
+export const thresholdsFor = (line, thresholds) => (
+  (line.category && thresholds.categories[line.category]) || thresholds.global
+);
+
+// "YYYY-MM-DD" をローカル時刻の0時として解釈
+const parseLocalDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// 期限までの残り日数 (当日は 0、期限切れは負数)
+export const daysUntilExpiry = (expiryDate, today = new Date()) => Math.round(
+  (parseLocalDate(expiryDate) - startOfDay(today)) / (24 * 60 * 60 * 1000)
+);
+
+export const classifyExpiry = (line, thresholds, today = new Date()) => {
+  if (!line.expiryDate) {
+    return { bucket: EXPIRY_BUCKETS.NONE, daysLeft: null };
+  }
+
+  const daysLeft = daysUntilExpiry(line.expiryDate, today);
+  const { warningDays, cautionDays } = thresholdsFor(line, thresholds);
+
+  let bucket = EXPIRY_BUCKETS.OK;
+  if (daysLeft < 0) {
+    bucket = EXPIRY_BUCKETS.EXPIRED;
+  } else if (daysLeft <= warningDays) {
+    bucket = EXPIRY_BUCKETS.WARNING;
+  } else if (daysLeft <= cautionDays) {
+    bucket = EXPIRY_BUCKETS.CAUTION;
+  }
+  return { bucket, daysLeft };
+};
+
+// バケットごとの件数・数量・売価合計と、分類済みの明細一覧
+export const summarizeExpiry = (lines, thresholds, today = new Date()) => {
+  const totals = Object.values(EXPIRY_BUCKETS).reduce((acc, bucket) => {
+    acc[bucket] = { count: 0, quantity: 0, value: 0 };
+    return acc;
+  }, {});
+
+  const items = lines.map((line, index) => {
+    const { bucket, daysLeft } = classifyExpiry(line, thresholds, today);
+    totals[bucket].count++;
+    totals[bucket].quantity += line.quantity;
+    totals[bucket].value += line.quantity * (Number(line.price) || 0);
+    return { line, index, bucket, daysLeft };
+  });
+
+  return { totals, items };
+};
+
+// アラート対象 (期限切れ・期限間近) の件数
+export const countAlerts = (summary) => (
+  summary.totals[EXPIRY_BUCKETS.EXPIRED].count + summary.totals[EXPIRY_BUCKETS.WARNING].count
+);
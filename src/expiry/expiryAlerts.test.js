@@ -0,0 +1,38 @@
+import { classifyExpiry, summarizeExpiry, daysUntilExpiry, EXPIRY_BUCKETS } from './expiryAlerts';
+
+const thresholds = {
+  global: { warningDays: 3, cautionDays: 7 },
+  categories: { 乳製品: { warningDays: 1, cautionDays: 2 } }
+};
+const today = new Date(2025, 2, 10);
+
+test('counts days until expiry from the start of today', () => {
+  expect(daysUntilExpiry('2025-03-10', new Date(2025, 2, 10, 23, 59))).toBe(0);
+  expect(daysUntilExpiry('2025-03-09', today)).toBe(-1);
+  expect(daysUntilExpiry('2025-04-10', today)).toBe(31);
+});
+
+test('buckets lines by global thresholds', () => {
+  const bucketOf = (expiryDate) => classifyExpiry({ expiryDate }, thresholds, today).bucket;
+  expect(bucketOf('2025-03-09')).toBe(EXPIRY_BUCKETS.EXPIRED);
+  expect(bucketOf('2025-03-13')).toBe(EXPIRY_BUCKETS.WARNING);
+  expect(bucketOf('2025-03-17')).toBe(EXPIRY_BUCKETS.CAUTION);
+  expect(bucketOf('2025-03-18')).toBe(EXPIRY_BUCKETS.OK);
+  expect(bucketOf('')).toBe(EXPIRY_BUCKETS.NONE);
+});
+
+test('category thresholds override the global ones', () => {
+  const line = { expiryDate: '2025-03-13', category: '乳製品' };
+  expect(classifyExpiry(line, thresholds, today).bucket).toBe(EXPIRY_BUCKETS.OK);
+});
+
+test('sums sale value at risk per bucket', () => {
+  const summary = summarizeExpiry([
+    { expiryDate: '2025-03-01', quantity: 2, price: 150 },
+    { expiryDate: '2025-03-05', quantity: 1, price: 300 },
+    { expiryDate: '2025-03-11', quantity: 4, price: 100 }
+  ], thresholds, today);
+
+  expect(summary.totals[EXPIRY_BUCKETS.EXPIRED]).toEqual({ count: 2, quantity: 3, value: 600 });
+  expect(summary.totals[EXPIRY_BUCKETS.WARNING].value).toBe(400);
+});
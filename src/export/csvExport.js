@@ -0,0 +1,203 @@
+import { DELIMITERS, ENCODINGS, serializeCsv, encodeCsv } from '../csv/writeCsv';
+import { formatPackBreakdown } from '../inventory/packSizes';
+import { MOVEMENT_TYPE_LABELS } from '../inventory/stockLedger';
+import { VARIANCE_STATUS_LABELS } from '../variance/varianceReport';
+import { formatLocationPath, isInLocation, locationOrder } from '../locations/locations';
+import { isLineByOperator } from '../operators/operators';
+
+// スキャン日時の出力形式
+export const DATE_FORMATS = {
+  ISO: 'iso',
+  DATETIME: 'datetime',
+  DATETIME_SLASH: 'datetime-slash',
+  DATE: 'date'
+};
+
+export const DATE_FORMAT_LABELS = {
+  [DATE_FORMATS.ISO]: 'ISO 8601 (2025-03-10T09:30:00.000Z)',
+  [DATE_FORMATS.DATETIME]: '2025-03-10 18:30:00',
+  [DATE_FORMATS.DATETIME_SLASH]: '2025/03/10 18:30',
+  [DATE_FORMATS.DATE]: '2025-03-10'
+};
+
+export const DELIMITER_LABELS = {
+  [DELIMITERS.COMMA]: 'カンマ (,)',
+  [DELIMITERS.TAB]: 'タブ',
+  [DELIMITERS.SEMICOLON]: 'セミコロン (;)'
+};
+
+export const ENCODING_LABELS = {
+  [ENCODINGS.UTF8_BOM]: 'UTF-8 (BOM付き・Excel向け)',
+  [ENCODINGS.UTF8]: 'UTF-8 (BOMなし)',
+  [ENCODINGS.SHIFT_JIS]: 'Shift_JIS (POS取り込み向け)'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ISO 形式の日時をローカル時刻で整形
+export const formatDateTime = (isoString, format) => {
+  if (!isoString || format === DATE_FORMATS.ISO) {
+    return isoString || '';
+  }
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) {
+    return isoString;
+  }
+  const ymd = [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())];
+  switch (format) {
+    case DATE_FORMATS.DATETIME_SLASH:
+      return `${ymd.join('/')} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    case DATE_FORMATS.DATE:
+      return ymd.join('-');
+    default:
+      return `${ymd.join('-')} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+};
+
+// 出力可能な列
+export const EXPORT_COLUMNS = {
+  janCode: { label: 'JANコード', value: (line) => line.janCode },
+  productName: { label: '商品名', value: (line) => line.productName },
+  quantity: { label: '数量', value: (line) => line.quantity },
+  packBreakdown: { label: 'ケース内訳', value: (line, options, packs) => formatPackBreakdown(line.quantity, packs[line.janCode]) },
+  price: { label: '売価', value: (line) => line.price },
+  weight: { label: '重量(g)', value: (line) => line.weight },
+  inStoreCode: { label: 'インストアコード', value: (line) => line.inStoreCode },
+  location: { label: '保管場所', value: (line, options, packs, locations) => formatLocationPath(locations, line.locationId) },
+  expiryDate: { label: '消費期限', value: (line) => line.expiryDate },
+  lot: { label: 'ロット', value: (line) => line.lot },
+  category: { label: 'カテゴリ', value: (line) => line.category },
+  maker: { label: 'メーカー', value: (line) => line.maker },
+  brand: { label: 'ブランド', value: (line) => line.brand },
+  scannedAt: { label: 'スキャン日時', value: (line, options) => formatDateTime(line.scannedAt, options.dateFormat) },
+  operator: { label: '担当者', value: (line) => line.operatorName }
+};
+
+const DEFAULT_ENABLED = ['janCode', 'productName', 'quantity', 'packBreakdown', 'price', 'location', 'expiryDate', 'lot', 'scannedAt', 'operator'];
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  columns: Object.keys(EXPORT_COLUMNS).map(key => ({ key, enabled: DEFAULT_ENABLED.includes(key) })),
+  delimiter: DELIMITERS.COMMA,
+  encoding: ENCODINGS.UTF8_BOM,
+  dateFormat: DATE_FORMATS.ISO,
+  locationFilter: '', // 出力する保管場所 (配下を含む。空はすべて)
+  groupByLocation: false, // 保管場所の階層順に並べる
+  operatorFilter: '' // スキャン・修正した担当者 (空はすべて)
+};
+
+const SETTINGS_KEY = 'csvExportSettings';
+
+export const loadExportSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && Array.isArray(saved.columns)) {
+      // 保存後に追加された列を末尾に補完
+      const known = saved.columns.filter(column => EXPORT_COLUMNS[column.key]);
+      const missing = DEFAULT_EXPORT_SETTINGS.columns
+        .filter(column => !known.some(k => k.key === column.key))
+        .map(column => ({ ...column, enabled: false }));
+      return { ...DEFAULT_EXPORT_SETTINGS, ...saved, columns: [...known, ...missing] };
+    }
+  } catch (error) {
+    console.warn('CSV出力設定の読み込みに失敗:', error);
+  }
+  return DEFAULT_EXPORT_SETTINGS;
+};
+
+export const saveExportSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// 出力する明細行 (保管場所・担当者で絞り込み、場所ごとにまとめる場合は階層順に並べる)
+export const selectExportLines = (lines, settings, locations = []) => {
+  const selected = lines.filter(line => isInLocation(locations, line.locationId || '', settings.locationFilter)
+    && isLineByOperator(line, settings.operatorFilter));
+  if (!settings.groupByLocation) {
+    return selected;
+  }
+  return selected
+    .map((line, index) => ({ line, index, order: locationOrder(locations, line.locationId) }))
+    .sort((a, b) => a.order - b.order || a.index - b.index)
+    .map(({ line }) => line);
+};
+
+// 設定に従って行データ (ヘッダー含む) を作成
+// packs: 入数マスター (ケース内訳の列に使用) / locations: 保管場所 (場所の列と絞り込みに使用)
+export const buildExportRows = (lines, settings, packs = {}, locations = []) => {
+  const columns = settings.columns.filter(column => column.enabled).map(column => EXPORT_COLUMNS[column.key]);
+  return [
+    columns.map(column => column.label),
+    ...selectExportLines(lines, settings, locations)
+      .map(line => columns.map(column => column.value(line, settings, packs, locations)))
+  ];
+};
+
+// 行データから出力設定の区切り文字・文字コードで Blob と拡張子を作成
+const toCsvFile = (rows, settings) => {
+  const isTab = settings.delimiter === DELIMITERS.TAB;
+  const text = serializeCsv(rows, settings.delimiter);
+  return {
+    blob: encodeCsv(text, settings.encoding, isTab ? 'text/tab-separated-values' : 'text/csv'),
+    extension: isTab ? 'tsv' : 'csv'
+  };
+};
+
+// CSVファイルの Blob と拡張子を作成
+export const buildCsvFile = (lines, settings, packs = {}, locations = []) => toCsvFile(
+  buildExportRows(lines, settings, packs, locations),
+  settings
+);
+
+// 入出庫台帳の列 (区切り文字・文字コード・日時形式は在庫データの出力設定に合わせる)
+const LEDGER_COLUMNS = [
+  { label: '日時', value: (movement, options) => formatDateTime(movement.at, options.dateFormat) },
+  { label: '種別', value: (movement) => MOVEMENT_TYPE_LABELS[movement.type] },
+  { label: 'JANコード', value: (movement) => movement.janCode },
+  { label: '商品名', value: (movement) => movement.productName },
+  { label: '増減', value: (movement) => movement.quantity },
+  { label: '実在庫', value: (movement) => (movement.countedQuantity === null ? '' : movement.countedQuantity) },
+  { label: '理由', value: (movement) => movement.reason },
+  { label: '担当者', value: (movement) => movement.user },
+  { label: 'メモ', value: (movement) => movement.note }
+];
+
+export const buildLedgerRows = (ledger, settings) => [
+  LEDGER_COLUMNS.map(column => column.label),
+  ...[...ledger]
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .map(movement => LEDGER_COLUMNS.map(column => column.value(movement, settings)))
+];
+
+export const buildLedgerCsvFile = (ledger, settings) => toCsvFile(buildLedgerRows(ledger, settings), settings);
+
+// 差異レポートの列 (未スキャン・予定外の数量は空欄)
+const VARIANCE_COLUMNS = [
+  { label: '状態', value: (row) => VARIANCE_STATUS_LABELS[row.status] },
+  { label: 'JANコード', value: (row) => row.janCode },
+  { label: '商品名', value: (row) => row.productName },
+  { label: '予定数量', value: (row) => (row.expectedQuantity === null ? '' : row.expectedQuantity) },
+  { label: '実数', value: (row) => (row.countedQuantity === null ? '' : row.countedQuantity) },
+  { label: '差異', value: (row) => row.difference },
+  { label: '売価', value: (row) => row.price },
+  { label: '差異金額', value: (row) => row.differenceValue }
+];
+
+export const buildVarianceRows = (rows) => [
+  VARIANCE_COLUMNS.map(column => column.label),
+  ...rows.map(row => VARIANCE_COLUMNS.map(column => column.value(row)))
+];
+
+export const buildVarianceCsvFile = (rows, settings) => toCsvFile(buildVarianceRows(rows), settings);
+
+// ファイルをダウンロード
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // ダウンロード開始前に解放されないよう少し待つ
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
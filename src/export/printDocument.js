@@ -0,0 +1,34 @@
+// 印刷用のウィンドウでHTMLを印刷する (ブラウザの「PDFに保存」を選べばPDFとして出力できる)
+
+const BASE_STYLES = `
+  body { font-family: sans-serif; font-size: 11px; color: #111; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #999; padding: 3px 4px; }
+  th { background: #eee; }
+  .num { text-align: right; }
+  @page { margin: 10mm; }
+`;
+
+export const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// body: HTML (Promise も可。ポップアップがブロックされないよう、ウィンドウを先に開いてから待つ)
+// styles: 追加のCSS (ラベルシートなどのレイアウト用)
+export const printDocument = async (title, body, styles = '') => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('ポップアップがブロックされました。このサイトのポップアップを許可してください。');
+  }
+  const bodyHtml = await body;
+  printWindow.document.write(`<!DOCTYPE html><html lang="ja"><head><meta charset="utf-8">
+    <title>${escapeHtml(title)}</title><style>${BASE_STYLES}${styles}</style></head>
+    <body>${bodyHtml}</body></html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  // 画像などの描画を待ってから印刷ダイアログを開く
+  setTimeout(() => printWindow.print(), 300);
+};
@@ -0,0 +1,189 @@
+import { normalizeBarcode } from '../barcode/gtin';
+import { lineKey, createImportedLine, HISTORY_TYPES } from '../inventory/lineItems';
+
+// 取り込み対象の項目と、自動マッピングに使う列名の候補
+export const IMPORT_FIELDS = [
+  { key: 'janCode', label: 'JANコード', required: true, aliases: ['JANコード', 'JAN', 'janCode', 'jan', 'バーコード', 'code'] },
+  { key: 'productName', label: '商品名', aliases: ['商品名', '品名', 'productName', 'name'] },
+  { key: 'quantity', label: '数量', required: true, aliases: ['数量', '在庫数', 'quantity', 'qty'] },
+  { key: 'price', label: '売価', aliases: ['売価', '価格', '単価', 'price'] },
+  { key: 'expiryDate', label: '消費期限', aliases: ['消費期限', '賞味期限', 'expiryDate', 'expiry'] },
+  { key: 'lot', label: 'ロット', aliases: ['ロット', 'ロット番号', 'lot'] },
+  { key: 'category', label: 'カテゴリ', aliases: ['カテゴリ', '分類', 'category'] },
+  { key: 'scannedAt', label: 'スキャン日時', aliases: ['スキャン日時', 'scannedAt'] }
+];
+
+// 取り込み済みの行と同じキーの行がある場合の扱い
+export const CONFLICT_POLICIES = {
+  IMPORTED: 'imported', // 取り込み側を優先
+  CURRENT: 'current', // 現在の値を維持
+  SUM: 'sum' // 数量を合算
+};
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+// ヘッダー行から 項目キー → 列番号 を推定 (見つからない項目は -1)
+export const autoMapColumns = (headers, fields = IMPORT_FIELDS) => fields.reduce((mapping, field) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  mapping[field.key] = normalized.findIndex(header => field.aliases.some(alias => alias.toLowerCase() === header));
+  return mapping;
+}, {});
+
+export const toNumber = (value) => Number(String(value).replace(/[,¥￥円\s]/g, ''));
+
+// "2025/3/10" "20250310" などを "2025-03-10" に揃える (解釈できなければ null)
+export const normalizeDate = (value) => {
+  const text = String(value).trim();
+  const match = text.match(/^(\d{4})[-/.年]?(\d{1,2})[-/.月]?(\d{1,2})日?/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// 1行を検証して明細行に変換
+// line: 追加する場合の明細行 (空欄は既定値), fields: ファイルに値があった項目だけ (既存の行に重ねる)
+const validateRow = (row, mapping, rowNumber) => {
+  const cell = (key) => (mapping[key] >= 0 && row[mapping[key]] !== undefined ? String(row[mapping[key]]).trim() : '');
+  const errors = [];
+
+  // JANコードは正規化して UPC-A / EAN-13 などの表記ゆれを揃える
+  const rawJanCode = cell('janCode');
+  const barcode = normalizeBarcode(rawJanCode);
+  if (!rawJanCode) {
+    errors.push('JANコードが空です');
+  } else if (!barcode.valid) {
+    errors.push(`JANコード ${rawJanCode}: ${barcode.error}`);
+  }
+  const janCode = barcode.valid ? barcode.janCode : rawJanCode;
+
+  const quantityText = cell('quantity');
+  const quantity = toNumber(quantityText);
+  if (quantityText === '' || !Number.isInteger(quantity) || quantity < 0) {
+    errors.push(`数量「${quantityText}」が数値ではありません`);
+  }
+
+  const priceText = cell('price');
+  const price = priceText === '' ? 0 : toNumber(priceText);
+  if (!Number.isFinite(price) || price < 0) {
+    errors.push(`売価「${priceText}」が数値ではありません`);
+  }
+
+  const expiryText = cell('expiryDate');
+  const expiryDate = expiryText ? normalizeDate(expiryText) : '';
+  if (expiryDate === null) {
+    errors.push(`消費期限「${expiryText}」を日付として解釈できません`);
+  }
+
+  const line = {
+    janCode,
+    gtin: barcode.valid ? barcode.gtin14 : '',
+    productName: cell('productName'),
+    quantity,
+    price: Math.round(price),
+    expiryDate: expiryDate || '',
+    lot: cell('lot'),
+    category: cell('category'),
+    scannedAt: cell('scannedAt') || new Date().toISOString()
+  };
+  const provided = ['productName', 'price', 'expiryDate', 'lot', 'category', 'scannedAt'].filter(key => cell(key) !== '');
+  return {
+    rowNumber,
+    errors,
+    line,
+    fields: Object.fromEntries(['janCode', 'gtin', ...provided].map(key => [key, line[key]]))
+  };
+};
+
+// 既存の行にファイルの値を重ねても変わらないか (JAN由来の項目とスキャン日時は比べない)
+const UNCOMPARED_FIELDS = ['janCode', 'gtin', 'scannedAt'];
+const isUnchanged = (current, entry) => current.quantity === entry.line.quantity
+  && Object.entries(entry.fields)
+    .every(([key, value]) => UNCOMPARED_FIELDS.includes(key) || String(current[key] ?? '') === String(value));
+
+// 取り込み内容を検証し、追加・更新・競合・変更なしに分類する
+// 更新: 既存行と同じキーで数量は同じだが、ファイルにある他の項目が異なる / 競合: 同じキーで数量が異なる
+// 変更なし: 既存行と同じキーで数量もファイルにある項目もすべて同じ (スキャン日時は比べない)
+// ファイル内で同じキーが複数ある行は数量を合算する
+export const buildImportPlan = (rows, mapping, hasHeader, products) => {
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const validated = dataRows.map((row, index) => validateRow(row, mapping, index + (hasHeader ? 2 : 1)));
+  const invalid = validated.filter(row => row.errors.length > 0);
+
+  const merged = new Map();
+  validated.filter(row => row.errors.length === 0).forEach(({ line, fields, rowNumber }) => {
+    const key = lineKey(line);
+    if (merged.has(key)) {
+      const existing = merged.get(key);
+      existing.line.quantity += line.quantity;
+      existing.fields = { ...existing.fields, ...fields };
+      existing.rowNumbers.push(rowNumber);
+    } else {
+      merged.set(key, { line, fields, rowNumbers: [rowNumber] });
+    }
+  });
+
+  const adds = [];
+  const updates = [];
+  const conflicts = [];
+  const unchanged = [];
+  merged.forEach((entry) => {
+    const current = products.find(product => lineKey(product) === lineKey(entry.line));
+    if (!current) {
+      adds.push(entry);
+    } else if (isUnchanged(current, entry)) {
+      unchanged.push({ ...entry, current });
+    } else if (current.quantity === entry.line.quantity) {
+      updates.push({ ...entry, current });
+    } else {
+      conflicts.push({ ...entry, current });
+    }
+  });
+
+  return { adds, updates, conflicts, unchanged, invalid };
+};
+
+// 取り込み計画を現在の商品リストに適用した結果を返す
+// 統合では、既存の行にはファイルに値があった項目だけを重ねる (売価・カテゴリなどの空欄で消さない)
+export const applyImportPlan = (products, plan, mode, conflictPolicy) => {
+  const imported = [...plan.adds, ...plan.updates, ...plan.conflicts, ...plan.unchanged];
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    return imported.map(({ line }) => createImportedLine(line));
+  }
+
+  const byKey = new Map([...plan.updates, ...plan.conflicts].map(entry => [lineKey(entry.line), entry]));
+  const merged = products.map((product) => {
+    const entry = byKey.get(lineKey(product));
+    if (!entry) {
+      return product;
+    }
+    const isConflict = plan.conflicts.includes(entry);
+    if (isConflict && conflictPolicy === CONFLICT_POLICIES.CURRENT) {
+      return product;
+    }
+    const quantity = isConflict && conflictPolicy === CONFLICT_POLICIES.SUM
+      ? product.quantity + entry.line.quantity
+      : entry.line.quantity;
+    return {
+      ...product,
+      ...entry.fields,
+      quantity,
+      history: [...(product.history || []), {
+        type: HISTORY_TYPES.IMPORT,
+        quantity,
+        at: new Date().toISOString()
+      }]
+    };
+  });
+
+  return [...merged, ...plan.adds.map(({ line }) => createImportedLine(line))];
+};
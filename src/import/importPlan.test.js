@@ -0,0 +1,66 @@
+import { autoMapColumns, buildImportPlan, applyImportPlan, normalizeDate, IMPORT_MODES, CONFLICT_POLICIES } from './importPlan';
+
+const headers = ['JANコード', '商品名', '数量', '売価', '消費期限', 'スキャン日時'];
+
+test('maps the exported CSV headers automatically', () => {
+  const mapping = autoMapColumns(headers);
+  expect(mapping.janCode).toBe(0);
+  expect(mapping.quantity).toBe(2);
+  expect(mapping.lot).toBe(-1);
+});
+
+test('normalizes common date notations', () => {
+  expect(normalizeDate('2025/3/9')).toBe('2025-03-09');
+  expect(normalizeDate('20250309')).toBe('2025-03-09');
+  expect(normalizeDate('2025-02-30')).toBeNull();
+});
+
+test('classifies rows into adds, updates, conflicts and errors', () => {
+  const products = [
+    { janCode: '4901234567894', productName: '牛乳', quantity: 3, price: 200, expiryDate: '', lot: '' },
+    { janCode: '49012347', productName: 'ガム', quantity: 1, price: 100, expiryDate: '', lot: '' }
+  ];
+  const rows = [
+    headers,
+    ['4901234567894', '牛乳', '3', '200', '', ''],
+    ['49012347', 'ガム', '5', '100', '', ''],
+    ['4902102072618', 'お茶', '2', '150', '2025/04/01', ''],
+    ['4901234567890', '不正', '1', '0', '', ''],
+    ['4902102072618', 'お茶', 'たくさん', '', '', '']
+  ];
+
+  const plan = buildImportPlan(rows, autoMapColumns(headers), true, products);
+
+  expect(plan.updates).toHaveLength(0);
+  expect(plan.unchanged).toHaveLength(1);
+  expect(plan.conflicts).toHaveLength(1);
+  expect(plan.adds[0].line.expiryDate).toBe('2025-04-01');
+  expect(plan.invalid.map(row => row.rowNumber)).toEqual([5, 6]);
+
+  const merged = applyImportPlan(products, plan, IMPORT_MODES.MERGE, CONFLICT_POLICIES.SUM);
+  expect(merged.map(line => line.quantity)).toEqual([3, 6, 2]);
+
+  const replaced = applyImportPlan(products, plan, IMPORT_MODES.REPLACE, CONFLICT_POLICIES.IMPORTED);
+  expect(replaced).toHaveLength(3);
+});
+
+test('overlays only the columns present in the file when merging', () => {
+  const products = [
+    { janCode: '4901234567894', productName: '牛乳', quantity: 3, price: 200, category: '乳製品', expiryDate: '', lot: '', scannedAt: '2026-10-19T10:00:00.000Z' },
+    { janCode: '49012347', productName: 'ガム', quantity: 1, price: 100, category: '菓子', expiryDate: '', lot: '', scannedAt: '2026-10-19T10:00:00.000Z' }
+  ];
+  const columns = ['JANコード', '数量', '売価'];
+  const rows = [
+    columns,
+    ['4901234567894', '3', '180'],
+    ['49012347', '4', '']
+  ];
+
+  const plan = buildImportPlan(rows, autoMapColumns(columns), true, products);
+  expect(plan.updates.map(entry => entry.line.janCode)).toEqual(['4901234567894']);
+  expect(plan.conflicts.map(entry => entry.line.janCode)).toEqual(['49012347']);
+
+  const [milk, gum] = applyImportPlan(products, plan, IMPORT_MODES.MERGE, CONFLICT_POLICIES.IMPORTED);
+  expect(milk).toMatchObject({ productName: '牛乳', price: 180, category: '乳製品', scannedAt: '2026-10-19T10:00:00.000Z' });
+  expect(gum).toMatchObject({ quantity: 4, price: 100, category: '菓子', scannedAt: '2026-10-19T10:00:00.000Z' });
+});
@@ -0,0 +1,43 @@
+import { parseCsv } from '../csv/parseCsv';
+
+// 先頭行から区切り文字を推定 (カンマ / タブ / セミコロン)
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [',', '\t', ';'];
+  return candidates.reduce((best, delimiter) => (
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  ), ',');
+};
+
+// UTF-8 として不正なバイト列なら Shift_JIS として読み直す (Excel で保存したCSV対策)
+const decodeText = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('shift_jis').decode(buffer);
+  }
+};
+
+// xlsx は npm で公開されている 0.18.5 に脆弱性 (CVE-2023-30533, CVE-2024-22363) があるため、
+// package.json で SheetJS の配布元 (cdn.sheetjs.com) の修正済みビルドを指定している
+const readSpreadsheet = async (buffer) => {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' });
+};
+
+// CSV/TSV/XLSX ファイルを行 (文字列の配列) の配列として読み込む
+export const readImportFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+
+  if (/\.(xlsx|xlsm|xls|ods)$/i.test(file.name)) {
+    const rows = await readSpreadsheet(buffer);
+    return rows
+      .map(row => row.map(cell => String(cell)))
+      .filter(row => row.some(cell => cell.trim() !== ''));
+  }
+
+  const text = decodeText(buffer);
+  return parseCsv(text, detectDelimiter(text));
+};
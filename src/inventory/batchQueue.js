@@ -0,0 +1,101 @@
+import { lineKey, createLine, incrementLine } from './lineItems';
+import { PACK_UNITS, toPieces } from './packSizes';
+
+// 連続スキャンモードの確認待ちリスト
+// 各スキャンを数量1の行として追加し、商品名はバックグラウンドで検索する
+// 行: 商品情報入力欄と同じ項目 + { id, status }
+
+export const BATCH_STATUS = {
+  LOOKING_UP: 'lookingUp',
+  FOUND: 'found',
+  NOT_FOUND: 'notFound',
+  ERROR: 'error'
+};
+
+const QUEUE_KEY = 'batchQueue';
+const COOLDOWN_KEY = 'batchCooldownSeconds';
+
+export const DEFAULT_COOLDOWN_SECONDS = 2;
+
+export const loadBatchQueue = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QUEUE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn('連続スキャンのリストの読み込みに失敗:', error);
+    return [];
+  }
+};
+
+export const saveBatchQueue = (queue) => {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+};
+
+export const loadCooldownSeconds = () => {
+  const saved = parseFloat(localStorage.getItem(COOLDOWN_KEY));
+  return saved >= 0 ? saved : DEFAULT_COOLDOWN_SECONDS;
+};
+
+export const saveCooldownSeconds = (seconds) => {
+  localStorage.setItem(COOLDOWN_KEY, String(seconds));
+};
+
+// 同じコードを待ち時間内に再度読み取ったか (別のコードはすぐに読み取れる)
+// lastSeen: { [コード]: 最後に読み取った時刻 (ミリ秒) }
+export const isInCooldown = (lastSeen, code, now, cooldownSeconds) => (
+  lastSeen[code] !== undefined && now - lastSeen[code] < cooldownSeconds * 1000
+);
+
+let sequence = 0;
+
+export const createBatchEntry = (product) => ({
+  ...product,
+  id: `${Date.now()}-${sequence++}`,
+  status: BATCH_STATUS.LOOKING_UP
+});
+
+// 同じ明細行 (JAN・ロット・消費期限・単位) になる行を1行にまとめて数量を合算
+export const mergeBatchEntries = (queue) => {
+  const merged = new Map();
+  queue.forEach(entry => {
+    const key = `${lineKey(entry)}|${entry.packUnit || PACK_UNITS.PIECE}`;
+    const existing = merged.get(key);
+    if (existing) {
+      merged.set(key, {
+        ...existing,
+        productName: existing.productName || entry.productName,
+        packSize: existing.packSize || entry.packSize,
+        quantity: existing.quantity + entry.quantity
+      });
+    } else {
+      merged.set(key, entry);
+    }
+  });
+  return [...merged.values()];
+};
+
+// 確認待ちの行を明細行の形に変換 (ケース等はバラの個数に換算)
+export const toLineProduct = (entry) => {
+  const { id, status, packUnit, packSize, packCode, ...product } = entry;
+  return {
+    ...product,
+    quantity: toPieces(entry.quantity, packUnit || PACK_UNITS.PIECE, { [packUnit]: packSize })
+  };
+};
+
+// 一括登録 (separate: 別行モードなら既存の行に加算せず常に追加)
+export const commitBatch = (products, queue, separate = false) => queue
+  .map(toLineProduct)
+  .reduce((lines, product) => {
+    const index = separate ? -1 : lines.findIndex(line => lineKey(line) === lineKey(product));
+    if (index < 0) {
+      return [...lines, createLine(product)];
+    }
+    return lines.map((line, i) => (i === index
+      ? incrementLine(line, product.quantity, {
+        productName: product.productName,
+        scannedAt: product.scannedAt,
+        ...(product.operatorId ? { operatorId: product.operatorId, operatorName: product.operatorName } : {})
+      })
+      : line));
+  }, products);
@@ -0,0 +1,47 @@
+import { isInCooldown, createBatchEntry, mergeBatchEntries, commitBatch } from './batchQueue';
+import { createLine } from './lineItems';
+import { PACK_UNITS } from './packSizes';
+
+const entry = (janCode, changes = {}) => createBatchEntry({
+  janCode,
+  productName: '',
+  quantity: 1,
+  lot: '',
+  expiryDate: '',
+  packUnit: PACK_UNITS.PIECE,
+  packSize: '',
+  scannedAt: '2025-01-01T00:00:00.000Z',
+  ...changes
+});
+
+test('applies the cooldown per code', () => {
+  const lastSeen = { 4901234567894: 1000 };
+  expect(isInCooldown(lastSeen, '4901234567894', 2500, 2)).toBe(true);
+  expect(isInCooldown(lastSeen, '4901234567894', 3000, 2)).toBe(false);
+  expect(isInCooldown(lastSeen, '4512345678907', 1001, 2)).toBe(false);
+});
+
+test('merges entries for the same line', () => {
+  const merged = mergeBatchEntries([
+    entry('4901234567894'),
+    entry('4512345678907'),
+    entry('4901234567894', { productName: 'お茶' }),
+    entry('4901234567894', { lot: 'B' })
+  ]);
+  expect(merged).toHaveLength(3);
+  expect(merged[0]).toMatchObject({ janCode: '4901234567894', quantity: 2, productName: 'お茶' });
+});
+
+test('commits into existing lines and converts case quantities', () => {
+  const products = [createLine({ janCode: '4901234567894', productName: 'お茶', quantity: 3, lot: '', expiryDate: '' })];
+  const committed = commitBatch(products, [
+    entry('4901234567894', { quantity: 2, packUnit: PACK_UNITS.CASE, packSize: 24 }),
+    entry('4512345678907', { productName: '水' })
+  ]);
+  expect(committed).toHaveLength(2);
+  expect(committed[0].quantity).toBe(51);
+  expect(committed[1]).toMatchObject({ janCode: '4512345678907', quantity: 1 });
+  expect(committed[1].status).toBeUndefined();
+
+  expect(commitBatch(products, [entry('4901234567894')], true)).toHaveLength(2);
+});
@@ -0,0 +1,139 @@
+import { isInLocation, locationOrder } from '../locations/locations';
+import { isLineByOperator } from '../operators/operators';
+
+// 全商品の一覧表 (検索・並べ替え・絞り込み・仮想スクロール)
+// 行: { line, index }  index は products 内の位置 (登録順の並べ替えに使う)
+// 選択・編集・削除は、同期・元に戻すで並びが変わっても同じ行を指すよう明細行の id で行う
+
+export const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+const text = (value) => (value === null || value === undefined ? '' : String(value));
+const numberOrNull = (value) => (text(value).trim() === '' || Number.isNaN(Number(value)) ? null : Number(value));
+
+// 並べ替えのキー (sortValue が数値なら数値順、空の値は昇順・降順とも最後)
+export const TABLE_COLUMNS = {
+  janCode: { label: 'JANコード', sortValue: (line) => text(line.janCode) },
+  productName: { label: '商品名', sortValue: (line) => text(line.productName) },
+  quantity: { label: '数量', sortValue: (line) => numberOrNull(line.quantity) },
+  price: { label: '売価', sortValue: (line) => numberOrNull(line.price) },
+  expiryDate: { label: '消費期限', sortValue: (line) => text(line.expiryDate) },
+  lot: { label: 'ロット', sortValue: (line) => text(line.lot) },
+  location: { label: '保管場所', sortValue: (line, locations) => (line.locationId ? locationOrder(locations, line.locationId) : null) },
+  operator: { label: '担当', sortValue: (line) => text(line.operatorName) },
+  scannedAt: { label: 'スキャン日時', sortValue: (line) => text(line.scannedAt) }
+};
+
+// 一括変更できる項目
+export const BULK_FIELDS = {
+  price: '売価',
+  expiryDate: '消費期限',
+  category: 'カテゴリ',
+  locationId: '保管場所'
+};
+
+export const DEFAULT_TABLE_FILTERS = {
+  query: '', // 商品名・JANコード
+  expiryFrom: '',
+  expiryTo: '',
+  priceMin: '',
+  priceMax: '',
+  missingName: false,
+  locationId: '', // 配下の場所を含む
+  operatorId: ''
+};
+
+export const isMissingName = (line) => !text(line.productName).trim();
+
+// 絞り込み (locations: 保管場所の絞り込みに使用)
+export const filterTableRows = (lines, filters, locations = []) => {
+  const query = filters.query.trim().toLowerCase();
+  const priceMin = numberOrNull(filters.priceMin);
+  const priceMax = numberOrNull(filters.priceMax);
+  return lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => {
+      const price = numberOrNull(line.price);
+      return (!query || text(line.productName).toLowerCase().includes(query) || text(line.janCode).includes(query))
+        && (!filters.expiryFrom || (line.expiryDate && line.expiryDate >= filters.expiryFrom))
+        && (!filters.expiryTo || (line.expiryDate && line.expiryDate <= filters.expiryTo))
+        && (priceMin === null || (price !== null && price >= priceMin))
+        && (priceMax === null || (price !== null && price <= priceMax))
+        && (!filters.missingName || isMissingName(line))
+        && isInLocation(locations, line.locationId || '', filters.locationId)
+        && isLineByOperator(line, filters.operatorId);
+    });
+};
+
+// 並べ替え (sort が null なら登録順のまま)
+export const sortTableRows = (rows, sort, locations = []) => {
+  if (!sort) {
+    return rows;
+  }
+  const { sortValue } = TABLE_COLUMNS[sort.key];
+  const sign = sort.direction === SORT_DIRECTIONS.DESC ? -1 : 1;
+  return rows
+    .map(row => ({ row, value: sortValue(row.line, locations) }))
+    .sort((a, b) => {
+      const aEmpty = a.value === null || a.value === '';
+      const bEmpty = b.value === null || b.value === '';
+      if (aEmpty || bEmpty) {
+        return (aEmpty - bEmpty) || a.row.index - b.row.index;
+      }
+      const compared = typeof a.value === 'number' ? a.value - b.value : a.value.localeCompare(b.value, 'ja');
+      return sign * compared || a.row.index - b.row.index;
+    })
+    .map(({ row }) => row);
+};
+
+// 同じ列をもう一度選ぶと 昇順 → 降順 → 並べ替えなし
+export const nextSort = (sort, key) => {
+  if (!sort || sort.key !== key) {
+    return { key, direction: SORT_DIRECTIONS.ASC };
+  }
+  return sort.direction === SORT_DIRECTIONS.ASC ? { key, direction: SORT_DIRECTIONS.DESC } : null;
+};
+
+// 編集した値の検証と変換 (エラーなら { error })
+export const parseFieldValue = (field, value) => {
+  const trimmed = text(value).trim();
+  switch (field) {
+    case 'quantity': {
+      const quantity = Number(trimmed);
+      return trimmed !== '' && Number.isInteger(quantity) && quantity >= 0
+        ? { value: quantity }
+        : { error: '数量は0以上の整数で入力してください' };
+    }
+    case 'price':
+      return trimmed === '' || (!Number.isNaN(Number(trimmed)) && Number(trimmed) >= 0)
+        ? { value: trimmed === '' ? 0 : Number(trimmed) }
+        : { error: '売価は0以上の数値で入力してください' };
+    case 'expiryDate':
+      return trimmed === '' || /^\d{4}-\d{2}-\d{2}$/.test(trimmed)
+        ? { value: trimmed }
+        : { error: '消費期限は YYYY-MM-DD の形式で入力してください' };
+    default:
+      return { value: trimmed };
+  }
+};
+
+// 編集前後で値が変わっていないか (売価は文字列で保存された行もあるため数値で比べる)
+export const isSameFieldValue = (field, before, after) => (field === 'price'
+  ? (numberOrNull(before) || 0) === (numberOrNull(after) || 0)
+  : text(before) === text(after));
+
+// 表示する行の範囲 (固定の行の高さで、見えている行の前後 overscan 行だけを描画する)
+export const visibleRange = (scrollTop, viewportHeight, rowHeight, total, overscan = 10) => {
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(total, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+  return { start, end: Math.max(start, end) };
+};
+
+// 最近スキャンした明細行 (スキャン日時の新しい順。日時のない行は後ろ)
+export const recentLines = (lines, count) => lines
+  .map((line, index) => ({ line, index }))
+  .sort((a, b) => text(b.line.scannedAt).localeCompare(text(a.line.scannedAt)) || b.index - a.index)
+  .slice(0, count)
+  .map(({ line }) => line);
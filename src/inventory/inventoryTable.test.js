@@ -0,0 +1,98 @@
+import {
+  DEFAULT_TABLE_FILTERS,
+  SORT_DIRECTIONS,
+  filterTableRows,
+  sortTableRows,
+  nextSort,
+  parseFieldValue,
+  isSameFieldValue,
+  visibleRange,
+  recentLines
+} from './inventoryTable';
+import { createLine, editLine, HISTORY_TYPES } from './lineItems';
+import { addLocation } from '../locations/locations';
+
+const line = (fields) => createLine({
+  janCode: '4901234567894', productName: 'お茶', quantity: 1, price: '', expiryDate: '', ...fields
+});
+
+const lines = [
+  line({ productName: 'お茶', price: '150', expiryDate: '2026-11-01', scannedAt: '2026-10-19T10:00:00.000Z' }),
+  line({ janCode: '4512345678906', productName: '', quantity: 3, scannedAt: '2026-10-19T10:02:00.000Z' }),
+  line({ janCode: '49012347', productName: 'コーヒー', quantity: 2, price: '98', expiryDate: '2026-10-25', scannedAt: '2026-10-19T10:01:00.000Z' })
+];
+
+test('filters rows by text, expiry, price, missing name and location', () => {
+  const filter = (filters) => filterTableRows(lines, { ...DEFAULT_TABLE_FILTERS, ...filters }).map(row => row.index);
+
+  expect(filter({})).toEqual([0, 1, 2]);
+  expect(filter({ query: 'コーヒ' })).toEqual([2]);
+  expect(filter({ query: '4512' })).toEqual([1]);
+  expect(filter({ expiryFrom: '2026-10-26' })).toEqual([0]);
+  expect(filter({ expiryTo: '2026-10-31' })).toEqual([2]);
+  expect(filter({ priceMin: '100' })).toEqual([0]);
+  expect(filter({ priceMax: '100' })).toEqual([2]);
+  expect(filter({ missingName: true })).toEqual([1]);
+
+  const store = addLocation([], '', '本店');
+  const shelf = addLocation(store.locations, store.location.id, '棚A');
+  const located = [...lines, line({ locationId: shelf.location.id })];
+  const byLocation = filterTableRows(located, { ...DEFAULT_TABLE_FILTERS, locationId: store.location.id }, shelf.locations);
+  expect(byLocation.map(row => row.index)).toEqual([3]);
+});
+
+test('sorts by any column with empty values last and cycles the sort order', () => {
+  const rows = filterTableRows(lines, DEFAULT_TABLE_FILTERS);
+  const sorted = (sort) => sortTableRows(rows, sort).map(row => row.index);
+
+  expect(sorted(null)).toEqual([0, 1, 2]);
+  expect(sorted({ key: 'quantity', direction: SORT_DIRECTIONS.DESC })).toEqual([1, 2, 0]);
+  // 売価は数値順 ("98" < "150")、未入力は降順でも最後
+  expect(sorted({ key: 'price', direction: SORT_DIRECTIONS.ASC })).toEqual([2, 0, 1]);
+  expect(sorted({ key: 'price', direction: SORT_DIRECTIONS.DESC })).toEqual([0, 2, 1]);
+
+  const asc = nextSort(null, 'price');
+  expect(asc).toEqual({ key: 'price', direction: SORT_DIRECTIONS.ASC });
+  expect(nextSort(asc, 'price')).toEqual({ key: 'price', direction: SORT_DIRECTIONS.DESC });
+  expect(nextSort(nextSort(asc, 'price'), 'price')).toBeNull();
+  expect(nextSort(asc, 'quantity')).toEqual({ key: 'quantity', direction: SORT_DIRECTIONS.ASC });
+});
+
+test('validates edited values and records edits in the history', () => {
+  expect(parseFieldValue('quantity', ' 12 ')).toEqual({ value: 12 });
+  expect(parseFieldValue('quantity', '1.5').error).toBeTruthy();
+  expect(parseFieldValue('quantity', '').error).toBeTruthy();
+  expect(parseFieldValue('price', '')).toEqual({ value: 0 });
+  expect(parseFieldValue('price', ' 120 ')).toEqual({ value: 120 });
+  // 値を変えずに確定しても変更とみなさない
+  expect(isSameFieldValue('price', '120', 120)).toBe(true);
+  expect(isSameFieldValue('price', '', 0)).toBe(true);
+  expect(isSameFieldValue('price', 120, 98)).toBe(false);
+  expect(isSameFieldValue('quantity', 3, 3)).toBe(true);
+  expect(parseFieldValue('price', '-1').error).toBeTruthy();
+  expect(parseFieldValue('expiryDate', '2026/10/19').error).toBeTruthy();
+  expect(parseFieldValue('productName', ' 緑茶 ')).toEqual({ value: '緑茶' });
+
+  const scanned = { ...lines[0], operatorId: 'op-2', operatorName: '佐藤' };
+  const editor = { operatorId: 'op-1', operatorName: '山田' };
+  expect(editLine(scanned, { productName: 'お茶' }, editor)).toBe(scanned);
+
+  // 修正した担当者は履歴にだけ残し、スキャンした担当者と日時はそのまま
+  const renamed = editLine(scanned, { productName: '緑茶', price: 160 }, editor);
+  expect(renamed).toMatchObject({ productName: '緑茶', operatorName: '佐藤', scannedAt: scanned.scannedAt });
+  expect(renamed.history[1]).toMatchObject({ type: HISTORY_TYPES.EDIT, quantity: 1, operatorName: '山田', fields: ['productName', 'price'] });
+
+  const edited = editLine(scanned, { quantity: 5 }, editor);
+  expect(edited.quantity).toBe(5);
+  expect(edited.history[1]).toMatchObject({ type: HISTORY_TYPES.EDIT, quantity: 5, operatorName: '山田', fields: ['quantity'] });
+});
+
+
+test('renders only the visible rows and lists the most recent scans', () => {
+  expect(visibleRange(0, 480, 44, 5000)).toEqual({ start: 0, end: 21 });
+  expect(visibleRange(44 * 1000, 480, 44, 5000)).toEqual({ start: 990, end: 1021 });
+  expect(visibleRange(44 * 4990, 480, 44, 5000)).toEqual({ start: 4980, end: 5000 });
+  expect(visibleRange(0, 480, 44, 0)).toEqual({ start: 0, end: 0 });
+
+  expect(recentLines(lines, 2).map(item => item.janCode)).toEqual(['4512345678906', '49012347']);
+});
@@ -0,0 +1,155 @@
+// 在庫明細行の操作 (スキャン履歴付き)
+// 明細行: { id, ...商品情報, history: [{ at, quantity, type, operatorId, operatorName }] }
+// id: 作成時に一度だけ振る行の識別子 (加算・修正・同期でも変わらない。一覧の選択や同期で同じ行を指すのに使う)
+// operatorId / operatorName は最後にスキャン・修正した担当者 (履歴にはスキャンごとの担当者を残す)
+// 明細行は JANコード + ロット + 消費期限 (インストアコードのパックは元のコードも) + 保管場所で識別する
+
+// 同一JANを再スキャンしたときの扱い
+export const COUNT_MODES = {
+  ACCUMULATE: 'accumulate', // 数量を加算
+  OVERWRITE: 'overwrite', // 上書き確認
+  SEPARATE: 'separate' // 別の行として追加
+};
+
+export const COUNT_MODE_LABELS = {
+  [COUNT_MODES.ACCUMULATE]: '加算',
+  [COUNT_MODES.OVERWRITE]: '上書き',
+  [COUNT_MODES.SEPARATE]: '別行'
+};
+
+// 加算モードで既存商品を再スキャンしたときの確認方法
+export const ACCUMULATE_CONFIRM = {
+  INSTANT: 'instant', // 即座に +1
+  QUICK: 'quick' // +N を確認してから加算
+};
+
+export const HISTORY_TYPES = {
+  ADD: 'add',
+  INCREMENT: 'increment',
+  OVERWRITE: 'overwrite',
+  IMPORT: 'import',
+  EDIT: 'edit' // 一覧での直接修正・一括変更 (fields: 変更した項目)
+};
+
+// 明細行の識別キー
+// 価格・重量埋め込みのパックは品番 (janCode) でまとめつつ、パックごとに別の行にする
+// 同じJANでも保管場所 (locationId) が異なれば別の行にする
+export const lineKey = (line) => [
+  line.janCode,
+  line.lot || '',
+  line.expiryDate || '',
+  line.inStoreCode || '',
+  line.locationId || ''
+].join('|');
+
+export const isSameLine = (a, b) => lineKey(a) === lineKey(b);
+
+// JANコードごとにまとめる (表示順は最初に登録された順)
+// 戻り値: [{ janCode, productName, totalQuantity, lots: [{ line, index }] }]
+export const groupLinesByJan = (lines) => {
+  const groups = new Map();
+  lines.forEach((line, index) => {
+    if (!groups.has(line.janCode)) {
+      groups.set(line.janCode, {
+        janCode: line.janCode,
+        productName: line.productName,
+        totalQuantity: 0,
+        lots: []
+      });
+    }
+    const group = groups.get(line.janCode);
+    group.productName = group.productName || line.productName;
+    group.totalQuantity += line.quantity;
+    group.lots.push({ line, index });
+  });
+
+  // ロットは消費期限の早い順 (期限なしは最後)
+  return [...groups.values()].map(group => ({
+    ...group,
+    lots: [...group.lots].sort((a, b) => (a.line.expiryDate || '9999').localeCompare(b.line.expiryDate || '9999'))
+  }));
+};
+
+// source: 担当者 (operatorId / operatorName) を含む商品情報・変更内容
+const historyEntry = (type, quantity, at, source = {}) => ({
+  type,
+  quantity,
+  at: at || new Date().toISOString(),
+  ...(source.operatorId ? { operatorId: source.operatorId, operatorName: source.operatorName || '' } : {})
+});
+
+const generateId = () => `line-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// 識別子のない明細行 (以前のバージョンで保存した行) に識別子を振る
+export const withLineIds = (lines) => (lines.every(line => line.id)
+  ? lines
+  : lines.map(line => (line.id ? line : { ...line, id: generateId() })));
+
+// 新しい明細行を作成
+export const createLine = (product) => ({
+  ...product,
+  id: generateId(),
+  history: [historyEntry(HISTORY_TYPES.ADD, product.quantity, product.scannedAt, product)]
+});
+
+// ファイルから取り込んだ明細行を作成
+export const createImportedLine = (product) => ({
+  ...product,
+  id: generateId(),
+  history: [historyEntry(HISTORY_TYPES.IMPORT, product.quantity, null, product)]
+});
+
+// 数量を加算 (商品名・売価などは最新の入力があれば更新)
+export const incrementLine = (line, quantity, changes = {}) => {
+  const at = changes.scannedAt || new Date().toISOString();
+  return {
+    ...line,
+    ...changes,
+    productName: changes.productName || line.productName,
+    quantity: line.quantity + quantity,
+    scannedAt: at,
+    history: [...(line.history || []), historyEntry(HISTORY_TYPES.INCREMENT, quantity, at, changes)]
+  };
+};
+
+// 入力内容で上書き (それまでの履歴は残す)
+export const overwriteLine = (line, product) => ({
+  ...product,
+  id: line.id,
+  history: [...(line.history || []), historyEntry(HISTORY_TYPES.OVERWRITE, product.quantity, product.scannedAt, product)]
+});
+
+// 一覧での直接編集・一括変更 (変更した項目と修正した担当者は履歴にだけ残し、行のスキャン記録は変えない)
+// editor: 修正した担当者 { operatorId, operatorName } (未選択なら {})
+export const editLine = (line, changes, editor = {}) => {
+  const fields = Object.keys(changes).filter(field => changes[field] !== line[field]);
+  if (fields.length === 0) {
+    return line;
+  }
+  return {
+    ...line,
+    ...changes,
+    history: [...(line.history || []), { ...historyEntry(HISTORY_TYPES.EDIT, changes.quantity ?? line.quantity, null, editor), fields }]
+  };
+};
+
+const COUNT_MODE_KEY = 'countMode';
+const ACCUMULATE_CONFIRM_KEY = 'accumulateConfirm';
+
+export const loadCountMode = () => {
+  const saved = localStorage.getItem(COUNT_MODE_KEY);
+  return Object.values(COUNT_MODES).includes(saved) ? saved : COUNT_MODES.OVERWRITE;
+};
+
+export const saveCountMode = (mode) => {
+  localStorage.setItem(COUNT_MODE_KEY, mode);
+};
+
+export const loadAccumulateConfirm = () => {
+  const saved = localStorage.getItem(ACCUMULATE_CONFIRM_KEY);
+  return Object.values(ACCUMULATE_CONFIRM).includes(saved) ? saved : ACCUMULATE_CONFIRM.QUICK;
+};
+
+export const saveAccumulateConfirm = (confirm) => {
+  localStorage.setItem(ACCUMULATE_CONFIRM_KEY, confirm);
+};
@@ -0,0 +1,110 @@
+import {
+  COUNT_MODES,
+  HISTORY_TYPES,
+  createLine,
+  incrementLine,
+  overwriteLine,
+  editLine,
+  withLineIds,
+  isSameLine,
+  groupLinesByJan,
+  loadCountMode,
+  saveCountMode
+} from './lineItems';
+
+const scanner = { operatorId: 'op-1', operatorName: '山田' };
+
+const tea = createLine({
+  janCode: '4901234567894',
+  productName: 'お茶',
+  quantity: 2,
+  price: 150,
+  scannedAt: '2026-10-19T10:00:00.000Z',
+  ...scanner
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('records the first scan in the history of a new line', () => {
+  expect(tea.history).toEqual([
+    { type: HISTORY_TYPES.ADD, quantity: 2, at: '2026-10-19T10:00:00.000Z', operatorId: 'op-1', operatorName: '山田' }
+  ]);
+  expect(createLine({ janCode: '49012347', quantity: 1 }).history[0]).not.toHaveProperty('operatorId');
+});
+
+test('adds rescanned quantities and keeps the product name unless a new one is entered', () => {
+  const added = incrementLine(tea, 3, { scannedAt: '2026-10-19T11:00:00.000Z', operatorId: 'op-2', operatorName: '佐藤' });
+  expect(added).toMatchObject({ quantity: 5, productName: 'お茶', scannedAt: '2026-10-19T11:00:00.000Z', operatorName: '佐藤' });
+  expect(added.history).toHaveLength(2);
+  expect(added.history[1]).toEqual({
+    type: HISTORY_TYPES.INCREMENT, quantity: 3, at: '2026-10-19T11:00:00.000Z', operatorId: 'op-2', operatorName: '佐藤'
+  });
+  expect(incrementLine(tea, 1, { productName: '緑茶' }).productName).toBe('緑茶');
+  // 元の行は変更しない
+  expect(tea.quantity).toBe(2);
+});
+
+test('overwrites a line with the new input and keeps its history', () => {
+  const overwritten = overwriteLine(tea, { janCode: tea.janCode, productName: '緑茶', quantity: 7, scannedAt: '2026-10-19T12:00:00.000Z' });
+  expect(overwritten).toMatchObject({ productName: '緑茶', quantity: 7 });
+  expect(overwritten).not.toHaveProperty('price');
+  expect(overwritten.history.map(entry => [entry.type, entry.quantity])).toEqual([
+    [HISTORY_TYPES.ADD, 2],
+    [HISTORY_TYPES.OVERWRITE, 7]
+  ]);
+});
+
+test('keeps the line id through increments, overwrites and edits', () => {
+  expect(tea.id).toEqual(expect.any(String));
+  expect(createLine({ ...tea }).id).not.toBe(tea.id);
+  expect(incrementLine(tea, 1).id).toBe(tea.id);
+  expect(overwriteLine(tea, { janCode: tea.janCode, quantity: 7 }).id).toBe(tea.id);
+  expect(editLine(tea, { lot: 'A', expiryDate: '2027-01-31' }).id).toBe(tea.id);
+});
+
+test('adds ids only to lines saved without one', () => {
+  const [kept, added] = withLineIds([tea, { janCode: '49012347', quantity: 1 }]);
+  expect(kept).toBe(tea);
+  expect(added).toMatchObject({ janCode: '49012347', id: expect.any(String) });
+  const lines = [tea];
+  expect(withLineIds(lines)).toBe(lines);
+});
+
+test('persists the count mode and falls back to overwrite', () => {
+  expect(loadCountMode()).toBe(COUNT_MODES.OVERWRITE);
+  saveCountMode(COUNT_MODES.ACCUMULATE);
+  expect(loadCountMode()).toBe(COUNT_MODES.ACCUMULATE);
+  localStorage.setItem('countMode', 'unknown');
+  expect(loadCountMode()).toBe(COUNT_MODES.OVERWRITE);
+});
+
+test('identifies lines by JAN, lot, expiry, in-store code and location', () => {
+  const base = { janCode: '4901234567894', lot: 'A1', expiryDate: '2026-11-01' };
+  expect(isSameLine(base, { ...base, quantity: 3, productName: '緑茶' })).toBe(true);
+  expect(isSameLine(base, { ...base, lot: 'A2' })).toBe(false);
+  expect(isSameLine(base, { ...base, expiryDate: '' })).toBe(false);
+  expect(isSameLine(base, { ...base, janCode: '49012347' })).toBe(false);
+  expect(isSameLine(base, { ...base, locationId: 'loc-1' })).toBe(false);
+  // 価格埋め込みのパックは品番が同じでもパックごとに別の行
+  expect(isSameLine({ janCode: '2012340000000', inStoreCode: '2012340001509' }, { janCode: '2012340000000', inStoreCode: '2012340002506' }))
+    .toBe(false);
+});
+
+test('groups lines by JAN with lots ordered by expiry', () => {
+  const lines = [
+    { janCode: '4901234567894', productName: '', quantity: 1, expiryDate: '' },
+    { janCode: '49012347', productName: '水', quantity: 4, expiryDate: '' },
+    { janCode: '4901234567894', productName: 'お茶', quantity: 2, expiryDate: '2026-12-01' },
+    { janCode: '4901234567894', productName: 'お茶', quantity: 3, expiryDate: '2026-11-01' }
+  ];
+
+  const groups = groupLinesByJan(lines);
+  expect(groups.map(group => [group.janCode, group.productName, group.totalQuantity])).toEqual([
+    ['4901234567894', 'お茶', 6],
+    ['49012347', '水', 4]
+  ]);
+  // 元の位置 (index) を保ったまま、期限の早い順・期限なしは最後
+  expect(groups[0].lots.map(lot => lot.index)).toEqual([3, 2, 0]);
+});
@@ -0,0 +1,89 @@
+import { calculateCheckDigit, toJanCode } from '../barcode/gtin';
+
+// 荷姿 (バラ・ボール・ケース) の入数マスター
+// packs: { [JANコード]: { inner: ボール入数, case: ケース入数 } } (入数はバラの個数)
+// codes: { [ITF-14 の GTIN]: { janCode, unit } } (集合包装コードと単品JANの対応)
+
+export const PACK_UNITS = {
+  PIECE: 'piece',
+  INNER: 'inner',
+  CASE: 'case'
+};
+
+export const PACK_UNIT_LABELS = {
+  [PACK_UNITS.PIECE]: '個',
+  [PACK_UNITS.INNER]: 'ボール',
+  [PACK_UNITS.CASE]: 'ケース'
+};
+
+const STORAGE_KEY = 'packSizes';
+
+const EMPTY_MASTER = { packs: {}, codes: {} };
+
+export const loadPackMaster = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && saved.packs && saved.codes) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('入数マスターの読み込みに失敗:', error);
+  }
+  return EMPTY_MASTER;
+};
+
+export const savePackMaster = (master) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(master));
+};
+
+// ITF-14 (インジケーター 1〜8) から単品の JANコードを求める。集合包装コードでなければ null
+export const pieceJanFromCaseCode = (gtin14) => {
+  if (!/^[1-8]\d{13}$/.test(gtin14)) {
+    return null;
+  }
+  const body = `0${gtin14.slice(1, 13)}`;
+  return toJanCode(`${body}${calculateCheckDigit(body)}`);
+};
+
+// 単位の入数 (バラ換算)。入数が未登録なら null
+export const unitSize = (pack, unit) => {
+  if (unit === PACK_UNITS.PIECE) {
+    return 1;
+  }
+  return (pack && pack[unit]) || null;
+};
+
+// 入力した数量をバラの個数に換算
+export const toPieces = (quantity, unit, pack) => quantity * (unitSize(pack, unit) || 1);
+
+// 入数の登録・更新
+export const setPackSize = (master, janCode, unit, size) => ({
+  ...master,
+  packs: { ...master.packs, [janCode]: { ...master.packs[janCode], [unit]: size } }
+});
+
+// ITF-14 コードと単品JAN・単位の対応を記録
+export const linkCaseCode = (master, gtin14, janCode, unit) => ({
+  ...master,
+  codes: { ...master.codes, [gtin14]: { janCode, unit } }
+});
+
+// バラの個数をケース・ボール・個の内訳に分解 (例: "2ケース 1ボール 3個")
+// 入数が未登録の商品は空文字
+export const formatPackBreakdown = (pieces, pack) => {
+  if (!pack || (!pack.case && !pack.inner)) {
+    return '';
+  }
+  const parts = [];
+  let rest = pieces;
+  [PACK_UNITS.CASE, PACK_UNITS.INNER].forEach(unit => {
+    if (pack[unit] > 0 && rest >= pack[unit]) {
+      parts.push(`${Math.floor(rest / pack[unit])}${PACK_UNIT_LABELS[unit]}`);
+      rest %= pack[unit];
+    }
+  });
+  if (rest > 0 || parts.length === 0) {
+    parts.push(`${rest}${PACK_UNIT_LABELS[PACK_UNITS.PIECE]}`);
+  }
+  return parts.join(' ');
+};
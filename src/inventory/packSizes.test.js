@@ -0,0 +1,40 @@
+import {
+  PACK_UNITS,
+  pieceJanFromCaseCode,
+  toPieces,
+  formatPackBreakdown,
+  setPackSize,
+  linkCaseCode,
+  loadPackMaster
+} from './packSizes';
+
+test('derives the piece JAN from an ITF-14 case code', () => {
+  expect(pieceJanFromCaseCode('14901234567891')).toBe('4901234567894');
+  expect(pieceJanFromCaseCode('04901234567894')).toBeNull();
+  expect(pieceJanFromCaseCode('94901234567898')).toBeNull();
+});
+
+test('converts units to pieces', () => {
+  const pack = { inner: 6, case: 24 };
+  expect(toPieces(2, PACK_UNITS.CASE, pack)).toBe(48);
+  expect(toPieces(3, PACK_UNITS.INNER, pack)).toBe(18);
+  expect(toPieces(5, PACK_UNITS.PIECE, pack)).toBe(5);
+  // 入数未登録の単位はバラとして扱う
+  expect(toPieces(2, PACK_UNITS.CASE, {})).toBe(2);
+});
+
+test('formats the case breakdown', () => {
+  expect(formatPackBreakdown(57, { inner: 6, case: 24 })).toBe('2ケース 1ボール 3個');
+  expect(formatPackBreakdown(48, { case: 24 })).toBe('2ケース');
+  expect(formatPackBreakdown(5, { case: 24 })).toBe('5個');
+  expect(formatPackBreakdown(5, undefined)).toBe('');
+});
+
+test('records pack sizes and case code links immutably', () => {
+  const master = loadPackMaster();
+  const updated = linkCaseCode(setPackSize(master, '4901234567894', PACK_UNITS.CASE, 24),
+    '14901234567891', '4901234567894', PACK_UNITS.CASE);
+  expect(updated.packs['4901234567894']).toEqual({ case: 24 });
+  expect(updated.codes['14901234567891']).toEqual({ janCode: '4901234567894', unit: PACK_UNITS.CASE });
+  expect(master.packs).toEqual({});
+});
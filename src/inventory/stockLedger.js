@@ -0,0 +1,172 @@
+import { groupLinesByJan } from './lineItems';
+
+// 入出庫台帳 (現在の在庫数は台帳の移動を積み上げて求める)
+// 移動: { id, type, janCode, productName, quantity, countedQuantity, reason, note, user, at }
+// quantity は在庫の増減 (入荷は正、出荷・販売と廃棄は負、棚卸調整は実在庫との差)
+
+export const MOVEMENT_TYPES = {
+  RECEIPT: 'receipt',
+  SALE: 'sale',
+  DISPOSAL: 'disposal',
+  ADJUSTMENT: 'adjustment'
+};
+
+export const MOVEMENT_TYPE_LABELS = {
+  [MOVEMENT_TYPES.RECEIPT]: '入荷',
+  [MOVEMENT_TYPES.SALE]: '出荷・販売',
+  [MOVEMENT_TYPES.DISPOSAL]: '廃棄',
+  [MOVEMENT_TYPES.ADJUSTMENT]: '棚卸調整'
+};
+
+const MOVEMENT_SIGNS = {
+  [MOVEMENT_TYPES.RECEIPT]: 1,
+  [MOVEMENT_TYPES.SALE]: -1,
+  [MOVEMENT_TYPES.DISPOSAL]: -1,
+  [MOVEMENT_TYPES.ADJUSTMENT]: 1
+};
+
+export const DISPOSAL_REASONS = ['期限切れ', '破損', '品質不良', '返品', 'その他'];
+
+// スキャン画面の記録モード (棚卸は従来どおり明細行として数え、それ以外は台帳に記録する)
+export const SCAN_MODES = {
+  STOCKTAKE: 'stocktake',
+  RECEIPT: MOVEMENT_TYPES.RECEIPT,
+  SALE: MOVEMENT_TYPES.SALE,
+  DISPOSAL: MOVEMENT_TYPES.DISPOSAL
+};
+
+export const SCAN_MODE_LABELS = {
+  [SCAN_MODES.STOCKTAKE]: '棚卸',
+  [SCAN_MODES.RECEIPT]: '入荷',
+  [SCAN_MODES.SALE]: '販売',
+  [SCAN_MODES.DISPOSAL]: '廃棄'
+};
+
+const LEDGER_KEY = 'stockLedger';
+const SCAN_MODE_KEY = 'scanMode';
+const LEDGER_USER_KEY = 'ledgerUser';
+
+export const loadLedger = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEDGER_KEY));
+    if (Array.isArray(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('入出庫台帳の読み込みに失敗:', error);
+  }
+  return [];
+};
+
+export const saveLedger = (ledger) => {
+  localStorage.setItem(LEDGER_KEY, JSON.stringify(ledger));
+};
+
+export const loadScanMode = () => {
+  const saved = localStorage.getItem(SCAN_MODE_KEY);
+  return Object.values(SCAN_MODES).includes(saved) ? saved : SCAN_MODES.STOCKTAKE;
+};
+
+export const saveScanMode = (mode) => {
+  localStorage.setItem(SCAN_MODE_KEY, mode);
+};
+
+export const loadLedgerUser = () => localStorage.getItem(LEDGER_USER_KEY) || '';
+
+export const saveLedgerUser = (user) => {
+  localStorage.setItem(LEDGER_USER_KEY, user);
+};
+
+let sequence = 0;
+
+const generateId = () => `${Date.now().toString(36)}-${(sequence++).toString(36)}`;
+
+// 入荷・出荷・廃棄の移動を作成 (amount はバラの個数。符号は種別から決める)
+// details: { reason, note, user, operatorId, at } (user は担当者名)
+export const createMovement = (type, product, amount, details = {}) => ({
+  id: generateId(),
+  type,
+  janCode: product.janCode,
+  productName: product.productName || '',
+  quantity: MOVEMENT_SIGNS[type] * amount,
+  countedQuantity: null,
+  reason: type === MOVEMENT_TYPES.DISPOSAL ? details.reason || '' : '',
+  note: details.note || '',
+  user: details.user || '',
+  operatorId: details.operatorId || '',
+  at: details.at || new Date().toISOString()
+});
+
+// 棚卸調整の移動を作成 (台帳上の在庫を実際に数えた数量に合わせる)
+export const createAdjustment = (product, countedQuantity, currentStock, details = {}) => ({
+  ...createMovement(MOVEMENT_TYPES.ADJUSTMENT, product, 0, details),
+  quantity: countedQuantity - currentStock,
+  countedQuantity
+});
+
+// JANコードごとの現在庫
+export const computeStock = (ledger) => {
+  const stock = {};
+  ledger.forEach(movement => {
+    stock[movement.janCode] = (stock[movement.janCode] || 0) + movement.quantity;
+  });
+  return stock;
+};
+
+export const stockOf = (ledger, janCode) => ledger
+  .filter(movement => movement.janCode === janCode)
+  .reduce((sum, movement) => sum + movement.quantity, 0);
+
+// オフラインで記録した移動に、後から取得した商品名を反映する (変更がなければ同じ配列を返す)
+export const fillMovementNames = (ledger, janCode, productName) => {
+  if (!productName || !ledger.some(movement => movement.janCode === janCode && !movement.productName)) {
+    return ledger;
+  }
+  return ledger.map(movement => (movement.janCode === janCode && !movement.productName
+    ? { ...movement, productName }
+    : movement));
+};
+
+// 商品ごとの移動履歴 (古い順、各時点の在庫数 balance 付き)
+export const productHistory = (ledger, janCode) => {
+  let balance = 0;
+  return ledger
+    .filter(movement => movement.janCode === janCode)
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .map(movement => {
+      balance += movement.quantity;
+      return { ...movement, balance };
+    });
+};
+
+// 台帳に記録のある商品の一覧 (最後に動きのあった順)
+// 戻り値: [{ janCode, productName, stock, movementCount, lastAt }]
+export const summarizeLedger = (ledger) => {
+  const summaries = new Map();
+  ledger.forEach(movement => {
+    const summary = summaries.get(movement.janCode) || {
+      janCode: movement.janCode,
+      productName: '',
+      stock: 0,
+      movementCount: 0,
+      lastAt: ''
+    };
+    summaries.set(movement.janCode, {
+      ...summary,
+      productName: movement.productName || summary.productName,
+      stock: summary.stock + movement.quantity,
+      movementCount: summary.movementCount + 1,
+      lastAt: movement.at > summary.lastAt ? movement.at : summary.lastAt
+    });
+  });
+  return [...summaries.values()].sort((a, b) => b.lastAt.localeCompare(a.lastAt));
+};
+
+// 棚卸の明細行から調整の移動を作成 (台帳と数量が異なる商品のみ)
+// セッションで数えていない商品は在庫が不明なため調整しない
+export const buildAdjustments = (ledger, lines, details = {}) => {
+  const stock = computeStock(ledger);
+  return groupLinesByJan(lines)
+    .filter(group => group.totalQuantity !== (stock[group.janCode] || 0))
+    .map(group => createAdjustment(group, group.totalQuantity, stock[group.janCode] || 0, details));
+};
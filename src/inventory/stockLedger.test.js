@@ -0,0 +1,72 @@
+import {
+  MOVEMENT_TYPES,
+  createMovement,
+  computeStock,
+  stockOf,
+  productHistory,
+  summarizeLedger,
+  buildAdjustments,
+  fillMovementNames
+} from './stockLedger';
+import { createLine } from './lineItems';
+
+const tea = { janCode: '4901234567894', productName: 'お茶' };
+const water = { janCode: '4512345678907', productName: '水' };
+
+const ledger = [
+  createMovement(MOVEMENT_TYPES.RECEIPT, tea, 24, { at: '2025-01-01T09:00:00.000Z', user: '山田' }),
+  createMovement(MOVEMENT_TYPES.SALE, tea, 5, { at: '2025-01-02T09:00:00.000Z' }),
+  createMovement(MOVEMENT_TYPES.DISPOSAL, tea, 1, { at: '2025-01-03T09:00:00.000Z', reason: '破損' }),
+  createMovement(MOVEMENT_TYPES.RECEIPT, water, 12, { at: '2025-01-02T12:00:00.000Z' })
+];
+
+test('signs quantities by movement type', () => {
+  expect(ledger.map(movement => movement.quantity)).toEqual([24, -5, -1, 12]);
+  expect(ledger[2].reason).toBe('破損');
+  expect(createMovement(MOVEMENT_TYPES.SALE, tea, 1, { reason: '破損' }).reason).toBe('');
+});
+
+test('computes current stock from the ledger', () => {
+  expect(computeStock(ledger)).toEqual({ [tea.janCode]: 18, [water.janCode]: 12 });
+  expect(stockOf(ledger, tea.janCode)).toBe(18);
+  expect(stockOf(ledger, '4900000000000')).toBe(0);
+});
+
+test('builds per-product history with running balance', () => {
+  const history = productHistory([...ledger].reverse(), tea.janCode);
+  expect(history.map(movement => movement.balance)).toEqual([24, 19, 18]);
+  expect(history[0].user).toBe('山田');
+
+  const summary = summarizeLedger(ledger);
+  expect(summary[0]).toMatchObject({ janCode: tea.janCode, stock: 18, movementCount: 3 });
+});
+
+test('adjusts counted products to the stocktake result', () => {
+  const lines = [
+    createLine({ ...tea, quantity: 10, lot: 'A', expiryDate: '' }),
+    createLine({ ...tea, quantity: 6, lot: 'B', expiryDate: '' }),
+    createLine({ ...water, quantity: 12, lot: '', expiryDate: '' })
+  ];
+  const adjustments = buildAdjustments(ledger, lines, { note: '棚卸 2025-01-04' });
+  expect(adjustments).toHaveLength(1);
+  expect(adjustments[0]).toMatchObject({
+    type: MOVEMENT_TYPES.ADJUSTMENT,
+    janCode: tea.janCode,
+    quantity: -2,
+    countedQuantity: 16,
+    note: '棚卸 2025-01-04'
+  });
+  expect(stockOf([...ledger, ...adjustments], tea.janCode)).toBe(16);
+});
+
+test('fills in product names of movements recorded offline', () => {
+  const unnamed = [
+    createMovement(MOVEMENT_TYPES.RECEIPT, { janCode: tea.janCode }, 6),
+    ...ledger
+  ];
+  expect(fillMovementNames(ledger, tea.janCode, '緑茶')).toBe(ledger);
+  expect(fillMovementNames(unnamed, water.janCode, '天然水')).toBe(unnamed);
+
+  const filled = fillMovementNames(unnamed, tea.janCode, '緑茶');
+  expect(filled.map(movement => movement.productName)).toEqual(['緑茶', 'お茶', 'お茶', 'お茶', '水']);
+});
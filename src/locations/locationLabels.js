@@ -0,0 +1,45 @@
+import { escapeHtml } from '../export/printDocument';
+import { LOCATION_LEVEL_LABELS, formatLocationPath, locationCode } from './locations';
+
+// 場所ラベルのシート (A4 に3列で並べ、QRコード・場所の経路・コードを印刷する)
+
+export const LABEL_SHEET_STYLES = `
+  .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4mm; }
+  .label { border: 1px dashed #999; padding: 3mm; text-align: center; page-break-inside: avoid; }
+  .label svg { width: 30mm; height: 30mm; }
+  .label .name { font-size: 14px; font-weight: bold; margin-top: 2mm; }
+  .label .path { font-size: 10px; color: #444; }
+  .label .code { font-family: monospace; font-size: 10px; }
+`;
+
+const QUIET_ZONE = 4;
+
+// QRコードをSVGで描画 (html5-qrcode に同梱されている zxing-js のエンコーダーを使う)
+export const buildQrSvg = async (text) => {
+  const ZXing = await import('html5-qrcode/third_party/zxing-js.umd');
+  const matrix = ZXing.QRCodeEncoder.encode(text, ZXing.QRCodeDecoderErrorCorrectionLevel.M).getMatrix();
+  const size = matrix.getWidth() + QUIET_ZONE * 2;
+  let path = '';
+  for (let y = 0; y < matrix.getHeight(); y++) {
+    for (let x = 0; x < matrix.getWidth(); x++) {
+      if (matrix.get(x, y) === 1) {
+        path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+    + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+};
+
+// 選択した場所のラベルシートのHTML
+export const buildLabelSheetHtml = async (locations, selectedIds) => {
+  const selected = locations.filter(location => selectedIds.includes(location.id));
+  const labels = await Promise.all(selected.map(async location => `
+    <div class="label">
+      ${await buildQrSvg(locationCode(location))}
+      <div class="name">${escapeHtml(location.name)} <small>(${LOCATION_LEVEL_LABELS[location.level]})</small></div>
+      <div class="path">${escapeHtml(formatLocationPath(locations, location.id))}</div>
+      <div class="code">${escapeHtml(locationCode(location))}</div>
+    </div>`));
+  return `<div class="sheet">${labels.join('')}</div>`;
+};
@@ -0,0 +1,148 @@
+// 保管場所の階層 (店舗 → エリア → 棚 → 段・ビン)
+// 場所: { id, parentId, level, name }  明細行は locationId で場所を参照する (未設定は '')
+// 場所ラベルのQRコードには LOC:<id> を埋め込み、スキャンすると現在地を切り替える
+
+export const LOCATION_LEVELS = ['store', 'area', 'shelf', 'bin'];
+
+export const LOCATION_LEVEL_LABELS = {
+  store: '店舗',
+  area: 'エリア',
+  shelf: '棚',
+  bin: '段・ビン'
+};
+
+export const LOCATION_CODE_PREFIX = 'LOC:';
+
+const LOCATIONS_KEY = 'locations';
+const CURRENT_LOCATION_KEY = 'currentLocationId';
+
+export const loadLocations = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCATIONS_KEY));
+    if (Array.isArray(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('保管場所の読み込みに失敗:', error);
+  }
+  return [];
+};
+
+export const saveLocations = (locations) => {
+  localStorage.setItem(LOCATIONS_KEY, JSON.stringify(locations));
+};
+
+export const loadCurrentLocationId = (locations) => {
+  const saved = localStorage.getItem(CURRENT_LOCATION_KEY) || '';
+  return locations.some(location => location.id === saved) ? saved : '';
+};
+
+export const saveCurrentLocationId = (locationId) => {
+  localStorage.setItem(CURRENT_LOCATION_KEY, locationId);
+};
+
+const generateId = () => `L${Date.now().toString(36).slice(-4)}${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
+
+// 子の場所を追加 (parentId が空なら店舗として追加)
+// 戻り値: { locations, location } (段・ビンの下には追加できないため location は null)
+export const addLocation = (locations, parentId, name) => {
+  const parent = locations.find(location => location.id === parentId);
+  const levelIndex = parent ? LOCATION_LEVELS.indexOf(parent.level) + 1 : 0;
+  if (levelIndex >= LOCATION_LEVELS.length) {
+    return { locations, location: null };
+  }
+  const location = {
+    id: generateId(),
+    parentId: parent ? parent.id : '',
+    level: LOCATION_LEVELS[levelIndex],
+    name: name.trim() || `${LOCATION_LEVEL_LABELS[LOCATION_LEVELS[levelIndex]]}${locations.length + 1}`
+  };
+  return { locations: [...locations, location], location };
+};
+
+export const renameLocation = (locations, id, name) => locations.map(location => (
+  location.id === id ? { ...location, name: name.trim() || location.name } : location
+));
+
+// 自身と配下の場所のID
+export const descendantIds = (locations, id) => [
+  id,
+  ...locations
+    .filter(location => location.parentId === id)
+    .flatMap(child => descendantIds(locations, child.id))
+];
+
+// 場所を配下ごと削除
+export const removeLocation = (locations, id) => {
+  const removed = descendantIds(locations, id);
+  return locations.filter(location => !removed.includes(location.id));
+};
+
+// 店舗からその場所までの経路
+export const locationPath = (locations, id) => {
+  const path = [];
+  let current = locations.find(location => location.id === id);
+  while (current) {
+    path.unshift(current);
+    const parentId = current.parentId;
+    current = locations.find(location => location.id === parentId);
+  }
+  return path;
+};
+
+// "本店 > バックヤード > 棚A > 2段" (未設定は ''、削除済みの場所はIDを表示)
+export const formatLocationPath = (locations, id) => {
+  if (!id) {
+    return '';
+  }
+  const path = locationPath(locations, id);
+  return path.length > 0 ? path.map(location => location.name).join(' > ') : `(削除された場所 ${id})`;
+};
+
+// 階層順 (親の直後に子) に並べた一覧 [{ location, depth }]
+export const flattenLocations = (locations, parentId = '', depth = 0) => locations
+  .filter(location => location.parentId === parentId)
+  .flatMap(location => [{ location, depth }, ...flattenLocations(locations, location.id, depth + 1)]);
+
+// 明細行が絞り込みの場所 (配下を含む) にあるか (filterId が空なら常に true)
+export const isInLocation = (locations, locationId, filterId) => (
+  !filterId || descendantIds(locations, filterId).includes(locationId)
+);
+
+// 並び替え用の位置 (階層順。未設定は先頭、削除済みは末尾)
+export const locationOrder = (locations, locationId) => {
+  if (!locationId) {
+    return -1;
+  }
+  const index = flattenLocations(locations).findIndex(({ location }) => location.id === locationId);
+  return index < 0 ? Number.MAX_SAFE_INTEGER : index;
+};
+
+// スキャンした文字列が場所ラベルなら場所のIDを返す (未登録かどうかは呼び出し側で確認する)
+export const parseLocationCode = (text) => {
+  const value = String(text).trim();
+  if (!value.toUpperCase().startsWith(LOCATION_CODE_PREFIX)) {
+    return null;
+  }
+  return value.slice(LOCATION_CODE_PREFIX.length).toUpperCase();
+};
+
+export const locationCode = (location) => `${LOCATION_CODE_PREFIX}${location.id}`;
+
+// JANごとのまとまり (groupLinesByJan の結果) をロットの条件で絞り込む (合計数量も再計算)
+export const filterLotGroups = (groups, predicate) => groups
+  .map(group => {
+    const lots = group.lots.filter(({ line }) => predicate(line));
+    return { ...group, lots, totalQuantity: lots.reduce((sum, { line }) => sum + line.quantity, 0) };
+  })
+  .filter(group => group.lots.length > 0);
+
+// 保管場所ごとのセクションに分ける (階層順。未設定の行は locationId: '')
+export const sectionsByLocation = (groups, locations) => [
+  ...new Set(groups.flatMap(group => group.lots.map(({ line }) => line.locationId || '')))
+]
+  .sort((a, b) => locationOrder(locations, a) - locationOrder(locations, b))
+  .map(locationId => ({
+    locationId,
+    groups: filterLotGroups(groups, line => (line.locationId || '') === locationId)
+  }));
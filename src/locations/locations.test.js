@@ -0,0 +1,81 @@
+import {
+  addLocation,
+  removeLocation,
+  renameLocation,
+  formatLocationPath,
+  flattenLocations,
+  isInLocation,
+  parseLocationCode,
+  locationCode,
+  filterLotGroups,
+  sectionsByLocation
+} from './locations';
+import { buildQrSvg } from './locationLabels';
+import { createLine, groupLinesByJan } from '../inventory/lineItems';
+
+const buildTree = () => {
+  const store = addLocation([], '', '本店');
+  const area = addLocation(store.locations, store.location.id, 'バックヤード');
+  const shelf = addLocation(area.locations, area.location.id, '棚A');
+  const bin = addLocation(shelf.locations, shelf.location.id, '2段');
+  const other = addLocation(bin.locations, store.location.id, '売場');
+  return {
+    locations: other.locations,
+    store: store.location,
+    area: area.location,
+    shelf: shelf.location,
+    bin: bin.location,
+    other: other.location
+  };
+};
+
+test('builds the store / area / shelf / bin hierarchy', () => {
+  const { locations, store, area, bin, other } = buildTree();
+  expect([store.level, area.level, bin.level]).toEqual(['store', 'area', 'bin']);
+  expect(addLocation(locations, bin.id, '奥').location).toBeNull();
+
+  expect(formatLocationPath(locations, bin.id)).toBe('本店 > バックヤード > 棚A > 2段');
+  expect(formatLocationPath(locations, '')).toBe('');
+  expect(flattenLocations(locations).map(({ location, depth }) => `${depth}:${location.name}`))
+    .toEqual(['0:本店', '1:バックヤード', '2:棚A', '3:2段', '1:売場']);
+
+  expect(isInLocation(locations, bin.id, area.id)).toBe(true);
+  expect(isInLocation(locations, other.id, area.id)).toBe(false);
+  expect(isInLocation(locations, '', '')).toBe(true);
+});
+
+test('renames and removes locations with their children', () => {
+  const { locations, area, bin } = buildTree();
+  expect(formatLocationPath(renameLocation(locations, area.id, '倉庫'), bin.id)).toBe('本店 > 倉庫 > 棚A > 2段');
+
+  const removed = removeLocation(locations, area.id);
+  expect(removed.map(location => location.name)).toEqual(['本店', '売場']);
+  expect(formatLocationPath(removed, bin.id)).toContain('削除された場所');
+});
+
+test('reads location labels and encodes them as QR codes', async () => {
+  const { bin } = buildTree();
+  expect(parseLocationCode(` ${locationCode(bin).toLowerCase()} `)).toBe(bin.id);
+  expect(parseLocationCode('4901234567894')).toBeNull();
+
+  const svg = await buildQrSvg(locationCode(bin));
+  expect(svg).toMatch(/^<svg .*viewBox="0 0 29 29"/);
+});
+
+test('filters and groups lines by location', () => {
+  const { locations, area, bin, other } = buildTree();
+  const line = (quantity, locationId) => createLine({
+    janCode: '4901234567894', productName: 'お茶', quantity, lot: '', expiryDate: '', locationId
+  });
+  const lines = [line(3, other.id), line(5, bin.id), line(2, '')];
+  const groups = groupLinesByJan(lines);
+  expect(groups[0].lots).toHaveLength(3);
+
+  const inArea = filterLotGroups(groups, item => isInLocation(locations, item.locationId, area.id));
+  expect(inArea[0].totalQuantity).toBe(5);
+  expect(inArea[0].lots[0].index).toBe(1);
+
+  const sections = sectionsByLocation(groups, locations);
+  expect(sections.map(section => section.locationId)).toEqual(['', bin.id, other.id]);
+  expect(sections[2].groups[0].totalQuantity).toBe(3);
+});
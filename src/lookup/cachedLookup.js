@@ -0,0 +1,55 @@
+import {
+  getMasterEntry,
+  putMasterEntry,
+  isEntryFresh,
+  entryDisplayName
+} from '../storage/productMasterStore';
+import { LOOKUP_STATUS, foundResult } from './result';
+
+export const CACHE_SOURCE = 'cache';
+
+const entryToResult = (entry, stale = false) => ({
+  ...foundResult(CACHE_SOURCE, {
+    name: entryDisplayName(entry),
+    maker: entry.maker,
+    brand: entry.brand,
+    image: entry.image,
+    standardPrice: entry.standardPrice
+  }),
+  stale
+});
+
+// キャッシュの読み書きに失敗しても検索自体は続行する
+const readCache = (janCode) => getMasterEntry(janCode).catch((error) => {
+  console.warn('商品マスターキャッシュの読み込みに失敗:', error);
+  return null;
+});
+
+// 商品マスターキャッシュ → 検索プロバイダーの順で検索し、ヒットした結果をキャッシュに保存する
+// プロバイダーがエラーの場合は期限切れのキャッシュでも返す
+export const lookupProductWithCache = async (janCode, lookup, ttlDays) => {
+  const cached = await readCache(janCode);
+
+  if (cached && isEntryFresh(cached, ttlDays)) {
+    return entryToResult(cached);
+  }
+
+  const result = await lookup(janCode);
+
+  if (result.status === LOOKUP_STATUS.FOUND) {
+    await putMasterEntry({
+      janCode,
+      ...result.product,
+      source: result.source,
+      fetchedAt: new Date().toISOString(),
+      overrideName: cached ? cached.overrideName || '' : ''
+    }).catch(error => console.warn('商品マスターキャッシュの保存に失敗:', error));
+    return result;
+  }
+
+  if (result.status === LOOKUP_STATUS.ERROR && cached && cached.name) {
+    return entryToResult(cached, true);
+  }
+
+  return result;
+};
@@ -0,0 +1,85 @@
+import { lookupProductWithCache, CACHE_SOURCE } from './cachedLookup';
+import { foundResult, notFoundResult, errorResult, LOOKUP_STATUS } from './result';
+import { isEntryFresh } from '../storage/productMasterStore';
+
+// jsdom には IndexedDB がないため、商品マスターの読み書きだけをメモリ上で行う
+const mockEntries = new Map();
+jest.mock('../storage/productMasterStore', () => ({
+  ...jest.requireActual('../storage/productMasterStore'),
+  getMasterEntry: async (janCode) => mockEntries.get(janCode),
+  putMasterEntry: async (entry) => {
+    mockEntries.set(entry.janCode, entry);
+  }
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+const cacheEntry = (fields) => ({
+  janCode: '4901234567894',
+  name: 'お茶',
+  maker: '',
+  brand: '',
+  image: '',
+  standardPrice: null,
+  source: 'jancodelookup',
+  overrideName: '',
+  ...fields
+});
+
+// 呼び出された JANコードを記録する検索関数
+const lookupReturning = (result) => {
+  const lookup = async (janCode) => {
+    lookup.calls.push(janCode);
+    return result;
+  };
+  lookup.calls = [];
+  return lookup;
+};
+
+beforeEach(() => {
+  mockEntries.clear();
+});
+
+test('returns fresh cache entries without calling the providers', async () => {
+  mockEntries.set('4901234567894', cacheEntry({ fetchedAt: daysAgo(1), overrideName: '緑茶' }));
+  const lookup = lookupReturning(notFoundResult('jancodelookup'));
+
+  const result = await lookupProductWithCache('4901234567894', lookup, 30);
+  expect(result).toMatchObject({ status: LOOKUP_STATUS.FOUND, source: CACHE_SOURCE, stale: false, product: { name: '緑茶' } });
+  expect(lookup.calls).toEqual([]);
+});
+
+test('refreshes expired entries from the providers and caches the new result', async () => {
+  mockEntries.set('4901234567894', cacheEntry({ fetchedAt: daysAgo(31) }));
+  const lookup = lookupReturning(foundResult('jancodelookup', { name: 'おーいお茶', maker: '伊藤園' }));
+
+  const result = await lookupProductWithCache('4901234567894', lookup, 30);
+  expect(result.source).toBe('jancodelookup');
+  expect(lookup.calls).toEqual(['4901234567894']);
+  expect(mockEntries.get('4901234567894')).toMatchObject({ name: 'おーいお茶', maker: '伊藤園', source: 'jancodelookup' });
+
+  // 取得し直した後は期限内のキャッシュとして返す
+  expect((await lookupProductWithCache('4901234567894', lookup, 30)).source).toBe(CACHE_SOURCE);
+  expect(lookup.calls).toHaveLength(1);
+});
+
+test('falls back to the expired entry when the providers fail', async () => {
+  mockEntries.set('4901234567894', cacheEntry({ fetchedAt: daysAgo(90) }));
+
+  const stale = await lookupProductWithCache('4901234567894', lookupReturning(errorResult('jancodelookup', 'オフライン')), 30);
+  expect(stale).toMatchObject({ status: LOOKUP_STATUS.FOUND, source: CACHE_SOURCE, stale: true, product: { name: 'お茶' } });
+
+  // 見つからなかった場合は古いキャッシュを使わない
+  const notFound = await lookupProductWithCache('4901234567894', lookupReturning(notFoundResult('jancodelookup')), 30);
+  expect(notFound.status).toBe(LOOKUP_STATUS.NOT_FOUND);
+  expect((await lookupProductWithCache('49012347', lookupReturning(errorResult('jancodelookup', 'オフライン')), 30)).status)
+    .toBe(LOOKUP_STATUS.ERROR);
+});
+
+test('treats overridden names and a zero TTL as never expiring', () => {
+  expect(isEntryFresh(cacheEntry({ fetchedAt: daysAgo(29) }), 30)).toBe(true);
+  expect(isEntryFresh(cacheEntry({ fetchedAt: daysAgo(31) }), 30)).toBe(false);
+  expect(isEntryFresh(cacheEntry({ fetchedAt: daysAgo(365) }), 0)).toBe(true);
+  expect(isEntryFresh(cacheEntry({ fetchedAt: daysAgo(365), overrideName: '緑茶' }), 30)).toBe(true);
+});
@@ -0,0 +1,66 @@
+import { foundResult, notFoundResult, errorResult } from './result';
+
+// "data.items.0.name" のようなドット区切りパスで値を取り出す
+export const getByPath = (data, path) => {
+  if (!path) {
+    return undefined;
+  }
+  return path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    data
+  );
+};
+
+// 任意のHTTPエンドポイントからJSONで商品情報を取得する汎用プロバイダー
+const httpJsonProvider = {
+  id: 'httpjson',
+  label: '汎用HTTP(JSON)',
+  description: 'URLテンプレートの {jan} を置き換えて任意のAPIを呼び出します',
+  defaultOptions: {
+    urlTemplate: '',
+    headers: '',
+    namePath: 'name',
+    makerPath: '',
+    brandPath: '',
+    imagePath: '',
+    pricePath: ''
+  },
+
+  isConfigured: (options) => Boolean(options.urlTemplate && options.urlTemplate.includes('{jan}')),
+
+  lookup: async (janCode, options) => {
+    try {
+      const url = options.urlTemplate.replace(/\{jan\}/g, encodeURIComponent(janCode));
+      const headers = options.headers ? JSON.parse(options.headers) : {};
+
+      const response = await fetch(url, { headers });
+
+      if (response.status === 404) {
+        return notFoundResult(httpJsonProvider.id);
+      }
+      if (!response.ok) {
+        throw new Error(`API応答エラー: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const name = getByPath(data, options.namePath);
+
+      if (!name) {
+        return notFoundResult(httpJsonProvider.id);
+      }
+
+      return foundResult(httpJsonProvider.id, {
+        name,
+        maker: getByPath(data, options.makerPath),
+        brand: getByPath(data, options.brandPath),
+        image: getByPath(data, options.imagePath),
+        standardPrice: getByPath(data, options.pricePath)
+      });
+    } catch (error) {
+      console.error('汎用HTTP検索エラー:', error);
+      return errorResult(httpJsonProvider.id, error);
+    }
+  }
+};
+
+export default httpJsonProvider;
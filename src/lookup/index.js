@@ -0,0 +1,131 @@
+import janCodeLookupProvider from './janCodeLookupProvider';
+import masterFileProvider from './masterFileProvider';
+import httpJsonProvider from './httpJsonProvider';
+import { LOOKUP_STATUS, notFoundResult } from './result';
+import { replaceMasterFileRecords } from '../storage/productMasterStore';
+
+export { LOOKUP_STATUS } from './result';
+export { parseMasterFile } from './masterFileProvider';
+export { lookupProductWithCache, CACHE_SOURCE } from './cachedLookup';
+
+// 利用可能な検索プロバイダー
+export const PROVIDERS = {
+  [janCodeLookupProvider.id]: janCodeLookupProvider,
+  [masterFileProvider.id]: masterFileProvider,
+  [httpJsonProvider.id]: httpJsonProvider
+};
+
+const STORAGE_KEY = 'lookupProviders';
+
+// 初期設定: 既存のJANCodeLookup APIキーを引き継ぐ
+const createDefaultConfig = () => [
+  {
+    id: masterFileProvider.id,
+    enabled: true,
+    options: { ...masterFileProvider.defaultOptions }
+  },
+  {
+    id: janCodeLookupProvider.id,
+    enabled: true,
+    options: {
+      ...janCodeLookupProvider.defaultOptions,
+      apiKey: localStorage.getItem('janLookupApiKey') || ''
+    }
+  },
+  {
+    id: httpJsonProvider.id,
+    enabled: false,
+    options: { ...httpJsonProvider.defaultOptions }
+  }
+];
+
+// マスターデータファイルのレコードは設定から外し、件数だけを残す
+const withoutRecords = (entry) => {
+  if (!entry.options.records) {
+    return entry;
+  }
+  const { records, ...options } = entry.options;
+  return { ...entry, options: { ...options, recordCount: Object.keys(records).length } };
+};
+
+// 読み込んだマスターデータファイルのレコードを IndexedDB に書き込む
+const storeMasterFileRecords = async (config) => {
+  await Promise.all(config
+    .filter(entry => entry.options.records)
+    .map(entry => replaceMasterFileRecords(entry.options.records)));
+  return config.map(withoutRecords);
+};
+
+// プロバイダー設定 (順序・有効/無効・オプション) の読み込み
+export const loadProviderConfig = () => {
+  const defaults = createDefaultConfig();
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(saved)) {
+      return defaults;
+    }
+    // 保存済みの順序を維持しつつ、未知のプロバイダーを除外し新しいプロバイダーを末尾に補完
+    const known = saved
+      .filter(entry => PROVIDERS[entry.id])
+      .map(entry => ({
+        id: entry.id,
+        enabled: Boolean(entry.enabled),
+        options: { ...PROVIDERS[entry.id].defaultOptions, ...entry.options }
+      }));
+    const missing = defaults.filter(entry => !known.some(k => k.id === entry.id));
+    const config = [...known, ...missing];
+    // 旧バージョンで設定に保存したマスターデータは IndexedDB に移す
+    if (config.some(entry => entry.options.records)) {
+      saveProviderConfig(config).catch(error => console.warn('マスターデータの移行に失敗:', error));
+    }
+    return config.map(withoutRecords);
+  } catch (error) {
+    console.warn('検索プロバイダー設定の読み込みに失敗:', error);
+    return defaults;
+  }
+};
+
+// 保存した設定 (レコードを除いたもの) を返す
+export const saveProviderConfig = async (config) => {
+  const stored = await storeMasterFileRecords(config);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  return stored;
+};
+
+// 有効かつ設定済みのプロバイダーがあるか
+export const hasUsableProvider = (config) => config.some(
+  entry => entry.enabled && PROVIDERS[entry.id].isConfigured(entry.options)
+);
+
+// 設定順にプロバイダーを試し、最初にヒットした結果を返す
+// すべて見つからなかった場合は not_found、いずれかがエラーなら error (全エラーを errors に格納)
+export const lookupProduct = async (janCode, config) => {
+  const errors = [];
+
+  for (const entry of config) {
+    const provider = PROVIDERS[entry.id];
+    if (!entry.enabled || !provider || !provider.isConfigured(entry.options)) {
+      continue;
+    }
+
+    const result = await provider.lookup(janCode, entry.options);
+
+    if (result.status === LOOKUP_STATUS.FOUND) {
+      return result;
+    }
+    if (result.status === LOOKUP_STATUS.ERROR) {
+      errors.push(result);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      status: LOOKUP_STATUS.ERROR,
+      source: errors[0].source,
+      error: errors.map(e => `${PROVIDERS[e.source].label}: ${e.error}`).join(' / '),
+      errors
+    };
+  }
+
+  return notFoundResult(null);
+};
@@ -0,0 +1,84 @@
+import { lookupProduct, loadProviderConfig, hasUsableProvider, LOOKUP_STATUS } from './index';
+
+// URL ごとの応答 (関数なら呼び出して例外を投げる)
+let responses = {};
+let requested = [];
+
+const config = [
+  { id: 'masterfile', enabled: true, options: { fileName: '', recordCount: 0 } },
+  { id: 'httpjson', enabled: true, options: { urlTemplate: 'https://example.com/items/{jan}', headers: '', namePath: 'name' } },
+  { id: 'jancodelookup', enabled: true, options: { apiKey: 'key' } }
+];
+
+const janCodeLookupUrl = (janCode) => `https://api.jancodelookup.com/?appId=key&query=${janCode}&type=code`;
+
+beforeEach(() => {
+  responses = {};
+  requested = [];
+  localStorage.clear();
+  global.fetch = async (url) => {
+    requested.push(url);
+    const response = responses[url] || { status: 404 };
+    if (typeof response === 'function') {
+      return response();
+    }
+    return { ok: response.status === 200, status: response.status, json: async () => response.body };
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.fetch;
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+test('returns the first hit in the configured order and skips unconfigured providers', async () => {
+  responses['https://example.com/items/4901234567894'] = { status: 200, body: { name: 'お茶' } };
+
+  const result = await lookupProduct('4901234567894', config);
+  expect(result).toMatchObject({ status: LOOKUP_STATUS.FOUND, source: 'httpjson', product: { name: 'お茶' } });
+  // マスターデータ未読み込みのプロバイダーと、ヒット後のプロバイダーは呼ばない
+  expect(requested).toEqual(['https://example.com/items/4901234567894']);
+});
+
+test('falls back to the next provider when one does not find the product', async () => {
+  responses[janCodeLookupUrl('4901234567894')] = {
+    status: 200,
+    body: { info: { count: 1 }, product: [{ itemName: '緑茶', makerName: '伊藤園' }] }
+  };
+
+  const result = await lookupProduct('4901234567894', config);
+  expect(result).toMatchObject({ status: LOOKUP_STATUS.FOUND, source: 'jancodelookup', product: { name: '緑茶', maker: '伊藤園' } });
+
+  const disabled = config.map(entry => (entry.id === 'jancodelookup' ? { ...entry, enabled: false } : entry));
+  expect(await lookupProduct('4901234567894', disabled)).toEqual({ status: LOOKUP_STATUS.NOT_FOUND, source: null });
+});
+
+test('reports errors of every provider when nothing is found', async () => {
+  responses['https://example.com/items/4901234567894'] = { status: 500 };
+  responses[janCodeLookupUrl('4901234567894')] = () => {
+    throw new Error('ネットワークエラー');
+  };
+
+  const result = await lookupProduct('4901234567894', config);
+  expect(result.status).toBe(LOOKUP_STATUS.ERROR);
+  expect(result.source).toBe('httpjson');
+  expect(result.errors).toHaveLength(2);
+  expect(result.error).toBe('汎用HTTP(JSON): API応答エラー: 500 / JANCodeLookup: ネットワークエラー');
+});
+
+test('loads the saved provider order and keeps master records out of the config', () => {
+  localStorage.setItem('lookupProviders', JSON.stringify([
+    { id: 'jancodelookup', enabled: true, options: { apiKey: 'key' } },
+    { id: 'unknown', enabled: true, options: {} },
+    { id: 'masterfile', enabled: true, options: { fileName: 'master.csv', records: { 4901234567894: { name: 'お茶' } } } }
+  ]));
+
+  const loaded = loadProviderConfig();
+  expect(loaded.map(entry => entry.id)).toEqual(['jancodelookup', 'masterfile', 'httpjson']);
+  expect(loaded[1].options).toEqual({ fileName: 'master.csv', recordCount: 1 });
+  expect(hasUsableProvider(loaded)).toBe(true);
+  expect(hasUsableProvider(loaded.map(entry => ({ ...entry, enabled: false })))).toBe(false);
+});
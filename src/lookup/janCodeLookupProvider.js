@@ -0,0 +1,48 @@
+import { foundResult, notFoundResult, errorResult } from './result';
+
+// JANCodeLookup API (https://www.jancodelookup.com/) を使った商品検索
+const janCodeLookupProvider = {
+  id: 'jancodelookup',
+  label: 'JANCodeLookup',
+  description: 'JANCodeLookup APIで商品名・メーカー・画像を検索します',
+  defaultOptions: {
+    apiKey: ''
+  },
+
+  isConfigured: (options) => Boolean(options.apiKey),
+
+  lookup: async (janCode, options) => {
+    try {
+      const url = `https://api.jancodelookup.com/?appId=${encodeURIComponent(options.apiKey)}&query=${encodeURIComponent(janCode)}&type=code`;
+
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`API応答エラー: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (!(data.info && data.info.count > 0 && data.product && data.product.length > 0)) {
+        return notFoundResult(janCodeLookupProvider.id);
+      }
+
+      const product = data.product[0];
+      if (!product.itemName) {
+        return notFoundResult(janCodeLookupProvider.id);
+      }
+
+      return foundResult(janCodeLookupProvider.id, {
+        name: product.itemName,
+        maker: product.makerName,
+        brand: product.brandName,
+        image: product.itemImageUrl
+      });
+    } catch (error) {
+      console.error('JANコード検索エラー:', error);
+      return errorResult(janCodeLookupProvider.id, error);
+    }
+  }
+};
+
+export default janCodeLookupProvider;
@@ -0,0 +1,80 @@
+import { parseCsvRecords } from '../csv/parseCsv';
+import { normalizeBarcode } from '../barcode/gtin';
+import { getMasterFileRecord } from '../storage/productMasterStore';
+import { foundResult, notFoundResult, errorResult } from './result';
+
+// マスターファイルで認識する列名 (日本語・英語の両方に対応)
+const COLUMN_ALIASES = {
+  janCode: ['JANコード', 'JAN', 'jan', 'janCode', 'code', 'barcode'],
+  name: ['商品名', 'name', 'productName', 'itemName'],
+  maker: ['メーカー', 'メーカー名', 'maker', 'makerName'],
+  brand: ['ブランド', 'ブランド名', 'brand', 'brandName'],
+  image: ['画像', '画像URL', 'image', 'imageUrl'],
+  standardPrice: ['標準価格', '売価', '価格', 'price', 'standardPrice']
+};
+
+const pickColumn = (record, field) => {
+  const key = COLUMN_ALIASES[field].find(alias => record[alias] !== undefined);
+  return key ? record[key] : '';
+};
+
+// 読み込んだレコードを JANコード → 商品情報 のマップに変換
+// スキャン時と同じく正規化した JANコードをキーにする (UPC-A の12桁や0埋めの GTIN-14 でも引けるように)
+const toMasterRecords = (records) => records.reduce((master, record) => {
+  const rawJanCode = String(pickColumn(record, 'janCode') || '').trim();
+  if (!rawJanCode) {
+    return master;
+  }
+  const barcode = normalizeBarcode(rawJanCode);
+  const janCode = barcode.valid ? barcode.janCode : rawJanCode;
+  master[janCode] = {
+    name: pickColumn(record, 'name'),
+    maker: pickColumn(record, 'maker'),
+    brand: pickColumn(record, 'brand'),
+    image: pickColumn(record, 'image'),
+    standardPrice: pickColumn(record, 'standardPrice')
+  };
+  return master;
+}, {});
+
+// CSV または JSON のマスターファイルを解析
+export const parseMasterFile = (fileName, text) => {
+  if (/\.json$/i.test(fileName)) {
+    const data = JSON.parse(text);
+    // 配列形式 [{ JANコード, 商品名, ... }] とマップ形式 { "4901234567894": { ... } } の両方を受け付ける
+    const records = Array.isArray(data)
+      ? data
+      : Object.entries(data).map(([janCode, info]) => ({ janCode, ...info }));
+    return toMasterRecords(records);
+  }
+  return toMasterRecords(parseCsvRecords(text));
+};
+
+// ローカルのマスターデータファイルから商品を検索
+// レコードは容量の大きい IndexedDB に保存し、設定にはファイル名と件数だけを持つ
+// 設定画面で読み込んだ直後は options.records に保持し、保存時に IndexedDB へ書き込む
+const masterFileProvider = {
+  id: 'masterfile',
+  label: 'マスターデータファイル',
+  description: '読み込んだCSV/JSONの商品マスターから検索します (オフライン対応)',
+  defaultOptions: {
+    fileName: '',
+    recordCount: 0
+  },
+
+  isConfigured: (options) => options.recordCount > 0,
+
+  lookup: async (janCode) => {
+    try {
+      const record = await getMasterFileRecord(janCode);
+      if (!record || !record.name) {
+        return notFoundResult(masterFileProvider.id);
+      }
+      return foundResult(masterFileProvider.id, record);
+    } catch (error) {
+      return errorResult(masterFileProvider.id, error);
+    }
+  }
+};
+
+export default masterFileProvider;
@@ -0,0 +1,22 @@
+import { parseMasterFile } from './masterFileProvider';
+
+test('keys master records by the normalized JAN code', () => {
+  const csv = [
+    'JANコード,商品名,標準価格',
+    '4901234567894,お茶,150',
+    '012345678905,UPC商品,300',
+    '04512345678906,GTIN商品,',
+    ',名前だけ,'
+  ].join('\n');
+
+  const records = parseMasterFile('master.csv', csv);
+  expect(Object.keys(records)).toEqual(['4901234567894', '0012345678905', '4512345678906']);
+  expect(records['4901234567894']).toMatchObject({ name: 'お茶', standardPrice: '150' });
+});
+
+test('reads JSON master files in array and map form', () => {
+  const array = parseMasterFile('master.json', JSON.stringify([{ JAN: '4901234567894', name: 'お茶' }]));
+  const map = parseMasterFile('master.json', JSON.stringify({ '04901234567894': { 商品名: 'お茶' } }));
+  expect(array['4901234567894'].name).toBe('お茶');
+  expect(map['4901234567894'].name).toBe('お茶');
+});
@@ -0,0 +1,35 @@
+// 商品検索プロバイダーの共通結果型
+export const LOOKUP_STATUS = {
+  FOUND: 'found',
+  NOT_FOUND: 'not_found',
+  ERROR: 'error'
+};
+
+// 商品情報の正規化 (未設定の項目は空文字 / null に揃える)
+const normalizeProductInfo = (info = {}) => {
+  const price = Number(info.standardPrice);
+  return {
+    name: info.name ? String(info.name).trim() : '',
+    maker: info.maker ? String(info.maker).trim() : '',
+    brand: info.brand ? String(info.brand).trim() : '',
+    image: info.image ? String(info.image).trim() : '',
+    standardPrice: Number.isFinite(price) && price > 0 ? Math.round(price) : null
+  };
+};
+
+export const foundResult = (source, info) => ({
+  status: LOOKUP_STATUS.FOUND,
+  source,
+  product: normalizeProductInfo(info)
+});
+
+export const notFoundResult = (source) => ({
+  status: LOOKUP_STATUS.NOT_FOUND,
+  source
+});
+
+export const errorResult = (source, error) => ({
+  status: LOOKUP_STATUS.ERROR,
+  source,
+  error: error instanceof Error ? error.message : String(error)
+});
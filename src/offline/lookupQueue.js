@@ -0,0 +1,21 @@
+// オフライン中にスキャンされ、商品名の取得を保留しているJANコードのキュー
+const STORAGE_KEY = 'pendingLookups';
+
+export const loadPendingLookups = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn('保留中の検索キューの読み込みに失敗:', error);
+    return [];
+  }
+};
+
+export const savePendingLookups = (queue) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+};
+
+// 重複させずにキューへ追加
+export const enqueueLookup = (queue, janCode) => (
+  queue.includes(janCode) ? queue : [...queue, janCode]
+);
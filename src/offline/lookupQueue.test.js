@@ -0,0 +1,25 @@
+import { enqueueLookup, loadPendingLookups, savePendingLookups } from './lookupQueue';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('adds each JAN code to the queue only once', () => {
+  const queue = enqueueLookup(enqueueLookup([], '4901234567894'), '49012347');
+  expect(queue).toEqual(['4901234567894', '49012347']);
+  // 登録済みのコードは同じ配列を返す
+  expect(enqueueLookup(queue, '4901234567894')).toBe(queue);
+});
+
+test('persists the queue and ignores unreadable data', () => {
+  savePendingLookups(['4901234567894']);
+  expect(loadPendingLookups()).toEqual(['4901234567894']);
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  localStorage.setItem('pendingLookups', '{broken');
+  expect(loadPendingLookups()).toEqual([]);
+  console.warn.mockRestore();
+
+  localStorage.setItem('pendingLookups', '"4901234567894"');
+  expect(loadPendingLookups()).toEqual([]);
+});
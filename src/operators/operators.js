@@ -0,0 +1,134 @@
+import { HISTORY_TYPES } from '../inventory/lineItems';
+
+// 担当者 (オペレーター) のプロフィールと、スキャンした担当者ごとの作業実績
+// 担当者: { id, name, pin, role }  pin は端末を共用するときの取り違え防止用 (空なら入力不要)
+// 明細行・スキャン履歴・入出庫には operatorId と operatorName (記録時点の名前) を残す
+
+export const OPERATOR_ROLES = {
+  ADMIN: 'admin', // 担当者の追加・編集ができる
+  STAFF: 'staff'
+};
+
+export const OPERATOR_ROLE_LABELS = {
+  [OPERATOR_ROLES.ADMIN]: '管理者',
+  [OPERATOR_ROLES.STAFF]: 'スタッフ'
+};
+
+// 作業時間の計算で、これより長いスキャンの間隔は休憩とみなす
+const IDLE_GAP_MS = 10 * 60 * 1000;
+
+const OPERATORS_KEY = 'operators';
+const LAST_OPERATOR_KEY = 'lastOperatorId';
+
+export const loadOperators = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OPERATORS_KEY));
+    if (Array.isArray(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('担当者の読み込みに失敗:', error);
+  }
+  return [];
+};
+
+export const saveOperators = (operators) => {
+  localStorage.setItem(OPERATORS_KEY, JSON.stringify(operators));
+};
+
+// 起動時の担当者選択で最初に選んでおく担当者
+export const loadLastOperatorId = () => localStorage.getItem(LAST_OPERATOR_KEY) || '';
+
+export const saveLastOperatorId = (operatorId) => {
+  localStorage.setItem(LAST_OPERATOR_KEY, operatorId);
+};
+
+const generateId = () => `op-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createOperator = ({ name, pin = '', role = OPERATOR_ROLES.STAFF }) => ({
+  id: generateId(),
+  name: name.trim(),
+  pin: pin.trim(),
+  role
+});
+
+export const updateOperator = (operators, id, changes) => operators.map(operator => (operator.id === id
+  ? { ...operator, ...changes, name: (changes.name === undefined ? operator.name : changes.name).trim() }
+  : operator));
+
+export const removeOperator = (operators, id) => operators.filter(operator => operator.id !== id);
+
+export const checkPin = (operator, pin) => !operator.pin || operator.pin === pin.trim();
+
+// 管理者がいなければ誰でも担当者を編集できる
+export const canManageOperators = (operators, operator) => (
+  !operators.some(item => item.role === OPERATOR_ROLES.ADMIN)
+  || Boolean(operator && operator.role === OPERATOR_ROLES.ADMIN)
+);
+
+// 明細行・入出庫に記録する担当者の情報
+export const operatorStamp = (operator) => ({
+  operatorId: operator ? operator.id : '',
+  operatorName: operator ? operator.name : ''
+});
+
+// その担当者がスキャン・修正した明細行か (operatorId が空ならすべて)
+export const isLineByOperator = (line, operatorId) => !operatorId
+  || line.operatorId === operatorId
+  || (line.history || []).some(entry => entry.operatorId === operatorId);
+
+// 絞り込みの選択肢 (登録済みの担当者と、明細行に記録された担当者。同期した他の端末の担当者も含む)
+export const operatorOptions = (operators, lines) => {
+  const options = new Map(operators.map(operator => [operator.id, operator.name]));
+  lines.forEach(line => [line, ...(line.history || [])].forEach(item => {
+    if (item.operatorId && !options.has(item.operatorId)) {
+      options.set(item.operatorId, item.operatorName || item.operatorId);
+    }
+  }));
+  return [...options].map(([id, name]) => ({ id, name }));
+};
+
+// 担当者ごとの作業実績 (スキャン履歴から集計)
+// scans: スキャン回数, edits: 上書き・一覧での修正の回数, warnings: 要確認のコードのスキャン回数
+// activeMinutes: 作業時間 (長い間隔を除く), scansPerHour: 作業時間あたりのスキャン回数 (計算できなければ null)
+export const summarizeProductivity = (lines) => {
+  const summaries = new Map();
+  lines.forEach(line => (line.history || []).forEach(entry => {
+    const id = entry.operatorId || '';
+    if (!summaries.has(id)) {
+      summaries.set(id, {
+        operatorId: id,
+        operatorName: entry.operatorName || '',
+        scans: 0,
+        quantity: 0,
+        edits: 0,
+        warnings: 0,
+        times: []
+      });
+    }
+    const summary = summaries.get(id);
+    summary.scans += 1;
+    const isEdit = entry.type === HISTORY_TYPES.OVERWRITE || entry.type === HISTORY_TYPES.EDIT;
+    summary.quantity += isEdit ? 0 : Number(entry.quantity) || 0;
+    summary.edits += isEdit ? 1 : 0;
+    summary.warnings += line.barcodeWarning ? 1 : 0;
+    summary.times.push(new Date(entry.at).getTime());
+  }));
+
+  return [...summaries.values()].map(({ times, ...summary }) => {
+    const sorted = times.filter(time => !Number.isNaN(time)).sort((a, b) => a - b);
+    const activeMs = sorted.slice(1).reduce((total, time, index) => {
+      const gap = time - sorted[index];
+      return gap > IDLE_GAP_MS ? total : total + gap;
+    }, 0);
+    return {
+      ...summary,
+      firstAt: sorted.length > 0 ? new Date(sorted[0]).toISOString() : '',
+      lastAt: sorted.length > 0 ? new Date(sorted[sorted.length - 1]).toISOString() : '',
+      activeMinutes: Math.round(activeMs / 60000),
+      scansPerHour: activeMs > 0 ? Math.round((summary.scans / activeMs) * 3600000 * 10) / 10 : null,
+      editRate: summary.scans > 0 ? summary.edits / summary.scans : 0,
+      errorRate: summary.scans > 0 ? summary.warnings / summary.scans : 0
+    };
+  }).sort((a, b) => b.scans - a.scans);
+};
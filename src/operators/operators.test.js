@@ -0,0 +1,73 @@
+import {
+  OPERATOR_ROLES,
+  createOperator,
+  checkPin,
+  canManageOperators,
+  operatorStamp,
+  isLineByOperator,
+  operatorOptions,
+  summarizeProductivity
+} from './operators';
+import { createLine, incrementLine, overwriteLine } from '../inventory/lineItems';
+
+const admin = createOperator({ name: ' 山田 ', pin: '1234', role: OPERATOR_ROLES.ADMIN });
+const staff = createOperator({ name: '佐藤' });
+
+const scan = (operator, at, fields = {}) => createLine({
+  janCode: '4901234567894', productName: 'お茶', quantity: 1, scannedAt: at, ...fields, ...operatorStamp(operator)
+});
+
+test('checks PINs and who may manage operators', () => {
+  expect(admin.name).toBe('山田');
+  expect(checkPin(admin, '1234')).toBe(true);
+  expect(checkPin(admin, '0000')).toBe(false);
+  expect(checkPin(staff, '')).toBe(true);
+
+  expect(canManageOperators([staff], staff)).toBe(true);
+  expect(canManageOperators([admin, staff], staff)).toBe(false);
+  expect(canManageOperators([admin, staff], admin)).toBe(true);
+});
+
+test('stamps lines and history with the operator', () => {
+  const line = incrementLine(scan(admin, '2026-10-19T10:00:00.000Z'), 2, {
+    scannedAt: '2026-10-19T10:01:00.000Z',
+    ...operatorStamp(staff)
+  });
+  expect(line.operatorName).toBe('佐藤');
+  expect(line.history.map(entry => entry.operatorName)).toEqual(['山田', '佐藤']);
+
+  expect(isLineByOperator(line, admin.id)).toBe(true);
+  expect(isLineByOperator(scan(staff, '2026-10-19T10:00:00.000Z'), admin.id)).toBe(false);
+  expect(isLineByOperator(line, '')).toBe(true);
+
+  // 同期した他の端末の担当者も選択肢に含める
+  const remote = scan({ id: 'op-remote', name: '田中' }, '2026-10-19T10:00:00.000Z');
+  expect(operatorOptions([admin], [line, remote]).map(option => option.name)).toEqual(['山田', '佐藤', '田中']);
+});
+
+test('summarizes scans per hour and edit / error rates per operator', () => {
+  const lines = [
+    overwriteLine(
+      scan(admin, '2026-10-19T10:00:00.000Z'),
+      { ...scan(admin, '2026-10-19T10:30:00.000Z'), quantity: 5 }
+    ),
+    scan(admin, '2026-10-19T10:10:00.000Z', { barcodeWarning: 'チェックデジット不正' }),
+    scan(admin, '2026-10-19T10:20:00.000Z'),
+    // 休憩をはさんだスキャンは作業時間に含めない
+    scan(admin, '2026-10-19T13:00:00.000Z'),
+    scan(staff, '2026-10-19T11:00:00.000Z')
+  ];
+  const [first, second] = summarizeProductivity(lines);
+  expect(first).toMatchObject({
+    operatorName: '山田',
+    scans: 5,
+    quantity: 4,
+    edits: 1,
+    warnings: 1,
+    activeMinutes: 30,
+    scansPerHour: 10,
+    editRate: 0.2,
+    errorRate: 0.2
+  });
+  expect(second).toMatchObject({ operatorName: '佐藤', scans: 1, scansPerHour: null });
+});
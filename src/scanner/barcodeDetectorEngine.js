@@ -0,0 +1,199 @@
+import { toDetectorFormat, fromDetectorFormat } from '../barcode/symbologies';
+import { createStats, recordFrame } from './stats';
+
+// ブラウザ内蔵の BarcodeDetector API による読み取り (Chromium / Android)
+// 映像のスキャン枠部分だけを切り出して解析する
+
+// camera: deviceId 文字列 / MediaTrackConstraints / true
+const toVideoConstraints = (camera) => {
+  if (typeof camera === 'string') {
+    return { deviceId: { exact: camera } };
+  }
+  return camera;
+};
+
+const supportedDetectorFormats = async () => {
+  if (!('BarcodeDetector' in window)) {
+    return [];
+  }
+  try {
+    return await window.BarcodeDetector.getSupportedFormats();
+  } catch (error) {
+    console.warn('BarcodeDetector の対応形式を取得できません:', error);
+    return [];
+  }
+};
+
+// 選択したバーコードの種類のうち BarcodeDetector が読み取れるもの
+const detectorFormats = async (formats) => {
+  const supported = await supportedDetectorFormats();
+  return formats.map(toDetectorFormat).filter(format => format && supported.includes(format));
+};
+
+const createScanner = (containerId) => {
+  let stream = null;
+  let video = null;
+  let timer = null;
+  let stats = createStats();
+
+  const stop = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      stream = null;
+    }
+    const container = document.getElementById(containerId);
+    if (container) {
+      container.innerHTML = '';
+    }
+    video = null;
+  };
+
+  const track = () => (stream ? stream.getVideoTracks()[0] : null);
+
+  // 映像とスキャン枠を表示して再生を始める
+  const showVideo = async (options) => {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    container.style.position = 'relative';
+    video = document.createElement('video');
+    video.setAttribute('playsinline', 'true');
+    video.muted = true;
+    video.style.width = '100%';
+    video.srcObject = stream;
+    container.appendChild(video);
+
+    // スキャン枠の表示
+    const frame = document.createElement('div');
+    Object.assign(frame.style, {
+      position: 'absolute',
+      left: '50%',
+      top: '50%',
+      width: `${options.region.width}px`,
+      height: `${options.region.height}px`,
+      transform: 'translate(-50%, -50%)',
+      border: '2px solid rgba(255, 255, 255, 0.8)',
+      boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.3)',
+      pointerEvents: 'none'
+    });
+    container.appendChild(frame);
+
+    await video.play();
+  };
+
+  return {
+    start: async (camera, options, onDecode) => {
+      const detector = new window.BarcodeDetector({ formats: await detectorFormats(options.formats) });
+      stats = createStats();
+
+      stream = await navigator.mediaDevices.getUserMedia({ video: toVideoConstraints(camera), audio: false });
+      try {
+        await showVideo(options);
+      } catch (error) {
+        // 取得したカメラを解放しないと、次の起動で使用中のエラーになる
+        await stop();
+        throw error;
+      }
+
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext('2d');
+
+      const scanFrame = async () => {
+        if (!video || video.readyState < 2) {
+          return;
+        }
+        // 表示上のスキャン枠を映像の解像度に換算して切り出す
+        const scale = video.videoWidth / (video.clientWidth || video.videoWidth);
+        const width = Math.min(video.videoWidth, Math.round(options.region.width * scale));
+        const height = Math.min(video.videoHeight, Math.round(options.region.height * scale));
+        canvas.width = width;
+        canvas.height = height;
+        context.drawImage(
+          video,
+          (video.videoWidth - width) / 2,
+          (video.videoHeight - height) / 2,
+          width,
+          height,
+          0,
+          0,
+          width,
+          height
+        );
+
+        const startedAt = performance.now();
+        const barcodes = await detector.detect(canvas);
+        stats = recordFrame(stats, barcodes.length > 0, performance.now() - startedAt);
+        barcodes.forEach(barcode => onDecode(barcode.rawValue, { format: fromDetectorFormat(barcode.format) }));
+      };
+
+      const loop = async () => {
+        try {
+          await scanFrame();
+        } catch (error) {
+          console.warn('BarcodeDetector の解析エラー:', error);
+        }
+        if (stream) {
+          timer = setTimeout(loop, 1000 / options.fps);
+        }
+      };
+      loop();
+    },
+    stop,
+    getCapabilities: () => {
+      const current = track();
+      return current && current.getCapabilities ? current.getCapabilities() : {};
+    },
+    getSettings: () => {
+      const current = track();
+      return current ? current.getSettings() : {};
+    },
+    applyConstraints: async (constraints) => {
+      const current = track();
+      if (!current) {
+        throw new Error('カメラが起動していません');
+      }
+      return current.applyConstraints(constraints);
+    },
+    getStats: () => stats
+  };
+};
+
+// 画像ファイルに写っているバーコードをすべて読み取る
+// 戻り値: [{ text, format }] (見つからなければ空配列)
+const decodeImage = async (file, formats) => {
+  const detector = new window.BarcodeDetector({ formats: await detectorFormats(formats) });
+  const bitmap = await createImageBitmap(file);
+  try {
+    const barcodes = await detector.detect(bitmap);
+    return barcodes.map(barcode => ({ text: barcode.rawValue, format: fromDetectorFormat(barcode.format) }));
+  } finally {
+    bitmap.close();
+  }
+};
+
+const barcodeDetectorEngine = {
+  id: 'barcodeDetector',
+  label: 'BarcodeDetector (ブラウザ内蔵)',
+  description: 'ブラウザ内蔵の読み取り機能を使います。高速ですが対応ブラウザが限られます。',
+  // formats を指定した場合は、そのうち1種類以上を読み取れること (読み取れる種類がないと BarcodeDetector を作れない)
+  isSupported: async (formats = null) => (
+    Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)
+    && (await (formats ? detectorFormats(formats) : supportedDetectorFormats())).length > 0
+  ),
+  // 選択したバーコードの種類をすべて読み取れるか
+  supportsFormats: async (ids) => {
+    const supported = await supportedDetectorFormats();
+    return ids.every(id => supported.includes(toDetectorFormat(id)));
+  },
+  listCameras: async () => {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map(device => ({ id: device.deviceId, label: device.label }));
+  },
+  createScanner,
+  decodeImage
+};
+
+export default barcodeDetectorEngine;
@@ -0,0 +1,63 @@
+import barcodeDetectorEngine from './barcodeDetectorEngine';
+import html5QrcodeEngine from './html5QrcodeEngine';
+
+// 読み取りエンジン (カメラ映像からバーコードを読み取る実装)
+// 各エンジン: { id, label, description, isSupported(formats?), supportsFormats(ids), listCameras(),
+//   createScanner(containerId), decodeImage(file, formats) }
+// createScanner の戻り値: { start(camera, { fps, region, formats }, onDecode), stop(),
+//   getCapabilities(), getSettings(), applyConstraints(constraints), getStats() }
+
+export const ENGINES = {
+  [barcodeDetectorEngine.id]: barcodeDetectorEngine,
+  [html5QrcodeEngine.id]: html5QrcodeEngine
+};
+
+export const AUTO_ENGINE = 'auto';
+
+// 読み取り元 (カメラ以外は読み取り間隔の制限をかけない)
+export const SCAN_SOURCES = {
+  CAMERA: 'camera',
+  KEYBOARD: 'keyboard',
+  MANUAL: 'manual'
+};
+
+const STORAGE_KEY = 'scannerEngine';
+
+export const loadEnginePreference = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved && (saved === AUTO_ENGINE || ENGINES[saved]) ? saved : AUTO_ENGINE;
+};
+
+export const saveEnginePreference = (preference) => {
+  localStorage.setItem(STORAGE_KEY, preference);
+};
+
+// 使用するエンジンを選ぶ
+// 自動: BarcodeDetector が使え、選択したバーコードの種類をすべて読み取れる場合はそれを優先
+export const selectEngine = async (preference, formats) => {
+  if (preference !== AUTO_ENGINE) {
+    const engine = ENGINES[preference];
+    if (engine && await engine.isSupported(formats)) {
+      return engine;
+    }
+    return html5QrcodeEngine;
+  }
+  if (await barcodeDetectorEngine.isSupported() && await barcodeDetectorEngine.supportsFormats(formats)) {
+    return barcodeDetectorEngine;
+  }
+  return html5QrcodeEngine;
+};
+
+// 画像ファイルのバーコードを読み取る
+// 複数のバーコードを読み取れる BarcodeDetector を優先し、見つからなければ html5-qrcode でも試す
+export const decodeImageFile = async (file, formats) => {
+  if (await barcodeDetectorEngine.isSupported(formats)) {
+    const results = await barcodeDetectorEngine.decodeImage(file, formats);
+    if (results.length > 0) {
+      return results;
+    }
+  }
+  return html5QrcodeEngine.decodeImage(file, formats);
+};
+
+export { summarizeStats } from './stats';
@@ -0,0 +1,52 @@
+import { selectEngine, AUTO_ENGINE, ENGINES } from './index';
+import { createStats, recordFrame, summarizeStats } from './stats';
+
+const setDetector = (formats) => {
+  window.BarcodeDetector = function BarcodeDetector() {};
+  window.BarcodeDetector.getSupportedFormats = async () => formats;
+};
+
+beforeEach(() => {
+  Object.defineProperty(navigator, 'mediaDevices', {
+    value: { getUserMedia: () => {} },
+    configurable: true
+  });
+});
+
+afterEach(() => {
+  delete window.BarcodeDetector;
+});
+
+test('falls back to html5-qrcode without BarcodeDetector', async () => {
+  expect((await selectEngine(AUTO_ENGINE, ['EAN_13'])).id).toBe('html5qrcode');
+  expect((await selectEngine('barcodeDetector', ['EAN_13'])).id).toBe('html5qrcode');
+});
+
+test('prefers BarcodeDetector when it supports every selected format', async () => {
+  setDetector(['ean_13', 'ean_8']);
+  expect((await selectEngine(AUTO_ENGINE, ['EAN_13', 'EAN_8'])).id).toBe('barcodeDetector');
+  expect((await selectEngine(AUTO_ENGINE, ['EAN_13', 'RSS_14'])).id).toBe('html5qrcode');
+  expect((await selectEngine('html5qrcode', ['EAN_13'])).id).toBe('html5qrcode');
+  expect(Object.keys(ENGINES)).toHaveLength(2);
+});
+
+test('uses the chosen BarcodeDetector only when it reads one of the selected formats', async () => {
+  setDetector(['ean_13']);
+  expect((await selectEngine('barcodeDetector', ['EAN_13', 'RSS_14'])).id).toBe('barcodeDetector');
+  expect((await selectEngine('barcodeDetector', ['RSS_14'])).id).toBe('html5qrcode');
+});
+
+test('rejects camera constraints before the camera starts', async () => {
+  await expect(ENGINES.barcodeDetector.createScanner('reader').applyConstraints({})).rejects.toThrow();
+  await expect(ENGINES.html5qrcode.createScanner('reader').applyConstraints({})).rejects.toThrow();
+});
+
+test('summarizes decode statistics', () => {
+  let stats = { ...createStats(), startedAt: 0 };
+  stats = recordFrame(stats, false, 10);
+  stats = recordFrame(stats, true, 30);
+  const summary = summarizeStats(stats, 2000);
+  expect(summary.framesPerSecond).toBe(1);
+  expect(summary.successRate).toBe(0.5);
+  expect(summary.averageDecodeMs).toBe(20);
+});
@@ -0,0 +1,89 @@
+// キーボードとして入力するハンドスキャナー (キーボードウェッジ) の検出
+// スキャナーは人の入力よりはるかに短い間隔で文字を送るため、キー入力の間隔で判別する
+
+export const DEFAULT_WEDGE_SETTINGS = {
+  enabled: true,
+  prefix: '', // スキャナーがコードの前に付ける文字列
+  suffix: '', // コードの後に付ける文字列 (Enter / Tab は常に終端として扱う)
+  maxIntervalMs: 50, // これより間隔が空いたら人の入力とみなす
+  minLength: 8
+};
+
+const STORAGE_KEY = 'keyboardWedge';
+
+export const loadWedgeSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) {
+      return { ...DEFAULT_WEDGE_SETTINGS, ...saved };
+    }
+  } catch (error) {
+    console.warn('ハンドスキャナー設定の読み込みに失敗:', error);
+  }
+  return DEFAULT_WEDGE_SETTINGS;
+};
+
+export const saveWedgeSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+const TERMINATOR_KEYS = ['Enter', 'Tab'];
+
+// キー入力を1つずつ渡して判定する
+// feed の戻り値: { started: 新しい入力の始まり, code: 読み取ったコード (終端で確定した場合) }
+export const createWedgeDetector = (settings) => {
+  let buffer = '';
+  let lastTime = 0;
+
+  const reset = () => {
+    buffer = '';
+  };
+
+  // 終端に達したバッファからコードを取り出す (スキャナーの入力でなければ null)
+  const extractCode = () => {
+    let code = buffer;
+    if (settings.suffix && code.endsWith(settings.suffix)) {
+      code = code.slice(0, -settings.suffix.length);
+    }
+    if (settings.prefix) {
+      if (!code.startsWith(settings.prefix)) {
+        return null;
+      }
+      code = code.slice(settings.prefix.length);
+    }
+    code = code.trim();
+    return code.length >= settings.minLength ? code : null;
+  };
+
+  const feed = (key, time) => {
+    const gap = time - lastTime;
+    lastTime = time;
+    const started = buffer === '' || gap > settings.maxIntervalMs;
+    if (started && buffer !== '') {
+      reset();
+    }
+
+    if (TERMINATOR_KEYS.includes(key)) {
+      const code = started ? null : extractCode();
+      reset();
+      return { started: false, code };
+    }
+    if (key.length !== 1) {
+      // Shift などの修飾キーは無視
+      return { started: false, code: null };
+    }
+
+    buffer += key;
+    // 終端キーを送らない設定のスキャナー用に、サフィックスでも確定する
+    if (settings.suffix && buffer.length > settings.suffix.length && buffer.endsWith(settings.suffix)) {
+      const code = extractCode();
+      if (code) {
+        reset();
+        return { started, code };
+      }
+    }
+    return { started, code: null };
+  };
+
+  return { feed, reset };
+};
@@ -0,0 +1,39 @@
+import { createWedgeDetector, DEFAULT_WEDGE_SETTINGS } from './keyboardWedge';
+
+// 文字列を一定間隔で入力し、確定したコードを返す
+const type = (detector, keys, interval, start = 1000) => {
+  let code = null;
+  keys.forEach((key, index) => {
+    const result = detector.feed(key, start + index * interval);
+    code = result.code || code;
+  });
+  return code;
+};
+
+test('detects a fast burst terminated by Enter', () => {
+  const detector = createWedgeDetector(DEFAULT_WEDGE_SETTINGS);
+  expect(type(detector, [...'4901234567894', 'Enter'], 10)).toBe('4901234567894');
+});
+
+test('ignores human typing speed', () => {
+  const detector = createWedgeDetector(DEFAULT_WEDGE_SETTINGS);
+  expect(type(detector, [...'4901234567894', 'Enter'], 150)).toBeNull();
+});
+
+test('ignores codes shorter than the minimum length', () => {
+  const detector = createWedgeDetector(DEFAULT_WEDGE_SETTINGS);
+  expect(type(detector, [...'12', 'Enter'], 10)).toBeNull();
+});
+
+test('strips the configured prefix and suffix', () => {
+  const detector = createWedgeDetector({ ...DEFAULT_WEDGE_SETTINGS, prefix: ']E0', suffix: '#' });
+  expect(type(detector, [...']E04901234567894#'], 10)).toBe('4901234567894');
+  expect(type(detector, [...'4901234567894#'], 10, 5000)).toBeNull();
+});
+
+test('starts a new burst after a pause', () => {
+  const detector = createWedgeDetector(DEFAULT_WEDGE_SETTINGS);
+  detector.feed('9', 0);
+  expect(detector.feed('4', 500).started).toBe(true);
+  expect(type(detector, [...'901234567894', 'Enter'], 10, 510)).toBe('4901234567894');
+});
@@ -0,0 +1,29 @@
+// 読み取りエンジンの診断用の統計 (フレーム数・読み取り成功数・解析時間)
+
+export const createStats = () => ({
+  startedAt: Date.now(),
+  frames: 0,
+  decodes: 0,
+  decodeMs: 0
+});
+
+// 1フレーム分を記録 (elapsedMs: 解析にかかった時間。測れない場合は省略)
+export const recordFrame = (stats, decoded, elapsedMs = 0) => ({
+  ...stats,
+  frames: stats.frames + 1,
+  decodes: stats.decodes + (decoded ? 1 : 0),
+  decodeMs: stats.decodeMs + elapsedMs
+});
+
+// 表示用の集計値
+export const summarizeStats = (stats, now = Date.now()) => {
+  const seconds = Math.max((now - stats.startedAt) / 1000, 0.001);
+  return {
+    framesPerSecond: stats.frames / seconds,
+    decodesPerMinute: (stats.decodes / seconds) * 60,
+    successRate: stats.frames > 0 ? stats.decodes / stats.frames : 0,
+    averageDecodeMs: stats.frames > 0 && stats.decodeMs > 0 ? stats.decodeMs / stats.frames : null,
+    frames: stats.frames,
+    decodes: stats.decodes
+  };
+};
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+import { createWedgeDetector } from './keyboardWedge';
+
+const isEditable = (element) => element && (
+  element.tagName === 'INPUT' || element.tagName === 'TEXTAREA'
+);
+
+// React が管理する入力欄の値を元に戻す (onChange が呼ばれるよう input イベントを発火)
+const restoreValue = (element, value) => {
+  const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value');
+  descriptor.set.call(element, value);
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+// ページ全体のキー入力を監視し、ハンドスキャナーの入力を検出するフック
+// 入力欄にフォーカスがあってもスキャナーが入力した文字は取り消し、onScan に渡す
+const useKeyboardWedge = (settings, onScan) => {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!settings.enabled) {
+      return undefined;
+    }
+    const detector = createWedgeDetector(settings);
+    let snapshot = null;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || e.isComposing) {
+        return;
+      }
+      const result = detector.feed(e.key, performance.now());
+      if (result.started) {
+        // 入力の始まりの時点の値を覚えておく
+        snapshot = isEditable(e.target) ? { target: e.target, value: e.target.value } : null;
+      }
+      if (result.code) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (snapshot && snapshot.target === e.target && e.target.value !== snapshot.value) {
+          restoreValue(e.target, snapshot.value);
+        }
+        snapshot = null;
+        onScanRef.current(result.code);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [settings]);
+};
+
+export default useKeyboardWedge;
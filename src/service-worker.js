@@ -0,0 +1,56 @@
+/* eslint-disable no-restricted-globals */
+
+// オフライン対応のサービスワーカー
+// ビルド時に workbox-webpack-plugin (InjectManifest) がアプリシェルの一覧を self.__WB_MANIFEST に埋め込む
+
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// アプリシェル (HTML/JS/CSS、同梱したスキャナーライブラリを含む) をプリキャッシュ
+precacheAndRoute(self.__WB_MANIFEST);
+
+// ナビゲーションリクエストは index.html で応答 (SPA のため)
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') {
+      return false;
+    }
+    if (url.pathname.startsWith('/_') || fileExtensionRegexp.test(url.pathname)) {
+      return false;
+    }
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// public 配下の静的ファイル (効果音・アイコン・マニフェスト)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(?:png|ico|svg|mp3|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'static-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// CDN から読み込んでいる Tailwind CSS (オフラインでもスタイルを維持するため)
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+  new StaleWhileRevalidate({
+    cacheName: 'cdn-assets',
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })]
+  })
+);
+
+// 新しいバージョンを即座に有効化するためのメッセージ
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
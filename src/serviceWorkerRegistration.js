@@ -0,0 +1,57 @@
+// サービスワーカーの登録
+// 開発サーバーではキャッシュが邪魔になるため、本番ビルドのみで有効にする
+
+export const register = (config = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // PUBLIC_URL が別オリジンの場合はサービスワーカーを登録できない
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) {
+          return;
+        }
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') {
+            return;
+          }
+          if (navigator.serviceWorker.controller) {
+            // 既存のキャッシュがある状態で新しいバージョンを取得した
+            console.log('新しいバージョンがあります。すべてのタブを閉じると更新されます。');
+            if (config.onUpdate) {
+              config.onUpdate(registration);
+            }
+          } else {
+            console.log('オフラインで利用できるようになりました。');
+            if (config.onSuccess) {
+              config.onSuccess(registration);
+            }
+          }
+        };
+      };
+    } catch (error) {
+      console.error('サービスワーカーの登録に失敗:', error);
+    }
+  });
+};
+
+export const unregister = async () => {
+  if ('serviceWorker' in navigator) {
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.unregister();
+    } catch (error) {
+      console.error(error.message);
+    }
+  }
+};
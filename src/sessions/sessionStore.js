@@ -0,0 +1,108 @@
+import { withLineIds } from '../inventory/lineItems';
+
+// 棚卸セッションの永続化
+// セッション: { id, name, location, date, operator, status: 'open' | 'closed', archived, createdAt, products, expected, syncId }
+// expected: 差異レポート用の予定在庫 (未読み込みなら null)
+// syncId: 複数端末で同期する場合の共有コード (同期しないなら '')
+
+const SESSIONS_KEY = 'inventorySessions';
+const ACTIVE_SESSION_KEY = 'activeSessionId';
+// 旧バージョンの単一リスト
+const LEGACY_PRODUCTS_KEY = 'inventoryProducts';
+
+export const SESSION_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+const generateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+export const createSession = ({ name, location = '', date = today(), operator = '' } = {}, products = []) => ({
+  id: generateId(),
+  name: name || `棚卸 ${date}`,
+  location,
+  date,
+  operator,
+  status: SESSION_STATUS.OPEN,
+  archived: false,
+  createdAt: new Date().toISOString(),
+  products,
+  expected: null,
+  syncId: ''
+});
+
+// 旧形式の商品リスト (読み込めなければ null)
+const loadLegacyProducts = () => {
+  const legacy = localStorage.getItem(LEGACY_PRODUCTS_KEY);
+  if (!legacy) {
+    return null;
+  }
+  try {
+    const products = JSON.parse(legacy);
+    if (Array.isArray(products)) {
+      return products;
+    }
+  } catch (error) {
+    console.warn('旧形式の商品リストの読み込みに失敗:', error);
+  }
+  return null;
+};
+
+// セッション一覧の読み込み (旧形式の inventoryProducts は1つのセッションとして移行)
+// 識別子のない明細行 (以前のバージョンで保存したもの) には識別子を振る
+export const loadSessions = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SESSIONS_KEY));
+    if (Array.isArray(saved) && saved.length > 0) {
+      return saved.map(session => ({ ...session, products: withLineIds(session.products || []) }));
+    }
+  } catch (error) {
+    console.warn('セッションの読み込みに失敗:', error);
+  }
+
+  // 旧形式のデータは移行したセッションを保存できてから削除する (壊れていれば空のリストで始め、元のデータは残す)
+  const legacyProducts = loadLegacyProducts();
+  const sessions = [createSession({}, withLineIds(legacyProducts || []))];
+  try {
+    saveSessions(sessions);
+    if (legacyProducts) {
+      localStorage.removeItem(LEGACY_PRODUCTS_KEY);
+    }
+  } catch (error) {
+    console.warn('移行したセッションの保存に失敗 (旧形式のデータは残します):', error);
+  }
+  return sessions;
+};
+
+export const saveSessions = (sessions) => {
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+};
+
+export const loadActiveSessionId = (sessions) => {
+  const savedId = localStorage.getItem(ACTIVE_SESSION_KEY);
+  if (sessions.some(session => session.id === savedId)) {
+    return savedId;
+  }
+  const fallback = sessions.find(session => !session.archived) || sessions[0];
+  return fallback.id;
+};
+
+export const saveActiveSessionId = (sessionId) => {
+  localStorage.setItem(ACTIVE_SESSION_KEY, sessionId);
+};
+
+// 複製 (商品リストごとコピーし、未締めの状態で作成)
+export const duplicateSession = (session) => ({
+  ...createSession({
+    name: `${session.name} (コピー)`,
+    location: session.location,
+    date: today(),
+    operator: session.operator
+  }),
+  products: session.products.map(product => ({ ...product })),
+  expected: session.expected || null
+});
+
+export const isSessionReadOnly = (session) => !session || session.status === SESSION_STATUS.CLOSED;
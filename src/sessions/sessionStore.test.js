@@ -0,0 +1,54 @@
+import { loadSessions, SESSION_STATUS } from './sessionStore';
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test('migrates the legacy product list into a session', () => {
+  const products = [{ janCode: '4901234567894', productName: 'お茶', quantity: 2 }];
+  localStorage.setItem('inventoryProducts', JSON.stringify(products));
+
+  const sessions = loadSessions();
+  expect(sessions).toHaveLength(1);
+  expect(sessions[0]).toMatchObject({ status: SESSION_STATUS.OPEN, products });
+  expect(localStorage.getItem('inventoryProducts')).toBeNull();
+  expect(sessions[0].products[0].id).toEqual(expect.any(String));
+  // 2回目以降は保存したセッションを読む
+  expect(loadSessions()[0]).toMatchObject({ id: sessions[0].id, products: [{ id: sessions[0].products[0].id }] });
+});
+
+test('adds line ids to sessions saved by an earlier version', () => {
+  localStorage.setItem('inventorySessions', JSON.stringify([
+    { id: 's1', name: '棚卸', products: [{ janCode: '4901234567894', quantity: 2 }, { id: 'line-1', janCode: '49012347', quantity: 1 }] }
+  ]));
+  const [first, second] = loadSessions()[0].products;
+  expect(first).toMatchObject({ janCode: '4901234567894', id: expect.any(String) });
+  expect(second.id).toBe('line-1');
+});
+
+test('starts with an empty session when the legacy list cannot be read', () => {
+  localStorage.setItem('inventoryProducts', '{broken');
+  expect(loadSessions()[0].products).toEqual([]);
+  // 壊れたデータは手で復旧できるよう残す
+  expect(localStorage.getItem('inventoryProducts')).toBe('{broken');
+
+  localStorage.clear();
+  localStorage.setItem('inventoryProducts', JSON.stringify({ janCode: '4901234567894' }));
+  expect(loadSessions()[0].products).toEqual([]);
+});
+
+test('keeps the legacy product list when the migrated sessions cannot be saved', () => {
+  localStorage.setItem('inventoryProducts', JSON.stringify([{ janCode: '4901234567894', quantity: 2 }]));
+  const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('QuotaExceededError');
+  });
+
+  expect(loadSessions()[0].products).toHaveLength(1);
+  setItem.mockRestore();
+  expect(JSON.parse(localStorage.getItem('inventoryProducts'))).toHaveLength(1);
+});
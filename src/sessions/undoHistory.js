@@ -0,0 +1,172 @@
+import { lineKey } from '../inventory/lineItems';
+
+// 明細行の変更履歴 (元に戻す・やり直す)
+// コマンド: { id, type, label, at, steps }
+// step: { index, before, after }  before が null なら追加、after が null なら削除、両方あれば置き換え
+// 履歴はセッションごとに { undo: [...], redo: [...] } として保存し、再読み込み後も元に戻せる
+
+export const COMMAND_TYPES = {
+  ADD: 'add', // 追加・加算
+  OVERWRITE: 'overwrite',
+  DELETE: 'delete',
+  EDIT: 'edit',
+  IMPORT: 'import'
+};
+
+// 実行後に「元に戻す」を表示する操作
+export const DESTRUCTIVE_COMMANDS = [COMMAND_TYPES.OVERWRITE, COMMAND_TYPES.DELETE, COMMAND_TYPES.EDIT, COMMAND_TYPES.IMPORT];
+
+// セッションごとに残す操作の数
+const MAX_COMMANDS = 50;
+// 保存できる容量を超えた場合に残す操作の数
+const FALLBACK_COMMANDS = 5;
+
+const UNDO_HISTORY_KEY = 'undoHistory';
+
+export const EMPTY_HISTORY = { undo: [], redo: [] };
+
+export const loadUndoHistories = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(UNDO_HISTORY_KEY));
+    if (saved && typeof saved === 'object') {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('変更履歴の読み込みに失敗:', error);
+  }
+  return {};
+};
+
+// 大きな取り込みが続いて容量を超えた場合は、新しい操作だけを残して保存し直す
+export const saveUndoHistories = (histories) => {
+  try {
+    localStorage.setItem(UNDO_HISTORY_KEY, JSON.stringify(histories));
+  } catch (error) {
+    console.warn('変更履歴の保存に失敗 (古い履歴を削除します):', error);
+    const trimmed = Object.fromEntries(Object.entries(histories).map(([sessionId, history]) => [
+      sessionId,
+      { undo: history.undo.slice(-FALLBACK_COMMANDS), redo: [] }
+    ]));
+    try {
+      localStorage.setItem(UNDO_HISTORY_KEY, JSON.stringify(trimmed));
+    } catch (retryError) {
+      localStorage.removeItem(UNDO_HISTORY_KEY);
+    }
+  }
+};
+
+// 変更前後の明細行から step を作る (行の参照が同じなら変更なしとみなす)
+export const diffSteps = (before, after) => {
+  // 削除: 残った行の並びが変わっていなければ削除した行だけを記録 (後ろから削除する)
+  if (after.length < before.length) {
+    const removed = [];
+    let kept = 0;
+    before.forEach((line, index) => {
+      if (kept < after.length && after[kept] === line) {
+        kept += 1;
+      } else {
+        removed.push(index);
+      }
+    });
+    if (kept === after.length) {
+      return removed.reverse().map(index => ({ index, before: before[index], after: null }));
+    }
+  }
+
+  const steps = [];
+  const common = Math.min(before.length, after.length);
+  for (let index = 0; index < common; index += 1) {
+    if (before[index] !== after[index]) {
+      steps.push({ index, before: before[index], after: after[index] });
+    }
+  }
+  for (let index = common; index < after.length; index += 1) {
+    steps.push({ index, before: null, after: after[index] });
+  }
+  for (let index = before.length - 1; index >= common; index -= 1) {
+    steps.push({ index, before: before[index], after: null });
+  }
+  return steps;
+};
+
+const generateId = () => `cmd-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// 操作を記録する (変更がなければ null)
+export const createCommand = (type, label, before, after) => {
+  const steps = diffSteps(before, after);
+  return steps.length === 0 ? null : { id: generateId(), type, label, at: new Date().toISOString(), steps };
+};
+
+// 記録した行を探す (同期・商品名の取得などで位置がずれていれば同じ行を探し直す)
+// 行は id で識別する (id のない行は以前のバージョンで記録した操作なので、キーで識別する)
+const findLine = (lines, line, index) => {
+  const isSame = (item) => (line.id ? item.id === line.id : lineKey(item) === lineKey(line));
+  if (lines[index] && isSame(lines[index])) {
+    return index;
+  }
+  return lines.findIndex(item => isSame(item) && item.scannedAt === line.scannedAt);
+};
+
+// step を順に適用 (対象の行が見つからなければ null)
+const runSteps = (lines, steps) => {
+  const next = [...lines];
+  for (const { index, before, after } of steps) {
+    if (!before) {
+      next.splice(Math.min(index, next.length), 0, after);
+      continue;
+    }
+    const found = findLine(next, before, index);
+    if (found < 0) {
+      return null;
+    }
+    if (after) {
+      next[found] = after;
+    } else {
+      next.splice(found, 1);
+    }
+  }
+  return next;
+};
+
+const invertSteps = (steps) => [...steps].reverse().map(({ index, before, after }) => ({ index, before: after, after: before }));
+
+// 新しい操作を記録する (やり直しの履歴は破棄)
+export const pushCommand = (history, command) => ({
+  undo: [...history.undo, command].slice(-MAX_COMMANDS),
+  redo: []
+});
+
+// 最後の操作を元に戻す: { history, lines, command }
+// 後の変更と重なって戻せない操作は履歴から除き、lines を null で返す
+export const undoCommand = (history, lines) => {
+  const command = history.undo[history.undo.length - 1];
+  if (!command) {
+    return null;
+  }
+  const undone = runSteps(lines, invertSteps(command.steps));
+  return {
+    history: {
+      undo: history.undo.slice(0, -1),
+      redo: undone ? [...history.redo, command] : history.redo
+    },
+    lines: undone,
+    command
+  };
+};
+
+// 元に戻した操作をやり直す: { history, lines, command }
+export const redoCommand = (history, lines) => {
+  const command = history.redo[history.redo.length - 1];
+  if (!command) {
+    return null;
+  }
+  const redone = runSteps(lines, command.steps);
+  return {
+    history: {
+      undo: redone ? [...history.undo, command] : history.undo,
+      redo: history.redo.slice(0, -1)
+    },
+    lines: redone,
+    command
+  };
+};
@@ -0,0 +1,82 @@
+import {
+  COMMAND_TYPES,
+  EMPTY_HISTORY,
+  diffSteps,
+  createCommand,
+  pushCommand,
+  undoCommand,
+  redoCommand,
+  loadUndoHistories,
+  saveUndoHistories
+} from './undoHistory';
+import { createLine, incrementLine } from '../inventory/lineItems';
+
+const tea = createLine({ janCode: '4901234567894', productName: 'お茶', quantity: 1, scannedAt: '2026-10-19T10:00:00.000Z' });
+const coffee = createLine({ janCode: '4512345678906', productName: 'コーヒー', quantity: 2, scannedAt: '2026-10-19T10:01:00.000Z' });
+const water = createLine({ janCode: '49012347', productName: '水', quantity: 3, scannedAt: '2026-10-19T10:02:00.000Z' });
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('records only the changed lines of each operation', () => {
+  expect(diffSteps([tea], [tea, coffee])).toEqual([{ index: 1, before: null, after: coffee }]);
+  expect(diffSteps([tea, coffee, water], [tea, water])).toEqual([{ index: 1, before: coffee, after: null }]);
+
+  const edited = { ...coffee, quantity: 5 };
+  expect(diffSteps([tea, coffee], [tea, edited])).toEqual([{ index: 1, before: coffee, after: edited }]);
+  expect(createCommand(COMMAND_TYPES.EDIT, '変更なし', [tea], [tea])).toBeNull();
+});
+
+test('undoes and redoes several operations in order', () => {
+  let lines = [tea];
+  let history = EMPTY_HISTORY;
+  const run = (type, label, updated) => {
+    history = pushCommand(history, createCommand(type, label, lines, updated));
+    lines = updated;
+  };
+
+  run(COMMAND_TYPES.ADD, 'コーヒーの追加', [...lines, coffee, water]);
+  run(COMMAND_TYPES.DELETE, 'お茶と水の削除', [coffee]);
+  run(COMMAND_TYPES.IMPORT, '取り込み', [{ ...coffee, quantity: 10 }, tea]);
+
+  let result = undoCommand(history, lines);
+  expect(result.command.label).toBe('取り込み');
+  expect(result.lines).toEqual([coffee]);
+  result = undoCommand(result.history, result.lines);
+  expect(result.lines).toEqual([tea, coffee, water]);
+
+  result = redoCommand(result.history, result.lines);
+  expect(result.lines).toEqual([coffee]);
+  expect(result.history.undo).toHaveLength(2);
+  expect(result.history.redo).toHaveLength(1);
+
+  // 新しい操作をするとやり直しの履歴は破棄
+  expect(pushCommand(result.history, createCommand(COMMAND_TYPES.ADD, '水の追加', result.lines, [...result.lines, water])).redo)
+    .toEqual([]);
+});
+
+test('finds moved lines and drops commands that can no longer be undone', () => {
+  const before = [tea, coffee];
+  const after = [tea];
+  const history = pushCommand(EMPTY_HISTORY, createCommand(COMMAND_TYPES.DELETE, 'コーヒーの削除', before, after));
+
+  // 同期で前に行が追加されていても削除した行は元の位置に戻す
+  expect(undoCommand(history, [water, tea]).lines).toEqual([water, coffee, tea]);
+
+  // 別行モードで登録した同じキー・同じ日時の行も id で区別する
+  const copy = createLine({ ...tea });
+  const edit = pushCommand(EMPTY_HISTORY, createCommand(COMMAND_TYPES.EDIT, 'お茶の修正', [tea, copy], [tea, { ...copy, quantity: 5 }]));
+  expect(undoCommand(edit, [water, tea, { ...copy, quantity: 5 }]).lines).toEqual([water, tea, copy]);
+
+  const overwrite = pushCommand(EMPTY_HISTORY, createCommand(COMMAND_TYPES.OVERWRITE, '上書き', [tea], [incrementLine(tea, 1)]));
+  const result = undoCommand(overwrite, [water, incrementLine(tea, 1, { scannedAt: '2026-10-19T11:00:00.000Z' })]);
+  expect(result.lines).toBeNull();
+  expect(result.history).toEqual(EMPTY_HISTORY);
+});
+
+test('persists the history of each session', () => {
+  const history = pushCommand(EMPTY_HISTORY, createCommand(COMMAND_TYPES.ADD, 'お茶の追加', [], [tea]));
+  saveUndoHistories({ session1: history });
+  expect(loadUndoHistories().session1.undo[0].steps[0].after).toEqual(tea);
+});
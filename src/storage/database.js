@@ -0,0 +1,65 @@
+// アプリ共通の IndexedDB 接続
+const DB_NAME = 'rapid-mvp-scanner';
+const DB_VERSION = 2;
+
+export const STORES = {
+  PRODUCT_MASTER: 'productMaster',
+  MASTER_FILE: 'masterFile'
+};
+
+let dbPromise = null;
+
+// バージョンごとのスキーマ移行
+const upgradeDatabase = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    db.createObjectStore(STORES.PRODUCT_MASTER, { keyPath: 'janCode' });
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(STORES.MASTER_FILE, { keyPath: 'janCode' });
+  }
+};
+
+export const openDatabase = () => {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('このブラウザはIndexedDBに対応していません'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    // 失敗した接続は再試行できるよう破棄
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+// IDBRequest を Promise に変換
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// 単一ストアに対するトランザクションを実行し、完了を待って結果を返す
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    Promise.resolve(callback(transaction.objectStore(storeName)))
+      .then((value) => { result = value; })
+      .catch(reject);
+  });
+};
@@ -0,0 +1,98 @@
+import { STORES, withStore, promisifyRequest } from './database';
+
+// 商品マスターキャッシュ (JANコードをキーに検索結果を保持)
+// エントリ: { janCode, name, maker, brand, image, standardPrice, source, fetchedAt, overrideName }
+// 読み込んだマスターデータファイルの内容は期限切れ・キャッシュ削除の対象外にするため別のストアに保持する
+
+const TTL_STORAGE_KEY = 'productMasterTtlDays';
+export const DEFAULT_TTL_DAYS = 30;
+
+// 有効期限 (日数)。0 は無期限
+export const loadMasterTtlDays = () => {
+  const saved = localStorage.getItem(TTL_STORAGE_KEY);
+  const days = saved === null ? DEFAULT_TTL_DAYS : Number(saved);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_TTL_DAYS;
+};
+
+export const saveMasterTtlDays = (days) => {
+  localStorage.setItem(TTL_STORAGE_KEY, String(days));
+};
+
+// 有効期限内か (名前を手動で上書きしたエントリは期限切れにならない)
+export const isEntryFresh = (entry, ttlDays) => {
+  if (entry.overrideName || ttlDays === 0) {
+    return true;
+  }
+  return Date.now() - new Date(entry.fetchedAt).getTime() < ttlDays * 24 * 60 * 60 * 1000;
+};
+
+// 表示・利用する商品名 (上書きがあれば優先)
+export const entryDisplayName = (entry) => entry.overrideName || entry.name;
+
+export const getMasterEntry = (janCode) => withStore(
+  STORES.PRODUCT_MASTER, 'readonly',
+  (store) => promisifyRequest(store.get(janCode))
+);
+
+export const listMasterEntries = () => withStore(
+  STORES.PRODUCT_MASTER, 'readonly',
+  (store) => promisifyRequest(store.getAll())
+);
+
+export const putMasterEntry = (entry) => withStore(
+  STORES.PRODUCT_MASTER, 'readwrite',
+  (store) => promisifyRequest(store.put(entry))
+);
+
+export const deleteMasterEntry = (janCode) => withStore(
+  STORES.PRODUCT_MASTER, 'readwrite',
+  (store) => promisifyRequest(store.delete(janCode))
+);
+
+export const clearMasterEntries = () => withStore(
+  STORES.PRODUCT_MASTER, 'readwrite',
+  (store) => promisifyRequest(store.clear())
+);
+
+// 期限切れのエントリを削除し、削除件数を返す
+export const purgeExpiredEntries = async (ttlDays) => {
+  const entries = await listMasterEntries();
+  const expired = entries.filter(entry => !isEntryFresh(entry, ttlDays));
+  await withStore(STORES.PRODUCT_MASTER, 'readwrite', (store) => {
+    expired.forEach(entry => store.delete(entry.janCode));
+  });
+  return expired.length;
+};
+
+// 商品名の手動上書き (空文字で上書き解除)
+export const setOverrideName = async (janCode, overrideName) => {
+  const entry = await getMasterEntry(janCode);
+  const now = new Date().toISOString();
+  await putMasterEntry({
+    janCode,
+    name: '',
+    maker: '',
+    brand: '',
+    image: '',
+    standardPrice: null,
+    source: 'manual',
+    fetchedAt: now,
+    ...entry,
+    overrideName: overrideName.trim()
+  });
+};
+
+// マスターデータファイルのレコード: { janCode, name, maker, brand, image, standardPrice }
+export const getMasterFileRecord = (janCode) => withStore(
+  STORES.MASTER_FILE, 'readonly',
+  (store) => promisifyRequest(store.get(janCode))
+);
+
+// 読み込み直したファイルの内容で置き換える (records: JANコード → 商品情報)
+export const replaceMasterFileRecords = (records) => withStore(
+  STORES.MASTER_FILE, 'readwrite',
+  (store) => {
+    store.clear();
+    Object.entries(records).forEach(([janCode, info]) => store.put({ ...info, janCode }));
+  }
+);
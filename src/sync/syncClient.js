@@ -0,0 +1,124 @@
+// 同期サーバー (server/syncServer.js) との通信と、端末ごとの同期設定・同期状態の保存
+// REST:
+//   POST /sessions/:syncId/changes  { changes } → { cursor, accepted }
+//   GET  /sessions/:syncId/changes?since=N → { changes: [{ ...変更, seq }], cursor }
+// 変更フィード (Server-Sent Events):
+//   GET  /sessions/:syncId/events?since=N → data: { changes, cursor } (接続時と新しい変更の受信時)
+// アクセストークンは X-Sync-Token ヘッダーで送る (EventSource はヘッダーを付けられないため ?token=)
+
+const SYNC_SETTINGS_KEY = 'syncSettings';
+const SYNC_STATE_KEY = 'syncState';
+const DEVICE_ID_KEY = 'syncDeviceId';
+
+const DEFAULT_SYNC_SETTINGS = {
+  serverUrl: '',
+  token: '', // 同期サーバーの起動時に表示されるアクセストークン
+  deviceName: ''
+};
+
+// 共有コード (推測されないよう乱数から作る。読み間違えやすい文字は使わない)
+const SHARE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHARE_CODE_LENGTH = 20; // 32種類 × 20文字 = 100ビット
+
+export const generateShareCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHARE_CODE_LENGTH));
+  const code = Array.from(bytes, byte => SHARE_CODE_CHARS[byte % SHARE_CODE_CHARS.length]).join('');
+  return code.match(/.{5}/g).join('-');
+};
+
+// 入力された共有コードの整形 (空白を除き、この形式のコードは小文字でも受け付ける)
+export const normalizeShareCode = (code) => {
+  const compact = code.replace(/\s+/g, '');
+  return /^([A-Z2-9]{5}-){3}[A-Z2-9]{5}$/i.test(compact) ? compact.toUpperCase() : compact;
+};
+
+export const loadSyncSettings = () => {
+  try {
+    return { ...DEFAULT_SYNC_SETTINGS, ...JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY)) };
+  } catch (error) {
+    return { ...DEFAULT_SYNC_SETTINGS };
+  }
+};
+
+export const saveSyncSettings = (settings) => {
+  localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// 端末ID (初回に生成して保存)
+export const loadDeviceId = () => {
+  const saved = localStorage.getItem(DEVICE_ID_KEY);
+  if (saved) {
+    return saved;
+  }
+  const deviceId = Math.random().toString(36).slice(2, 10);
+  localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  return deviceId;
+};
+
+// セッションごとの同期状態
+// { [sessionId]: { syncId, cursor, changes: 既知の変更, pendingIds: 未送信の変更ID, counter: 変更の連番,
+//   snapshot: 受信済みの変更を圧縮した状態 (snapshot.seq までの変更を含む) } }
+export const createSyncState = (syncId) => ({
+  syncId,
+  cursor: 0,
+  changes: [],
+  pendingIds: [],
+  counter: 0,
+  snapshot: null
+});
+
+export const loadSyncStates = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_STATE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// 保存できなければ false (容量不足など)
+export const saveSyncStates = (states) => {
+  try {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(states));
+    return true;
+  } catch (error) {
+    console.warn('同期状態の保存に失敗:', error);
+    return false;
+  }
+};
+
+// 同期サーバーのクライアント (テストでは fetchImpl を差し替える)
+export const createSyncClient = (serverUrl, { token = '', fetchImpl = (...args) => fetch(...args) } = {}) => {
+  const base = serverUrl.replace(/\/+$/, '');
+  const sessionUrl = (syncId, path) => `${base}/sessions/${encodeURIComponent(syncId)}/${path}`;
+  const authHeaders = token ? { 'X-Sync-Token': token } : {};
+
+  const request = async (url, options = {}) => {
+    const response = await fetchImpl(url, { ...options, headers: { ...authHeaders, ...options.headers } });
+    if (!response.ok) {
+      throw new Error(`同期サーバーの応答エラー: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    pushChanges: (syncId, changes) => request(sessionUrl(syncId, 'changes'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ changes })
+    }),
+
+    fetchChanges: (syncId, since) => request(`${sessionUrl(syncId, 'changes')}?since=${since}`),
+
+    // 変更フィードを購読 (EventSource が使えない環境では null を返すのでポーリングする)
+    openChangeFeed: (syncId, since, onChanges, onError) => {
+      if (typeof EventSource === 'undefined') {
+        return null;
+      }
+      const query = `since=${since}${token ? `&token=${encodeURIComponent(token)}` : ''}`;
+      const source = new EventSource(`${sessionUrl(syncId, 'events')}?${query}`);
+      source.onmessage = (event) => onChanges(JSON.parse(event.data));
+      source.onerror = onError;
+      return () => source.close();
+    }
+  };
+};
@@ -0,0 +1,238 @@
+import { lineKey, COUNT_MODES } from '../inventory/lineItems';
+
+// 複数端末の同期で送受信する変更 (チェンジ) と、その決定的なマージ
+// 変更: { id, deviceId, deviceName, at, key, op, fields, quantity, history, seq }
+//   id: `${deviceId}:${8桁の連番}` (再送しても重複しない)
+//   key: 明細行の同期キー (明細行の id。キー項目を修正しても変わらない)
+//   fields: 変更された項目 (数量・履歴以外。新しい行はすべての項目)
+//   quantity: set は数量そのもの (null なら数量は変えない)、increment は増減分
+//   history: この変更で追加されたスキャン履歴
+//   seq: サーバーが受け付けた順の連番 (未送信の変更にはない)
+// どの端末でも同じ変更の集合から同じ結果になるよう、端末の時刻ではなくサーバーの受け付け順 (seq) に適用する
+// seq のない変更 (自分の未送信の変更) は最後に時刻・端末ID・変更IDの順で適用する
+
+export const SYNC_OPS = {
+  SET: 'set', // 項目と数量を上書き (後勝ち)
+  INCREMENT: 'increment', // 数量を加算 (加算モード。複数端末の数量は合計される)
+  DELETE: 'delete' // 行を削除
+};
+
+// 項目として送らないもの (id は同期キーとして送る)
+const LOCAL_FIELDS = ['id', 'quantity', 'history'];
+// 圧縮した状態に残す監査記録の数
+const MAX_SNAPSHOT_AUDIT = 200;
+// スキャンのたびに変わるため、上書きされても監査記録に残さない項目
+const UNAUDITED_FIELDS = ['scannedAt'];
+
+export const compareChanges = (a, b) => {
+  if (a.seq && b.seq) {
+    return a.seq - b.seq;
+  }
+  if (a.seq || b.seq) {
+    return a.seq ? -1 : 1;
+  }
+  return a.at.localeCompare(b.at) || a.deviceId.localeCompare(b.deviceId) || a.id.localeCompare(b.id);
+};
+
+const lineFields = (line) => Object.fromEntries(
+  Object.entries(line).filter(([field]) => !LOCAL_FIELDS.includes(field))
+);
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+const changedFields = (before, after) => Object.fromEntries(
+  Object.entries(lineFields(after)).filter(([field, value]) => !sameValue(before[field], value))
+);
+
+// 追加された履歴 (先頭が同じでなければ全体を新しい履歴とみなす)
+const addedHistory = (before, after) => {
+  const previous = before.history || [];
+  const current = after.history || [];
+  return sameValue(current.slice(0, previous.length), previous) ? current.slice(previous.length) : current;
+};
+
+// 端末での編集前後の明細行から変更を作成 (明細行の id を同期キーにする)
+// JANコード・ロットなどのキー項目の修正も、削除と追加ではなく同じ行への変更として送る
+// 加算モードでは他の端末の加算を打ち消さないよう、数量は増減分 (increment) で送り、数量の変わらない修正は数量なしの set で送る
+// options: { deviceId, deviceName, countMode, nextId: () => 連番, at }
+export const diffLines = (before, after, { deviceId, deviceName = '', countMode, nextId, at = new Date().toISOString() }) => {
+  const accumulate = countMode === COUNT_MODES.ACCUMULATE;
+  const previous = new Map(before.map(line => [line.id, line]));
+  const changes = [];
+  const change = (key, op, details) => changes.push({
+    id: `${deviceId}:${String(nextId()).padStart(8, '0')}`,
+    deviceId,
+    deviceName,
+    at,
+    key,
+    op,
+    fields: {},
+    quantity: 0,
+    history: [],
+    ...details
+  });
+
+  after.forEach(line => {
+    const key = line.id;
+    const old = previous.get(key);
+    if (!old) {
+      change(key, accumulate ? SYNC_OPS.INCREMENT : SYNC_OPS.SET, {
+        fields: lineFields(line),
+        quantity: line.quantity,
+        history: line.history || []
+      });
+      return;
+    }
+    const fields = changedFields(old, line);
+    const delta = line.quantity - old.quantity;
+    if (Object.keys(fields).length === 0 && delta === 0) {
+      return;
+    }
+    if (accumulate && delta !== 0) {
+      change(key, SYNC_OPS.INCREMENT, { fields, quantity: delta, history: addedHistory(old, line) });
+    } else {
+      change(key, SYNC_OPS.SET, { fields, quantity: accumulate ? null : line.quantity, history: addedHistory(old, line) });
+    }
+  });
+
+  const remaining = new Set(after.map(line => line.id));
+  before.forEach(line => {
+    if (!remaining.has(line.id)) {
+      change(line.id, SYNC_OPS.DELETE);
+    }
+  });
+  return changes;
+};
+
+// 重複を除いて変更を追加 (同じIDの変更は最初のものを残す)
+export const appendChanges = (changes, incoming) => {
+  const known = new Set(changes.map(item => item.id));
+  const added = incoming.filter(item => !known.has(item.id) && known.add(item.id));
+  return added.length > 0 ? [...changes, ...added] : changes;
+};
+
+// 変更を行ごとの状態に順に適用する (snapshot: compactChanges で圧縮した状態。圧縮済みの seq までの変更は除く)
+// 加算モードで複数の端末が同じ商品 (同じ lineKey) の新しい行を追加した場合は、先に適用した行にまとめて数量を合計する
+// aliases: まとめた行の同期キー → まとめ先の同期キー (その行へのその後の変更もまとめ先に適用する)
+const foldChanges = (changes, snapshot) => {
+  const states = new Map((snapshot ? snapshot.states : []).map(([key, state]) => [key, { ...state, writers: { ...state.writers } }]));
+  const aliases = new Map(snapshot ? snapshot.aliases : []);
+  const audit = snapshot ? [...snapshot.audit] : [];
+  // lineKey → 同期キー (項目が変わった・削除された行も残るので、使うときに確かめる)
+  const byLineKey = new Map([...states].map(([key, state]) => [lineKey(state.fields), key]));
+  const resolveKey = (item) => {
+    if (aliases.has(item.key)) {
+      return aliases.get(item.key);
+    }
+    if (item.op !== SYNC_OPS.INCREMENT || states.has(item.key) || !item.fields.janCode) {
+      return item.key;
+    }
+    const target = byLineKey.get(lineKey(item.fields));
+    const state = target && states.get(target);
+    if (!state || state.deleted || lineKey(state.fields) !== lineKey(item.fields)) {
+      return item.key;
+    }
+    aliases.set(item.key, target);
+    return target;
+  };
+  const record = (item, key, state, action, fields) => audit.push({
+    id: item.id,
+    at: item.at,
+    key,
+    janCode: state.fields.janCode || item.fields.janCode || '',
+    productName: state.fields.productName || item.fields.productName || '',
+    action,
+    deviceId: item.deviceId,
+    deviceName: item.deviceName || '',
+    replacedDeviceId: state.deviceId,
+    replacedDeviceName: state.deviceName,
+    fields
+  });
+
+  const compactedSeq = snapshot ? snapshot.seq : 0;
+  changes.filter(item => !item.seq || item.seq > compactedSeq).sort(compareChanges).forEach(item => {
+    const key = resolveKey(item);
+    const state = states.get(key) || {
+      fields: {},
+      writers: {},
+      quantity: 0,
+      history: [],
+      deleted: true,
+      firstAt: item.at,
+      deviceId: item.deviceId,
+      deviceName: item.deviceName || ''
+    };
+    states.set(key, state);
+
+    if (item.op === SYNC_OPS.DELETE) {
+      if (!state.deleted && state.deviceId !== item.deviceId) {
+        record(item, key, state, SYNC_OPS.DELETE, []);
+      }
+      Object.assign(state, { fields: {}, writers: {}, quantity: 0, history: [], deleted: true });
+      return;
+    }
+
+    // 上書き (後勝ち) で他の端末が書いた値を別の値にした項目。加算は数量を合計するので記録しない
+    const setsQuantity = item.op === SYNC_OPS.SET && item.quantity !== null;
+    const overwritten = item.op === SYNC_OPS.SET && !state.deleted
+      ? [...Object.entries(item.fields), ...(setsQuantity ? [['quantity', item.quantity]] : [])]
+        .filter(([field, value]) => !UNAUDITED_FIELDS.includes(field)
+          && state.writers[field] && state.writers[field] !== item.deviceId
+          && !sameValue(field === 'quantity' ? state.quantity : state.fields[field], value))
+        .map(([field, value]) => ({
+          field,
+          before: field === 'quantity' ? state.quantity : state.fields[field],
+          after: value
+        }))
+      : [];
+    if (overwritten.length > 0) {
+      record(item, key, state, SYNC_OPS.SET, overwritten);
+    }
+
+    if (state.deleted) {
+      state.firstAt = item.at;
+    }
+    state.fields = { ...state.fields, ...item.fields };
+    Object.keys(item.fields).forEach(field => { state.writers[field] = item.deviceId; });
+    byLineKey.set(lineKey(state.fields), key);
+    if (item.op === SYNC_OPS.INCREMENT) {
+      state.quantity += item.quantity;
+      state.writers.quantity = item.deviceId;
+    } else if (setsQuantity) {
+      state.quantity = item.quantity;
+      state.writers.quantity = item.deviceId;
+    }
+    state.history = [...state.history, ...(item.history || [])];
+    state.deleted = false;
+    state.deviceId = item.deviceId;
+    state.deviceName = item.deviceName || '';
+  });
+  return { states, aliases, audit };
+};
+
+// 変更の集合から明細行を組み立てる
+// 後勝ちで他の端末の値を上書き・削除した場合は監査記録 (audit) に残す
+// snapshot: 受信済みの古い変更を compactChanges で圧縮した状態 (その後の変更を続けて適用する)
+// 明細行の id は同期キー (まとめた行はまとめ先の id)
+// 戻り値: { lines, audit: [{ id, at, key, janCode, productName, action, deviceId, deviceName, replacedDeviceId, replacedDeviceName, fields: [{ field, before, after }] }] }
+export const mergeChanges = (changes, snapshot = null) => {
+  const { states, audit } = foldChanges(changes, snapshot);
+  const lines = [...states]
+    .filter(([, state]) => !state.deleted)
+    .sort(([aKey, a], [bKey, b]) => a.firstAt.localeCompare(b.firstAt) || aKey.localeCompare(bKey))
+    .map(([key, state]) => ({ ...state.fields, id: key, quantity: state.quantity, history: state.history }));
+  return { lines, audit };
+};
+
+// 変更を行ごとの状態に圧縮する (端末に保存する変更が増え続けないようにする)
+// 圧縮するのはサーバーの seq が付いた、seq の先頭から続く変更だけ (後から届く変更は seq が大きいので、圧縮した状態の後に適用すれば同じ順番になる)
+// 戻り値: { seq: 圧縮した最後の seq, states, aliases, audit }
+export const compactChanges = (snapshot, changes) => {
+  const { states, aliases, audit } = foldChanges(changes, snapshot);
+  return {
+    seq: Math.max(snapshot ? snapshot.seq : 0, ...changes.map(change => change.seq || 0)),
+    states: [...states].filter(([, state]) => !state.deleted),
+    aliases: [...aliases],
+    audit: audit.slice(-MAX_SNAPSHOT_AUDIT)
+  };
+};
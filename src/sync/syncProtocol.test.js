@@ -0,0 +1,125 @@
+import { diffLines, mergeChanges, appendChanges, compactChanges, SYNC_OPS } from './syncProtocol';
+import { createLine, incrementLine, editLine, COUNT_MODES } from '../inventory/lineItems';
+
+const device = (deviceId, countMode, at) => {
+  let counter = 0;
+  return { deviceId, deviceName: deviceId.toUpperCase(), countMode, at, nextId: () => ++counter };
+};
+
+// サーバーが受け付けた順の連番を付ける
+const sequenced = (changes, from = 1) => changes.map((change, index) => ({ ...change, seq: from + index }));
+
+const line = (quantity, fields = {}) => createLine({
+  janCode: '4901234567894', productName: 'お茶', quantity, price: '120', lot: '', expiryDate: '', ...fields
+});
+
+test('sums quantities scanned on several devices in count mode', () => {
+  const a = device('a', COUNT_MODES.ACCUMULATE, '2026-10-19T10:00:00.000Z');
+  const b = device('b', COUNT_MODES.ACCUMULATE, '2026-10-19T10:00:01.000Z');
+  const first = line(3);
+  const changesA = [
+    ...diffLines([], [first], a),
+    ...diffLines([first], [incrementLine(first, 2)], a)
+  ];
+  const changesB = diffLines([], [line(4)], b);
+  expect(changesA.map(change => change.op)).toEqual([SYNC_OPS.INCREMENT, SYNC_OPS.INCREMENT]);
+
+  const merged = mergeChanges([...changesB, ...changesA]);
+  expect(merged.lines).toHaveLength(1);
+  // 別々の端末で追加した同じ商品の行は、先に追加した行にまとめる
+  expect(merged.lines[0]).toMatchObject({ id: first.id, quantity: 9 });
+  expect(merged.lines[0].history).toHaveLength(3);
+  expect(merged.audit).toEqual([]);
+  // 受け取る順番が違っても同じ結果になる
+  expect(mergeChanges(appendChanges(changesA, [...changesB, ...changesA])).lines).toEqual(merged.lines);
+});
+
+test('keeps the last writer and records an audit entry otherwise', () => {
+  const a = device('a', COUNT_MODES.OVERWRITE, '2026-10-19T10:00:00.000Z');
+  const b = device('b', COUNT_MODES.OVERWRITE, '2026-10-19T10:05:00.000Z');
+  const base = diffLines([], [line(3)], a);
+  const { lines } = mergeChanges(base);
+  const later = diffLines(lines, [{ ...lines[0], quantity: 5, price: '98' }], b);
+  const earlier = diffLines(lines, [{ ...lines[0], quantity: 7 }], { ...a, at: '2026-10-19T10:01:00.000Z' });
+
+  const merged = mergeChanges([...later, ...base, ...earlier]);
+  expect(merged.lines[0]).toMatchObject({ quantity: 5, price: '98' });
+  expect(merged.audit).toHaveLength(1);
+  expect(merged.audit[0]).toMatchObject({
+    action: SYNC_OPS.SET,
+    deviceId: 'b',
+    replacedDeviceId: 'a',
+    productName: 'お茶',
+    fields: [{ field: 'price', before: '120', after: '98' }, { field: 'quantity', before: 7, after: 5 }]
+  });
+
+  const removed = diffLines(merged.lines, [], { ...a, at: '2026-10-19T10:06:00.000Z' });
+  const afterDelete = mergeChanges([...base, ...earlier, ...later, ...removed]);
+  expect(afterDelete.lines).toEqual([]);
+  expect(afterDelete.audit[1]).toMatchObject({ action: SYNC_OPS.DELETE, deviceId: 'a', replacedDeviceId: 'b' });
+});
+
+test('keeps separate-mode lines with the same key apart', () => {
+  const a = device('a', COUNT_MODES.SEPARATE, '2026-10-19T10:00:00.000Z');
+  const lines = [line(1, { scannedAt: '2026-10-19T09:00:00.000Z' }), line(2, { scannedAt: '2026-10-19T09:01:00.000Z' })];
+  const merged = mergeChanges(diffLines([], lines, a));
+  expect(merged.lines.map(item => item.quantity).sort()).toEqual([1, 2]);
+  expect(diffLines(merged.lines, merged.lines, a)).toEqual([]);
+});
+
+test('keeps the line id when a key field is edited during an increment on another device', () => {
+  const a = device('a', COUNT_MODES.ACCUMULATE, '2026-10-19T10:00:00.000Z');
+  const b = device('b', COUNT_MODES.ACCUMULATE, '2026-10-19T10:01:00.000Z');
+  const first = line(3);
+  const base = diffLines([], [first], a);
+  const { lines } = mergeChanges(base);
+
+  const edited = diffLines(lines, [editLine(lines[0], { lot: 'A' })], { ...a, at: '2026-10-19T10:02:00.000Z' });
+  expect(edited.map(change => [change.op, change.key, change.quantity])).toEqual([[SYNC_OPS.SET, first.id, null]]);
+  const counted = diffLines(lines, [incrementLine(lines[0], 2)], b);
+
+  const merged = mergeChanges([...base, ...counted, ...edited]);
+  expect(merged.lines).toHaveLength(1);
+  expect(merged.lines[0]).toMatchObject({ id: first.id, lot: 'A', quantity: 5 });
+  expect(merged.lines[0].history).toHaveLength(3);
+});
+
+test('merges on top of compacted changes with the same result', () => {
+  const a = device('a', COUNT_MODES.ACCUMULATE, '2026-10-19T10:00:00.000Z');
+  const b = device('b', COUNT_MODES.OVERWRITE, '2026-10-19T10:05:00.000Z');
+  const first = line(3);
+  const older = sequenced([...diffLines([], [first], a), ...diffLines([first], [incrementLine(first, 2)], a)]);
+  const { lines } = mergeChanges(older);
+  const newer = [
+    ...diffLines(lines, [{ ...lines[0], price: '98' }], b),
+    ...diffLines([], [line(1, { janCode: '49012347' })], { ...a, at: '2026-10-19T10:06:00.000Z' })
+  ];
+
+  const snapshot = compactChanges(null, older);
+  expect(snapshot.seq).toBe(2);
+  expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  expect(mergeChanges(newer, snapshot)).toEqual(mergeChanges([...older, ...newer]));
+  // 圧縮済みの変更が再送されても二重に加算しない
+  expect(mergeChanges([...older, ...newer], snapshot)).toEqual(mergeChanges([...older, ...newer]));
+  // 削除した行は圧縮した状態に残さない
+  expect(compactChanges(snapshot, diffLines(lines, [], b)).states).toEqual([]);
+});
+
+test('applies changes in server order so a device that compacted agrees with one that did not', () => {
+  const a = device('a', COUNT_MODES.OVERWRITE, '2026-10-19T10:00:00.000Z');
+  const first = line(3);
+  const base = diffLines([], [first], a);
+  const { lines } = mergeChanges(base);
+  const received = sequenced([
+    ...base,
+    ...diffLines(lines, [{ ...lines[0], quantity: 5, price: '98' }], { ...a, at: '2026-10-19T10:05:00.000Z' })
+  ]);
+  // 時計の遅れた端末Cの変更が、端末Aが圧縮した後に届く
+  const late = sequenced(diffLines(lines, [{ ...lines[0], quantity: 7 }], device('c', COUNT_MODES.OVERWRITE, '2026-10-19T10:01:00.000Z')), 3);
+
+  const compacted = mergeChanges(late, compactChanges(null, received));
+  const full = mergeChanges([...late, ...received]);
+  expect(compacted.lines).toEqual(full.lines);
+  expect(full.lines).toHaveLength(1);
+  expect(full.lines[0]).toMatchObject({ id: first.id, quantity: 7, price: '98' });
+});
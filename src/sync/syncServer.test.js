@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { webcrypto } from 'crypto';
+import { createSyncServer } from '../../server/syncServer';
+import { createSyncClient, generateShareCode, normalizeShareCode } from './syncClient';
+import { diffLines, mergeChanges } from './syncProtocol';
+import { createLine, COUNT_MODES } from '../inventory/lineItems';
+
+// テスト環境には fetch が無いため http で最小限の fetch を用意する
+const nodeFetch = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      resolve({ ok: res.statusCode < 400, status: res.statusCode, json: async () => JSON.parse(text) });
+    });
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+const TOKEN = 'test-token';
+
+// テスト環境にはブラウザの crypto が無いため Node の Web Crypto を使う
+if (typeof global.crypto === 'undefined') {
+  global.crypto = webcrypto;
+}
+
+let server;
+let client;
+
+beforeAll(done => {
+  server = createSyncServer({ token: TOKEN }).listen(0, () => {
+    client = createSyncClient(`http://localhost:${server.address().port}/`, { token: TOKEN, fetchImpl: nodeFetch });
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+test('shares changes between devices through a local server', async () => {
+  const scan = (deviceId, quantity) => {
+    let counter = 0;
+    return diffLines([], [createLine({ janCode: '4901234567894', productName: 'お茶', quantity, lot: '', expiryDate: '' })], {
+      deviceId,
+      countMode: COUNT_MODES.ACCUMULATE,
+      nextId: () => ++counter
+    });
+  };
+  const fromA = scan('a', 3);
+  const fromB = scan('b', 2);
+
+  expect(await client.pushChanges('store-1', fromA)).toEqual({ accepted: 1, cursor: 1 });
+  // 再送は受け付け済みとして無視される
+  expect(await client.pushChanges('store-1', [...fromA, ...fromB])).toEqual({ accepted: 1, cursor: 2 });
+
+  const feed = await client.fetchChanges('store-1', 0);
+  expect(feed.cursor).toBe(2);
+  expect(feed.changes.map(change => change.seq)).toEqual([1, 2]);
+  expect(mergeChanges(feed.changes).lines[0].quantity).toBe(5);
+
+  expect((await client.fetchChanges('store-1', 1)).changes).toHaveLength(1);
+  expect((await client.fetchChanges('other', 0)).changes).toEqual([]);
+  await expect(client.pushChanges('store-1', [{ id: 'x' }])).rejects.toThrow('400');
+});
+
+test('rejects malformed and reserved sync ids without stopping the server', async () => {
+  const base = `http://localhost:${server.address().port}`;
+  const get = (path) => nodeFetch(`${base}${path}`, { headers: { 'X-Sync-Token': TOKEN } });
+  expect((await get('/sessions/%E0%A4%A/changes')).status).toBe(400);
+  expect((await get('/sessions/__proto__/events')).status).toBe(400);
+  expect((await get('/sessions/constructor/changes')).status).toBe(200);
+  expect((await get('/health')).status).toBe(200);
+});
+
+test('requires the access token and uses unguessable share codes', async () => {
+  const base = `http://localhost:${server.address().port}`;
+  expect((await nodeFetch(`${base}/sessions/store-1/changes`)).status).toBe(401);
+  expect((await nodeFetch(`${base}/sessions/store-1/changes`, { headers: { 'X-Sync-Token': 'wrong' } })).status).toBe(401);
+  expect((await nodeFetch(`${base}/sessions/store-1/changes?token=${TOKEN}`)).status).toBe(200);
+
+  const code = generateShareCode();
+  expect(code).toMatch(/^([A-Z2-9]{5}-){3}[A-Z2-9]{5}$/);
+  expect(generateShareCode()).not.toBe(code);
+  expect(normalizeShareCode(` ${code.toLowerCase()} `)).toBe(code);
+  expect(await client.pushChanges(code, [])).toEqual({ accepted: 0, cursor: 0 });
+});
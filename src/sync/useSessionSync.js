@@ -0,0 +1,273 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { diffLines, appendChanges, mergeChanges, compactChanges } from './syncProtocol';
+import {
+  createSyncClient,
+  createSyncState,
+  loadSyncStates,
+  saveSyncStates,
+  loadDeviceId
+} from './syncClient';
+
+// 変更フィードが使えない場合のポーリング間隔と、送信できなかった変更の再送間隔
+const POLL_INTERVAL_MS = 5000;
+const RETRY_INTERVAL_MS = 10000;
+// 保存している変更がこれを超えたら、受信済みの変更を圧縮する
+const COMPACT_THRESHOLD = 500;
+
+export const SYNC_STATUS = {
+  OFF: 'off',
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  POLLING: 'polling',
+  OFFLINE: 'offline',
+  PAUSED: 'paused',
+  ERROR: 'error'
+};
+
+export const SYNC_STATUS_LABELS = {
+  [SYNC_STATUS.OFF]: '同期していません',
+  [SYNC_STATUS.CONNECTING]: '接続中',
+  [SYNC_STATUS.LIVE]: 'リアルタイム同期中',
+  [SYNC_STATUS.POLLING]: '定期的に同期中',
+  [SYNC_STATUS.OFFLINE]: 'オフライン (接続回復後に送信します)',
+  [SYNC_STATUS.PAUSED]: '締め済みのため停止中 (再開すると他の端末の変更を受信します)',
+  [SYNC_STATUS.ERROR]: '同期エラー'
+};
+
+// アクティブなセッションの明細行を同期サーバーと同期するフック
+// 端末での編集は前回の状態との差分を変更として記録・送信し (オフライン中は貯めておく)、
+// 他の端末の変更を受信したら全ての変更をマージした明細行を onRemoteLines に渡す
+// paused: 締め済みのセッションなど、明細行を書き換えてはいけない間は送受信を止める
+// (サーバーに届いた変更は再開したときに続きから受信する)
+const useSessionSync = ({ session, countMode, settings, isOnline, paused, onRemoteLines }) => {
+  const [deviceId] = useState(loadDeviceId);
+  const [status, setStatus] = useState(SYNC_STATUS.OFF);
+  const [error, setError] = useState(null);
+  const [, setVersion] = useState(0);
+  const statesRef = useRef(null);
+  if (statesRef.current === null) {
+    statesRef.current = loadSyncStates();
+  }
+  // 変更として記録済みの明細行 (これとの差分が端末での新しい編集)
+  const baseRef = useRef({ sessionId: null, lines: [] });
+  const pushingRef = useRef(false);
+
+  const sessionId = session ? session.id : null;
+  const syncId = (session && session.syncId) || '';
+  const products = session && session.products;
+
+  // コールバックから最新の値を参照する
+  const latestRef = useRef({});
+  latestRef.current = { products: products || [], countMode, deviceName: settings.deviceName, onRemoteLines };
+
+  const client = useMemo(
+    () => (settings.serverUrl ? createSyncClient(settings.serverUrl, { token: settings.token }) : null),
+    [settings.serverUrl, settings.token]
+  );
+
+  const entryFor = (id, code) => {
+    const states = statesRef.current;
+    if (!states[id] || states[id].syncId !== code) {
+      // 新しく共有・参加したセッションは、既存の明細行をすべて変更として送る
+      states[id] = createSyncState(code);
+      baseRef.current = { sessionId: id, lines: [] };
+    }
+    return states[id];
+  };
+
+  // 受信済み (cursor までの seq が付いた) の変更を圧縮した状態にまとめる
+  // cursor までの変更はすべて受信しているので、圧縮するのは seq の先頭から続く変更になる
+  const compact = (entry, threshold = COMPACT_THRESHOLD) => {
+    if (entry.changes.length <= threshold) {
+      return;
+    }
+    const received = entry.changes.filter(change => change.seq && change.seq <= entry.cursor);
+    if (received.length === 0) {
+      return;
+    }
+    entry.snapshot = compactChanges(entry.snapshot, received);
+    const compacted = new Set(received.map(change => change.id));
+    entry.changes = entry.changes.filter(change => !compacted.has(change.id));
+  };
+
+  // 保存できなければ受信済みの変更をすべて圧縮して保存し直す
+  const persist = () => {
+    if (!saveSyncStates(statesRef.current)) {
+      Object.values(statesRef.current).forEach(entry => compact(entry, 0));
+      if (!saveSyncStates(statesRef.current)) {
+        setError('同期の記録を保存できません (端末の空き容量が不足しています)');
+      }
+    }
+    setVersion(value => value + 1);
+  };
+
+  // 端末での編集を変更として記録
+  const captureLocal = (id, code) => {
+    const entry = entryFor(id, code);
+    if (baseRef.current.sessionId !== id) {
+      baseRef.current = { sessionId: id, lines: mergeChanges(entry.changes, entry.snapshot).lines };
+    }
+    const { products: lines, countMode: mode, deviceName } = latestRef.current;
+    const changes = diffLines(baseRef.current.lines, lines, {
+      deviceId,
+      deviceName,
+      countMode: mode,
+      nextId: () => ++entry.counter
+    });
+    baseRef.current = { sessionId: id, lines };
+    if (changes.length > 0) {
+      entry.changes = appendChanges(entry.changes, changes);
+      entry.pendingIds = [...entry.pendingIds, ...changes.map(change => change.id)];
+      persist();
+    }
+  };
+
+  // 未送信の変更を送る (送信中に増えた変更は続けて送る)
+  const push = async (id, code) => {
+    if (!client || pushingRef.current) {
+      return;
+    }
+    const entry = entryFor(id, code);
+    const pending = entry.changes.filter(change => entry.pendingIds.includes(change.id));
+    if (pending.length === 0) {
+      return;
+    }
+    pushingRef.current = true;
+    try {
+      await client.pushChanges(code, pending);
+      const sent = new Set(pending.map(change => change.id));
+      entry.pendingIds = entry.pendingIds.filter(changeId => !sent.has(changeId));
+      persist();
+    } finally {
+      pushingRef.current = false;
+    }
+    if (entry.pendingIds.length > 0) {
+      await push(id, code);
+    }
+  };
+
+  // 受信した変更を取り込み、他の端末の変更があれば明細行を置き換える
+  // 送信済みの自分の変更にもサーバーの seq を記録する (圧縮できるのは seq の付いた変更だけ)
+  const receive = (id, code, { changes, cursor }) => {
+    captureLocal(id, code);
+    const entry = entryFor(id, code);
+    const seqs = new Map(changes.map(change => [change.id, change.seq]));
+    const known = entry.changes.map(change => (change.seq || !seqs.has(change.id) ? change : { ...change, seq: seqs.get(change.id) }));
+    // seq が届いた変更はサーバーが受け付け済みなので、送信の応答を待たずに送信待ちから外す (圧縮しても再送しない)
+    entry.pendingIds = entry.pendingIds.filter(changeId => !seqs.has(changeId));
+    // 圧縮済みの変更が再送されても二重に適用しない
+    const compactedSeq = entry.snapshot ? entry.snapshot.seq : 0;
+    entry.changes = appendChanges(known, changes.filter(change => change.seq > compactedSeq));
+    const hasRemote = entry.changes !== known;
+    entry.cursor = Math.max(entry.cursor, cursor);
+    compact(entry);
+    persist();
+    if (hasRemote) {
+      const { lines } = mergeChanges(entry.changes, entry.snapshot);
+      baseRef.current = { sessionId: id, lines };
+      latestRef.current.onRemoteLines(lines);
+    }
+  };
+
+  const handlersRef = useRef({});
+  handlersRef.current = { captureLocal, push, receive, persist };
+
+  // 明細行が変わるたびに変更を記録して送信 (同期をやめたセッションの記録は削除する)
+  useEffect(() => {
+    if (sessionId && !syncId && statesRef.current[sessionId]) {
+      delete statesRef.current[sessionId];
+      handlersRef.current.persist();
+    }
+    if (!sessionId || !syncId || paused) {
+      return;
+    }
+    handlersRef.current.captureLocal(sessionId, syncId);
+    if (isOnline) {
+      handlersRef.current.push(sessionId, syncId).catch(pushError => setError(pushError.message));
+    }
+  }, [products, sessionId, syncId, isOnline, paused]);
+
+  // 変更フィードの購読 (使えない場合はポーリング)
+  useEffect(() => {
+    if (!sessionId || !syncId || !client) {
+      setStatus(SYNC_STATUS.OFF);
+      return undefined;
+    }
+    if (paused) {
+      setStatus(SYNC_STATUS.PAUSED);
+      return undefined;
+    }
+    if (!isOnline) {
+      setStatus(SYNC_STATUS.OFFLINE);
+      return undefined;
+    }
+    let cancelled = false;
+    const handlers = () => handlersRef.current;
+    const fail = (syncError) => {
+      if (!cancelled) {
+        console.error('同期エラー:', syncError);
+        setStatus(SYNC_STATUS.ERROR);
+        setError(syncError.message || '同期サーバーに接続できません');
+      }
+    };
+    const retryPush = () => handlers().push(sessionId, syncId).catch(fail);
+    const pull = async () => {
+      try {
+        const payload = await client.fetchChanges(syncId, statesRef.current[sessionId].cursor);
+        if (!cancelled) {
+          handlers().receive(sessionId, syncId, payload);
+          await handlers().push(sessionId, syncId);
+          setStatus(SYNC_STATUS.POLLING);
+          setError(null);
+        }
+      } catch (pullError) {
+        fail(pullError);
+      }
+    };
+
+    setStatus(SYNC_STATUS.CONNECTING);
+    handlers().captureLocal(sessionId, syncId);
+    const closeFeed = client.openChangeFeed(
+      syncId,
+      statesRef.current[sessionId].cursor,
+      (payload) => {
+        if (!cancelled) {
+          handlers().receive(sessionId, syncId, payload);
+          setStatus(SYNC_STATUS.LIVE);
+          setError(null);
+        }
+      },
+      // EventSource は自動で再接続する
+      () => !cancelled && setStatus(SYNC_STATUS.CONNECTING)
+    );
+    if (closeFeed) {
+      retryPush();
+    } else {
+      pull();
+    }
+    const timer = setInterval(closeFeed ? retryPush : pull, closeFeed ? RETRY_INTERVAL_MS : POLL_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (closeFeed) {
+        closeFeed();
+      }
+    };
+  }, [sessionId, syncId, client, isOnline, paused]);
+
+  const entry = sessionId && statesRef.current[sessionId] && statesRef.current[sessionId].syncId === syncId
+    ? statesRef.current[sessionId]
+    : null;
+
+  return {
+    deviceId,
+    status,
+    error,
+    changes: entry ? entry.changes : [],
+    snapshot: entry ? entry.snapshot : null,
+    pendingCount: entry ? entry.pendingIds.length : 0
+  };
+};
+
+export default useSessionSync;
@@ -0,0 +1,158 @@
+import { normalizeBarcode } from '../barcode/gtin';
+import { toNumber } from '../import/importPlan';
+import { groupLinesByJan } from '../inventory/lineItems';
+
+// 棚卸の差異レポート (POS などの予定在庫と実際に数えた数量の比較)
+// 予定在庫: セッションの expected = { fileName, loadedAt, items: [{ janCode, productName, quantity, price }] }
+
+// 予定在庫ファイルの項目と、自動マッピングに使う列名の候補
+export const EXPECTED_FIELDS = [
+  { key: 'janCode', label: 'JANコード', required: true, aliases: ['JANコード', 'JAN', 'janCode', 'jan', 'バーコード', 'code'] },
+  { key: 'productName', label: '商品名', aliases: ['商品名', '品名', 'productName', 'name'] },
+  {
+    key: 'quantity',
+    label: '予定数量',
+    required: true,
+    aliases: ['予定数量', '理論在庫', '帳簿在庫', '在庫数', '数量', 'expected', 'quantity', 'qty']
+  },
+  { key: 'price', label: '売価', aliases: ['売価', '価格', '単価', 'price'] }
+];
+
+export const VARIANCE_STATUS = {
+  MATCH: 'match',
+  SHORT: 'short', // 予定より少ない
+  OVER: 'over', // 予定より多い
+  NOT_SCANNED: 'not-scanned', // 予定にあるがスキャンされていない
+  UNEXPECTED: 'unexpected' // スキャンしたが予定にない
+};
+
+export const VARIANCE_STATUS_LABELS = {
+  [VARIANCE_STATUS.MATCH]: '一致',
+  [VARIANCE_STATUS.SHORT]: '不足',
+  [VARIANCE_STATUS.OVER]: '過剰',
+  [VARIANCE_STATUS.NOT_SCANNED]: '未スキャン',
+  [VARIANCE_STATUS.UNEXPECTED]: '予定外'
+};
+
+// 予定在庫ファイルの行を検証して読み込む (同じJANの行は数量を合算)
+// 戻り値: { items, invalid: [{ rowNumber, errors }] }
+export const parseExpectedStock = (rows, mapping, hasHeader) => {
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const items = new Map();
+  const invalid = [];
+
+  dataRows.forEach((row, index) => {
+    const rowNumber = index + (hasHeader ? 2 : 1);
+    const cell = (key) => (mapping[key] >= 0 && row[mapping[key]] !== undefined ? String(row[mapping[key]]).trim() : '');
+    if (row.every(value => String(value).trim() === '')) {
+      return;
+    }
+
+    const errors = [];
+    const rawJanCode = cell('janCode');
+    const barcode = normalizeBarcode(rawJanCode);
+    if (!rawJanCode) {
+      errors.push('JANコードが空です');
+    } else if (!barcode.valid) {
+      errors.push(`JANコード ${rawJanCode}: ${barcode.error}`);
+    }
+    const quantityText = cell('quantity');
+    const quantity = toNumber(quantityText);
+    if (quantityText === '' || !Number.isInteger(quantity)) {
+      errors.push(`数量「${quantityText}」が数値ではありません`);
+    }
+    const priceText = cell('price');
+    const price = priceText === '' ? 0 : toNumber(priceText);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push(`売価「${priceText}」が数値ではありません`);
+    }
+    if (errors.length > 0) {
+      invalid.push({ rowNumber, errors });
+      return;
+    }
+
+    const existing = items.get(barcode.janCode);
+    items.set(barcode.janCode, existing ? {
+      ...existing,
+      productName: existing.productName || cell('productName'),
+      quantity: existing.quantity + quantity,
+      price: existing.price || Math.round(price)
+    } : {
+      janCode: barcode.janCode,
+      productName: cell('productName'),
+      quantity,
+      price: Math.round(price)
+    });
+  });
+
+  return { items: [...items.values()], invalid };
+};
+
+const statusOf = (expected, counted) => {
+  if (!expected) {
+    return VARIANCE_STATUS.UNEXPECTED;
+  }
+  if (counted === null) {
+    return expected.quantity === 0 ? VARIANCE_STATUS.MATCH : VARIANCE_STATUS.NOT_SCANNED;
+  }
+  if (counted === expected.quantity) {
+    return VARIANCE_STATUS.MATCH;
+  }
+  return counted < expected.quantity ? VARIANCE_STATUS.SHORT : VARIANCE_STATUS.OVER;
+};
+
+// 明細行 (ロットごと) をJANコードごとに合計して予定在庫と比較する
+// 金額は明細行の売価 (未入力なら予定在庫ファイルの売価) で計算する
+// 戻り値: { rows: [{ janCode, productName, expectedQuantity, countedQuantity, difference, price, differenceValue, status }], totals }
+export const buildVarianceReport = (lines, expectedItems) => {
+  const counted = new Map(groupLinesByJan(lines).map(group => [group.janCode, group]));
+  const expected = new Map(expectedItems.map(item => [item.janCode, item]));
+  const janCodes = [...new Set([...expected.keys(), ...counted.keys()])];
+
+  const rows = janCodes.map(janCode => {
+    const item = expected.get(janCode);
+    const group = counted.get(janCode);
+    const countedQuantity = group ? group.totalQuantity : null;
+    const expectedQuantity = item ? item.quantity : null;
+    const linePrice = group ? (group.lots.find(({ line }) => Number(line.price) > 0) || { line: {} }).line.price : 0;
+    const price = Number(linePrice) || (item ? item.price : 0) || 0;
+    const difference = (countedQuantity || 0) - (expectedQuantity || 0);
+    return {
+      janCode,
+      productName: (group && group.productName) || (item && item.productName) || '',
+      expectedQuantity,
+      countedQuantity,
+      difference,
+      price,
+      differenceValue: difference * price,
+      status: statusOf(item, countedQuantity)
+    };
+  });
+
+  const totals = rows.reduce((sum, row) => ({
+    ...sum,
+    expectedQuantity: sum.expectedQuantity + (row.expectedQuantity || 0),
+    countedQuantity: sum.countedQuantity + (row.countedQuantity || 0),
+    difference: sum.difference + row.difference,
+    differenceValue: sum.differenceValue + row.differenceValue,
+    statuses: { ...sum.statuses, [row.status]: sum.statuses[row.status] + 1 }
+  }), {
+    expectedQuantity: 0,
+    countedQuantity: 0,
+    difference: 0,
+    differenceValue: 0,
+    statuses: Object.values(VARIANCE_STATUS).reduce((counts, status) => ({ ...counts, [status]: 0 }), {})
+  });
+
+  return { rows, totals };
+};
+
+// 表示・出力する行の絞り込み
+// filter: { statuses: [...], query, minValue (差額の絶対値の下限) }
+export const filterVarianceRows = (rows, { statuses, query = '', minValue = 0 }) => rows.filter(row => (
+  statuses.includes(row.status)
+  && Math.abs(row.differenceValue) >= minValue
+  && (!query
+    || row.janCode.includes(query)
+    || row.productName.toLowerCase().includes(query.toLowerCase()))
+));
@@ -0,0 +1,63 @@
+import {
+  VARIANCE_STATUS,
+  EXPECTED_FIELDS,
+  parseExpectedStock,
+  buildVarianceReport,
+  filterVarianceRows
+} from './varianceReport';
+import { autoMapColumns } from '../import/importPlan';
+import { createLine } from '../inventory/lineItems';
+
+const expectedRows = [
+  ['JAN', '品名', '帳簿在庫', '売価'],
+  ['4901234567894', 'お茶', '20', '150'],
+  ['4512345678906', '水', '12', '100'],
+  ['4901234567894', '', '4', ''],
+  ['49012347', 'ガム', '5', '120'],
+  ['123', '不明', 'abc', ''],
+  ['', '', '', '']
+];
+
+test('loads an expected-stock file and sums duplicate codes', () => {
+  const mapping = autoMapColumns(expectedRows[0], EXPECTED_FIELDS);
+  expect(mapping).toEqual({ janCode: 0, productName: 1, quantity: 2, price: 3 });
+
+  const { items, invalid } = parseExpectedStock(expectedRows, mapping, true);
+  expect(items).toHaveLength(3);
+  expect(items[0]).toEqual({ janCode: '4901234567894', productName: 'お茶', quantity: 24, price: 150 });
+  expect(invalid).toHaveLength(1);
+  expect(invalid[0].rowNumber).toBe(6);
+});
+
+test('compares counted lines against expected stock', () => {
+  const { items } = parseExpectedStock(expectedRows, autoMapColumns(expectedRows[0], EXPECTED_FIELDS), true);
+  const lines = [
+    createLine({ janCode: '4901234567894', productName: 'お茶', quantity: 10, price: 160, lot: 'A', expiryDate: '' }),
+    createLine({ janCode: '4901234567894', productName: 'お茶', quantity: 11, price: 160, lot: 'B', expiryDate: '' }),
+    createLine({ janCode: '4512345678906', productName: '水', quantity: 12, price: 0, lot: '', expiryDate: '' }),
+    createLine({ janCode: '4900000000009', productName: 'パン', quantity: 2, price: 200, lot: '', expiryDate: '' })
+  ];
+  const { rows, totals } = buildVarianceReport(lines, items);
+
+  const byJan = Object.fromEntries(rows.map(row => [row.janCode, row]));
+  expect(byJan['4901234567894']).toMatchObject({
+    expectedQuantity: 24,
+    countedQuantity: 21,
+    difference: -3,
+    price: 160,
+    differenceValue: -480,
+    status: VARIANCE_STATUS.SHORT
+  });
+  expect(byJan['4512345678906']).toMatchObject({ status: VARIANCE_STATUS.MATCH, price: 100 });
+  expect(byJan['49012347']).toMatchObject({ countedQuantity: null, difference: -5, status: VARIANCE_STATUS.NOT_SCANNED });
+  expect(byJan['4900000000009']).toMatchObject({ expectedQuantity: null, difference: 2, status: VARIANCE_STATUS.UNEXPECTED });
+
+  expect(totals).toMatchObject({ expectedQuantity: 41, countedQuantity: 35, difference: -6, differenceValue: -680 });
+  expect(totals.statuses[VARIANCE_STATUS.MATCH]).toBe(1);
+
+  const filtered = filterVarianceRows(rows, {
+    statuses: [VARIANCE_STATUS.SHORT, VARIANCE_STATUS.NOT_SCANNED],
+    minValue: 500
+  });
+  expect(filtered.map(row => row.janCode)).toEqual(['49012347']);
+});